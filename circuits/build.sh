@@ -0,0 +1,65 @@
+#!/usr/bin/env bash
+# Build every circuit variant and install its artifacts into the frontend.
+#
+# Usage: circuits/build.sh [path/to/pot17_final.ptau]
+# Set DEPTHS to build a subset, e.g. DEPTHS="4 8" circuits/build.sh
+# Set ARTIFACT_SET to install a separate artifact set into public/circuit/<set>/ instead,
+# e.g. ARTIFACT_SET=testing circuits/build.sh, and choose it in the app by its manifest path
+# Set PROTOCOLS to choose the proving systems to set up keys for, e.g. PROTOCOLS="groth16 plonk".
+# PLONK and FFLONK need a larger Powers of Tau than Groth16 for the same circuit: pass one
+# with at least as many powers as their setup asks for, e.g. pot20_final.ptau
+set -euo pipefail
+
+ROOT="$(cd "$(dirname "$0")/.." && pwd)"
+PTAU="${1:-$ROOT/pot17_final.ptau}"
+DEPTHS="${DEPTHS:-4 8 12 16}"
+ARTIFACT_SET="${ARTIFACT_SET:-}"
+PROTOCOLS="${PROTOCOLS:-groth16}"
+BUILD="$ROOT/build/circuits${ARTIFACT_SET:+/$ARTIFACT_SET}"
+PUBLIC="$ROOT/zkp-frontend/public/circuit${ARTIFACT_SET:+/$ARTIFACT_SET}"
+NODE_MODULES="$ROOT/zkp-frontend/node_modules"
+SNARKJS="$NODE_MODULES/.bin/snarkjs"
+
+if [ ! -f "$PTAU" ]; then
+  echo "Powers of Tau file not found: $PTAU" >&2
+  echo "Download it with: curl -o pot17_final.ptau https://hermez.s3-eu-west-1.amazonaws.com/pot17_final.ptau" >&2
+  exit 1
+fi
+
+for depth in $DEPTHS; do
+  name="proveValueInMerkle_d$depth"
+  out="$BUILD/$name"
+  mkdir -p "$out" "$PUBLIC/d$depth"
+
+  echo "Building $name"
+  circom "$ROOT/circuits/variants/$name.circom" --r1cs --wasm --sym -l "$NODE_MODULES" -o "$out"
+
+  cp "$out/${name}_js/$name.wasm" "$PUBLIC/d$depth/circuit.wasm"
+
+  for protocol in $PROTOCOLS; do
+    case "$protocol" in
+      groth16)
+        # Circuit-specific Phase 2 setup (a single contribution, fine for development)
+        zkey=circuit_final.zkey vkey=verification_key.json
+        "$SNARKJS" groth16 setup "$out/$name.r1cs" "$PTAU" "$out/circuit_0000.zkey"
+        "$SNARKJS" zkey contribute "$out/circuit_0000.zkey" "$out/$zkey" \
+          --name="First contribution" -e="$(head -c 32 /dev/urandom | od -An -tx1 | tr -d ' \n')"
+        ;;
+      plonk|fflonk)
+        # Universal setup: the keys come from the Powers of Tau alone, no circuit-specific ceremony
+        zkey="circuit_$protocol.zkey" vkey="verification_key_$protocol.json"
+        "$SNARKJS" "$protocol" setup "$out/$name.r1cs" "$PTAU" "$out/$zkey"
+        ;;
+      *)
+        echo "Unknown proving system: $protocol (use groth16, plonk or fflonk)" >&2
+        exit 1
+        ;;
+    esac
+    "$SNARKJS" zkey export verificationkey "$out/$zkey" "$out/$vkey"
+
+    cp "$out/$zkey" "$PUBLIC/d$depth/$zkey"
+    cp "$out/$vkey" "$PUBLIC/d$depth/$vkey"
+  done
+done
+
+node "$ROOT/zkp-frontend/scripts/generate-manifest.js" "$PUBLIC"
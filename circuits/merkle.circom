@@ -0,0 +1,35 @@
+pragma circom 2.1.6;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/bitify.circom";
+
+// Computes the root of a fixed-depth Poseidon Merkle tree from a leaf, its index and its siblings (bottom up)
+// Matches SparseMerkleTree in the frontend; index must fit in depth bits
+template MerkleRootFromPath(depth) {
+    signal input leaf;
+    signal input index;
+    signal input siblings[depth];
+    signal output root;
+
+    component indexBits = Num2Bits(depth);
+    indexBits.in <== index;
+
+    component hashers[depth];
+    signal hashes[depth + 1];
+    signal left[depth];
+    signal right[depth];
+    hashes[0] <== leaf;
+
+    for (var i = 0; i < depth; i++) {
+        // A set bit means the current node is a right child, so the sibling goes on the left
+        left[i] <== hashes[i] + indexBits.out[i] * (siblings[i] - hashes[i]);
+        right[i] <== siblings[i] + hashes[i] - left[i];
+
+        hashers[i] = Poseidon(2);
+        hashers[i].inputs[0] <== left[i];
+        hashers[i].inputs[1] <== right[i];
+        hashes[i + 1] <== hashers[i].out;
+    }
+
+    root <== hashes[depth];
+}
@@ -0,0 +1,198 @@
+pragma circom 2.1.6;
+
+include "circomlib/circuits/comparators.circom";
+include "circomlib/circuits/bitify.circom";
+include "merkle.circom";
+
+// Predicates a proof can make about the hidden value, encoded in the public `predicate` signal
+//   0 = range:  value satisfies lowerbound/upperbound under rangeMode (see BoundsCheck)
+//   1 = equal:  value == set[0]
+//   2 = member: value is one of set[0..setSize-1]; unused slots repeat an element of the set
+//   3 = notMember: value is not in the sorted denylist tree with root denyRoot (see NonMembershipCheck)
+
+// Range modes, encoded in the public `rangeMode` signal
+//   0 = inclusive:  lowerbound <= value <= upperbound
+//   1 = exclusive:  lowerbound <  value <  upperbound
+//   2 = lower-only: lowerbound <= value (upperbound is ignored)
+//   3 = upper-only: value <= upperbound (lowerbound is ignored)
+// out is 1 when the value satisfies the bounds under the given mode; rangeMode outside 0..3 fails
+// The caller must constrain value, lowerbound and upperbound to n bits, otherwise the comparators can wrap
+template BoundsCheck(n) {
+    signal input value;
+    signal input lowerbound;
+    signal input upperbound;
+    signal input rangeMode;
+    signal output out;
+
+    component modeBits = Num2Bits(2); // restricts rangeMode to 0..3
+    modeBits.in <== rangeMode;
+
+    component isMode[4];
+    for (var m = 0; m < 4; m++) {
+        isMode[m] = IsEqual();
+        isMode[m].in[0] <== rangeMode;
+        isMode[m].in[1] <== m;
+    }
+
+    component atLeastLower = GreaterEqThan(n);
+    atLeastLower.in[0] <== value;
+    atLeastLower.in[1] <== lowerbound;
+
+    component aboveLower = GreaterThan(n);
+    aboveLower.in[0] <== value;
+    aboveLower.in[1] <== lowerbound;
+
+    component atMostUpper = LessEqThan(n);
+    atMostUpper.in[0] <== value;
+    atMostUpper.in[1] <== upperbound;
+
+    component belowUpper = LessThan(n);
+    belowUpper.in[0] <== value;
+    belowUpper.in[1] <== upperbound;
+
+    // Lower side holds if: inclusive/lower-only and value >= lower, exclusive and value > lower, or upper-only
+    signal inclusiveLowerOk <== (isMode[0].out + isMode[2].out) * atLeastLower.out;
+    signal exclusiveLowerOk <== isMode[1].out * aboveLower.out;
+    signal lowerOk <== inclusiveLowerOk + exclusiveLowerOk + isMode[3].out;
+
+    // Upper side holds if: inclusive/upper-only and value <= upper, exclusive and value < upper, or lower-only
+    signal inclusiveUpperOk <== (isMode[0].out + isMode[3].out) * atMostUpper.out;
+    signal exclusiveUpperOk <== isMode[1].out * belowUpper.out;
+    signal upperOk <== inclusiveUpperOk + exclusiveUpperOk + isMode[2].out;
+
+    out <== lowerOk * upperOk;
+}
+
+// out is 1 when value equals one of the entries of set
+template MembershipCheck(setSize) {
+    signal input value;
+    signal input set[setSize];
+    signal output out;
+
+    // The product of (value - set[i]) is zero exactly when value matches some entry
+    signal product[setSize];
+    product[0] <== value - set[0];
+    for (var i = 1; i < setSize; i++) {
+        product[i] <== product[i - 1] * (value - set[i]);
+    }
+
+    component isMatch = IsZero();
+    isMatch.in <== product[setSize - 1];
+    out <== isMatch.out;
+}
+
+// out is 1 when value is not an entry of a sorted denylist tree
+// The tree stores every entry plus one, in ascending order between the sentinels 0 and 2^(n-1) + 1, so the prover
+// shows two adjacent leaves low < value + 1 < high; unused positions are 0, which never brackets a value
+// value must fit in n-1 bits, and the tree (fixed by the public root) must be built from such entries
+template NonMembershipCheck(n, depth) {
+    signal input value;
+    signal input root;
+    signal input low;
+    signal input lowIndex;
+    signal input lowSiblings[depth];
+    signal input high;
+    signal input highSiblings[depth];
+    signal output out;
+
+    component lowPath = MerkleRootFromPath(depth);
+    lowPath.leaf <== low;
+    lowPath.index <== lowIndex;
+    lowPath.siblings <== lowSiblings;
+
+    // high must be the very next leaf after low
+    component highPath = MerkleRootFromPath(depth);
+    highPath.leaf <== high;
+    highPath.index <== lowIndex + 1;
+    highPath.siblings <== highSiblings;
+
+    component lowInTree = IsEqual();
+    lowInTree.in[0] <== lowPath.root;
+    lowInTree.in[1] <== root;
+
+    component highInTree = IsEqual();
+    highInTree.in[0] <== highPath.root;
+    highInTree.in[1] <== root;
+
+    component aboveLow = LessThan(n);
+    aboveLow.in[0] <== low;
+    aboveLow.in[1] <== value + 1;
+
+    component belowHigh = LessThan(n);
+    belowHigh.in[0] <== value + 1;
+    belowHigh.in[1] <== high;
+
+    signal inTree <== lowInTree.out * highInTree.out;
+    signal between <== aboveLow.out * belowHigh.out;
+    out <== inTree * between;
+}
+
+// out is 1 when value satisfies the selected predicate
+// value may be any field element, it is only fed to the n-bit comparators when the predicate is a range
+// The caller must constrain lowerbound and upperbound to n bits
+// denyDepth is the depth of the denylist tree used by the notMember predicate
+template PredicateCheck(n, setSize, denyDepth) {
+    signal input value;
+    signal input predicate;
+    signal input lowerbound;
+    signal input upperbound;
+    signal input rangeMode;
+    signal input set[setSize];
+    signal input denyRoot;
+    signal input denyLow;
+    signal input denyLowIndex;
+    signal input denyLowSiblings[denyDepth];
+    signal input denyHigh;
+    signal input denyHighSiblings[denyDepth];
+    signal output out;
+
+    component predicateBits = Num2Bits(2); // restricts predicate to 0..3
+    predicateBits.in <== predicate;
+
+    component isPredicate[4];
+    for (var p = 0; p < 4; p++) {
+        isPredicate[p] = IsEqual();
+        isPredicate[p].in[0] <== predicate;
+        isPredicate[p].in[1] <== p;
+    }
+
+    // Only range proofs need the value to fit in n bits; other predicates may compare hashes such as encoded strings
+    signal rangeValue <== isPredicate[0].out * value;
+    component rangeValueBits = Num2Bits(n);
+    rangeValueBits.in <== rangeValue;
+
+    component bounds = BoundsCheck(n);
+    bounds.value <== rangeValue;
+    bounds.lowerbound <== lowerbound;
+    bounds.upperbound <== upperbound;
+    bounds.rangeMode <== rangeMode;
+
+    component equals = IsEqual();
+    equals.in[0] <== value;
+    equals.in[1] <== set[0];
+
+    component member = MembershipCheck(setSize);
+    member.value <== value;
+    member.set <== set;
+
+    // Denylist entries are encoded values, which fit in 248 bits (strings are truncated hashes)
+    signal notMemberValue <== isPredicate[3].out * value;
+    component notMemberValueBits = Num2Bits(248);
+    notMemberValueBits.in <== notMemberValue;
+
+    component notMember = NonMembershipCheck(249, denyDepth);
+    notMember.value <== notMemberValue;
+    notMember.root <== denyRoot;
+    notMember.low <== denyLow;
+    notMember.lowIndex <== denyLowIndex;
+    notMember.lowSiblings <== denyLowSiblings;
+    notMember.high <== denyHigh;
+    notMember.highSiblings <== denyHighSiblings;
+
+    signal rangeOk <== isPredicate[0].out * bounds.out;
+    signal equalOk <== isPredicate[1].out * equals.out;
+    signal memberOk <== isPredicate[2].out * member.out;
+    signal notMemberOk <== isPredicate[3].out * notMember.out;
+
+    out <== rangeOk + equalOk + memberOk + notMemberOk;
+}
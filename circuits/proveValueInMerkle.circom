@@ -4,67 +4,81 @@ include "circomlib/circuits/poseidon.circom";
 include "circomlib/circuits/comparators.circom";
 include "circomlib/circuits/bitify.circom";
 include "circomlib/circuits/eddsaposeidon.circom";
+include "predicates.circom";
 
-template proveValueForKeyIsInSignedMerkleTreeAndWithinBounds(depth) {
-    signal input key; // public
-    signal input value; // private
-    signal input lowerbound; // public
-    signal input upperbound; // public
-    signal input index; // private; position of the "value" leaf
-    signal input siblings[depth];  // private; sibling hashes
+// One claim: the entry for `key` is a leaf of the tree with the given root and its value satisfies the claim's predicate
+// levelActive[i] is 1 for the levels that exist in the POD's tree (see the main template)
+// A disabled claim (enabled = 0) is not checked at all; its public signals are pinned to 0 by the prover
+template ClaimCheck(maxDepth, setSize, denyDepth) {
+    signal input enabled; // public; 1 if this claim is part of the proof
+    signal input key; // public; schema-bound field identifier, Poseidon(schema ID, field name) of their string encodings
+    signal input valueType; // public; type tag committed next to the value (1 int, 2 string, 3 boolean, 4 date)
+    signal input predicate; // public; see predicates.circom
+    signal input value; // private; encoded value, signed ints and dates are offset by 2^63
+    signal input lowerbound; // public; 0 unless predicate is range
+    signal input upperbound; // public; 0 unless predicate is range
+    signal input rangeMode; // public; see BoundsCheck, 0 unless predicate is range
+    signal input set[setSize]; // public; values for equal/member predicates, 0 otherwise
+    signal input denyRoot; // public; root of the denylist tree for the notMember predicate, 0 otherwise
+    signal input denyLow; // private; denylist leaf just below the value
+    signal input denyLowIndex; // private; position of denyLow, denyHigh is the next leaf
+    signal input denyLowSiblings[denyDepth]; // private
+    signal input denyHigh; // private; denylist leaf just above the value
+    signal input denyHighSiblings[denyDepth]; // private
+    signal input levelActive[maxDepth]; // private
+    signal input index; // private; position of the entry's leaf
+    signal input siblings[maxDepth];  // private; sibling hashes, 0 above `depth`
     signal input root; // private
-    signal input pubKey[2]; // pubkey that signed the merkle root, public
-    signal input signedRoot_R8[2]; // signed root part 1, private
-    signal input signedRoot_S; // signed root part 2, private
 
-    signal merkleHash[depth + 1];  // to store each intermediate hash
-    signal keyHash; // Hash key to make sure it matches sibling which proves the key is included in the merkle tree
+    signal merkleHash[maxDepth + 1];  // to store each intermediate hash
+
+    enabled * (enabled - 1) === 0;
 
-    
-    log("Input root:", root); log();
-    
     // Convert index to binary for determining left/right at each level of merkle tree
-    component indexBits = Num2Bits(depth);
+    component indexBits = Num2Bits(maxDepth);
     indexBits.in <== index;
-    component valueBits = Num2Bits(64); // to resolve: "`value` needs to be constrained to ensure that it is <= p/2."
-    valueBits.in <== value;
+    for (var i = 0; i < maxDepth; i++) {
+        indexBits.out[i] * (1 - levelActive[i]) === 0; // index must fit in a tree of the given depth
+    }
     component upperboundBits = Num2Bits(64); // to resolve: "`value` needs to be constrained to ensure that it is <= p/2."
     upperboundBits.in <== upperbound;
+    component lowerboundBits = Num2Bits(64); // the comparators are only sound when every input fits in 64 bits
+    lowerboundBits.in <== lowerbound;
 
-    // // Check that value is within bounds
-    component lessThan = LessThan(64);
-    lessThan.in[0] <== value;
-    lessThan.in[1] <== upperbound;
-    lessThan.out === 1;
-
-    component greaterThan = GreaterThan(64);
-    greaterThan.in[0] <== value;
-    greaterThan.in[1] <== lowerbound;
-    greaterThan.out === 1;
-
-    // Hash the initial value
-    component poseidonOfValue = Poseidon(1);
-    poseidonOfValue.inputs[0] <== value;
-    merkleHash[0] <== poseidonOfValue.out;
-    // log("Hashed Value: ", merkleHash[0]);
-
-    // Hash the value and make sure it matches the immediate sibling
-    component poseidonOfKey = Poseidon(1);
-    poseidonOfKey.inputs[0] <== key;
-    keyHash <== poseidonOfKey.out;
-    log("Hash of key:", keyHash); log();
-    log("Should equal Sibling[0]:", siblings[0]); log();
-
-    siblings[0] === keyHash; // make sure immediate sibling is the hash of the value
-
-    component merkleHasher[depth];  // declare component statically
-    signal hashIfLeftChildElseZero[depth];  // declare signal statically
-    signal hashIfRightChildElseZero[depth];  // declare signal statically
-    signal siblingIfLeftElseZero[depth];  // declare signal statically
-    signal siblingIfRightElseZero[depth];  // declare signal statically
+    // Check that value satisfies the requested predicate; for ranges this also constrains value to 64 bits
+    component predicateCheck = PredicateCheck(64, setSize, denyDepth);
+    predicateCheck.value <== value;
+    predicateCheck.predicate <== predicate;
+    predicateCheck.lowerbound <== lowerbound;
+    predicateCheck.upperbound <== upperbound;
+    predicateCheck.rangeMode <== rangeMode;
+    predicateCheck.set <== set;
+    predicateCheck.denyRoot <== denyRoot;
+    predicateCheck.denyLow <== denyLow;
+    predicateCheck.denyLowIndex <== denyLowIndex;
+    predicateCheck.denyLowSiblings <== denyLowSiblings;
+    predicateCheck.denyHigh <== denyHigh;
+    predicateCheck.denyHighSiblings <== denyHighSiblings;
+    enabled * (1 - predicateCheck.out) === 0;
+
+    // The leaf commits to the key, the value's type and the value together, so the proven value is the one
+    // stored under `key` and the proof also fixes how the bounds are interpreted
+    component poseidonOfEntry = Poseidon(3);
+    poseidonOfEntry.inputs[0] <== key;
+    poseidonOfEntry.inputs[1] <== valueType;
+    poseidonOfEntry.inputs[2] <== value;
+    merkleHash[0] <== poseidonOfEntry.out;
+    // log("Hashed Entry: ", merkleHash[0]);
+
+    component merkleHasher[maxDepth];  // declare component statically
+    signal hashIfLeftChildElseZero[maxDepth];  // declare signal statically
+    signal hashIfRightChildElseZero[maxDepth];  // declare signal statically
+    signal siblingIfLeftElseZero[maxDepth];  // declare signal statically
+    signal siblingIfRightElseZero[maxDepth];  // declare signal statically
 
     // Loop through each level of merkle tree, starting from bottom, recreate merkle tree and assert each step of the way.
-    for (var i = 0; i < depth; i++) {
+    // Levels above `depth` carry the hash up unchanged, so merkleHash[maxDepth] is the root of the real tree.
+    for (var i = 0; i < maxDepth; i++) {
         merkleHasher[i] = Poseidon(2);
         
         hashIfLeftChildElseZero[i] <== (1 - indexBits.out[i]) * merkleHash[i]; // if left child, use new hash; else zero
@@ -79,11 +93,248 @@ template proveValueForKeyIsInSignedMerkleTreeAndWithinBounds(depth) {
         // log("merkleHasher[i].inputs[0]", merkleHasher[i].inputs[0]);
         // log("merkleHasher[i].inputs[1]", merkleHasher[i].inputs[1]);
 
-        merkleHash[i + 1] <== merkleHasher[i].out;
+        merkleHash[i + 1] <== merkleHash[i] + levelActive[i] * (merkleHasher[i].out - merkleHash[i]);
     }
-    log("Computed Merkle Root (should equal input root):", merkleHash[depth]);
+    log("Computed Merkle Root (should equal input root):", merkleHash[maxDepth]);
+
+    enabled * (root - merkleHash[maxDepth]) === 0;  // final computed merkle root must match input root
+}
 
-    root === merkleHash[depth];  // final computed merkle root must match input root 
+// The POD's header: leaf 0 of every tree, which commits to POD-wide data rather than an entry
+// headerLeaf = Poseidon(ownerCommitment, podId, issuedAt, expiresAt), where ownerCommitment is Poseidon(ownerSecret) or 0
+// for a POD without an owner, podId is the POD's unique 248-bit ID that issuers revoke it by, and issuedAt and expiresAt
+// bound when the POD is valid (see ValidityCheck)
+// A POD with an owner can only be proven with the owner's secret, and yields nullifier = Poseidon(scope, ownerSecret)
+// so a verifier can tell when the same holder proves twice in one scope; without an owner the nullifier is 0
+template HeaderCheck(maxDepth) {
+    signal input ownerCommitment; // private
+    signal input podId; // private
+    signal input issuedAt; // private
+    signal input expiresAt; // private
+    signal input ownerSecret; // private; ignored when there is no owner
+    signal input scope; // public; context the nullifier is computed for
+    signal input levelActive[maxDepth]; // private
+    signal input siblings[maxDepth]; // private; siblings of leaf 0, 0 above `depth`
+    signal input root; // private
+    signal output nullifier;
+
+    component headerLeaf = Poseidon(4);
+    headerLeaf.inputs[0] <== ownerCommitment;
+    headerLeaf.inputs[1] <== podId;
+    headerLeaf.inputs[2] <== issuedAt;
+    headerLeaf.inputs[3] <== expiresAt;
+
+    // Leaf 0 is the left child at every level
+    component hashers[maxDepth];
+    signal headerHash[maxDepth + 1];
+    headerHash[0] <== headerLeaf.out;
+    for (var i = 0; i < maxDepth; i++) {
+        hashers[i] = Poseidon(2);
+        hashers[i].inputs[0] <== headerHash[i];
+        hashers[i].inputs[1] <== siblings[i];
+        headerHash[i + 1] <== headerHash[i] + levelActive[i] * (hashers[i].out - headerHash[i]);
+    }
+    root === headerHash[maxDepth];
+
+    component noOwner = IsZero();
+    noOwner.in <== ownerCommitment;
+
+    // Knowing the secret behind the commitment is what binds the POD to its holder
+    component commitment = Poseidon(1);
+    commitment.inputs[0] <== ownerSecret;
+    (1 - noOwner.out) * (commitment.out - ownerCommitment) === 0;
+
+    component nullifierHash = Poseidon(2);
+    nullifierHash.inputs[0] <== scope;
+    nullifierHash.inputs[1] <== ownerSecret;
+    nullifier <== (1 - noOwner.out) * nullifierHash.out;
+}
+
+// The POD is valid at referenceTime: issued no later than it and, unless expiresAt is 0, expiring after it
+// Times are milliseconds since the Unix epoch; only referenceTime is public, so the POD's own dates stay hidden
+// The verifier checks off-circuit that referenceTime is close to its own clock
+template ValidityCheck() {
+    signal input issuedAt; // private
+    signal input expiresAt; // private; 0 for a POD that does not expire
+    signal input referenceTime; // public
+
+    // The comparators are only sound for 64-bit inputs
+    component issuedAtBits = Num2Bits(64);
+    issuedAtBits.in <== issuedAt;
+    component expiresAtBits = Num2Bits(64);
+    expiresAtBits.in <== expiresAt;
+    component referenceTimeBits = Num2Bits(64);
+    referenceTimeBits.in <== referenceTime;
+
+    component issued = LessEqThan(64);
+    issued.in[0] <== issuedAt;
+    issued.in[1] <== referenceTime;
+    issued.out === 1;
+
+    component notExpired = LessThan(64);
+    notExpired.in[0] <== referenceTime;
+    notExpired.in[1] <== expiresAt;
+
+    component noExpiry = IsZero();
+    noExpiry.in <== expiresAt;
+    (1 - noExpiry.out) * (1 - notExpired.out) === 0;
+}
+
+// The POD is not revoked: podId is not in the issuer's sorted revocation tree (see SortedMerkleTree in the frontend)
+// The verifier checks off-circuit that revocationRoot is the root of a list signed by the POD's issuer
+// A revocationRoot of 0 skips the check, for verifiers that do not ask for one
+template RevocationCheck(revocationDepth) {
+    signal input podId; // private
+    signal input revocationRoot; // public
+    signal input low; // private; revoked ID + 1 just below podId + 1, or the low sentinel
+    signal input lowIndex; // private
+    signal input lowSiblings[revocationDepth]; // private
+    signal input high; // private; revoked ID + 1 just above podId + 1, or the high sentinel
+    signal input highSiblings[revocationDepth]; // private
+
+    // The comparators in NonMembershipCheck are only sound for IDs that fit in 248 bits
+    component podIdBits = Num2Bits(248);
+    podIdBits.in <== podId;
+
+    component notRevoked = NonMembershipCheck(249, revocationDepth);
+    notRevoked.value <== podId;
+    notRevoked.root <== revocationRoot;
+    notRevoked.low <== low;
+    notRevoked.lowIndex <== lowIndex;
+    notRevoked.lowSiblings <== lowSiblings;
+    notRevoked.high <== high;
+    notRevoked.highSiblings <== highSiblings;
+
+    component noList = IsZero();
+    noList.in <== revocationRoot;
+    (1 - noList.out) * (1 - notRevoked.out) === 0;
+}
+
+// maxDepth is the deepest tree this circuit accepts; shallower trees pass their real depth and pad siblings with 0
+// maxClaims is the number of claims one proof can make about entries of the same signed POD; claim 0 is always enabled
+// setSize is the number of values an equality or membership predicate can compare against
+// denyDepth is the depth of the sorted denylist tree used by the notMember predicate
+// revocationDepth is the depth of the issuer's sorted revocation tree
+template proveValuesForKeysAreInSignedMerkleTreeAndSatisfyPredicates(maxDepth, maxClaims, setSize, denyDepth, revocationDepth) {
+    // Per-claim inputs, see ClaimCheck
+    signal input claimEnabled[maxClaims]; // public
+    signal input key[maxClaims]; // public
+    signal input valueType[maxClaims]; // public
+    signal input predicate[maxClaims]; // public
+    signal input value[maxClaims]; // private
+    signal input lowerbound[maxClaims]; // public
+    signal input upperbound[maxClaims]; // public
+    signal input rangeMode[maxClaims]; // public
+    signal input set[maxClaims][setSize]; // public
+    signal input denyRoot[maxClaims]; // public
+    signal input denyLow[maxClaims]; // private
+    signal input denyLowIndex[maxClaims]; // private
+    signal input denyLowSiblings[maxClaims][denyDepth]; // private
+    signal input denyHigh[maxClaims]; // private
+    signal input denyHighSiblings[maxClaims][denyDepth]; // private
+    signal input index[maxClaims]; // private
+    signal input siblings[maxClaims][maxDepth]; // private
+
+    // Shared by all claims
+    signal input depth; // private; depth of the POD's tree, 1..maxDepth
+    signal input root; // private
+    signal input pubKey[2]; // pubkey that signed the merkle root, public
+    signal input challenge; // public; nonce issued by the verifier that this proof answers, 0 if none
+    signal input scope; // public; see HeaderCheck
+    signal input revocationRoot; // public; see RevocationCheck
+    signal input referenceTime; // public; see ValidityCheck
+    signal input signedRoot_R8[2]; // signed root part 1, private
+    signal input signedRoot_S; // signed root part 2, private
+    signal input ownerCommitment; // private
+    signal input podId; // private
+    signal input issuedAt; // private
+    signal input expiresAt; // private
+    signal input ownerSecret; // private
+    signal input headerSiblings[maxDepth]; // private
+    signal input revocationLow; // private
+    signal input revocationLowIndex; // private
+    signal input revocationLowSiblings[revocationDepth]; // private
+    signal input revocationHigh; // private
+    signal input revocationHighSiblings[revocationDepth]; // private
+    signal output nullifier; // public; 0 unless the POD has an owner
+
+    
+    log("Input root:", root); log();
+    
+    // Constrain depth to 1..maxDepth
+    component depthBits = Num2Bits(8);
+    depthBits.in <== depth;
+    component depthInRange = LessEqThan(8);
+    depthInRange.in[0] <== depth;
+    depthInRange.in[1] <== maxDepth;
+    depthInRange.out === 1;
+
+    // isLevelActive[i] is 1 for the levels that exist in a tree of the given depth
+    component isLevelActive[maxDepth];
+    for (var i = 0; i < maxDepth; i++) {
+        isLevelActive[i] = LessThan(8);
+        isLevelActive[i].in[0] <== i;
+        isLevelActive[i].in[1] <== depth;
+    }
+    isLevelActive[0].out === 1; // depth >= 1
+
+    // Every proof makes at least one claim
+    claimEnabled[0] === 1;
+
+    component claims[maxClaims];
+    for (var c = 0; c < maxClaims; c++) {
+        claims[c] = ClaimCheck(maxDepth, setSize, denyDepth);
+        claims[c].enabled <== claimEnabled[c];
+        claims[c].key <== key[c];
+        claims[c].valueType <== valueType[c];
+        claims[c].predicate <== predicate[c];
+        claims[c].value <== value[c];
+        claims[c].lowerbound <== lowerbound[c];
+        claims[c].upperbound <== upperbound[c];
+        claims[c].rangeMode <== rangeMode[c];
+        claims[c].set <== set[c];
+        claims[c].denyRoot <== denyRoot[c];
+        claims[c].denyLow <== denyLow[c];
+        claims[c].denyLowIndex <== denyLowIndex[c];
+        claims[c].denyLowSiblings <== denyLowSiblings[c];
+        claims[c].denyHigh <== denyHigh[c];
+        claims[c].denyHighSiblings <== denyHighSiblings[c];
+        for (var i = 0; i < maxDepth; i++) {
+            claims[c].levelActive[i] <== isLevelActive[i].out;
+        }
+        claims[c].index <== index[c];
+        claims[c].siblings <== siblings[c];
+        claims[c].root <== root;
+    }
+
+    // Open the header, which checks the owner's secret when the POD has one
+    component header = HeaderCheck(maxDepth);
+    header.ownerCommitment <== ownerCommitment;
+    header.podId <== podId;
+    header.issuedAt <== issuedAt;
+    header.expiresAt <== expiresAt;
+    header.ownerSecret <== ownerSecret;
+    header.scope <== scope;
+    for (var i = 0; i < maxDepth; i++) {
+        header.levelActive[i] <== isLevelActive[i].out;
+    }
+    header.siblings <== headerSiblings;
+    header.root <== root;
+    nullifier <== header.nullifier;
+
+    component validity = ValidityCheck();
+    validity.issuedAt <== issuedAt;
+    validity.expiresAt <== expiresAt;
+    validity.referenceTime <== referenceTime;
+
+    component revocation = RevocationCheck(revocationDepth);
+    revocation.podId <== podId;
+    revocation.revocationRoot <== revocationRoot;
+    revocation.low <== revocationLow;
+    revocation.lowIndex <== revocationLowIndex;
+    revocation.lowSiblings <== revocationLowSiblings;
+    revocation.high <== revocationHigh;
+    revocation.highSiblings <== revocationHighSiblings;
 
     // Check that root is properly signed by provided (public) pub key
     component sigVerifier = EdDSAPoseidonVerifier();
@@ -96,35 +347,141 @@ template proveValueForKeyIsInSignedMerkleTreeAndWithinBounds(depth) {
     sigVerifier.M <== root;
     // There is no "out" for EdDSAVerifier, so nothing explicit to check. If does not fail, assume correctly signed
 
+    // Groth16 binds every public input to the proof, so a proof cannot be moved to another challenge.
+    // Squaring it keeps the otherwise unused signal in the constraint system
+    signal challengeSquare;
+    challengeSquare <== challenge * challenge;
 }
 
-component main { public [key, lowerbound, upperbound, pubKey] } = proveValueForKeyIsInSignedMerkleTreeAndWithinBounds(5);
+// The main components live in circuits/variants, one per supported maxDepth.
 
-// Note: index should always be the index of the "value"
-/* INPUT = {
-    "key": "4",
-    "value": "444",
-    "root": "2410060041662479625104463288801171177730038979372211654245303149537675822189",
-    "signedRoot_R8": [
-        "7570548375703895854812559012909518690462402821876891316580078995286445261518",
-        "19492467065393392502570694241015234265319549649814906017701980429841787170241"
+// Note: index is the position of the entry's leaf (leaf 0 is the header) and key its field identifier; claim slots that are not used are disabled and all 0
+/* INPUT = {  (for the depth 4 variant of a custom schema POD bound to the owner secret 123456789, issued 2025-01-01 and expiring 2027-01-01: age between 18 and 65, and country equals "US", in scope "event-2025", checked against a revocation list of the IDs 1000 and 2000 and proven valid at 2026-01-01)
+    "claimEnabled": ["1", "1", "0"],
+    "key": [
+        "2862019306846464021982810506494885978994064378647432421199265681627320433494",
+        "126537832951283647409405038454990140261672823920755484089828098929829061433",
+        "0"
+    ],
+    "valueType": ["1", "2", "0"],
+    "predicate": ["0", "1", "0"],
+    "value": [
+        "9223372036854775838",
+        "340627963077043799574064130397210091138703795811953767417921577760513079567",
+        "0"
+    ],
+    "lowerbound": ["9223372036854775826", "0", "0"],
+    "upperbound": ["9223372036854775873", "0", "0"],
+    "rangeMode": ["0", "0", "0"],
+    "set": [
+        ["0", "0", "0", "0", "0", "0", "0", "0"],
+        [
+            "340627963077043799574064130397210091138703795811953767417921577760513079567",
+            "340627963077043799574064130397210091138703795811953767417921577760513079567",
+            "340627963077043799574064130397210091138703795811953767417921577760513079567",
+            "340627963077043799574064130397210091138703795811953767417921577760513079567",
+            "340627963077043799574064130397210091138703795811953767417921577760513079567",
+            "340627963077043799574064130397210091138703795811953767417921577760513079567",
+            "340627963077043799574064130397210091138703795811953767417921577760513079567",
+            "340627963077043799574064130397210091138703795811953767417921577760513079567"
+        ],
+        ["0", "0", "0", "0", "0", "0", "0", "0"]
+    ],
+    "denyRoot": ["0", "0", "0"],
+    "denyLow": ["0", "0", "0"],
+    "denyLowIndex": ["0", "0", "0"],
+    "denyLowSiblings": [
+        ["0", "0", "0", "0", "0", "0", "0", "0"],
+        ["0", "0", "0", "0", "0", "0", "0", "0"],
+        ["0", "0", "0", "0", "0", "0", "0", "0"]
     ],
-    "signedRoot_S": "2432145816887600171530930884639509508547804919857622981455996426209963104467",
-    "index": "7",
+    "denyHigh": ["0", "0", "0"],
+    "denyHighSiblings": [
+        ["0", "0", "0", "0", "0", "0", "0", "0"],
+        ["0", "0", "0", "0", "0", "0", "0", "0"],
+        ["0", "0", "0", "0", "0", "0", "0", "0"]
+    ],
+    "index": ["1", "3", "0"],
     "siblings": [
-        "9900412353875306532763997210486973311966982345069434572804920993370933366268",
-        "20966615695828811456828362408529419539770761000822471897474995734347766760539",
-        "3999747372056169255287904454018060336549340367781560710060580689405680340622",
-        "17005211768461095478644188038333348431977856333155049743072794073818140025876",
-        "12766331384651241322866832395440875696187197433078785520469117845961669511047"
+        [
+            "5238822108528135634797663813857743784139641914777259919892569185048339565378",
+            "17089646015185533924076313040563364428722631549497239864640704464472209935560",
+            "3886686167460926724585245956531808913791226798232378707283303059751386635522",
+            "0"
+        ],
+        [
+            "18262833393935162224868419056747676213783645483973729614906238024180101994594",
+            "4041354324477331329385458602672245241678416078748462765283506687477957897471",
+            "3886686167460926724585245956531808913791226798232378707283303059751386635522",
+            "0"
+        ],
+        ["0", "0", "0", "0"]
+    ],
+    "depth": "3",
+    "root": "765133849574444203882369379569084809563190460543105546070587009029504945654",
+    "signedRoot_R8": [
+        "6261994398860108675301954909450586122350593968334361599222653946829372812698",
+        "17411536475700643815523673143646143393679603657418888159024712994886361209958"
     ],
-    "lowerbound": "0",
-    "upperbound": "500",
+    "signedRoot_S": "2547702983691362060751026081018360362660149519922564452620609963289747320226",
     "pubKey": [
         "18838193697589519906914248967826513570278429087702812145949942469956693039846",
         "20537376643099189815843311276532876829959308365896675195004039254313266171647"
+    ],
+    "challenge": "0",
+    "scope": "340111703952541689500525885098759827116472125659002544302300793699909063587",
+    "revocationRoot": "10731685057537661720402938378552961724509010216883281310800545128954722377439",
+    "referenceTime": "1767225600000",
+    "ownerCommitment": "7110303097080024260800444665787206606103183587082596139871399733998958991511",
+    "podId": "86121750346421050339558001661294320561161592366383381467667036750229306428",
+    "issuedAt": "1735689600000",
+    "expiresAt": "1798761600000",
+    "ownerSecret": "123456789",
+    "headerSiblings": [
+        "3348208938039524426018926244490694782401377040503031450001381004448178164024",
+        "17089646015185533924076313040563364428722631549497239864640704464472209935560",
+        "3886686167460926724585245956531808913791226798232378707283303059751386635522",
+        "0"
+    ],
+    "revocationLow": "2001",
+    "revocationLowIndex": "2",
+    "revocationLowSiblings": [
+        "452312848583266388373324160190187140051835877600158453279131187530910662657",
+        "21206056947451704694032564713953401739699154636474283003649797722446941830947",
+        "7423237065226347324353380772367382631490014989348495481811164164159255474657",
+        "11286972368698509976183087595462810875513684078608517520839298933882497716792",
+        "3607627140608796879659380071776844901612302623152076817094415224584923813162",
+        "19712377064642672829441595136074946683621277828620209496774504837737984048981",
+        "20775607673010627194014556968476266066927294572720319469184847051418138353016",
+        "3396914609616007258851405644437304192397291162432396347162513310381425243293",
+        "21551820661461729022865262380882070649935529853313286572328683688269863701601",
+        "6573136701248752079028194407151022595060682063033565181951145966236778420039",
+        "12413880268183407374852357075976609371175688755676981206018884971008854919922",
+        "14271763308400718165336499097156975241954733520325982997864342600795471836726",
+        "20066985985293572387227381049700832219069292839614107140851619262827735677018",
+        "9394776414966240069580838672673694685292165040808226440647796406499139370960",
+        "11331146992410411304059858900317123658895005918277453009197229807340014528524",
+        "15819538789928229930262697811477882737253464456578333862691129291651619515538"
+    ],
+    "revocationHigh": "452312848583266388373324160190187140051835877600158453279131187530910662657",
+    "revocationHighSiblings": [
+        "2001",
+        "21206056947451704694032564713953401739699154636474283003649797722446941830947",
+        "7423237065226347324353380772367382631490014989348495481811164164159255474657",
+        "11286972368698509976183087595462810875513684078608517520839298933882497716792",
+        "3607627140608796879659380071776844901612302623152076817094415224584923813162",
+        "19712377064642672829441595136074946683621277828620209496774504837737984048981",
+        "20775607673010627194014556968476266066927294572720319469184847051418138353016",
+        "3396914609616007258851405644437304192397291162432396347162513310381425243293",
+        "21551820661461729022865262380882070649935529853313286572328683688269863701601",
+        "6573136701248752079028194407151022595060682063033565181951145966236778420039",
+        "12413880268183407374852357075976609371175688755676981206018884971008854919922",
+        "14271763308400718165336499097156975241954733520325982997864342600795471836726",
+        "20066985985293572387227381049700832219069292839614107140851619262827735677018",
+        "9394776414966240069580838672673694685292165040808226440647796406499139370960",
+        "11331146992410411304059858900317123658895005918277453009197229807340014528524",
+        "15819538789928229930262697811477882737253464456578333862691129291651619515538"
     ]
-
 } */
 
 
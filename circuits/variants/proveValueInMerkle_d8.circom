@@ -0,0 +1,8 @@
+pragma circom 2.1.6;
+
+include "../proveValueInMerkle.circom";
+
+// Proves up to 3 claims about a POD whose Merkle tree is at most 8 levels deep (255 key-value pairs);
+// each claim may compare against a set of up to 8 values or a denylist of up to 254 values, and the POD
+// may be checked against a revocation list of up to 65534 IDs
+component main { public [claimEnabled, key, valueType, predicate, lowerbound, upperbound, rangeMode, set, denyRoot, pubKey, challenge, scope, revocationRoot, referenceTime] } = proveValuesForKeysAreInSignedMerkleTreeAndSatisfyPredicates(8, 3, 8, 8, 16);
@@ -0,0 +1,49 @@
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+
+/**
+ * Fetch a file from disk, or an http(s) URL over the network, with the signature of `fetch`
+ * Lets CircuitLoader read an artifact set from a local build or from a deployed app
+ * @param {string} path - File path or URL
+ * @param {Object} init - Fetch options; only `method` is used for files
+ * @returns {Promise<Response>} The response, with status 404 if the file does not exist
+ */
+export const fetchResource = async (path, init = {}) => {
+  if (/^https?:\/\//.test(path)) {
+    return fetch(path, init);
+  }
+
+  try {
+    const bytes = await readFile(path);
+    const headers = { 'content-length': String(bytes.length) };
+    return new Response(init.method === 'HEAD' ? null : bytes, { headers });
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+      return new Response(null, { status: 404 });
+    }
+    throw error;
+  }
+};
+
+/**
+ * FileStorage - A Storage (getItem/setItem) kept in a JSON file
+ * Lets the registries that persist to localStorage in the browser persist between CLI runs
+ */
+export class FileStorage {
+  /**
+   * @param {string} path - The JSON file; created on the first write
+   */
+  constructor(path) {
+    this.path = path;
+    this.items = existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')) : {};
+  }
+
+  getItem(key) {
+    return this.items[key] ?? null;
+  }
+
+  setItem(key, value) {
+    this.items[key] = String(value);
+    writeFileSync(this.path, JSON.stringify(this.items, null, 2) + '\n');
+  }
+}
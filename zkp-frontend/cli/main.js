@@ -0,0 +1,476 @@
+/**
+ * zkp commands - Issue PODs, prove claims about them and verify proofs without a browser
+ * Built on the same services as the app. Results are written to stdout (or --out) as JSON,
+ * messages to stderr, and the exit code tells the caller what happened (see EXIT_CODES)
+ */
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { parseArgs, format } from 'node:util';
+import MerkleTreeService from '../src/services/merkleTree.js';
+import SignatureService from '../src/services/signatureService.js';
+import ProofService, { PREDICATES, RANGE_MODES } from '../src/services/proofService.js';
+import CircuitLoader from '../src/services/circuitLoader.js';
+import IssuerRegistry from '../src/services/issuerRegistry.js';
+import ChallengeService, { DEFAULT_CHALLENGE_TTL_MS, parseChallenge } from '../src/services/challengeService.js';
+import NullifierRegistry from '../src/services/nullifierRegistry.js';
+import { PROOF_STAGES } from '../src/services/proverClient.js';
+import VerificationService, { loadVerificationKey } from '../src/services/verificationService.js';
+import { exportSolidityVerifier } from '../src/services/onChainVerifier.js';
+import { PROVING_SYSTEMS } from '../src/services/provingSystems.js';
+import { RevocationList } from '../src/services/revocationList.js';
+import { NO_EXPIRY, checkValidity, DEFAULT_CLOCK_SKEW_MS, DEFAULT_MAX_PROOF_AGE_MS } from '../src/services/podValidity.js';
+import { NO_OWNER } from '../src/services/ownerIdentity.js';
+import { DEFAULT_SCHEMA_ID, getSchema, resolveFieldType } from '../src/services/podSchema.js';
+import { VALUE_TYPES, inferValueType } from '../src/services/valueEncoding.js';
+import { POD_ENTRIES_SCHEMA, PODFormatError, readPOD } from '../src/services/podFormat.js';
+import { validateSchema } from '../src/services/jsonSchema.js';
+import { FileStorage, fetchResource } from './fileAccess.js';
+
+// Exit codes callers can rely on
+const EXIT_CODES = {
+  ok: 0,        // The command succeeded, or the POD or proof was accepted
+  rejected: 1,  // The POD or proof was checked and rejected; the reasons are in the output
+  usage: 2,     // Unknown command or bad options
+  error: 3      // The command failed, e.g. an input file is missing or malformed
+};
+
+// The artifact set of a local build, used unless --artifacts names another manifest
+const DEFAULT_MANIFEST = fileURLToPath(new URL('../public/circuit/manifest.json', import.meta.url));
+
+const USAGE = `Usage: zkp <command> [options]
+
+Commands:
+  pod create --in <data.json> --key <private key> [--schema <id>] [--owner <commitment>]
+             [--issued-at <time>] [--expires <time>] [--issuer-name <name>] [--out <pod.json>]
+      Issue and sign a POD. data.json is an array of { "key", "value", "type"? } entries.
+  pod verify <pod.json> (--issuers <issuers.json> | --any-issuer) [--at <time>]
+      Check a POD's signature, Merkle root and validity period, and that its issuer is trusted.
+  prove --pod <pod.json> --key <entry key> [--lower <n>] [--upper <n>] [--mode <range mode>]
+        [--predicate <predicate>] [--values <a,b,...>] [--owner-secret <secret>] [--challenge <nonce>]
+        [--scope <scope>] [--revocation-list <list.json>] [--protocol <proving system>] [--artifacts <manifest>]
+        [--out <proof.json>]
+      Prove a claim about one entry of a POD. --protocol is groth16, plonk or fflonk; by default the
+      circuit's Groth16 keys are used if the artifact set has them.
+  verify <proof.json> (--issuers <issuers.json> | --any-issuer) [--challenge <nonce>] [--scope <scope>]
+         [--used-challenges <used.json>] [--require-holder] [--nullifiers <seen.json>]
+         [--revocation-list <list.json>] [--max-age <ms>] [--clock-skew <ms>]
+         [--artifacts <manifest> | --vkey <verification_key.json>]
+      Verify a proof and every check the app makes before accepting it. A challenge answers one accepted
+      proof; pass the same --used-challenges file to every run to reject a proof presented again.
+      A proof shows its POD was valid when it was made. It is accepted however long ago that was, unless
+      --max-age is given; --clock-skew is how far ahead of this clock that time may be (default 5 minutes).
+  export-verifier (--circuit <id> [--artifacts <manifest>] | --vkey <verification_key.json>) [--out <Verifier.sol>]
+      Generate the Solidity verifier contract of a circuit, for verifying its proofs on-chain.
+
+Times are ISO dates or milliseconds since 1970. Private keys and secrets can also be given in a file
+with --key-file and --owner-secret-file. Pass --verbose to see the services' log on stderr.
+Exit codes: 0 ok, 1 rejected, 2 usage error, 3 failure.`;
+
+/**
+ * Error in how the CLI was called, reported with the usage and EXIT_CODES.usage
+ */
+class UsageError extends Error {}
+
+const stringOptions = (...names) => Object.fromEntries(names.map((name) => [name, { type: 'string' }]));
+
+const TRUST_OPTIONS = { ...stringOptions('issuers'), 'any-issuer': { type: 'boolean' } };
+
+const readText = (path, what) => {
+  try {
+    return readFileSync(path, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read ${what} ${path}: ${error.message}`);
+  }
+};
+
+const readJSON = (path, what) => {
+  try {
+    return JSON.parse(readText(path, what));
+  } catch (error) {
+    throw new Error(error.message.startsWith('Cannot read') ? error.message : `${what} ${path} is not valid JSON: ${error.message}`);
+  }
+};
+
+// A secret given inline or in a file, so it need not appear in the process list
+const readSecret = (options, name) => {
+  const value = options[`${name}-file`] ? readText(options[`${name}-file`], `--${name}-file`) : options[name];
+  return value?.trim() || undefined;
+};
+
+const parseTime = (value, name) => {
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new UsageError(`${name} must be a date or milliseconds since 1970, got "${value}"`);
+  }
+  return time;
+};
+
+// A duration in whole milliseconds
+const parseDuration = (value, name) => {
+  if (!/^\d+$/.test(value)) {
+    throw new UsageError(`${name} must be a whole number of milliseconds, got "${value}"`);
+  }
+  return Number(value);
+};
+
+// Trusted issuers from --issuers; accepting any issuer must be asked for explicitly
+const loadIssuers = (options) => {
+  if (options.issuers) {
+    const registry = new IssuerRegistry(null);
+    registry.importJSON(readText(options.issuers, 'issuer list'), false);
+    return registry;
+  }
+  if (!options['any-issuer']) {
+    throw new UsageError('Pass the trusted issuers with --issuers, or --any-issuer to accept any issuer');
+  }
+  return null;
+};
+
+const loadRevocationList = (path) => {
+  const list = readJSON(path, 'revocation list');
+  try {
+    RevocationList.fromJSON(list);
+  } catch (error) {
+    throw new Error(`Invalid revocation list: ${error.message}`);
+  }
+  return list;
+};
+
+const createProofService = (options) =>
+  new ProofService(new CircuitLoader(options.artifacts ?? DEFAULT_MANIFEST, fetchResource), null);
+
+// Write a result to the --out file, else to the output's stdout
+const writeOutput = ({ stdout }, result, out) => {
+  const json = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+  if (out) {
+    writeFileSync(out, json + '\n');
+  } else {
+    stdout.write(json + '\n');
+  }
+};
+
+/**
+ * Issue and sign a POD
+ */
+const createPod = async (options, positionals, output) => {
+  if (!options.in) {
+    throw new UsageError('--in is required');
+  }
+  const privateKey = readSecret(options, 'key');
+  if (!privateKey) {
+    throw new UsageError('--key or --key-file is required');
+  }
+
+  const schema = options.schema ?? DEFAULT_SCHEMA_ID;
+  let schemaFields;
+  try {
+    schemaFields = getSchema(schema).fields;
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const entries = readJSON(options.in, 'POD data');
+  const errors = validateSchema(POD_ENTRIES_SCHEMA, entries, 'entries');
+  if (errors.length > 0) {
+    throw new PODFormatError(errors, 'Invalid POD data');
+  }
+  // Types are resolved as in the app: declared, the schema's, or inferred from the value
+  const pairs = entries.map((item) => {
+    const declaredType = item.type ?? (schemaFields ? undefined : inferValueType(item.value));
+    return { key: String(item.key), value: String(item.value), type: resolveFieldType(schema, String(item.key), declaredType) };
+  });
+
+  const issuedAt = options['issued-at'] ? parseTime(options['issued-at'], '--issued-at') : Date.now();
+  const expiresAt = options.expires ? parseTime(options.expires, '--expires') : NO_EXPIRY;
+
+  const merkleService = new MerkleTreeService();
+  merkleService.reset(schema);
+  if (options.owner) {
+    merkleService.setOwner(options.owner);
+  }
+  merkleService.setValidity(issuedAt, expiresAt);
+  pairs.forEach(({ key, value, type }) => merkleService.addKeyValuePair(key, value, type));
+  merkleService.buildTree();
+
+  const signatureService = new SignatureService();
+  signatureService.importKeyPair(privateKey);
+  writeOutput(output, signatureService.signPOD(merkleService.exportData(), { name: options['issuer-name'] }), options.out);
+  return EXIT_CODES.ok;
+};
+
+/**
+ * Check a POD as a verifier would before relying on it
+ */
+const verifyPod = async (options, [podPath], output) => {
+  if (!podPath) {
+    throw new UsageError('The POD file is required');
+  }
+  const registry = loadIssuers(options);
+  const at = options.at ? parseTime(options.at, '--at') : Date.now();
+  const pod = readPOD(readJSON(podPath, 'POD'));
+
+  const reasons = [];
+  if (!new SignatureService().verifyPOD(pod)) {
+    reasons.push('POD signature is invalid');
+  }
+  try {
+    // Rebuilding the tree checks the entries against the signed root
+    new MerkleTreeService().importData(pod);
+  } catch (error) {
+    reasons.push(error.message);
+  }
+  const validityProblem = checkValidity(pod, at);
+  if (validityProblem) {
+    reasons.push(validityProblem);
+  }
+  const issuer = registry?.findIssuer(pod.issuer.publicKey) ?? null;
+  if (registry && !issuer) {
+    reasons.push('Signed by an unknown issuer');
+  }
+
+  writeOutput(output, {
+    accepted: reasons.length === 0,
+    reasons,
+    id: pod.id,
+    schema: pod.schema,
+    issuer: issuer?.name ?? null,
+    publicKey: pod.issuer.publicKey,
+    issuedAt: pod.issuedAt,
+    expiresAt: pod.expiresAt ?? null
+  });
+  return reasons.length === 0 ? EXIT_CODES.ok : EXIT_CODES.rejected;
+};
+
+/**
+ * Prove a claim about one entry of a POD
+ */
+const prove = async (options, positionals, output) => {
+  if (!options.pod || options.key === undefined) {
+    throw new UsageError('--pod and --key are required');
+  }
+  const predicate = options.predicate ?? 'range';
+  if (!PREDICATES[predicate]) {
+    throw new UsageError(`Unknown predicate "${predicate}". Use one of: ${Object.keys(PREDICATES).join(', ')}`);
+  }
+  if (options.protocol && !PROVING_SYSTEMS[options.protocol]) {
+    throw new UsageError(`Unknown proving system "${options.protocol}". Use one of: ${Object.keys(PROVING_SYSTEMS).join(', ')}`);
+  }
+  const rangeMode = options.mode ?? 'inclusive';
+  if (!RANGE_MODES[rangeMode]) {
+    throw new UsageError(`Unknown range mode "${rangeMode}". Use one of: ${Object.keys(RANGE_MODES).join(', ')}`);
+  }
+
+  const pod = readPOD(readJSON(options.pod, 'POD'));
+  const merkleService = new MerkleTreeService();
+  merkleService.importData(pod);
+
+  const index = pod.data.findIndex(({ key }) => key === options.key);
+  if (index < 0) {
+    throw new UsageError(`The POD has no entry "${options.key}". Its entries are: ${pod.data.map(({ key }) => key).join(', ')}`);
+  }
+  const { type } = pod.data[index];
+
+  const set = (options.values ?? '').split(',').map((item) => item.trim()).filter((item) => item !== '');
+  if (predicate === 'range') {
+    const mode = RANGE_MODES[rangeMode];
+    if ((mode.usesLower && options.lower === undefined) || (mode.usesUpper && options.upper === undefined)) {
+      throw new UsageError(mode.usesLower && mode.usesUpper
+        ? '--lower and --upper are required'
+        : `--${mode.usesLower ? 'lower' : 'upper'} is required`);
+    }
+    if (!VALUE_TYPES[type].rangeable) {
+      throw new Error(`Range proofs are not supported for ${VALUE_TYPES[type].label.toLowerCase()} values`);
+    }
+  } else if (set.length === 0) {
+    throw new UsageError('--values is required for this predicate');
+  }
+
+  const isHolderBound = (pod.owner ?? NO_OWNER) !== NO_OWNER;
+  const ownerSecret = readSecret(options, 'owner-secret');
+  if (isHolderBound && !ownerSecret) {
+    throw new UsageError('The POD is bound to its holder; pass the holder\'s --owner-secret');
+  }
+
+  const proofService = createProofService(options);
+  const circuit = await proofService.circuitLoader.selectCircuit(merkleService.depth);
+  const proofRequest = {
+    claims: [{
+      ...merkleService.getProof(index),
+      lowerbound: options.lower ?? '',
+      upperbound: options.upper ?? '',
+      rangeMode,
+      predicate,
+      set: predicate === 'range' ? undefined : set
+    }],
+    depth: String(merkleService.depth),
+    root: pod.merkleRoot,
+    signedRoot_R8: pod.signature.R8,
+    signedRoot_S: pod.signature.S,
+    pubKey: pod.issuer.publicKey,
+    header: merkleService.getHeaderProof(),
+    ownerSecret: isHolderBound ? ownerSecret : undefined,
+    challenge: options.challenge,
+    scope: options.scope ?? '',
+    revocationList: options['revocation-list'] ? loadRevocationList(options['revocation-list']) : undefined
+  };
+
+  let reportedStage = null;
+  const proof = await proofService.generateProof(proofRequest, circuit, {
+    protocol: options.protocol,
+    onProgress: (stage) => {
+      if (stage !== reportedStage) {
+        reportedStage = stage;
+        output.stderr.write(`${PROOF_STAGES[stage]?.label ?? stage}...\n`);
+      }
+    }
+  });
+  writeOutput(output, proofService.exportProof(proof), options.out);
+  return EXIT_CODES.ok;
+};
+
+/**
+ * Verify a proof with every check ProofVerifier makes before accepting it, see VerificationService
+ */
+const verify = async (options, [proofPath], output) => {
+  if (!proofPath) {
+    throw new UsageError('The proof file is required');
+  }
+  const registry = loadIssuers(options);
+  const maxProofAge = options['max-age'] === undefined
+    ? DEFAULT_MAX_PROOF_AGE_MS
+    : parseDuration(options['max-age'], '--max-age');
+  const clockSkew = options['clock-skew'] === undefined
+    ? DEFAULT_CLOCK_SKEW_MS
+    : parseDuration(options['clock-skew'], '--clock-skew');
+  // A challenge given here was issued by the caller, so it only has to match
+  const issuedChallenge = options.challenge ? { nonce: parseChallenge(options.challenge), expiresAt: Infinity } : null;
+  const revocationList = options['revocation-list'] ? loadRevocationList(options['revocation-list']) : null;
+  const nullifierRegistry = new NullifierRegistry(options.nullifiers ? new FileStorage(options.nullifiers) : null);
+  const challengeService = new ChallengeService(
+    DEFAULT_CHALLENGE_TTL_MS,
+    options['used-challenges'] ? new FileStorage(options['used-challenges']) : null
+  );
+
+  // An explicit key is used for every proof; otherwise the key of the circuit each proof names in the artifact set
+  let verificationKey = options.vkey;
+  if (!verificationKey) {
+    const circuitLoader = new CircuitLoader(options.artifacts ?? DEFAULT_MANIFEST, fetchResource);
+    verificationKey = (circuitId, protocol) => circuitLoader.getVerificationKey(circuitId, protocol);
+  }
+  const verificationService = new VerificationService(verificationKey, registry, challengeService);
+
+  const result = await verificationService.verify(readText(proofPath, 'proof'), {
+    challenge: issuedChallenge,
+    scope: options.scope,
+    requireHolder: options['require-holder'],
+    nullifierRegistry,
+    revocationList,
+    maxProofAge,
+    clockSkew
+  });
+
+  writeOutput(output, { ...result, issuer: result.issuer?.name ?? null });
+  return result.accepted ? EXIT_CODES.ok : EXIT_CODES.rejected;
+};
+
+/**
+ * Generate the Solidity verifier of a circuit's verification key
+ */
+const exportVerifier = async (options, positionals, output) => {
+  let vKey;
+  if (options.vkey) {
+    vKey = await loadVerificationKey(options.vkey);
+  } else if (options.circuit) {
+    vKey = await new CircuitLoader(options.artifacts ?? DEFAULT_MANIFEST, fetchResource).getVerificationKey(options.circuit);
+  } else {
+    throw new UsageError('Pass the circuit ID with --circuit, or a verification key with --vkey');
+  }
+  writeOutput(output, exportSolidityVerifier(vKey), options.out);
+  return EXIT_CODES.ok;
+};
+
+const COMMANDS = {
+  'pod create': {
+    run: createPod,
+    options: stringOptions('in', 'key', 'key-file', 'schema', 'owner', 'issued-at', 'expires', 'issuer-name', 'out')
+  },
+  'pod verify': {
+    run: verifyPod,
+    options: { ...TRUST_OPTIONS, ...stringOptions('at') }
+  },
+  prove: {
+    run: prove,
+    options: stringOptions(
+      'pod', 'key', 'lower', 'upper', 'mode', 'predicate', 'values', 'owner-secret', 'owner-secret-file',
+      'challenge', 'scope', 'revocation-list', 'protocol', 'artifacts', 'out'
+    )
+  },
+  verify: {
+    run: verify,
+    options: {
+      ...TRUST_OPTIONS,
+      ...stringOptions(
+        'challenge', 'used-challenges', 'scope', 'nullifiers', 'revocation-list', 'max-age', 'clock-skew', 'artifacts',
+        'vkey'
+      ),
+      'require-holder': { type: 'boolean' }
+    }
+  },
+  'export-verifier': {
+    run: exportVerifier,
+    options: stringOptions('circuit', 'artifacts', 'vkey', 'out')
+  }
+};
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - The arguments after the script name
+ * @param {Object} output - The `stdout` results are written to and the `stderr` messages are written to, as streams
+ * @returns {Promise<number>} The exit code
+ */
+export const main = async (argv, output = { stdout: process.stdout, stderr: process.stderr }) => {
+  const name = argv[0] === 'pod' ? `pod ${argv[1] ?? ''}`.trim() : argv[0];
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    output.stdout.write(USAGE + '\n');
+    return name ? EXIT_CODES.ok : EXIT_CODES.usage;
+  }
+
+  // The services log their progress to the console, which must not mix with the results on stdout,
+  // so while a command runs it goes to stderr with --verbose and nowhere otherwise
+  const consoleMethods = ['log', 'info', 'warn', 'error', 'debug'];
+  const originalConsole = Object.fromEntries(consoleMethods.map((method) => [method, console[method]]));
+  try {
+    const command = COMMANDS[name];
+    if (!command) {
+      throw new UsageError(`Unknown command: ${name}`);
+    }
+
+    let parsed;
+    try {
+      parsed = parseArgs({
+        args: argv.slice(name.split(' ').length),
+        options: { ...command.options, verbose: { type: 'boolean' } },
+        allowPositionals: true
+      });
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+
+    for (const method of consoleMethods) {
+      console[method] = parsed.values.verbose ? (...args) => output.stderr.write(format(...args) + '\n') : () => {};
+    }
+
+    return await command.run(parsed.values, parsed.positionals, output);
+  } catch (error) {
+    output.stderr.write(`zkp: ${error.message}\n`);
+    if (error instanceof UsageError) {
+      output.stderr.write(`Run \`zkp help\` for usage.\n`);
+      return EXIT_CODES.usage;
+    }
+    return EXIT_CODES.error;
+  } finally {
+    Object.assign(console, originalConsole);
+  }
+};
+
+export default main;
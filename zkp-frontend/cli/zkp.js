@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+/**
+ * zkp - Command line interface to PODs and proofs, see main.js
+ */
+import { register } from 'node:module';
+
+// The hooks must be in place before the services are loaded
+register('../src/nodeResolveHooks.js', import.meta.url);
+const { main } = await import('./main.js');
+
+// Exit explicitly, since snarkjs keeps worker threads alive after proving
+process.exit(await main(process.argv.slice(2)));
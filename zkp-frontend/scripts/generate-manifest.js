@@ -0,0 +1,77 @@
+/**
+ * Generate public/circuit/manifest.json from the circuit artifacts in public/circuit/d<depth>/
+ * Run by circuits/build.sh after the artifacts are copied, or by hand with `npm run manifest`.
+ * Pass another directory to describe a separate artifact set, e.g. `npm run manifest -- public/circuit/testing`;
+ * artifact paths are relative to the manifest, so a set can be served from anywhere.
+ */
+import { createHash } from 'node:crypto';
+import { readdirSync, readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { join, dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CIRCUIT_DIR = process.argv[2]
+  ? resolve(process.argv[2])
+  : join(dirname(fileURLToPath(import.meta.url)), '..', 'public', 'circuit');
+const WASM = 'circuit.wasm';
+// Key files of each proving system; a circuit lists the ones it was set up for
+const PROTOCOL_KEYS = {
+  groth16: { zkey: 'circuit_final.zkey', vkey: 'verification_key.json' },
+  plonk: { zkey: 'circuit_plonk.zkey', vkey: 'verification_key_plonk.json' },
+  fflonk: { zkey: 'circuit_fflonk.zkey', vkey: 'verification_key_fflonk.json' }
+};
+
+const sha256 = (path) => createHash('sha256').update(readFileSync(path)).digest('hex');
+
+const circuits = readdirSync(CIRCUIT_DIR, { withFileTypes: true })
+  .filter((entry) => entry.isDirectory() && /^d\d+$/.test(entry.name))
+  .map(({ name }) => {
+    const depth = Number(name.slice(1));
+    const wasmPath = join(CIRCUIT_DIR, name, WASM);
+    if (!existsSync(wasmPath)) {
+      throw new Error(`Missing ${WASM} for depth ${depth}`);
+    }
+
+    const protocols = {};
+    for (const [protocol, files] of Object.entries(PROTOCOL_KEYS)) {
+      const found = Object.values(files).filter((file) => existsSync(join(CIRCUIT_DIR, name, file)));
+      if (found.length === 0) {
+        continue;
+      }
+      if (found.length < 2) {
+        throw new Error(`Missing ${Object.values(files).find((file) => !found.includes(file))} for depth ${depth}`);
+      }
+      protocols[protocol] = {
+        zkey: `${name}/${files.zkey}`,
+        vkey: `${name}/${files.vkey}`,
+        sha256: { zkey: sha256(join(CIRCUIT_DIR, name, files.zkey)), vkey: sha256(join(CIRCUIT_DIR, name, files.vkey)) }
+      };
+    }
+    if (Object.keys(protocols).length === 0) {
+      throw new Error(`Missing the proving and verification keys for depth ${depth}`);
+    }
+
+    return {
+      id: `proveValueInMerkle_d${depth}`,
+      depth,
+      wasm: `${name}/${WASM}`,
+      sha256: { wasm: sha256(wasmPath) },
+      protocols
+    };
+  })
+  .sort((a, b) => a.depth - b.depth);
+
+if (circuits.length === 0) {
+  throw new Error(`No circuit artifacts found in ${CIRCUIT_DIR}`);
+}
+
+const manifest = {
+  version: 2,
+  generatedAt: new Date().toISOString(),
+  circuits
+};
+
+writeFileSync(join(CIRCUIT_DIR, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+console.log(`Wrote manifest for depths ${circuits.map(({ depth }) => depth).join(', ')}`);
+for (const { id, protocols } of circuits) {
+  console.log(`  ${id}: ${Object.keys(protocols).join(', ')}`);
+}
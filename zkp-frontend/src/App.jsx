@@ -4,8 +4,8 @@ import Navigation from './components/Navigation'
 import PODCreator from './components/PODCreator'
 import ProofGenerator from './components/ProofGenerator'
 import ProofVerifier from './components/ProofVerifier'
-import CircuitLoader from './services/circuitLoader'
-import { AppContextProvider } from './contexts/AppContext'
+import ArtifactSetSelector from './components/ArtifactSetSelector'
+import { AppContextProvider, useAppContext } from './contexts/AppContext'
 
 // Create the navigation context
 const AppNavigationContext = createContext();
@@ -15,47 +15,102 @@ function useAppNavigationContext() {
   return useContext(AppNavigationContext);
 }
 
-// Main app component
-function App() {
-  const [activePage, setActivePage] = useState('pod-creator')
+// Pages of the app, shown once the chosen artifact set is loaded
+function AppContent() {
+  const { artifactSet, circuitLoader, verifierState } = useAppContext()
+  // A `#proof=` link opens the Verify Proof page with its proof
+  const [activePage, setActivePage] = useState(() => (verifierState.proofInput ? 'proof-verifier' : 'pod-creator'))
   const [circuitStatus, setCircuitStatus] = useState({
     loading: true,
     available: false,
     error: null
   })
+  const [loadProgress, setLoadProgress] = useState(null)
 
-  // Check if circuit artifacts are available on load
+  // Check that every circuit artifact is available, then download and verify the ones each session needs;
+  // again whenever another artifact set is chosen
   useEffect(() => {
+    let current = true
     const checkCircuitArtifacts = async () => {
+      setCircuitStatus({ loading: true, available: false, error: null })
+      setLoadProgress(null)
+
+      const available = await circuitLoader.checkArtifacts()
+      if (!current) {
+        return
+      }
+      if (!available) {
+        setCircuitStatus({
+          loading: false,
+          available: false,
+          error: 'Circuit artifacts not found'
+        })
+        return
+      }
+      
       try {
-        const circuitLoader = new CircuitLoader()
-        const available = await circuitLoader.checkArtifacts()
-        
+        await circuitLoader.preload((progress) => current && setLoadProgress(progress))
+        if (!current) {
+          return
+        }
         setCircuitStatus({
           loading: false,
-          available,
-          error: available ? null : 'Circuit artifacts not found'
+          available: true,
+          error: null
         })
       } catch (error) {
+        if (!current) {
+          return
+        }
+        // A stale or tampered artifact must not be proven or verified with
         setCircuitStatus({
           loading: false,
           available: false,
+          invalid: true,
           error: error.message
         })
       }
     }
     
     checkCircuitArtifacts()
-  }, [])
+    // A set switched away from mid-load must not overwrite the new set's status
+    return () => {
+      current = false
+    }
+  }, [circuitLoader])
 
   // Render the active page
   const renderActivePage = () => {
     if (circuitStatus.loading) {
+      const percent = loadProgress?.total ? Math.round((100 * loadProgress.loaded) / loadProgress.total) : 0
       return (
         <div className="flex items-center justify-center min-h-screen">
-          <div className="text-center">
-            <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500 mx-auto mb-4"></div>
-            <p className="text-lg text-gray-600">Loading circuit artifacts...</p>
+          <div className="w-full max-w-md text-center">
+            <p className="text-lg text-gray-600 mb-4">Loading circuit artifacts...</p>
+            {loadProgress && (
+              <>
+                <div className="w-full bg-gray-200 rounded h-3 mb-2">
+                  <div className="bg-blue-500 h-3 rounded" style={{ width: `${percent}%` }}></div>
+                </div>
+                <p className="text-sm text-gray-500">
+                  {loadProgress.cached ? 'Verified cached' : 'Downloading'} {loadProgress.path} ({loadProgress.index + 1} of {loadProgress.count})
+                </p>
+              </>
+            )}
+          </div>
+        </div>
+      )
+    }
+
+    if (circuitStatus.invalid) {
+      return (
+        <div className="container mx-auto p-8 max-w-4xl">
+          <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 rounded">
+            <h2 className="font-bold text-xl mb-2">Circuit Artifacts Could Not Be Loaded</h2>
+            <p className="mb-4 break-words">{circuitStatus.error}</p>
+            <p className="text-sm">
+              Proofs are only generated and verified with artifacts that match the hashes in <code>{artifactSet}</code>.
+            </p>
           </div>
         </div>
       )
@@ -67,15 +122,17 @@ function App() {
           <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 rounded">
             <h2 className="font-bold text-xl mb-2">Circuit Artifacts Not Found</h2>
             <p className="mb-4">
-              The required circuit artifacts are not available. Please make sure you have compiled the circuit and placed the artifacts in the correct location.
+              The circuit artifacts of <code>{artifactSet}</code> are not available. Please make sure you have compiled the circuit and placed the artifacts in the correct location.
             </p>
             <div className="bg-white p-4 rounded shadow-sm">
               <h3 className="font-semibold mb-2">Required files:</h3>
               <ul className="list-disc pl-5">
-                <li>/public/circuit/circuit.wasm</li>
-                <li>/public/circuit/circuit_final.zkey</li>
-                <li>/public/circuit/verification_key.json</li>
+                <li>/public/circuit/manifest.json</li>
+                <li>/public/circuit/d&lt;depth&gt;/circuit.wasm</li>
+                <li>/public/circuit/d&lt;depth&gt;/circuit_final.zkey</li>
+                <li>/public/circuit/d&lt;depth&gt;/verification_key.json</li>
               </ul>
+              <p className="mt-2 text-sm">Run <code>circuits/build.sh</code> to build every circuit variant and generate the manifest.</p>
             </div>
           </div>
         </div>
@@ -94,14 +151,22 @@ function App() {
     }
   }
 
+  return (
+    <AppNavigationContext.Provider value={{ activePage, setActivePage }}>
+      <div className="min-h-screen bg-gray-100">
+        <Navigation activePage={activePage} setActivePage={setActivePage} />
+        <ArtifactSetSelector />
+        {renderActivePage()}
+      </div>
+    </AppNavigationContext.Provider>
+  )
+}
+
+// Main app component
+function App() {
   return (
     <AppContextProvider>
-      <AppNavigationContext.Provider value={{ activePage, setActivePage }}>
-        <div className="min-h-screen bg-gray-100">
-          <Navigation activePage={activePage} setActivePage={setActivePage} />
-          {renderActivePage()}
-        </div>
-      </AppNavigationContext.Provider>
+      <AppContent />
     </AppContextProvider>
   )
 }
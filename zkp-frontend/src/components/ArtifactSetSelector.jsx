@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { DEFAULT_MANIFEST_PATH, isSameOriginPath } from '../services/circuitLoader';
+import { useAppContext } from '../contexts/AppContext';
+
+/**
+ * ArtifactSetSelector component
+ * Chooses the circuit artifact set, e.g. a testing build, by the path of its manifest. Proofs are verified
+ * with the chosen set's keys, so switching away from the default set, by hand or from a link, must be confirmed
+ */
+function ArtifactSetSelector() {
+  const {
+    artifactSet,
+    setArtifactSet,
+    linkedArtifactSet,
+    confirmLinkedArtifactSet,
+    dismissLinkedArtifactSet
+  } = useAppContext();
+  const [manifestInput, setManifestInput] = useState(artifactSet);
+  // A set entered by hand that is waiting for confirmation
+  const [pendingSet, setPendingSet] = useState(null);
+  const [error, setError] = useState('');
+
+  const isDefault = artifactSet === DEFAULT_MANIFEST_PATH;
+  const requestedSet = linkedArtifactSet ?? pendingSet;
+  const isValidRequest = requestedSet === DEFAULT_MANIFEST_PATH || isSameOriginPath(requestedSet);
+
+  // Ask before switching sets; the app reloads the new set's artifacts before proofs can be made
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const next = manifestInput.trim() || DEFAULT_MANIFEST_PATH;
+    setError('');
+    if (next === DEFAULT_MANIFEST_PATH) {
+      setArtifactSet(next);
+    } else {
+      setPendingSet(next);
+    }
+  };
+
+  const handleConfirm = () => {
+    try {
+      if (linkedArtifactSet) {
+        confirmLinkedArtifactSet();
+      } else {
+        setArtifactSet(pendingSet);
+      }
+      setManifestInput(requestedSet);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+    setPendingSet(null);
+  };
+
+  const handleCancel = () => {
+    if (linkedArtifactSet) {
+      dismissLinkedArtifactSet();
+    }
+    setPendingSet(null);
+    setManifestInput(artifactSet);
+  };
+
+  const handleReset = () => {
+    setManifestInput(DEFAULT_MANIFEST_PATH);
+    setArtifactSet(DEFAULT_MANIFEST_PATH);
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-2 text-sm text-gray-600">
+      <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2">
+        <label htmlFor="artifact-set" className="font-medium">Circuit artifact set:</label>
+        <input
+          id="artifact-set"
+          type="text"
+          className="flex-1 min-w-0 p-1 border rounded font-mono"
+          value={manifestInput}
+          onChange={(e) => setManifestInput(e.target.value)}
+          placeholder={DEFAULT_MANIFEST_PATH}
+        />
+        <button
+          type="submit"
+          className="px-3 py-1 bg-gray-700 text-white rounded hover:bg-gray-800 disabled:bg-gray-400"
+          disabled={manifestInput.trim() === artifactSet || Boolean(requestedSet)}
+        >
+          Use
+        </button>
+        {!isDefault && (
+          <button
+            type="button"
+            className="px-3 py-1 border rounded hover:bg-gray-200"
+            onClick={handleReset}
+          >
+            Use Default
+          </button>
+        )}
+      </form>
+
+      {requestedSet && (
+        <div className="mt-2 bg-yellow-50 border-l-4 border-yellow-500 text-yellow-800 p-3 rounded">
+          <p className="mb-2">
+            {linkedArtifactSet ? 'The link you opened asks to switch' : 'Switch'} to the artifact set{' '}
+            <code className="break-all">{requestedSet}</code>?
+          </p>
+          {isValidRequest ? (
+            <p className="mb-2">
+              Proofs will be generated and verified with this set's keys instead of the default ones, and a set
+              built by someone else can make forged proofs verify. Only switch if you know who built it.
+            </p>
+          ) : (
+            <p className="mb-2 text-red-700">
+              It is not a manifest path on this site, so it cannot be used.
+            </p>
+          )}
+          <div className="flex gap-2">
+            {isValidRequest && (
+              <button
+                type="button"
+                className="px-3 py-1 bg-yellow-600 text-white rounded hover:bg-yellow-700"
+                onClick={handleConfirm}
+              >
+                Switch Artifact Set
+              </button>
+            )}
+            <button
+              type="button"
+              className="px-3 py-1 border border-yellow-600 rounded hover:bg-yellow-100"
+              onClick={handleCancel}
+            >
+              {linkedArtifactSet ? 'Keep Current Set' : 'Cancel'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {!isDefault && !requestedSet && (
+        <p className="mt-1 text-yellow-700">
+          Not the default artifact set: proofs are verified with the keys of <code className="break-all">{artifactSet}</code>.
+        </p>
+      )}
+      {error && <p className="mt-1 text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+export default ArtifactSetSelector;
@@ -0,0 +1,163 @@
+import React from 'react';
+import { PREDICATES, RANGE_MODES } from '../services/proofService';
+import { DEFAULT_VALUE_TYPE, VALUE_TYPES } from '../services/valueEncoding';
+
+/**
+ * ClaimEditor component
+ * Selects one key-value pair of a POD and the predicate to prove about it
+ * @param {Object} props - Component props
+ * @param {Object} props.claim - The claim being edited: keyIndex, predicate, rangeMode, lowerBound, upperBound and setInput
+ * @param {number} props.index - Position of the claim in the proof
+ * @param {Object} props.pod - The loaded POD
+ * @param {Object} props.errors - Validation messages for lowerBound, upperBound, setValues and the entry's value
+ * @param {Function} props.onChange - Called with the fields to update
+ * @param {Function} props.onRemove - Removes the claim; omitted for the first claim
+ */
+function ClaimEditor({ claim, index, pod, errors, onChange, onRemove }) {
+  // Type of the selected entry; bounds and values are entered in this type
+  const selectedType = pod.data[claim.keyIndex]?.type ?? DEFAULT_VALUE_TYPE;
+  const mode = RANGE_MODES[claim.rangeMode];
+
+  return (
+    <div className="border border-gray-200 rounded p-4 mb-4">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="font-semibold">Claim {index + 1}</h3>
+        {onRemove && (
+          <button
+            onClick={onRemove}
+            className="text-red-600 px-3 py-1 rounded hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-500"
+          >
+            Remove
+          </button>
+        )}
+      </div>
+
+      <div className="mb-4">
+        <label className="block text-gray-700 font-medium mb-2">
+          Key-Value Pair
+        </label>
+        <select
+          value={claim.keyIndex}
+          onChange={(e) => onChange({ keyIndex: Number(e.target.value) })}
+          className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value={-1}>Select a key-value pair</option>
+          {pod.data.map((item, itemIndex) => (
+            <option key={itemIndex} value={itemIndex}>
+              Key: {item.key} - Value: {item.value} ({VALUE_TYPES[item.type ?? DEFAULT_VALUE_TYPE]?.label ?? item.type})
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4 mb-4">
+        <div>
+          <label className="block text-gray-700 font-medium mb-2">
+            Predicate
+          </label>
+          <select
+            value={claim.predicate}
+            onChange={(e) => onChange({ predicate: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {Object.entries(PREDICATES).map(([id, predicate]) => (
+              <option key={id} value={id}>
+                {predicate.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-gray-700 font-medium mb-2">
+            Range Mode
+          </label>
+          <select
+            value={claim.rangeMode}
+            onChange={(e) => onChange({ rangeMode: e.target.value })}
+            disabled={claim.predicate !== 'range'}
+            className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+          >
+            {Object.entries(RANGE_MODES).map(([id, rangeMode]) => (
+              <option key={id} value={id}>
+                {rangeMode.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {claim.predicate === 'range' ? (
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-gray-700 font-medium mb-2">
+              Lower Bound
+            </label>
+            <input
+              type={selectedType === 'date' ? 'date' : 'number'}
+              value={claim.lowerBound}
+              onChange={(e) => onChange({ lowerBound: e.target.value })}
+              disabled={!mode.usesLower}
+              step="1"
+              placeholder="e.g., 0"
+              className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+            />
+            {errors.lowerBound && (
+              <p className="text-sm text-red-600 mt-1">{errors.lowerBound}</p>
+            )}
+          </div>
+          <div>
+            <label className="block text-gray-700 font-medium mb-2">
+              Upper Bound
+            </label>
+            <input
+              type={selectedType === 'date' ? 'date' : 'number'}
+              value={claim.upperBound}
+              onChange={(e) => onChange({ upperBound: e.target.value })}
+              disabled={!mode.usesUpper}
+              step="1"
+              placeholder="e.g., 100"
+              className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+            />
+            {errors.upperBound && (
+              <p className="text-sm text-red-600 mt-1">{errors.upperBound}</p>
+            )}
+          </div>
+        </div>
+      ) : (
+        <div>
+          <label className="block text-gray-700 font-medium mb-2">
+            {claim.predicate === 'equal'
+              ? 'Value'
+              : `${claim.predicate === 'notMember' ? 'Denylist' : 'Values'} (one per line, up to ${PREDICATES[claim.predicate].maxValues})`}
+          </label>
+          {claim.predicate === 'equal' ? (
+            <input
+              type={selectedType === 'date' ? 'date' : 'text'}
+              value={claim.setInput}
+              onChange={(e) => onChange({ setInput: e.target.value })}
+              placeholder={selectedType === 'boolean' ? 'true or false' : 'e.g., FR'}
+              className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          ) : (
+            <textarea
+              value={claim.setInput}
+              onChange={(e) => onChange({ setInput: e.target.value })}
+              placeholder={'e.g.,\nFR\nDE\nNL'}
+              rows={4}
+              className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 font-mono"
+            />
+          )}
+          {errors.setValues && (
+            <p className="text-sm text-red-600 mt-1">{errors.setValues}</p>
+          )}
+        </div>
+      )}
+
+      {errors.value && (
+        <p className="text-sm text-red-600 mt-2">{errors.value}</p>
+      )}
+    </div>
+  );
+}
+
+export default ClaimEditor;
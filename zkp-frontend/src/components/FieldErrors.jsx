@@ -0,0 +1,30 @@
+import React from 'react';
+
+/**
+ * FieldErrors component
+ * Lists the problems found in a POD's fields, each with the path of the field it is about
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.errors - The `path` and `message` of each problem, as in PODFormatError; nothing is shown if empty
+ */
+function FieldErrors({ errors }) {
+  if (errors.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul className="text-sm text-red-600 mt-2 list-disc pl-5">
+      {errors.map(({ path, message }) => (
+        <li key={`${path}:${message}`}>
+          {path && message.startsWith(path) ? (
+            <>
+              <code className="font-mono">{path}</code>
+              {message.slice(path.length)}
+            </>
+          ) : message}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default FieldErrors;
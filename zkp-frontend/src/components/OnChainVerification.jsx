@@ -0,0 +1,164 @@
+import React, { useEffect, useState } from 'react';
+import OnChainVerifier, { exportSolidityVerifier } from '../services/onChainVerifier';
+import { validateProofData } from '../services/verificationService';
+
+/**
+ * OnChainVerification component
+ * Exports a Solidity verifier for the active artifact set's circuits and verifies proofs with a deployed one
+ * @param {Object} props - Component props
+ * @param {string} props.proofInput - The proof JSON to verify
+ * @param {CircuitLoader} props.circuitLoader - Loader of the active artifact set
+ * @param {string} props.rpcUrl - JSON-RPC endpoint of the chain the verifier is deployed on
+ * @param {string} props.verifierAddress - Address of the deployed verifier contract
+ * @param {Function} props.onChange - Called with the changed `rpcUrl` or `verifierAddress`
+ */
+function OnChainVerification({ proofInput, circuitLoader, rpcUrl, verifierAddress, onChange }) {
+  const [circuits, setCircuits] = useState([]);
+  const [circuitId, setCircuitId] = useState('');
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  // Each circuit has its own verification key, so its own verifier contract
+  useEffect(() => {
+    let current = true;
+    circuitLoader.loadManifest()
+      .then((manifest) => {
+        if (current) {
+          setCircuits(manifest.circuits);
+          setCircuitId(manifest.circuits[0].id);
+        }
+      })
+      .catch((err) => current && setError(err.message));
+    return () => {
+      current = false;
+    };
+  }, [circuitLoader]);
+
+  // A result is only shown for the proof it was given
+  useEffect(() => {
+    setResult(null);
+  }, [proofInput]);
+
+  /**
+   * Download the Solidity verifier of the selected circuit
+   */
+  const downloadVerifier = async () => {
+    try {
+      setError('');
+      const source = exportSolidityVerifier(await circuitLoader.getVerificationKey(circuitId));
+      const url = URL.createObjectURL(new Blob([source], { type: 'text/plain' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `Groth16Verifier_${circuitId}.sol`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(`Failed to export the verifier: ${err.message}`);
+    }
+  };
+
+  /**
+   * Ask the deployed verifier contract whether the proof is valid
+   */
+  const verifyOnChain = async () => {
+    let verifier;
+    try {
+      setError('');
+      setResult(null);
+      setIsVerifying(true);
+
+      if (!proofInput.trim()) {
+        throw new Error('Proof input is required');
+      }
+      const { proof, publicSignals } = validateProofData(proofInput);
+      verifier = new OnChainVerifier(verifierAddress.trim(), rpcUrl.trim());
+      setResult({ valid: await verifier.verifyProof(proof, publicSignals), address: verifier.address });
+    } catch (err) {
+      setError(`Failed to verify on-chain: ${err.message}`);
+    } finally {
+      verifier?.destroy();
+      setIsVerifying(false);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow-md rounded p-6 mb-6">
+      <h2 className="text-xl font-semibold mb-4">On-Chain Verification</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Deploy the verifier contract of the circuit that produces your proofs, then check proofs with it. The contract
+        only checks the proof itself; the issuer, challenge, scope and revocation checks above are made by this page.
+      </p>
+
+      <div className="flex gap-2 mb-4">
+        <select
+          value={circuitId}
+          onChange={(e) => setCircuitId(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {circuits.map((circuit) => (
+            <option key={circuit.id} value={circuit.id}>
+              {circuit.id} (depth {circuit.depth})
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={downloadVerifier}
+          disabled={!circuitId}
+          className="bg-gray-500 text-white px-4 py-2 rounded hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-gray-500"
+        >
+          Download Verifier Contract
+        </button>
+      </div>
+
+      <div className="mb-4">
+        <label className="block text-gray-700 font-medium mb-2">JSON-RPC Endpoint</label>
+        <input
+          type="text"
+          value={rpcUrl}
+          onChange={(e) => onChange({ rpcUrl: e.target.value })}
+          className="w-full px-3 py-2 border border-gray-300 rounded font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+
+      <div className="mb-4">
+        <label className="block text-gray-700 font-medium mb-2">Verifier Contract Address</label>
+        <input
+          type="text"
+          value={verifierAddress}
+          onChange={(e) => onChange({ verifierAddress: e.target.value })}
+          placeholder="0x..."
+          className="w-full px-3 py-2 border border-gray-300 rounded font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+
+      <button
+        onClick={verifyOnChain}
+        disabled={isVerifying}
+        className={`px-4 py-2 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+          isVerifying
+            ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+            : 'bg-blue-500 text-white hover:bg-blue-600'
+        }`}
+      >
+        {isVerifying ? 'Verifying...' : 'Verify On-Chain'}
+      </button>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mt-4 break-words">
+          {error}
+        </div>
+      )}
+
+      {result && (
+        <div className={`px-4 py-3 rounded mt-4 ${result.valid ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+          {result.valid
+            ? `The contract at ${result.address} accepts the proof`
+            : `The contract at ${result.address} rejects the proof`}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OnChainVerification;
@@ -1,6 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import MerkleTreeService from '../services/merkleTree';
 import SignatureService from '../services/signatureService';
+import IssuerRegistry from '../services/issuerRegistry';
+import { VALUE_TYPES, inferValueType } from '../services/valueEncoding';
+import { POD_SCHEMAS, resolveFieldType } from '../services/podSchema';
+import { POD_ENTRIES_SCHEMA, PODFormatError, parseEntriesInput } from '../services/podFormat';
+import { validateSchema } from '../services/jsonSchema';
+import { generateOwnerIdentity } from '../services/ownerIdentity';
+import { NO_EXPIRY } from '../services/podValidity';
+import RevocationManager from './RevocationManager';
+import FieldErrors from './FieldErrors';
 import { useAppContext } from '../contexts/AppContext';
 
 /**
@@ -11,6 +20,7 @@ function PODCreator() {
   // Services
   const [merkleService] = useState(new MerkleTreeService());
   const [signatureService] = useState(new SignatureService());
+  const [issuerRegistry] = useState(new IssuerRegistry());
   
   // Get context state
   const { podState, updatePodState, transferPodToProofGenerator } = useAppContext();
@@ -18,9 +28,13 @@ function PODCreator() {
   // Local state
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [entryErrors, setEntryErrors] = useState([]); // Problems with the parsed key-value pairs, listed under the JSON input
+  const [pairErrors, setPairErrors] = useState([]); // Problems with the key-value pairs found when creating the POD
   
   // Destructure values from context state for easier access
-  const { keyValuePairs, jsonInput, privateKey, generatedPublicKey, pod } = podState;
+  const { schema, keyValuePairs, jsonInput, privateKey, generatedPublicKey, issuerName, ownerCommitment, ownerSecret, pod } = podState;
+  const { expiresOn, revokedIds, revocationList } = podState;
+  const schemaFields = POD_SCHEMAS[schema].fields;
   
   // Helper functions to update individual properties
   const setKeyValuePairs = (pairs) => updatePodState({ keyValuePairs: pairs });
@@ -28,6 +42,9 @@ function PODCreator() {
   const setPrivateKey = (key) => updatePodState({ privateKey: key });
   const setGeneratedPublicKey = (pubKey) => updatePodState({ generatedPublicKey: pubKey });
   const setPod = (podData) => updatePodState({ pod: podData });
+  const setOwnerCommitment = (commitment) => updatePodState({ ownerCommitment: commitment, ownerSecret: '' });
+  // Parsed pairs were checked against the previous schema, so they are cleared with it
+  const setSchema = (schemaId) => updatePodState({ schema: schemaId, keyValuePairs: [], pod: null });
   
   /**
    * Parse JSON input and update key-value pairs
@@ -35,41 +52,40 @@ function PODCreator() {
   const parseJsonInput = () => {
     try {
       setError('');
-      // Replace single quotes with double quotes and evaluate the JSON
-      const sanitizedJson = jsonInput.replace(/'/g, '"').replace(/(\w+):/g, '"$1":');
+      setEntryErrors([]);
+      const parsedData = parseEntriesInput(jsonInput);
       
-      let parsedData;
-      try {
-        // First try standard JSON.parse with the sanitized input
-        parsedData = JSON.parse(sanitizedJson);
-      } catch (jsonError) {
-        console.log("JSON parse failed, trying Function constructor", jsonError);
-        // If that fails, use Function constructor as fallback
-        try {
-          // Use Function constructor to safely evaluate the JSON string
-          // This handles cases where the input uses JS object syntax (without quotes around keys)
-          parsedData = (new Function(`return ${sanitizedJson}`))();
-        } catch (funcError) {
-          throw new Error(`Invalid JSON format: ${funcError.message}`);
-        }
+      // Check every entry, so all problems can be listed at once
+      const errors = validateSchema(POD_ENTRIES_SCHEMA, parsedData, 'entries');
+      if (errors.length > 0) {
+        throw new PODFormatError(errors, 'Invalid key-value pairs');
       }
       
-      if (!Array.isArray(parsedData)) {
-        throw new Error('Input must be an array of key-value pairs');
-      }
-      
-      const validPairs = parsedData.map(item => {
-        if (!item.hasOwnProperty('key') || !item.hasOwnProperty('value')) {
-          throw new Error('Each item must have "key" and "value" properties');
+      const validPairs = parsedData.map((item, i) => {
+        // Use the declared type, the schema's type for the field, or infer one from the value (e.g. "2024-01-01" is a date)
+        const declaredType = item.type ?? (schemaFields ? undefined : inferValueType(item.value));
+        try {
+          const type = resolveFieldType(schema, String(item.key), declaredType);
+          return { key: String(item.key), value: String(item.value), type };
+        } catch (err) {
+          errors.push({ path: `entries[${i}]`, message: `entries[${i}]: ${err.message}` });
+          return null;
         }
-        return { key: String(item.key), value: String(item.value) };
       });
+      if (errors.length > 0) {
+        throw new PODFormatError(errors, 'Invalid key-value pairs');
+      }
       
       setKeyValuePairs(validPairs);
       setSuccess('Key-value pairs parsed successfully');
       setTimeout(() => setSuccess(''), 3000);
     } catch (err) {
-      setError(`Failed to parse JSON: ${err.message}`);
+      if (err instanceof PODFormatError) {
+        setEntryErrors(err.errors);
+        setError('Failed to parse JSON: some key-value pairs are invalid, see the list under the input');
+      } else {
+        setError(`Failed to parse JSON: ${err.message}`);
+      }
     }
   };
   
@@ -89,6 +105,15 @@ function PODCreator() {
     }
   };
   
+  /**
+   * Generate a holder identity and bind the POD to it
+   * The secret is only shown here; in practice the holder generates it and sends just the commitment
+   */
+  const generateHolderIdentity = () => {
+    const identity = generateOwnerIdentity();
+    updatePodState({ ownerCommitment: identity.commitment, ownerSecret: identity.secret });
+  };
+  
   /**
    * Import an existing private key
    */
@@ -114,6 +139,7 @@ function PODCreator() {
   const createPOD = () => {
     try {
       setError('');
+      setPairErrors([]);
       setPod(null);
       
       // Validate inputs
@@ -129,14 +155,27 @@ function PODCreator() {
         throw new Error('Private key is required. Generate or import one first.');
       }
       
-      // Reset the merkle service
-      merkleService.reset();
-      
+      // Reset the merkle service; every entry's leaf is bound to the POD's schema
+      merkleService.reset(schema);
+      if (ownerCommitment.trim()) {
+        merkleService.setOwner(ownerCommitment);
+      }
+      // The POD is issued now and, if an expiry date is set, expires at the start of that day (UTC)
+      merkleService.setValidity(Date.now(), expiresOn ? Date.parse(`${expiresOn}T00:00:00Z`) : NO_EXPIRY);
+
       try {
-        // Add key-value pairs to the merkle tree
-        validPairs.forEach(({ key, value }) => {
-          merkleService.addKeyValuePair(key, value);
+        // Add key-value pairs to the merkle tree, collecting the values that do not fit their type
+        const errors = [];
+        validPairs.forEach(({ key, value, type }, i) => {
+          try {
+            merkleService.addKeyValuePair(key, value, type);
+          } catch (err) {
+            errors.push({ path: `data[${i}].value`, message: `data[${i}].value (${key}): ${err.message}` });
+          }
         });
+        if (errors.length > 0) {
+          throw new PODFormatError(errors, 'Invalid POD data');
+        }
         
         // Build the merkle tree
         merkleService.buildTree();
@@ -158,7 +197,7 @@ function PODCreator() {
         
         // Sign the POD with the private key
         try {
-          const signedPOD = signatureService.signPOD(podData);
+          const signedPOD = signatureService.signPOD(podData, { name: issuerName });
           
           // Set the POD
           setPod(signedPOD);
@@ -180,7 +219,12 @@ function PODCreator() {
       }
     } catch (err) {
       console.error("POD creation failed:", err);
-      setError(`Failed to create POD: ${err.message}`);
+      if (err instanceof PODFormatError) {
+        setPairErrors(err.errors);
+        setError('Failed to create POD: some key-value pairs are invalid, see the list under them');
+      } else {
+        setError(`Failed to create POD: ${err.message}`);
+      }
     }
   };
   
@@ -195,14 +239,16 @@ function PODCreator() {
         throw new Error('No POD to verify');
       }
       
-      const isValid = signatureService.verifyPOD(pod);
+      const { signatureValid, issuer } = signatureService.checkIssuer(pod, issuerRegistry);
       
-      if (isValid) {
-        setSuccess('POD signature is valid');
-      } else {
+      if (!signatureValid) {
         throw new Error('POD signature is invalid');
       }
       
+      setSuccess(issuer
+        ? `POD signature is valid, issued by trusted issuer ${issuer.name}`
+        : 'POD signature is valid, but the signer is not a trusted issuer');
+      
       setTimeout(() => setSuccess(''), 3000);
     } catch (err) {
       setError(`Verification failed: ${err.message}`);
@@ -270,22 +316,129 @@ function PODCreator() {
             </div>
           </div>
         )}
+        
+        <div className="mt-4">
+          <label className="block text-gray-700 font-medium mb-2">
+            Issuer Name (optional)
+          </label>
+          <input
+            type="text"
+            value={issuerName}
+            onChange={(e) => updatePodState({ issuerName: e.target.value })}
+            placeholder="Shown with the issuer's public key in the POD"
+            className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <p className="text-sm text-gray-500 mt-1">
+            The name is not signed. Verifiers name issuers from their own list of trusted issuers.
+          </p>
+        </div>
+      </div>
+      
+      {/* Holder Binding Section */}
+      <div className="bg-white shadow-md rounded p-6 mb-6">
+        <h2 className="text-xl font-semibold mb-4">Holder Binding (optional)</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          A POD bound to a holder's identity commitment can only be proven with the holder's secret, and each proof
+          reveals a nullifier that lets a verifier spot the same holder proving twice in one scope.
+        </p>
+        
+        <div className="mb-4">
+          <label className="block text-gray-700 font-medium mb-2">
+            Owner Commitment
+          </label>
+          <input
+            type="text"
+            value={ownerCommitment}
+            onChange={(e) => setOwnerCommitment(e.target.value)}
+            placeholder="Leave empty for a POD anyone holding it can prove from"
+            className="w-full px-3 py-2 border border-gray-300 rounded font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        
+        <button
+          onClick={generateHolderIdentity}
+          className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          Generate Holder Identity
+        </button>
+        
+        {ownerSecret && (
+          <div className="mt-4">
+            <h3 className="font-medium text-gray-700">Owner Secret:</h3>
+            <div className="bg-yellow-50 border border-yellow-300 p-3 rounded mt-1 text-sm font-mono break-all">
+              {ownerSecret}
+            </div>
+            <p className="text-sm text-gray-500 mt-1">
+              Give this to the holder. It is needed for every proof and is not part of the POD.
+            </p>
+          </div>
+        )}
+      </div>
+      
+      {/* Validity Section */}
+      <div className="bg-white shadow-md rounded p-6 mb-6">
+        <h2 className="text-xl font-semibold mb-4">Validity</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          The POD commits to when it was issued and when it expires. Proofs show it is valid at the time they are made
+          without revealing either date.
+        </p>
+        
+        <label className="block text-gray-700 font-medium mb-2">
+          Expires On (optional)
+        </label>
+        <input
+          type="date"
+          value={expiresOn}
+          onChange={(e) => updatePodState({ expiresOn: e.target.value })}
+          className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <p className="text-sm text-gray-500 mt-1">
+          The POD expires at the start of this day (UTC). Leave empty for a POD that does not expire.
+        </p>
       </div>
       
       {/* Key-Value Pairs Section */}
       <div className="bg-white shadow-md rounded p-6 mb-6">
         <h2 className="text-xl font-semibold mb-4">Key-Value Pairs</h2>
         
+        <div className="mb-4">
+          <label className="block text-gray-700 font-medium mb-2">
+            Schema
+          </label>
+          <select
+            value={schema}
+            onChange={(e) => setSchema(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {Object.entries(POD_SCHEMAS).map(([id, { label }]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <p className="text-sm text-gray-500 mt-1">
+            {schemaFields
+              ? `Keys must be fields of this schema: ${Object.entries(schemaFields).map(([field, type]) => `${field} (${type})`).join(', ')}. Verifiers see the field name of every proven entry.`
+              : 'Any key is allowed. Verifiers only see a field identifier unless the proof names the key.'}
+          </p>
+        </div>
+        
         <div className="mb-4">
           <label className="block text-gray-700 font-medium mb-2">
             Input JSON Array of Key-Value Pairs
           </label>
+          <p className="text-sm text-gray-500 mb-2">
+            {schemaFields
+              ? 'Each entry takes the type of its schema field.'
+              : `Each entry may set a "type" of ${Object.keys(VALUE_TYPES).join(', ')}. Without one, the type is inferred from the value.`}
+          </p>
           <textarea
             value={jsonInput}
             onChange={(e) => setJsonInput(e.target.value)}
             rows={10}
             className="w-full px-3 py-2 border border-gray-300 rounded font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
           />
+          <FieldErrors errors={entryErrors} />
         </div>
         
         <button
@@ -304,6 +457,7 @@ function PODCreator() {
                   <tr>
                     <th className="text-left px-2 py-1">Key</th>
                     <th className="text-left px-2 py-1">Value</th>
+                    <th className="text-left px-2 py-1">Type</th>
                   </tr>
                 </thead>
                 <tbody>
@@ -311,6 +465,7 @@ function PODCreator() {
                     <tr key={index} className={index % 2 === 0 ? 'bg-gray-50' : ''}>
                       <td className="px-2 py-1">{pair.key}</td>
                       <td className="px-2 py-1">{pair.value}</td>
+                      <td className="px-2 py-1">{pair.type}</td>
                     </tr>
                   ))}
                 </tbody>
@@ -318,6 +473,7 @@ function PODCreator() {
             </div>
           </div>
         )}
+        <FieldErrors errors={pairErrors} />
       </div>
       
       {/* Actions Section */}
@@ -369,13 +525,21 @@ function PODCreator() {
       
       {/* POD Output */}
       {pod && (
-        <div className="bg-white shadow-md rounded p-6">
+        <div className="bg-white shadow-md rounded p-6 mb-6">
           <h2 className="text-xl font-semibold mb-4">Generated POD</h2>
           <pre className="bg-gray-100 p-4 rounded overflow-auto text-sm font-mono max-h-96">
             {JSON.stringify(pod, null, 2)}
           </pre>
         </div>
       )}
+      
+      <RevocationManager
+        signatureService={signatureService}
+        podId={pod?.id ?? null}
+        revokedIds={revokedIds}
+        signedList={revocationList}
+        onChange={updatePodState}
+      />
     </div>
   );
 }
@@ -0,0 +1,50 @@
+import React from 'react';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Maximum ages to choose from; a proof of any age is accepted unless one is chosen
+const MAX_AGES = [
+  { label: 'Any age', value: null },
+  { label: '5 minutes', value: 5 * MINUTE_MS },
+  { label: '1 hour', value: HOUR_MS },
+  { label: '1 day', value: DAY_MS },
+  { label: '30 days', value: 30 * DAY_MS }
+];
+
+/**
+ * ProofAgeLimit component
+ * Sets how long after it was made a proof is accepted
+ * @param {Object} props - Component props
+ * @param {number|null} props.maxProofAge - The maximum age in milliseconds; null to accept proofs of any age
+ * @param {Function} props.onChange - Called with the new maximum age
+ */
+function ProofAgeLimit({ maxProofAge, onChange }) {
+  return (
+    <div className="bg-white shadow-md rounded p-6 mb-6">
+      <h2 className="text-xl font-semibold mb-4">Proof Age</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        A proof shows its POD was valid at the time it was made, not that it still is. Saved and shared proofs are
+        accepted however old they are, unless a maximum age is set here.
+      </p>
+
+      <label className="block text-gray-700 font-medium mb-2">
+        Maximum Proof Age
+      </label>
+      <select
+        value={maxProofAge ?? ''}
+        onChange={(e) => onChange(e.target.value === '' ? null : Number(e.target.value))}
+        className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        {MAX_AGES.map(({ label, value }) => (
+          <option key={label} value={value ?? ''}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default ProofAgeLimit;
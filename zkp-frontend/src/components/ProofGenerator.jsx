@@ -1,8 +1,35 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import MerkleTreeService from '../services/merkleTree';
-import ProofService from '../services/proofService';
+import { MAX_CLAIMS, RANGE_MODES, checkClaimValue, encodeBound, encodeSet } from '../services/proofService';
+import { DEFAULT_VALUE_TYPE, VALUE_TYPES, encodeValue } from '../services/valueEncoding';
+import { PROOF_STAGES } from '../services/proverClient';
+import { PROVING_SYSTEMS } from '../services/provingSystems';
+import { parseChallenge } from '../services/challengeService';
+import { NO_OWNER } from '../services/ownerIdentity';
+import { RevocationList } from '../services/revocationList';
+import { checkValidity } from '../services/podValidity';
+import { PODFormatError, readPOD } from '../services/podFormat';
+import ClaimEditor from './ClaimEditor';
+import FieldErrors from './FieldErrors';
+import ProofQRCode from './ProofQRCode';
 import { useAppContext } from '../contexts/AppContext';
 
+let nextClaimId = 0;
+
+// A claim with no key-value pair selected yet; `id` keeps React keys stable when claims are removed
+const newClaim = () => ({
+  id: nextClaimId++,
+  keyIndex: -1,
+  predicate: 'range',
+  rangeMode: 'inclusive',
+  lowerBound: '',
+  upperBound: '',
+  setInput: '' // Comparison values, one per line
+});
+
+// Values of an equality, membership or denylist predicate, entered one per line
+const parseSetInput = (input) => input.split('\n').map((line) => line.trim()).filter((line) => line !== '');
+
 /**
  * ProofGenerator component
  * Creates zero-knowledge proofs for specific key-value pairs in a POD
@@ -10,21 +37,127 @@ import { useAppContext } from '../contexts/AppContext';
 function ProofGenerator() {
   // Services
   const [merkleService] = useState(new MerkleTreeService());
-  const [proofService] = useState(new ProofService());
   
-  // Get context state
-  const { proofState, updateProofState, transferProofToVerifier } = useAppContext();
+  // Get context state and the shared proof services
+  const { proofState, updateProofState, transferProofToVerifier, proofService, circuitLoader } = useAppContext();
   
   // Local state
   const [isGeneratingProof, setIsGeneratingProof] = useState(false);
+  const [proofProgress, setProofProgress] = useState(null); // Stage of PROOF_STAGES the proof is at, with the bytes loaded while loading
+  const proofAbort = useRef(null); // Cancels the proof being generated
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [directPodInput, setDirectPodInput] = useState(''); // Main POD input
   const [localPod, setLocalPod] = useState(null); // Local POD state
-  const [localSelectedKeyIndex, setLocalSelectedKeyIndex] = useState(-1);
-  const [localLowerBound, setLocalLowerBound] = useState('');
-  const [localUpperBound, setLocalUpperBound] = useState('');
+  const [podErrors, setPodErrors] = useState([]); // Problems with the fields of the POD last loaded
+  const [localClaims, setLocalClaims] = useState([newClaim()]);
   const [localProof, setLocalProof] = useState(null);
+  const [challengeInput, setChallengeInput] = useState(''); // Nonce issued by the verifier, if any
+  const [scopeInput, setScopeInput] = useState(''); // Scope the verifier counts nullifiers in, if any
+  const [ownerSecretInput, setOwnerSecretInput] = useState(''); // Secret of the holder a bound POD belongs to
+  const [revocationInput, setRevocationInput] = useState(''); // The issuer's signed revocation list, if the verifier asks for one
+  const [protocols, setProtocols] = useState([]); // Proving systems the artifact set has keys for
+  const [protocolInput, setProtocolInput] = useState(''); // Proving system to use; the circuit's default if empty
+
+  // The artifact set decides which proving systems are available
+  useEffect(() => {
+    let current = true;
+    setProtocolInput('');
+    circuitLoader.getProtocols()
+      .then((available) => current && setProtocols(available))
+      .catch((err) => current && setError(err.message));
+    return () => {
+      current = false;
+    };
+  }, [circuitLoader]);
+
+  const isHolderBound = Boolean(localPod) && (localPod.owner ?? NO_OWNER) !== NO_OWNER;
+  const validityProblem = localPod ? checkValidity(localPod, Date.now()) : null;
+
+  /**
+   * Validate a claim's inputs, returning an error message per field (empty when valid)
+   */
+  const validateClaim = (claim) => {
+    const errors = { lowerBound: '', upperBound: '', setValues: '', value: '' };
+    if (!localPod || claim.keyIndex < 0) {
+      return errors;
+    }
+    
+    // Bounds and values are entered and validated in the type of the selected entry
+    const type = localPod.data[claim.keyIndex]?.type ?? DEFAULT_VALUE_TYPE;
+    const mode = RANGE_MODES[claim.rangeMode];
+    const check = (field, used, input, validate) => {
+      if (!used || input === '') {
+        return;
+      }
+      try {
+        validate();
+      } catch (err) {
+        errors[field] = err.message;
+      }
+    };
+    
+    if (claim.predicate === 'range') {
+      check('lowerBound', mode.usesLower, claim.lowerBound.trim(), () => encodeBound(type, claim.lowerBound, 'Lower bound'));
+      check('upperBound', mode.usesUpper, claim.upperBound.trim(), () => encodeBound(type, claim.upperBound, 'Upper bound'));
+      
+      // Once the bounds are entered, check the entry's value is within them; the circuit could only fail without saying why
+      const hasBounds = (!mode.usesLower || claim.lowerBound.trim() !== '') && (!mode.usesUpper || claim.upperBound.trim() !== '');
+      if (hasBounds && !errors.lowerBound && !errors.upperBound) {
+        errors.value = checkClaimValue(encodeValue(type, localPod.data[claim.keyIndex].value), {
+          rangeMode: claim.rangeMode,
+          lowerbound: mode.usesLower ? encodeBound(type, claim.lowerBound, 'Lower bound') : '0',
+          upperbound: mode.usesUpper ? encodeBound(type, claim.upperBound, 'Upper bound') : '0'
+        }) ?? '';
+      }
+    } else {
+      const setValues = parseSetInput(claim.setInput);
+      check('setValues', true, setValues.join(''), () => encodeSet(type, setValues, claim.predicate));
+      
+      // Once the values are entered, check the entry's value is among them, or not on the denylist
+      if (setValues.length > 0 && !errors.setValues) {
+        errors.value = checkClaimValue(encodeValue(type, localPod.data[claim.keyIndex].value), {
+          predicate: claim.predicate,
+          set: encodeSet(type, setValues, claim.predicate)
+        }) ?? '';
+      }
+    }
+    return errors;
+  };
+  
+  const claimErrors = localClaims.map(validateClaim);
+  const inputError = claimErrors
+    .flatMap((errors, i) => Object.values(errors).filter(Boolean).map((message) => `Claim ${i + 1}: ${message}`))[0] ?? '';
+  const hasUnselectedClaim = localClaims.some((claim) => claim.keyIndex === -1);
+  
+  let challengeError = '';
+  try {
+    if (challengeInput.trim()) {
+      parseChallenge(challengeInput);
+    }
+  } catch (err) {
+    challengeError = err.message;
+  }
+  
+  let revocationList;
+  let revocationError = '';
+  try {
+    if (revocationInput.trim()) {
+      revocationList = JSON.parse(revocationInput);
+      if (localPod && RevocationList.fromJSON(revocationList).has(localPod.id)) {
+        throw new Error('This POD has been revoked by its issuer');
+      }
+    }
+  } catch (err) {
+    revocationError = `Revocation list: ${err.message}`;
+  }
+
+  /**
+   * Update some fields of a claim
+   */
+  const updateClaim = (index, changes) => {
+    setLocalClaims((claims) => claims.map((claim, i) => (i === index ? { ...claim, ...changes } : claim)));
+  };
   
   // Destructure values from context state for easier access
   const { pod, selectedKeyIndex, lowerBound, upperBound, proof } = proofState;
@@ -35,22 +168,17 @@ function ProofGenerator() {
   const parsePOD = () => {
     try {
       setError('');
+      setPodErrors([]);
       setLocalPod(null);
-      setLocalSelectedKeyIndex(-1);
+      setLocalClaims([newClaim()]);
       setLocalProof(null);
       
       if (!directPodInput.trim()) {
         throw new Error('POD input is required');
       }
       
-      // Parse the POD
-      const parsedPOD = JSON.parse(directPodInput);
-      
-      // Validate the POD
-      if (!parsedPOD.data || !Array.isArray(parsedPOD.data) || 
-          !parsedPOD.merkleRoot || !parsedPOD.signature || !parsedPOD.publicKey) {
-        throw new Error('Invalid POD format');
-      }
+      // Parse the POD, checking its fields and upgrading PODs issued by earlier versions of the app
+      const parsedPOD = readPOD(directPodInput);
       
       // Import the POD data into the merkle service
       merkleService.importData(parsedPOD);
@@ -60,65 +188,123 @@ function ProofGenerator() {
       setSuccess('POD loaded successfully');
       setTimeout(() => setSuccess(''), 3000);
     } catch (err) {
-      setError(`Failed to parse POD: ${err.message}`);
+      if (err instanceof PODFormatError) {
+        setPodErrors(err.errors);
+        setError('Failed to parse POD: some of its fields are invalid, see the list under the POD');
+      } else {
+        setError(`Failed to parse POD: ${err.message}`);
+      }
     }
   };
   
   /**
-   * Generate a proof for the selected key-value pair
+   * Generate one proof for all claims
    */
   const generateProof = async () => {
     try {
       setError('');
       setLocalProof(null);
       setIsGeneratingProof(true);
+      setProofProgress(null);
+      proofAbort.current = new AbortController();
       
       if (!localPod) {
         throw new Error('No POD loaded');
       }
       
-      if (localSelectedKeyIndex < 0 || localSelectedKeyIndex >= localPod.data.length) {
-        throw new Error('No key-value pair selected');
-      }
+      const claims = localClaims.map((claim, i) => {
+        const label = localClaims.length > 1 ? `Claim ${i + 1}: ` : '';
+        
+        if (claim.keyIndex < 0 || claim.keyIndex >= localPod.data.length) {
+          throw new Error(`${label}No key-value pair selected`);
+        }
+        
+        const type = localPod.data[claim.keyIndex].type ?? DEFAULT_VALUE_TYPE;
+        const setValues = parseSetInput(claim.setInput);
+        if (claim.predicate === 'range') {
+          const mode = RANGE_MODES[claim.rangeMode];
+          if ((mode.usesLower && claim.lowerBound.trim() === '') ||
+              (mode.usesUpper && claim.upperBound.trim() === '')) {
+            throw new Error(label + (mode.usesLower && mode.usesUpper
+              ? 'Both lower and upper bounds are required'
+              : `The ${mode.usesLower ? 'lower' : 'upper'} bound is required`));
+          }
+          
+          if (!VALUE_TYPES[type].rangeable) {
+            throw new Error(`${label}Range proofs are not supported for ${VALUE_TYPES[type].label.toLowerCase()} values`);
+          }
+        } else if (setValues.length === 0) {
+          throw new Error(label + (claim.predicate === 'equal' ? 'A value to compare against is required' : 'At least one value is required'));
+        }
+        
+        // Get the proof data for the selected key-value pair from the merkle service
+        return {
+          ...merkleService.getProof(claim.keyIndex),
+          lowerbound: claim.lowerBound,
+          upperbound: claim.upperBound,
+          rangeMode: claim.rangeMode,
+          predicate: claim.predicate,
+          set: claim.predicate === 'range' ? undefined : setValues
+        };
+      });
       
-      if (localLowerBound.trim() === '' || localUpperBound.trim() === '') {
-        throw new Error('Both lower and upper bounds are required');
+      if (inputError) {
+        throw new Error(inputError);
       }
       
-      // Get the selected key-value pair
-      const { key, value } = localPod.data[localSelectedKeyIndex];
-      
-      // Get the proof data from the merkle service
-      const proofData = merkleService.getProof(localSelectedKeyIndex);
+      // Pick the smallest circuit that fits the POD's tree
+      const circuit = await circuitLoader.selectCircuit(merkleService.depth);
       
-      // Create the proof request
+      // Create the proof request; all claims share the POD's root and signature
       const proofRequest = {
-        key,
-        value,
-        index: proofData.index,
-        siblings: proofData.siblings,
+        claims,
+        depth: String(merkleService.depth),
         root: localPod.merkleRoot,
-        lowerbound: localLowerBound,
-        upperbound: localUpperBound,
         signedRoot_R8: localPod.signature.R8,
         signedRoot_S: localPod.signature.S,
-        pubKey: localPod.publicKey
+        pubKey: localPod.issuer.publicKey,
+        header: merkleService.getHeaderProof(),
+        ownerSecret: isHolderBound ? ownerSecretInput.trim() : undefined,
+        // Binding the proof to the verifier's challenge stops it from being replayed in another session
+        challenge: challengeInput.trim() || undefined,
+        scope: scopeInput,
+        // Proving the POD is not on the issuer's current list lets the verifier reject revoked PODs
+        revocationList
       };
       
-      // Generate the proof
-      const generatedProof = await proofService.generateProof(proofRequest);
-      
+      // Generate the proof in the background, reporting each stage
+      const generatedProof = await proofService.generateProof(proofRequest, circuit, {
+        protocol: protocolInput || undefined,
+        onProgress: (stage, detail) => setProofProgress({ stage, ...detail }),
+        signal: proofAbort.current.signal
+      });
+
       // Set the proof
       setLocalProof(generatedProof);
       setSuccess('Proof generated successfully');
       setTimeout(() => setSuccess(''), 3000);
     } catch (err) {
-      setError(`Failed to generate proof: ${err.message}`);
+      if (proofAbort.current?.signal.aborted) {
+        setSuccess('Proof generation cancelled');
+        setTimeout(() => setSuccess(''), 3000);
+      } else {
+        setError(`Failed to generate proof: ${err.message}`);
+      }
     } finally {
       setIsGeneratingProof(false);
+      setProofProgress(null);
+      proofAbort.current = null;
     }
   };
   
+  /**
+   * Describe the stage of the proof being generated, with the share downloaded while loading the circuit
+   */
+  const describeProofProgress = () => {
+    const label = PROOF_STAGES[proofProgress?.stage]?.label ?? 'Preparing';
+    return proofProgress?.total ? `${label} (${Math.round((100 * proofProgress.loaded) / proofProgress.total)}%)` : label;
+  };
+  
   /**
    * Copy proof to clipboard
    */
@@ -141,21 +327,6 @@ function ProofGenerator() {
     setDirectPodInput(e.target.value);
   };
   
-  /**
-   * Format the proof for display
-   */
-  const formatProofForDisplay = (proofData) => {
-    if (!proofData) return '';
-    
-    const { proof, publicSignals, meta } = proofData;
-    
-    return {
-      proof,
-      publicInputs: publicSignals,
-      meta
-    };
-  };
-  
   return (
     <div className="container mx-auto p-4 max-w-4xl">
       <h1 className="text-2xl font-bold mb-6">Create a Zero-Knowledge Proof</h1>
@@ -175,6 +346,7 @@ function ProofGenerator() {
             rows={20}
             className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 h-40 font-mono"
           />
+          <FieldErrors errors={podErrors} />
         </div>
         
         <button
@@ -188,64 +360,137 @@ function ProofGenerator() {
       {/* Key Selection Section */}
       {localPod && (
         <div className="bg-white shadow-md rounded p-6 mb-6">
-          <h2 className="text-xl font-semibold mb-4">Select Key-Value Pair</h2>
+          <h2 className="text-xl font-semibold mb-4">Claims</h2>
+          <p className="text-sm text-gray-500 mb-4">
+            One proof can make up to {MAX_CLAIMS} claims about entries of this POD. It also shows the POD is valid
+            at the time the proof is generated, without revealing when it was issued or expires.
+          </p>
+          {validityProblem && (
+            <p className="text-sm text-red-600 mb-4">{validityProblem}</p>
+          )}
+
+          {localClaims.map((claim, index) => (
+            <ClaimEditor
+              key={claim.id}
+              claim={claim}
+              index={index}
+              pod={localPod}
+              errors={claimErrors[index]}
+              onChange={(changes) => updateClaim(index, changes)}
+              onRemove={index > 0 ? () => setLocalClaims((claims) => claims.filter((_, i) => i !== index)) : null}
+            />
+          ))}
           
-          <div className="mb-4">
-            <label className="block text-gray-700 font-medium mb-2">
-              Key-Value Pair
-            </label>
-            <select
-              value={localSelectedKeyIndex}
-              onChange={(e) => setLocalSelectedKeyIndex(Number(e.target.value))}
-              className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+          {localClaims.length < MAX_CLAIMS && (
+            <button
+              onClick={() => setLocalClaims((claims) => [...claims, newClaim()])}
+              className="bg-gray-200 text-gray-800 px-4 py-2 rounded hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-gray-400 mb-4 mr-4"
             >
-              <option value={-1}>Select a key-value pair</option>
-              {localPod.data.map((item, index) => (
-                <option key={index} value={index}>
-                  Key: {item.key} - Value: {item.value}
-                </option>
-              ))}
-            </select>
-          </div>
+              Add Claim
+            </button>
+          )}
           
-          <div className="grid grid-cols-2 gap-4 mb-4">
-            <div>
+          {isHolderBound && (
+            <div className="mb-4">
               <label className="block text-gray-700 font-medium mb-2">
-                Lower Bound
+                Owner Secret
               </label>
               <input
-                type="number"
-                value={localLowerBound}
-                onChange={(e) => setLocalLowerBound(e.target.value)}
-                placeholder="e.g., 0"
-                className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                type="password"
+                value={ownerSecretInput}
+                onChange={(e) => setOwnerSecretInput(e.target.value)}
+                placeholder="This POD is bound to its holder; enter the holder's secret"
+                className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 font-mono"
               />
             </div>
-            <div>
+          )}
+          
+          <div className="mb-4">
+            <label className="block text-gray-700 font-medium mb-2">
+              Verifier Scope (optional)
+            </label>
+            <input
+              type="text"
+              value={scopeInput}
+              onChange={(e) => setScopeInput(e.target.value)}
+              placeholder="e.g., event-2025"
+              className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          
+          <div className="mb-4">
+            <label className="block text-gray-700 font-medium mb-2">
+              Verifier Challenge (optional)
+            </label>
+            <input
+              type="text"
+              value={challengeInput}
+              onChange={(e) => setChallengeInput(e.target.value)}
+              placeholder="Paste the challenge issued by the verifier"
+              className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 font-mono"
+            />
+            {challengeError && (
+              <p className="text-sm text-red-600 mt-1">{challengeError}</p>
+            )}
+          </div>
+          
+          <div className="mb-4">
+            <label className="block text-gray-700 font-medium mb-2">
+              Issuer Revocation List (optional)
+            </label>
+            <textarea
+              value={revocationInput}
+              onChange={(e) => setRevocationInput(e.target.value)}
+              rows={4}
+              placeholder="Paste the signed revocation list the verifier checks against"
+              className="w-full px-3 py-2 border border-gray-300 rounded font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            {revocationError && (
+              <p className="text-sm text-red-600 mt-1">{revocationError}</p>
+            )}
+          </div>
+
+          {protocols.length > 1 && (
+            <div className="mb-4">
               <label className="block text-gray-700 font-medium mb-2">
-                Upper Bound
+                Proving System
               </label>
-              <input
-                type="number"
-                value={localUpperBound}
-                onChange={(e) => setLocalUpperBound(e.target.value)}
-                placeholder="e.g., 100"
+              <select
+                value={protocolInput}
+                onChange={(e) => setProtocolInput(e.target.value)}
                 className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
+              >
+                <option value="">Default for the circuit</option>
+                {protocols.map((protocol) => (
+                  <option key={protocol} value={protocol}>
+                    {PROVING_SYSTEMS[protocol].label}
+                    {PROVING_SYSTEMS[protocol].universalSetup ? ' (universal setup)' : ' (circuit-specific setup)'}
+                  </option>
+                ))}
+              </select>
             </div>
-          </div>
-          
+          )}
+
           <button
             onClick={generateProof}
-            disabled={localSelectedKeyIndex === -1 || isGeneratingProof}
+            disabled={hasUnselectedClaim || isGeneratingProof || Boolean(inputError) || Boolean(challengeError) || Boolean(revocationError)}
             className={`px-6 py-3 rounded-lg text-lg focus:outline-none focus:ring-2 focus:ring-blue-500 ${
-              localSelectedKeyIndex === -1 || isGeneratingProof
+              hasUnselectedClaim || isGeneratingProof || inputError || challengeError || revocationError
                 ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
                 : 'bg-blue-500 text-white hover:bg-blue-600'
             }`}
           >
-            {isGeneratingProof ? 'Generating...' : 'Generate Proof'}
+            {isGeneratingProof ? `${describeProofProgress()}...` : 'Generate Proof'}
           </button>
+          
+          {isGeneratingProof && (
+            <button
+              onClick={() => proofAbort.current?.abort()}
+              className="text-red-600 px-6 py-3 rounded-lg text-lg hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-500 ml-4"
+            >
+              Cancel
+            </button>
+          )}
         </div>
       )}
       
@@ -275,8 +520,9 @@ function ProofGenerator() {
             </button>
           </div>
           <pre className="bg-gray-100 p-4 rounded overflow-auto text-sm font-mono max-h-96">
-            {JSON.stringify(formatProofForDisplay(localProof), null, 2)}
+            {proofService.exportProof(localProof)}
           </pre>
+          <ProofQRCode proof={localProof} proofService={proofService} />
         </div>
       )}
     </div>
@@ -0,0 +1,85 @@
+import React, { useEffect, useState } from 'react';
+import QRCode from 'qrcode';
+import { proofLink } from '../services/proofCode';
+
+/**
+ * ProofQRCode component
+ * Shows a proof as a QR code of a link that opens the Verify Proof page with it, for handing it to another device
+ * @param {Object} props - Component props
+ * @param {Object} props.proof - The proof envelope
+ * @param {ProofService} props.proofService - Encodes the proof as a proof code
+ */
+function ProofQRCode({ proof, proofService }) {
+  const [image, setImage] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  // The link leaves out the page's query, so the verifier checks the proof with their own artifact set
+  let link = null;
+  let problem = '';
+  try {
+    link = proofLink(proofService.exportProofCode(proof), window.location.href);
+  } catch (err) {
+    problem = err.message;
+  }
+
+  useEffect(() => {
+    let current = true;
+    setImage(null);
+    setCopied(false);
+    if (link) {
+      QRCode.toDataURL(link, { errorCorrectionLevel: 'L', margin: 2, width: 320 })
+        .then((url) => current && setImage(url))
+        .catch((err) => current && setImage({ error: err.message }));
+    }
+    return () => {
+      current = false;
+    };
+  }, [link]);
+
+  /**
+   * Copy the proof link to the clipboard
+   */
+  const copyLink = async () => {
+    await navigator.clipboard.writeText(link);
+    setCopied(true);
+  };
+
+  return (
+    <div className="mt-6">
+      <h3 className="font-medium text-gray-700 mb-2">Share as QR Code</h3>
+      {problem ? (
+        <p className="text-sm text-gray-500">{problem}. Copy the proof JSON instead.</p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-500 mb-2">
+            Scan the code on the verifier's device, or open the link there, to load the proof on the Verify Proof page.
+            It holds the proof and its public signals ({link.length} characters); the claims are read from the signals.
+          </p>
+          {image?.error ? (
+            <p className="text-sm text-red-600 mb-2">The proof does not fit in a QR code: {image.error}</p>
+          ) : image ? (
+            <img src={image} alt="QR code of the proof link" className="mb-2 border border-gray-200 rounded" width={320} height={320} />
+          ) : (
+            <p className="text-sm text-gray-500 mb-2">Drawing QR code...</p>
+          )}
+          <div className="flex">
+            <input
+              type="text"
+              value={link}
+              readOnly
+              className="flex-grow px-3 py-2 border border-gray-300 rounded-l font-mono text-sm bg-gray-50"
+            />
+            <button
+              onClick={copyLink}
+              className="bg-gray-200 px-4 py-2 border border-gray-300 border-l-0 rounded-r hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {copied ? 'Copied' : 'Copy Link'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ProofQRCode;
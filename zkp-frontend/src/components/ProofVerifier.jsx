@@ -1,5 +1,21 @@
-import React, { useState } from 'react';
-import ProofService from '../services/proofService';
+import React, { useCallback, useMemo, useState } from 'react';
+import { PREDICATES, RANGE_MODES } from '../services/proofService';
+import VerificationService from '../services/verificationService';
+import IssuerRegistry from '../services/issuerRegistry';
+import { NO_CHALLENGE } from '../services/challengeService';
+import NullifierRegistry from '../services/nullifierRegistry';
+import { NO_REVOCATION_LIST } from '../services/revocationList';
+import { scopeSignal } from '../services/ownerIdentity';
+import { VALUE_TYPES, decodeValue } from '../services/valueEncoding';
+import { POD_SCHEMAS } from '../services/podSchema';
+import { PROVING_SYSTEMS } from '../services/provingSystems';
+import TrustedIssuers from './TrustedIssuers';
+import SessionChallenge from './SessionChallenge';
+import VerificationScope from './VerificationScope';
+import RevocationListInput from './RevocationListInput';
+import ProofAgeLimit from './ProofAgeLimit';
+import OnChainVerification from './OnChainVerification';
+import QRScanner from './QRScanner';
 import { useAppContext } from '../contexts/AppContext';
 
 /**
@@ -8,21 +24,39 @@ import { useAppContext } from '../contexts/AppContext';
  */
 function ProofVerifier() {
   // Services
-  const [proofService] = useState(new ProofService());
-  
-  // Get context state
-  const { verifierState, updateVerifierState } = useAppContext();
+  const [issuerRegistry] = useState(new IssuerRegistry());
+  const [nullifierRegistry] = useState(new NullifierRegistry());
+
+  // Get context state, the shared circuit loader and the service that issues and checks session challenges
+  const { verifierState, updateVerifierState, circuitLoader, challengeService } = useAppContext();
+
+  // Destructure values from context state for easier access (only used for initialization now)
+  const { proofInput, verificationResult } = verifierState;
+
+  // Verify with the keys of the chosen artifact set, looked up by the circuit each proof names
+  const verificationService = useMemo(
+    () => new VerificationService(
+      (circuitId, protocol) => circuitLoader.getVerificationKey(circuitId, protocol),
+      issuerRegistry,
+      challengeService
+    ),
+    [circuitLoader, issuerRegistry, challengeService]
+  );
   
   // Local state
   const [isVerifying, setIsVerifying] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
-  const [localProofInput, setLocalProofInput] = useState('');
+  const [localProofInput, setLocalProofInput] = useState(proofInput); // Starts with the proof of a `#proof=` link, if any
+  const [isScanning, setIsScanning] = useState(false);
   const [localVerificationResult, setLocalVerificationResult] = useState(null);
+  const [, setRegistryVersion] = useState(0);
+  const [, setNullifierVersion] = useState(0);
   
-  // Destructure values from context state for easier access (only used for initialization now)
-  const { proofInput, verificationResult } = verifierState;
-  
+  // The session challenge is kept in the context so it survives switching views while the prover answers it
+  const { challenge, scope, requireHolder, revocationInput, maxProofAge, rpcUrl, verifierAddress } = verifierState;
+  const setChallenge = (issued) => updateVerifierState({ challenge: issued });
+
   /**
    * Verify a proof from JSON input
    */
@@ -36,33 +70,39 @@ function ProofVerifier() {
         throw new Error('Proof input is required');
       }
       
-      // Parse the proof
-      const proofData = proofService.importProof(localProofInput);
-      
-      // Validate the proof data
-      if (!proofData.proof || !proofData.publicSignals) {
-        throw new Error('Invalid proof format');
+      // The issuer's current revocation list, if proofs must be checked against one
+      let revocationList = null;
+      if (revocationInput.trim()) {
+        try {
+          revocationList = JSON.parse(revocationInput);
+        } catch (err) {
+          throw new Error(`Invalid revocation list: ${err.message}`);
+        }
       }
+
+      // Make every check a server using the verifier library would make
+      const result = await verificationService.verify(localProofInput, {
+        challenge,
+        scope,
+        requireHolder,
+        nullifierRegistry,
+        revocationList,
+        maxProofAge
+      });
+      const { reasons, issuer } = result;
       
-      // Verify the proof
-      const isValid = await proofService.verifyProof(
-        proofData.proof,
-        proofData.publicSignals
-      );
-      
-      // Set the verification result
-      const result = {
-        isValid,
-        timestamp: new Date().toISOString(),
-        meta: proofData.meta || {}
-      };
-      
-      setLocalVerificationResult(result);
+      // A proof that cannot be read has no claims to show; its reasons are shown below
+      setLocalVerificationResult(result.claims ? result : null);
       
-      if (isValid) {
-        setSuccess('Proof verified successfully');
+      // The holder of an accepted proof was recorded in the scope, which changes its count
+      if (result.accepted && result.nullifier) {
+        setNullifierVersion((version) => version + 1);
+      }
+
+      if (result.accepted) {
+        setSuccess(`Proof verified successfully, issued by ${issuer.name}`);
       } else {
-        setError('Proof verification failed');
+        setError(`Proof rejected: ${reasons.join('; ')}`);
       }
       
       setTimeout(() => {
@@ -76,6 +116,17 @@ function ProofVerifier() {
     }
   };
   
+  /**
+   * Load the proof link or code read from a QR code
+   */
+  const handleScan = useCallback((text) => {
+    setIsScanning(false);
+    setLocalProofInput(text);
+    setLocalVerificationResult(null);
+    setSuccess('Proof scanned, ready to verify');
+    setTimeout(() => setSuccess(''), 3000);
+  }, []);
+  
   /**
    * Handle changes to the proof input
    */
@@ -88,23 +139,57 @@ function ProofVerifier() {
     <div className="container mx-auto p-4 max-w-4xl">
       <h1 className="text-2xl font-bold mb-6">Verify a Zero-Knowledge Proof</h1>
       
+      <TrustedIssuers
+        registry={issuerRegistry}
+        onChange={() => setRegistryVersion((version) => version + 1)}
+      />
+      
+      <SessionChallenge
+        challengeService={challengeService}
+        challenge={challenge}
+        onChange={setChallenge}
+      />
+      
+      <VerificationScope
+        scope={scope}
+        requireHolder={requireHolder}
+        seenCount={nullifierRegistry.count(scopeSignal(scope))}
+        onChange={updateVerifierState}
+        onClearSeen={() => {
+          nullifierRegistry.clear(scopeSignal(scope));
+          setNullifierVersion((version) => version + 1);
+        }}
+      />
+      
+      <RevocationListInput
+        value={revocationInput}
+        onChange={(input) => updateVerifierState({ revocationInput: input })}
+      />
+      
+      <ProofAgeLimit
+        maxProofAge={maxProofAge}
+        onChange={(age) => updateVerifierState({ maxProofAge: age })}
+      />
+
       {/* Proof Input Section */}
       <div className="bg-white shadow-md rounded p-6 mb-6">
         <h2 className="text-xl font-semibold mb-4">Proof Input</h2>
         
         <div className="mb-4">
           <label className="block text-gray-700 font-medium mb-2">
-            Proof JSON
+            Proof JSON, Link or Code
           </label>
           <textarea
             value={localProofInput}
             onChange={handleProofInputChange}
-            placeholder="Paste your proof JSON here"
+            placeholder="Paste your proof JSON, or a proof link or code from a QR code, here"
             rows={20}
             className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 h-60 font-mono"
           />
         </div>
         
+        {isScanning && <QRScanner onScan={handleScan} onClose={() => setIsScanning(false)} />}
+        
         <button
           onClick={verifyProof}
           disabled={isVerifying}
@@ -116,7 +201,24 @@ function ProofVerifier() {
         >
           {isVerifying ? 'Verifying...' : 'Verify Proof'}
         </button>
+
+        {!isScanning && (
+          <button
+            onClick={() => setIsScanning(true)}
+            className="bg-gray-200 px-6 py-3 rounded-lg text-lg hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-500 ml-4"
+          >
+            Scan QR Code
+          </button>
+        )}
       </div>
+
+      <OnChainVerification
+        proofInput={localProofInput}
+        circuitLoader={circuitLoader}
+        rpcUrl={rpcUrl}
+        verifierAddress={verifierAddress}
+        onChange={updateVerifierState}
+      />
       
       {/* Status Messages */}
       {error && (
@@ -138,74 +240,164 @@ function ProofVerifier() {
           
           <div className="mb-6">
             <div className={`p-4 rounded items-center ${
-              localVerificationResult.isValid
+              localVerificationResult.accepted
                 ? 'bg-green-100 text-green-800'
                 : 'bg-red-100 text-red-800'
             }`}>
               <div className={`w-10 h-10 rounded-full items-center justify-center mr-4 ${
-                localVerificationResult.isValid
+                localVerificationResult.accepted
                   ? 'bg-green-500 text-white'
                   : 'bg-red-500 text-white'
               }`}>
-                {localVerificationResult.isValid ? '✓' : '✗'}
+                {localVerificationResult.accepted ? '✓' : '✗'}
               </div>
               <div>
                 <h3 className="font-bold text-lg">
-                  {localVerificationResult.isValid ? 'Valid Proof' : 'Invalid Proof'}
+                  {localVerificationResult.accepted ? 'Valid Proof' : 'Rejected Proof'}
                 </h3>
                 <p>
                   Verification completed at {new Date(localVerificationResult.timestamp).toLocaleString()}
                 </p>
+                <p>
+                  Issuer: {localVerificationResult.issuer ? localVerificationResult.issuer.name : 'Unknown'}
+                </p>
+                {localVerificationResult.reasons.length > 0 && (
+                  <ul className="list-disc pl-5 mt-2">
+                    {localVerificationResult.reasons.map((reason) => (
+                      <li key={reason}>{reason}</li>
+                    ))}
+                  </ul>
+                )}
               </div>
             </div>
           </div>
           
-          {localVerificationResult.meta && (
+          {localVerificationResult.mismatches.length > 0 && (
+            <div className="bg-red-50 border border-red-300 text-red-800 p-4 rounded mb-4">
+              <h3 className="font-semibold mb-2">Tampered Metadata</h3>
+              <p className="text-sm mb-2">
+                The metadata supplied with this proof disagrees with its public signals. Only the claim below is proven.
+              </p>
+              <ul className="list-disc pl-5 text-sm">
+                {localVerificationResult.mismatches.map(({ field, claimed, actual }) => (
+                  <li key={field} className="break-all">
+                    <span className="font-medium">{field}:</span> claimed "{claimed}", proven "{actual}"
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          
+          <div>
+            <h3 className="font-semibold text-gray-700 mb-2">Proven Claims</h3>
+            <div className="bg-gray-100 p-4 rounded mb-4">
+              <p className="mb-2">
+                <span className="font-medium">Description:</span> {localVerificationResult.description}
+              </p>
+              <p className="mb-2">
+                <span className="font-medium">Proving System:</span> {PROVING_SYSTEMS[localVerificationResult.protocol].label}
+              </p>
+              <p className="mb-2">
+                <span className="font-medium">Circuit:</span> {localVerificationResult.circuit.id}
+              </p>
+              {localVerificationResult.context.createdAt && (
+                <p>
+                  <span className="font-medium">Created (unverified):</span> {new Date(localVerificationResult.context.createdAt).toLocaleString()}
+                </p>
+              )}
+            </div>
+            
             <div>
-              <h3 className="font-semibold text-gray-700 mb-2">Proof Metadata</h3>
-              <div className="bg-gray-100 p-4 rounded mb-4">
-                {localVerificationResult.meta.description && (
-                  <p className="mb-2">
-                    <span className="font-medium">Description:</span> {localVerificationResult.meta.description}
-                  </p>
-                )}
-                {localVerificationResult.meta.timestamp && (
-                  <p>
-                    <span className="font-medium">Created:</span> {new Date(localVerificationResult.meta.timestamp).toLocaleString()}
-                  </p>
-                )}
-              </div>
-              
-              {localVerificationResult.meta.publicInputs && (
-                <div>
-                  <h3 className="font-semibold text-gray-700 mb-2">Public Inputs</h3>
-                  <div className="bg-blue-50 p-4 rounded border border-blue-200">
-                    <p className="text-sm text-gray-500 mb-2">These inputs are publicly visible and part of the verification process:</p>
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                      <div>
-                        <p className="mb-2">
-                          <span className="font-medium">Key:</span>
-                          <span className="block truncate text-sm font-mono">{localVerificationResult.meta.publicInputs.key}</span>
-                        </p>
-                        <p className="mb-2">
-                          <span className="font-medium">Lower Bound:</span> {localVerificationResult.meta.publicInputs.lowerBound}
-                        </p>
+              <h3 className="font-semibold text-gray-700 mb-2">Public Inputs</h3>
+              <div className="bg-blue-50 p-4 rounded border border-blue-200">
+                <p className="text-sm text-gray-500 mb-2">These inputs are decoded from the proof's public signals:</p>
+                {localVerificationResult.claims.map((claim, index) => (
+                  <div key={claim.slot} className="border-b border-blue-200 last:border-b-0 pb-2 mb-2">
+                    {localVerificationResult.claims.length > 1 && (
+                      <h4 className="font-semibold mb-2">Claim {index + 1}</h4>
+                    )}
+                    <p className="mb-2">
+                      <span className="font-medium">Field:</span>{' '}
+                      {claim.field
+                        ? `${claim.field.field} (${POD_SCHEMAS[claim.field.schema]?.label ?? claim.field.schema} schema)`
+                        : 'Unknown'}
+                    </p>
+                    <p className="mb-2">
+                      <span className="font-medium">Field Identifier:</span>
+                      <span className="block truncate text-sm font-mono">{claim.key}</span>
+                    </p>
+                    <p className="mb-2">
+                      <span className="font-medium">Value Type:</span> {VALUE_TYPES[claim.valueType].label}
+                    </p>
+                    <p className="mb-2">
+                      <span className="font-medium">Predicate:</span> {PREDICATES[claim.predicate].label}
+                    </p>
+                    {claim.predicate === 'range' ? (
+                      <>
                         <p className="mb-2">
-                          <span className="font-medium">Upper Bound:</span> {localVerificationResult.meta.publicInputs.upperBound}
+                          <span className="font-medium">Range Mode:</span> {RANGE_MODES[claim.rangeMode].label}
                         </p>
-                      </div>
-                      <div>
-                        <p className="mb-2">
-                          <span className="font-medium">Public Key:</span>
-                          <span className="block truncate text-sm font-mono">[{localVerificationResult.meta.publicInputs.pubKey?.[0]?.toString().substring(0, 8)}..., {localVerificationResult.meta.publicInputs.pubKey?.[1]?.toString().substring(0, 8)}...]</span>
-                        </p>
-                      </div>
-                    </div>
+                        {RANGE_MODES[claim.rangeMode].usesLower && (
+                          <p className="mb-2">
+                            <span className="font-medium">Lower Bound:</span> {decodeValue(claim.valueType, claim.lowerbound)}
+                          </p>
+                        )}
+                        {RANGE_MODES[claim.rangeMode].usesUpper && (
+                          <p className="mb-2">
+                            <span className="font-medium">Upper Bound:</span> {decodeValue(claim.valueType, claim.upperbound)}
+                          </p>
+                        )}
+                      </>
+                    ) : (
+                      <>
+                        {claim.predicate === 'notMember' && (
+                          <p className="mb-2">
+                            <span className="font-medium">Denylist Root:</span>
+                            <span className="block truncate text-sm font-mono">{claim.denyRoot}</span>
+                          </p>
+                        )}
+                        {claim.setLabels && (
+                          <p className="mb-2">
+                            <span className="font-medium">
+                              {{ equal: 'Value:', member: 'Values:', notMember: 'Denylist:' }[claim.predicate]}
+                            </span>
+                            <span className="block break-all text-sm font-mono">{claim.setLabels.join(', ')}</span>
+                          </p>
+                        )}
+                      </>
+                    )}
                   </div>
-                </div>
-              )}
+                ))}
+                <p className="mb-2">
+                  <span className="font-medium">Public Key:</span>
+                  <span className="block truncate text-sm font-mono">[{localVerificationResult.pubKey[0].substring(0, 8)}..., {localVerificationResult.pubKey[1].substring(0, 8)}...]</span>
+                </p>
+                <p className="mb-2">
+                  <span className="font-medium">Holder Nullifier:</span>
+                  <span className="block truncate text-sm font-mono">
+                    {localVerificationResult.nullifier ?? 'None (the POD is not bound to a holder)'}
+                  </span>
+                </p>
+                <p className="mb-2">
+                  <span className="font-medium">Challenge:</span>
+                  <span className="block truncate text-sm font-mono">
+                    {localVerificationResult.challenge === NO_CHALLENGE ? 'None' : localVerificationResult.challenge}
+                  </span>
+                </p>
+                <p className="mb-2">
+                  <span className="font-medium">POD Proven Valid At:</span> {new Date(localVerificationResult.referenceTime).toLocaleString()}
+                </p>
+                <p className="mb-2">
+                  <span className="font-medium">Revocation List Root:</span>
+                  <span className="block truncate text-sm font-mono">
+                    {localVerificationResult.revocationRoot === NO_REVOCATION_LIST
+                      ? 'None (not checked for revocation)'
+                      : localVerificationResult.revocationRoot}
+                  </span>
+                </p>
+              </div>
             </div>
-          )}
+          </div>
         </div>
       )}
     </div>
@@ -0,0 +1,85 @@
+import React, { useEffect, useRef, useState } from 'react';
+import jsQR from 'jsqr';
+
+/**
+ * QRScanner component
+ * Reads a QR code with the device's camera, stopping the camera once one is found
+ * @param {Object} props - Component props
+ * @param {Function} props.onScan - Called with the text of the QR code
+ * @param {Function} props.onClose - Called when scanning is cancelled
+ */
+function QRScanner({ onScan, onClose }) {
+  const videoRef = useRef(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setError('This browser cannot open a camera. Paste the proof link or code instead.');
+      return;
+    }
+
+    let stream = null;
+    let frame = null;
+    let stopped = false;
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+
+    // Look for a code in each video frame until one is found
+    const scanFrame = () => {
+      const video = videoRef.current;
+      if (stopped || !video) {
+        return;
+      }
+      if (video.readyState === video.HAVE_ENOUGH_DATA) {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        context.drawImage(video, 0, 0, canvas.width, canvas.height);
+        const { data, width, height } = context.getImageData(0, 0, canvas.width, canvas.height);
+        const code = jsQR(data, width, height, { inversionAttempts: 'dontInvert' });
+        if (code?.data) {
+          onScan(code.data);
+          return;
+        }
+      }
+      frame = requestAnimationFrame(scanFrame);
+    };
+
+    // Prefer the rear camera, which is the one pointed at another device's screen
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+      .then((mediaStream) => {
+        stream = mediaStream;
+        if (stopped) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        videoRef.current.srcObject = stream;
+        videoRef.current.play();
+        frame = requestAnimationFrame(scanFrame);
+      })
+      .catch((err) => !stopped && setError(`Could not open the camera: ${err.message}`));
+
+    return () => {
+      stopped = true;
+      cancelAnimationFrame(frame);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, [onScan]);
+
+  return (
+    <div className="mb-4">
+      {error ? (
+        <p className="text-sm text-red-600 mb-2">{error}</p>
+      ) : (
+        <video ref={videoRef} muted playsInline className="w-full max-w-md rounded border border-gray-300 mb-2" />
+      )}
+      <button
+        onClick={onClose}
+        className="text-red-600 px-4 py-2 rounded hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-500"
+      >
+        Stop Scanning
+      </button>
+    </div>
+  );
+}
+
+export default QRScanner;
@@ -0,0 +1,30 @@
+import React from 'react';
+
+/**
+ * RevocationListInput component
+ * Holds the issuer's current signed revocation list that proofs must show their POD is not on
+ * @param {Object} props - Component props
+ * @param {string} props.value - The signed list as JSON; empty to accept proofs without a revocation check
+ * @param {Function} props.onChange - Called with the new JSON
+ */
+function RevocationListInput({ value, onChange }) {
+  return (
+    <div className="bg-white shadow-md rounded p-6 mb-6">
+      <h2 className="text-xl font-semibold mb-4">Issuer Revocation List</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Paste the revocation list most recently published by the issuer. While one is set, only proofs showing their
+        POD is not on this exact list, signed by the same issuer as the POD, are accepted.
+      </p>
+
+      <textarea
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        rows={4}
+        placeholder="Leave empty to accept proofs without a revocation check"
+        className="w-full px-3 py-2 border border-gray-300 rounded font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+    </div>
+  );
+}
+
+export default RevocationListInput;
@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { RevocationList } from '../services/revocationList';
+
+/**
+ * RevocationManager component
+ * Lets the issuer revoke PODs by ID and publish the signed revocation list verifiers check proofs against
+ * @param {Object} props - Component props
+ * @param {SignatureService} props.signatureService - Service holding the issuer's key pair
+ * @param {string|null} props.podId - ID of the POD just created, if any
+ * @param {Array<string>} props.revokedIds - IDs revoked so far
+ * @param {Object|null} props.signedList - The last published list
+ * @param {Function} props.onChange - Called with the fields to update
+ */
+function RevocationManager({ signatureService, podId, revokedIds, signedList, onChange }) {
+  const [idInput, setIdInput] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  /**
+   * Add an ID to the list; the published list is stale until it is published again
+   */
+  const revoke = (id) => {
+    try {
+      setError('');
+      const list = new RevocationList(revokedIds).revoke(id.trim());
+      onChange({ revokedIds: list.revoked, revocationList: null });
+      setIdInput('');
+    } catch (err) {
+      setError(`Failed to revoke: ${err.message}`);
+    }
+  };
+
+  /**
+   * Sign the current list with the issuer's key
+   */
+  const publish = () => {
+    try {
+      setError('');
+      const list = new RevocationList(revokedIds);
+      onChange({ revocationList: signatureService.signRevocationList(list.exportData()) });
+    } catch (err) {
+      setError(`Failed to publish revocation list: ${err.message}`);
+    }
+  };
+
+  /**
+   * Copy the signed list so it can be handed to provers and verifiers
+   */
+  const copyList = () => {
+    navigator.clipboard?.writeText(JSON.stringify(signedList, null, 2));
+    setSuccess('Revocation list copied to clipboard');
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
+  return (
+    <div className="bg-white shadow-md rounded p-6 mb-6">
+      <h2 className="text-xl font-semibold mb-4">Revocation</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Every POD has a unique ID. Revoke a POD by adding its ID to the list and publishing the list again; proofs
+        checked against the new list can no longer be made from it.
+      </p>
+
+      {podId && (
+        <div className="mb-4">
+          <h3 className="font-medium text-gray-700">ID of the Created POD:</h3>
+          <span className="block truncate text-sm font-mono bg-gray-100 p-3 rounded mt-1">{podId}</span>
+        </div>
+      )}
+
+      <div className="mb-4">
+        <label className="block text-gray-700 font-medium mb-2">
+          POD ID to Revoke
+        </label>
+        <div className="flex">
+          <input
+            type="text"
+            value={idInput}
+            onChange={(e) => setIdInput(e.target.value)}
+            placeholder="Enter the ID of a POD you issued"
+            className="flex-grow px-3 py-2 border border-gray-300 rounded-l font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            onClick={() => revoke(idInput)}
+            disabled={!idInput.trim()}
+            className="bg-gray-200 px-4 py-2 border border-gray-300 border-l-0 rounded-r hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            Revoke
+          </button>
+        </div>
+      </div>
+
+      <p className="text-sm mb-4">
+        {revokedIds.length} POD(s) revoked
+        {revokedIds.length > 0 && (signedList ? ', list published' : ', changes not yet published')}
+      </p>
+
+      <div className="flex space-x-4">
+        {podId && !revokedIds.includes(podId) && (
+          <button
+            onClick={() => revoke(podId)}
+            className="text-red-600 px-4 py-2 rounded hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-500"
+          >
+            Revoke Created POD
+          </button>
+        )}
+        <button
+          onClick={publish}
+          className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          Publish Signed List
+        </button>
+        {signedList && (
+          <button
+            onClick={copyList}
+            className="bg-gray-200 px-4 py-2 rounded hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            Copy List
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mt-4">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mt-4">
+          {success}
+        </div>
+      )}
+
+      {signedList && (
+        <pre className="bg-gray-100 p-4 rounded overflow-auto text-sm font-mono max-h-60 mt-4">
+          {JSON.stringify(signedList, null, 2)}
+        </pre>
+      )}
+    </div>
+  );
+}
+
+export default RevocationManager;
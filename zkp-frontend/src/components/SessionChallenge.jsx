@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+
+/**
+ * SessionChallenge component
+ * Issues the challenge that proofs for this verification session must be bound to
+ * @param {Object} props - Component props
+ * @param {ChallengeService} props.challengeService - Service that issues challenges
+ * @param {Object|null} props.challenge - The issued challenge, or null if proofs need not be bound to one
+ * @param {Function} props.onChange - Called with the new challenge, or null when it is cleared
+ */
+function SessionChallenge({ challengeService, challenge, onChange }) {
+  const [success, setSuccess] = useState('');
+
+  /**
+   * Issue a new challenge, replacing the current one
+   */
+  const issueChallenge = () => {
+    onChange(challengeService.issue());
+  };
+
+  /**
+   * Copy the challenge so it can be given to the prover
+   */
+  const copyChallenge = () => {
+    navigator.clipboard?.writeText(challenge.nonce);
+    setSuccess('Challenge copied to clipboard');
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
+  return (
+    <div className="bg-white shadow-md rounded p-6 mb-6">
+      <h2 className="text-xl font-semibold mb-4">Session Challenge</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Give the prover a fresh challenge to stop old proofs being replayed. While a challenge is issued,
+        only proofs generated for it are accepted, and only until it expires.
+      </p>
+
+      {challenge ? (
+        <div className="mb-4">
+          <span className="block truncate text-sm font-mono bg-gray-100 p-3 rounded">{challenge.nonce}</span>
+          <p className="text-sm text-gray-500 mt-1">
+            Expires at {new Date(challenge.expiresAt).toLocaleString()}
+          </p>
+        </div>
+      ) : (
+        <p className="text-sm mb-4">No challenge issued; proofs are accepted without one.</p>
+      )}
+
+      <div className="flex space-x-4">
+        <button
+          onClick={issueChallenge}
+          className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {challenge ? 'Issue New Challenge' : 'Issue Challenge'}
+        </button>
+        {challenge && (
+          <>
+            <button
+              onClick={copyChallenge}
+              className="bg-gray-200 px-4 py-2 rounded hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              Copy Challenge
+            </button>
+            <button
+              onClick={() => onChange(null)}
+              className="text-red-600 px-4 py-2 rounded hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-500"
+            >
+              Clear
+            </button>
+          </>
+        )}
+      </div>
+
+      {success && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mt-4">
+          {success}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SessionChallenge;
@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+
+/**
+ * TrustedIssuers component
+ * Manages the registry of issuer public keys that proofs are checked against
+ * @param {Object} props - Component props
+ * @param {IssuerRegistry} props.registry - The registry to manage
+ * @param {Function} props.onChange - Called after the registry is modified
+ */
+function TrustedIssuers({ registry, onChange }) {
+  // Local state
+  const [name, setName] = useState('');
+  const [publicKeyInput, setPublicKeyInput] = useState('');
+  const [registryJson, setRegistryJson] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const issuers = registry.list();
+
+  /**
+   * Add an issuer from the name and public key inputs
+   */
+  const addIssuer = () => {
+    try {
+      setError('');
+
+      if (!name.trim()) {
+        throw new Error('Issuer name is required');
+      }
+
+      const publicKey = JSON.parse(publicKeyInput);
+      registry.addIssuer(name, publicKey);
+
+      setName('');
+      setPublicKeyInput('');
+      onChange();
+      setSuccess('Issuer added');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(`Failed to add issuer: ${err.message}`);
+    }
+  };
+
+  /**
+   * Remove an issuer from the registry
+   */
+  const removeIssuer = (publicKey) => {
+    registry.removeIssuer(publicKey);
+    onChange();
+  };
+
+  /**
+   * Import issuers from the JSON textarea
+   */
+  const importIssuers = () => {
+    try {
+      setError('');
+      const count = registry.importJSON(registryJson);
+      onChange();
+      setSuccess(`Registry now contains ${count} issuer(s)`);
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  /**
+   * Export the registry into the JSON textarea and clipboard
+   */
+  const exportIssuers = () => {
+    const json = registry.exportJSON();
+    setRegistryJson(json);
+    navigator.clipboard?.writeText(json);
+    setSuccess('Registry exported and copied to clipboard');
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
+  return (
+    <div className="bg-white shadow-md rounded p-6 mb-6">
+      <h2 className="text-xl font-semibold mb-4">Trusted Issuers</h2>
+
+      {issuers.length === 0 ? (
+        <p className="text-gray-500 mb-4">No trusted issuers yet. Proofs will be rejected until an issuer is added.</p>
+      ) : (
+        <ul className="mb-4 divide-y divide-gray-200">
+          {issuers.map((issuer) => (
+            <li key={issuer.publicKey.join(':')} className="flex justify-between items-center py-2">
+              <div className="min-w-0">
+                <p className="font-medium">{issuer.name}</p>
+                <p className="text-sm font-mono text-gray-500 truncate">
+                  [{issuer.publicKey[0].substring(0, 8)}..., {issuer.publicKey[1].substring(0, 8)}...]
+                </p>
+              </div>
+              <button
+                onClick={() => removeIssuer(issuer.publicKey)}
+                className="text-red-600 px-3 py-1 rounded hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-500"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Issuer name"
+          className="px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <input
+          type="text"
+          value={publicKeyInput}
+          onChange={(e) => setPublicKeyInput(e.target.value)}
+          placeholder='Public key, e.g. ["123...", "456..."]'
+          className="md:col-span-2 px-3 py-2 border border-gray-300 rounded font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+
+      <button
+        onClick={addIssuer}
+        className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-500 mb-4"
+      >
+        Add Issuer
+      </button>
+
+      <div className="mb-2">
+        <label className="block text-gray-700 font-medium mb-2">
+          Registry JSON
+        </label>
+        <textarea
+          value={registryJson}
+          onChange={(e) => setRegistryJson(e.target.value)}
+          placeholder='{ "issuers": [{ "name": "...", "publicKey": ["...", "..."] }] }'
+          rows={5}
+          className="w-full px-3 py-2 border border-gray-300 rounded font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+
+      <div className="flex space-x-4">
+        <button
+          onClick={importIssuers}
+          className="bg-green-500 text-white px-4 py-2 rounded hover:bg-green-600 focus:outline-none focus:ring-2 focus:ring-green-500"
+        >
+          Import
+        </button>
+        <button
+          onClick={exportIssuers}
+          className="bg-purple-500 text-white px-4 py-2 rounded hover:bg-purple-600 focus:outline-none focus:ring-2 focus:ring-purple-500"
+        >
+          Export
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mt-4">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mt-4">
+          {success}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TrustedIssuers;
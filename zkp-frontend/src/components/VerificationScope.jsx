@@ -0,0 +1,62 @@
+import React from 'react';
+
+/**
+ * VerificationScope component
+ * Sets the scope proofs are checked in and whether they must come from a POD's holder
+ * @param {Object} props - Component props
+ * @param {string} props.scope - The scope, e.g. "event-2025"; empty to accept any scope
+ * @param {boolean} props.requireHolder - Whether proofs from PODs without an owner are rejected
+ * @param {number} props.seenCount - Number of holders that already presented a proof in the scope
+ * @param {Function} props.onChange - Called with the fields to update
+ * @param {Function} props.onClearSeen - Forgets the holders seen in the scope
+ */
+function VerificationScope({ scope, requireHolder, seenCount, onChange, onClearSeen }) {
+  return (
+    <div className="bg-white shadow-md rounded p-6 mb-6">
+      <h2 className="text-xl font-semibold mb-4">Verification Scope</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        A proof from a holder-bound POD reveals a nullifier that is the same every time its holder proves in the same
+        scope, so a second proof from one holder can be rejected without learning who they are.
+      </p>
+
+      <div className="mb-4">
+        <label className="block text-gray-700 font-medium mb-2">
+          Scope
+        </label>
+        <input
+          type="text"
+          value={scope}
+          onChange={(e) => onChange({ scope: e.target.value })}
+          placeholder="e.g., event-2025; leave empty to accept proofs made for any scope"
+          className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+
+      <label className="flex items-center mb-4">
+        <input
+          type="checkbox"
+          checked={requireHolder}
+          onChange={(e) => onChange({ requireHolder: e.target.checked })}
+          className="mr-2"
+        />
+        Only accept proofs from holder-bound PODs
+      </label>
+
+      <div className="flex items-center justify-between">
+        <p className="text-sm">
+          {seenCount} holder(s) already presented a proof in this scope
+        </p>
+        {seenCount > 0 && (
+          <button
+            onClick={onClearSeen}
+            className="text-red-600 px-3 py-1 rounded hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-500"
+          >
+            Forget Holders
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default VerificationScope;
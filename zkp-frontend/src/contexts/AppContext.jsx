@@ -1,4 +1,38 @@
-import React, { createContext, useState, useContext } from 'react';
+import React, { createContext, useState, useContext, useMemo } from 'react';
+import { DEFAULT_SCHEMA_ID } from '../services/podSchema';
+import CircuitLoader, { DEFAULT_MANIFEST_PATH, isSameOriginPath } from '../services/circuitLoader';
+import ProofService from '../services/proofService';
+import { DEFAULT_RPC_URL } from '../services/onChainVerifier';
+import { PROOF_LINK_PARAM } from '../services/proofCode';
+import ChallengeService from '../services/challengeService';
+import { DEFAULT_MAX_PROOF_AGE_MS } from '../services/podValidity';
+
+// Where the chosen artifact set is remembered across reloads
+const ARTIFACT_SET_STORAGE_KEY = 'zkp-artifact-set';
+
+// The artifact set to start with: the last one chosen on this device, else the default one
+const loadArtifactSet = () => {
+  try {
+    const stored = localStorage.getItem(ARTIFACT_SET_STORAGE_KEY);
+    return isSameOriginPath(stored) ? stored : DEFAULT_MANIFEST_PATH;
+  } catch {
+    return DEFAULT_MANIFEST_PATH;
+  }
+};
+
+// An artifact set named by an `?artifacts=<manifest path>` link. Its keys decide which proofs verify, so
+// it is only used once the user confirms it, and only if it is on the app's own origin
+const loadLinkedArtifactSet = () => new URLSearchParams(window.location.search).get('artifacts')?.trim() || null;
+
+// Drop the `?artifacts=` of a link once it is answered, so reloading the page does not ask again
+const clearArtifactSetLink = () => {
+  const url = new URL(window.location.href);
+  url.searchParams.delete('artifacts');
+  window.history.replaceState(window.history.state, '', url);
+};
+
+// A proof opened from a `#proof=<code>` link, e.g. by scanning the QR code the prover shows
+const loadLinkedProof = () => new URLSearchParams(window.location.hash.slice(1)).get(PROOF_LINK_PARAM) ?? '';
 
 // Create the context
 const AppContext = createContext();
@@ -8,13 +42,40 @@ export const useAppContext = () => useContext(AppContext);
 
 // Provider component
 export const AppContextProvider = ({ children }) => {
+  // Artifact set proofs are generated and verified with, named by its manifest path
+  const [artifactSet, setArtifactSetState] = useState(loadArtifactSet);
+  // The artifact set a link asks for, until the user confirms or dismisses it. A `#proof=` link is always
+  // verified with the verifier's own set, so one it names is ignored
+  const [linkedArtifactSet, setLinkedArtifactSet] = useState(() => {
+    const linked = loadLinkedProof() ? null : loadLinkedArtifactSet();
+    return linked && linked !== loadArtifactSet() ? linked : null;
+  });
+
+  // Services shared by every view, so each artifact is loaded once per app; they are
+  // replaced when another artifact set is chosen
+  const services = useMemo(() => {
+    const circuitLoader = new CircuitLoader(artifactSet);
+    return { circuitLoader, proofService: new ProofService(circuitLoader) };
+  }, [artifactSet]);
+
+  // Issues the verifier's session challenges and remembers the answered ones. It outlives the verifier view
+  // and any artifact set, like the challenge it issued, so an accepted proof is never accepted again
+  const [challengeService] = useState(() => new ChallengeService());
+
   // POD Creator state
   const [podState, setPodState] = useState({
+    schema: DEFAULT_SCHEMA_ID,
     keyValuePairs: [{ key: '', value: '' }],
     jsonInput: '[\n   { key: 1, value: 111 },\n   { key: 2, value: 222 },\n   { key: 3, value: 333 },\n   { key: 4, value: 444 },\n   { key: 5, value: 555 },\n   { key: 6, value: 666 },\n   { key: 7, value: 777 },\n   { key: 8, value: 888 },\n   { key: 9, value: 999 },\n   { key: 10, value: 1010 } \n]',
     privateKey: '1234567890',
     generatedPublicKey: null,
-    pod: null
+    issuerName: '',
+    ownerCommitment: '',
+    ownerSecret: '',
+    expiresOn: '',
+    pod: null,
+    revokedIds: [],
+    revocationList: null
   });
 
   // Proof Generator state
@@ -29,8 +90,15 @@ export const AppContextProvider = ({ children }) => {
 
   // Proof Verifier state
   const [verifierState, setVerifierState] = useState({
-    proofInput: '',
-    verificationResult: null
+    proofInput: loadLinkedProof(),
+    verificationResult: null,
+    challenge: null,
+    scope: '',
+    requireHolder: false,
+    revocationInput: '',
+    maxProofAge: DEFAULT_MAX_PROOF_AGE_MS,
+    rpcUrl: DEFAULT_RPC_URL,
+    verifierAddress: ''
   });
 
   // Update POD state
@@ -57,6 +125,36 @@ export const AppContextProvider = ({ children }) => {
     });
   };
 
+  // Switch to another artifact set, or back to the default one when given none
+  const setArtifactSet = (manifestPath) => {
+    const next = manifestPath?.trim() || DEFAULT_MANIFEST_PATH;
+    if (next !== DEFAULT_MANIFEST_PATH && !isSameOriginPath(next)) {
+      throw new Error(`An artifact set must be a manifest path on this site, such as /circuit/testing/manifest.json, not ${next}`);
+    }
+    try {
+      if (next === DEFAULT_MANIFEST_PATH) {
+        localStorage.removeItem(ARTIFACT_SET_STORAGE_KEY);
+      } else {
+        localStorage.setItem(ARTIFACT_SET_STORAGE_KEY, next);
+      }
+    } catch {
+      // Without storage the choice only lasts until the page is reloaded
+    }
+    setArtifactSetState(next);
+  };
+
+  // Answer a link's request to switch artifact sets
+  const confirmLinkedArtifactSet = () => {
+    setArtifactSet(linkedArtifactSet);
+    setLinkedArtifactSet(null);
+    clearArtifactSetLink();
+  };
+
+  const dismissLinkedArtifactSet = () => {
+    setLinkedArtifactSet(null);
+    clearArtifactSetLink();
+  };
+
   // Convenience function to copy POD to proof generator
   const transferPodToProofGenerator = () => {
     if (podState.pod) {
@@ -78,6 +176,13 @@ export const AppContextProvider = ({ children }) => {
 
   // Value object to be provided
   const contextValue = {
+    artifactSet,
+    setArtifactSet,
+    linkedArtifactSet,
+    confirmLinkedArtifactSet,
+    dismissLinkedArtifactSet,
+    ...services,
+    challengeService,
     podState,
     updatePodState,
     proofState,
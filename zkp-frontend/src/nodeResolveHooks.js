@@ -0,0 +1,31 @@
+/**
+ * Module resolution hooks for running the services in Node
+ * The ES module build of @zk-kit/eddsa-poseidon imports named exports from the CommonJS blakejs,
+ * which only bundlers allow, so Node is pointed at the package's CommonJS build instead.
+ * snarkjs does not export its templates, so they are found next to its entry point, as vite.config.js does.
+ * Files imported with `?raw` are loaded as their text, as Vite does
+ */
+import { readFile } from 'node:fs/promises';
+
+const SNARKJS_TEMPLATES = 'snarkjs/templates/';
+
+export const resolve = async (specifier, context, nextResolve) => {
+  if (specifier === '@zk-kit/eddsa-poseidon') {
+    return nextResolve(specifier, { ...context, conditions: ['require', ...context.conditions] });
+  }
+  if (specifier.startsWith(SNARKJS_TEMPLATES)) {
+    // The entry point is main.js at the package's root
+    const { url } = await nextResolve('snarkjs', context);
+    return { url: new URL(specifier.slice('snarkjs/'.length), url).href, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+};
+
+export const load = async (url, context, nextLoad) => {
+  const { searchParams } = new URL(url);
+  if (searchParams.has('raw')) {
+    const text = await readFile(new URL(url.split('?')[0]), 'utf8');
+    return { format: 'module', source: `export default ${JSON.stringify(text)};`, shortCircuit: true };
+  }
+  return nextLoad(url, context);
+};
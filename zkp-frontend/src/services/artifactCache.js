@@ -0,0 +1,187 @@
+// Cache Storage names; bump the version when the way artifacts are stored changes, which drops every older cache
+const CACHE_PREFIX = 'zkp-circuit-artifacts-v';
+const CACHE_VERSION = 1;
+
+// Every artifact set gets its own cache, so switching sets does not evict the other's artifacts
+const cacheName = (artifactSet) => `${CACHE_PREFIX}${CACHE_VERSION} ${artifactSet}`;
+
+/**
+ * SHA-256 of some bytes
+ * @param {Uint8Array} bytes - The bytes to hash
+ * @returns {Promise<string>} The hash as lowercase hex
+ */
+export const sha256Hex = async (bytes) => {
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Cache key of an artifact; the hash is part of it so a rebuilt artifact never matches an old entry
+const cacheKey = (path, sha256) => `${path}?sha256=${sha256}`;
+
+// Artifacts kept in memory: the wasm and zkey of the circuit last proven with, so proving with it again does not
+// read and hash tens of megabytes once more. Every other artifact is only kept in Cache Storage
+const MEMORY_ENTRIES = 2;
+
+/**
+ * Download a file, reporting progress as it arrives
+ * @param {Function} fetchResource - Fetches the file, with the signature of `fetch`
+ * @param {string} path - URL of the file
+ * @param {Function} onProgress - Called with the bytes `loaded` so far and the `total` (0 if unknown)
+ * @returns {Promise<Uint8Array>} The file contents
+ */
+const download = async (fetchResource, path, onProgress) => {
+  const response = await fetchResource(path);
+  if (!response.ok) {
+    throw new Error(`Circuit artifact not found: ${path}`);
+  }
+
+  const total = Number(response.headers.get('content-length') ?? 0);
+  if (!response.body) {
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    onProgress({ loaded: bytes.length, total });
+    return bytes;
+  }
+
+  const chunks = [];
+  let loaded = 0;
+  const reader = response.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    loaded += value.length;
+    onProgress({ loaded, total });
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+};
+
+/**
+ * ArtifactCache - Download circuit artifacts once and check them against the manifest's SHA-256 hashes
+ * Verified artifacts are kept in Cache Storage, so they survive reloads, and the ones last loaded also in
+ * memory; without Cache Storage (outside a secure browser context) only those are kept
+ */
+export class ArtifactCache {
+  /**
+   * @param {CacheStorage|null} cacheStorage - Persistent storage, defaults to the browser's Cache Storage
+   * @param {string} artifactSet - The artifact set cached, named by its manifest path
+   * @param {Function} fetchResource - Downloads artifacts, with the signature of `fetch`
+   */
+  constructor(cacheStorage = globalThis.caches ?? null, artifactSet = 'default', fetchResource = (...args) => fetch(...args)) {
+    this.cacheStorage = cacheStorage;
+    this.cacheName = cacheName(artifactSet);
+    this.fetchResource = fetchResource;
+    this.loaded = new Map();
+  }
+
+  /**
+   * Drop cached artifacts that the manifest no longer lists, and caches of older storage versions
+   * @param {Array<Object>} artifacts - The `path` and `sha256` of every artifact the manifest lists (see listArtifacts in circuitLoader.js)
+   */
+  async evict(artifacts) {
+    const listed = artifacts.filter(({ sha256 }) => sha256).map(({ path, sha256 }) => cacheKey(path, sha256));
+    for (const key of this.loaded.keys()) {
+      if (!listed.includes(key)) {
+        this.loaded.delete(key);
+      }
+    }
+    if (!this.cacheStorage) {
+      return;
+    }
+
+    const current = `${CACHE_PREFIX}${CACHE_VERSION} `;
+    for (const name of await this.cacheStorage.keys()) {
+      if (name.startsWith(CACHE_PREFIX) && !name.startsWith(current)) {
+        await this.cacheStorage.delete(name);
+      }
+    }
+
+    // Artifacts that were rebuilt or removed since they were cached; keys are resolved against the
+    // stored request's URL, since artifacts may be listed by path or by full URL
+    const cache = await this.cacheStorage.open(this.cacheName);
+    for (const request of await cache.keys()) {
+      if (!listed.some((key) => new URL(key, request.url).href === request.url)) {
+        await cache.delete(request);
+      }
+    }
+  }
+
+  /**
+   * Load an artifact, from memory or the cache if either holds a verified copy, and keep it in memory
+   * @param {string} path - URL of the artifact
+   * @param {string} sha256 - The hash the manifest lists for it
+   * @param {Function} onProgress - Called with the bytes `loaded` so far, the `total` and whether it came from the `cached` copy
+   * @returns {Promise<Uint8Array>} The artifact contents
+   */
+  async load(path, sha256, onProgress = () => {}) {
+    const key = cacheKey(path, sha256);
+    const bytes = this.loaded.get(key) ?? await this.read(path, sha256, onProgress);
+
+    // The most recently loaded entries are kept, in load order
+    this.loaded.delete(key);
+    this.loaded.set(key, bytes);
+    for (const oldest of [...this.loaded.keys()].slice(0, -MEMORY_ENTRIES)) {
+      this.loaded.delete(oldest);
+    }
+    return bytes;
+  }
+
+  /**
+   * Read an artifact from the cache if it holds a verified copy, else download and cache it
+   * @param {string} path - URL of the artifact
+   * @param {string} sha256 - The hash the manifest lists for it
+   * @param {Function} onProgress - Called as for load
+   * @returns {Promise<Uint8Array>} The artifact contents
+   */
+  async read(path, sha256, onProgress = () => {}) {
+    if (!sha256) {
+      throw new Error(`The circuit manifest lists no hash for ${path}; rebuild it with \`npm run manifest\``);
+    }
+
+    const key = cacheKey(path, sha256);
+    const cache = this.cacheStorage ? await this.cacheStorage.open(this.cacheName) : null;
+    const cached = await cache?.match(key);
+    if (cached) {
+      const bytes = new Uint8Array(await cached.arrayBuffer());
+      // Stored copies are checked too, since site storage can be edited
+      if (await sha256Hex(bytes) === sha256) {
+        onProgress({ loaded: bytes.length, total: bytes.length, cached: true });
+        return bytes;
+      }
+      await cache.delete(key);
+    }
+
+    const bytes = await download(this.fetchResource, path, (progress) => onProgress({ ...progress, cached: false }));
+    const actual = await sha256Hex(bytes);
+    if (actual !== sha256) {
+      throw new Error(
+        `Circuit artifact ${path} failed its integrity check (expected SHA-256 ${sha256}, got ${actual}). ` +
+        'It is stale or has been tampered with; rebuild the circuits or reload once the deployment has finished.'
+      );
+    }
+
+    await cache?.put(key, new Response(bytes));
+    return bytes;
+  }
+
+  /**
+   * Load an artifact that holds JSON, such as a verification key
+   * @param {string} path - URL of the artifact
+   * @param {string} sha256 - The hash the manifest lists for it
+   * @returns {Promise<Object>} The parsed artifact
+   */
+  async loadJSON(path, sha256) {
+    // Callers keep the parsed copy, so the bytes are not kept in memory
+    return JSON.parse(new TextDecoder().decode(await this.read(path, sha256)));
+  }
+}
+
+export default ArtifactCache;
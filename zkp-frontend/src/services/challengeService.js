@@ -0,0 +1,153 @@
+// Order of the BN254 scalar field; public signals are reduced modulo it
+export const SNARK_FIELD_SIZE = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+// Challenge signal of a proof that is not bound to any verifier session
+export const NO_CHALLENGE = '0';
+
+// How long an issued challenge may be answered
+export const DEFAULT_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// Nonces are 31 random bytes, so they are always below the field size
+const NONCE_BYTES = 31;
+
+const STORAGE_KEY = 'zkp.usedChallenges';
+
+/**
+ * Draw a uniformly random field element of 248 bits
+ * @returns {bigint} The random value
+ */
+export const randomFieldElement = () => {
+  const bytes = globalThis.crypto.getRandomValues(new Uint8Array(NONCE_BYTES));
+  let value = 0n;
+  for (const byte of bytes) {
+    value = (value << 8n) | BigInt(byte);
+  }
+  return value;
+};
+
+/**
+ * Parse a challenge given by a verifier
+ * @param {string|number|bigint} value - The challenge as a decimal or 0x-prefixed hex number
+ * @returns {string} The challenge as a decimal signal
+ */
+export const parseChallenge = (value) => {
+  const text = String(value).trim();
+  let parsed;
+  try {
+    parsed = /^(\d+|0x[0-9a-fA-F]+)$/.test(text) ? BigInt(text) : null;
+  } catch {
+    parsed = null;
+  }
+  if (parsed === null || parsed >= SNARK_FIELD_SIZE) {
+    throw new Error(`Challenge must be a whole number below the field size, got "${text}"`);
+  }
+  return parsed.toString();
+};
+
+/**
+ * ChallengeService - Issue one-off challenges that proofs are bound to
+ * A verifier issues a challenge per session and only accepts proofs that carry it as their public
+ * `challenge` signal, so a proof seen elsewhere cannot be replayed against the session. Each challenge
+ * answers one accepted proof, so the proof cannot be replayed within the session either; the same service
+ * must therefore issue and check every challenge. Used challenges are persisted to localStorage when it is available
+ */
+export class ChallengeService {
+  /**
+   * @param {number} ttlMs - How long an issued challenge stays valid
+   * @param {Storage|null} storage - Storage backend for used challenges, defaults to localStorage in the browser
+   */
+  constructor(ttlMs = DEFAULT_CHALLENGE_TTL_MS, storage = globalThis.localStorage ?? null) {
+    this.ttlMs = ttlMs;
+    this.storage = storage;
+    // Nonces of the challenges already answered, with when they expire
+    this.used = new Map();
+    this.load();
+  }
+
+  /**
+   * Load the used challenges from storage
+   */
+  load() {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) ?? '{}');
+      // A challenge that never expires is stored with null, as JSON has no Infinity
+      this.used = new Map(stored && typeof stored === 'object' && !Array.isArray(stored)
+        ? Object.entries(stored).map(([nonce, expiresAt]) => [nonce, expiresAt ?? Infinity])
+        : []);
+    } catch (error) {
+      console.error('Failed to load used challenges:', error);
+      this.used = new Map();
+    }
+  }
+
+  /**
+   * Persist the used challenges to storage
+   */
+  save() {
+    if (!this.storage) {
+      return;
+    }
+    this.storage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(this.used)));
+  }
+
+  /**
+   * Issue a fresh challenge
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} The challenge `nonce` as a decimal signal, and when it was issued and expires
+   */
+  issue(now = Date.now()) {
+    return {
+      nonce: randomFieldElement().toString(),
+      issuedAt: now,
+      expiresAt: now + this.ttlMs
+    };
+  }
+
+  /**
+   * Check the challenge a proof is bound to against the one issued for the session
+   * @param {Object|null} issued - The challenge from issue(), or null if none was issued
+   * @param {string} challenge - The proof's public challenge signal
+   * @param {number} now - Current time in milliseconds
+   * @returns {string|null} Why the proof must be rejected, or null if its challenge is acceptable
+   */
+  check(issued, challenge, now = Date.now()) {
+    if (!issued) {
+      return null;
+    }
+    if (challenge === NO_CHALLENGE) {
+      return 'Not bound to the issued challenge';
+    }
+    if (challenge !== issued.nonce) {
+      return 'Bound to a different challenge';
+    }
+    if (now > issued.expiresAt) {
+      return 'The issued challenge has expired';
+    }
+    if (this.used.has(issued.nonce)) {
+      return 'The issued challenge was already answered';
+    }
+    return null;
+  }
+
+  /**
+   * Use up an issued challenge once a proof bound to it is accepted, so check() rejects it from then on
+   * Challenges are forgotten once expired, since check() rejects them for that anyway
+   * @param {Object} issued - The challenge from issue()
+   * @param {number} now - Current time in milliseconds
+   */
+  consume(issued, now = Date.now()) {
+    for (const [nonce, expiresAt] of this.used) {
+      if (now > expiresAt) {
+        this.used.delete(nonce);
+      }
+    }
+    this.used.set(issued.nonce, issued.expiresAt);
+    this.save();
+  }
+}
+
+export default ChallengeService;
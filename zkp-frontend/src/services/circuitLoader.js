@@ -1,71 +1,209 @@
+import { ArtifactCache } from './artifactCache.js';
+import { DEFAULT_PROTOCOL, getProvingSystem } from './provingSystems.js';
+
+// Manifest of the artifact set used unless another is chosen; set VITE_CIRCUIT_MANIFEST to build with another
+export const DEFAULT_MANIFEST_PATH = import.meta.env?.VITE_CIRCUIT_MANIFEST || '/circuit/manifest.json';
+
+const URL_SCHEME = /^[a-z][a-z\d+.-]*:/i;
+
+/**
+ * Check that a manifest path names a file of the app's own origin, such as /circuit/testing/manifest.json
+ * The keys of the set it names decide which proofs verify, so the app never loads one from anywhere else
+ * @param {string} path - The manifest path
+ * @returns {boolean} Whether the path is an absolute path on the app's origin
+ */
+export const isSameOriginPath = (path) => {
+  if (typeof path !== 'string' || !path.startsWith('/')) {
+    return false;
+  }
+  // Resolve it the way the browser will, which also catches //host, /\host and tabs or newlines in the path
+  const base = 'https://app.invalid';
+  try {
+    return new URL(path, base).origin === base;
+  } catch {
+    return false;
+  }
+};
+
+// Origin of a manifest fetched by URL, or null for one on the app's origin or on disk
+const manifestOrigin = (manifestPath) => (/^https?:\/\//i.test(manifestPath) ? new URL(manifestPath).origin : null);
+
+// Resolve an artifact path from a manifest; relative paths are relative to the manifest's directory.
+// URLs must be on the manifest's own origin, so a manifest cannot point at keys served by someone else
+const resolveArtifactPath = (path, manifestPath) => {
+  if (path.startsWith('//') || URL_SCHEME.test(path)) {
+    let origin = null;
+    try {
+      origin = new URL(path, manifestOrigin(manifestPath) ?? undefined).origin;
+    } catch {
+      // Not a URL at all; reported below
+    }
+    if (!origin || origin !== manifestOrigin(manifestPath)) {
+      throw new Error(`Circuit manifest lists an artifact on another origin: ${path}`);
+    }
+    return path;
+  }
+  if (path.startsWith('/')) {
+    return path;
+  }
+  return manifestPath.slice(0, manifestPath.lastIndexOf('/') + 1) + path;
+};
+
+// Keys of a version 1 manifest's circuit, which only has Groth16 keys
+const groth16Keys = ({ zkey, vkey, sha256 = {} }) => ({ groth16: { zkey, vkey, sha256: { zkey: sha256.zkey, vkey: sha256.vkey } } });
+
+/**
+ * List every artifact of an artifact set
+ * @param {Object} manifest - The manifest, as loaded by CircuitLoader
+ * @returns {Array<Object>} The `path` and `sha256` of each circuit's wasm and of the keys of each of its protocols
+ */
+export const listArtifacts = (manifest) => manifest.circuits.flatMap((circuit) => [
+  { path: circuit.wasm, sha256: circuit.sha256?.wasm },
+  ...Object.values(circuit.protocols).flatMap((keys) => [
+    { path: keys.zkey, sha256: keys.sha256?.zkey },
+    { path: keys.vkey, sha256: keys.sha256?.vkey }
+  ])
+]);
+
 /**
  * CircuitLoader - Handle loading and initialization of WebAssembly circuit
+ * An artifact set is described by its manifest, which lists one circuit per supported tree depth, with
+ * its proving and verification keys for each proving system it was set up for (see provingSystems.js) and
+ * the SHA-256 hash every artifact is checked against when it is loaded. A loader serves one artifact set,
+ * and loads each of its artifacts once
  */
 export class CircuitLoader {
-  constructor() {
-    this.wasmPath = '/circuit/circuit.wasm';
-    this.zkeyPath = '/circuit/circuit_final.zkey';
-    this.vkeyPath = '/circuit/verification_key.json';
-    
-    this.wasmModule = null;
-    this.vKey = null;
+  /**
+   * @param {string} manifestPath - URL of the artifact set's manifest
+   * @param {Function} fetchResource - Fetches the manifest and artifacts, with the signature of `fetch`; outside
+   *   the browser it can read them from disk instead
+   * @param {ArtifactCache} artifactCache - Loads and caches verified artifacts
+   */
+  constructor(
+    manifestPath = DEFAULT_MANIFEST_PATH,
+    fetchResource = (...args) => fetch(...args),
+    artifactCache = new ArtifactCache(undefined, manifestPath, fetchResource)
+  ) {
+    this.manifestPath = manifestPath;
+    this.fetchResource = fetchResource;
+    this.artifactCache = artifactCache;
+
+    this.manifest = null;
+    this.vKeys = {};
     this.isLoaded = false;
   }
-  
+
+  /**
+   * Load the artifact manifest
+   * @returns {Promise<Object>} The manifest with a `circuits` array sorted by depth, each with its keys by protocol
+   *   in `protocols`, and artifact paths resolved
+   */
+  async loadManifest() {
+    if (this.manifest) {
+      return this.manifest;
+    }
+
+    // Always ask the server, since the manifest is what tells a new build's artifacts apart from cached ones
+    const response = await this.fetchResource(this.manifestPath, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`Circuit manifest not found: ${this.manifestPath}`);
+    }
+
+    const manifest = await response.json();
+    if (!Array.isArray(manifest.circuits) || manifest.circuits.length === 0) {
+      throw new Error('Circuit manifest does not list any circuits');
+    }
+
+    const resolve = (path) => resolveArtifactPath(path, this.manifestPath);
+    this.manifest = {
+      ...manifest,
+      circuits: manifest.circuits
+        .map(({ id, depth, wasm, sha256, ...circuit }) => ({
+          id,
+          depth,
+          wasm: resolve(wasm),
+          sha256: { wasm: sha256?.wasm },
+          protocols: Object.fromEntries(
+            Object.entries(circuit.protocols ?? groth16Keys({ ...circuit, sha256 }))
+              .map(([protocol, keys]) => [protocol, { ...keys, zkey: resolve(keys.zkey), vkey: resolve(keys.vkey) }])
+          )
+        }))
+        .sort((a, b) => a.depth - b.depth)
+    };
+    return this.manifest;
+  }
+
   /**
    * Check if all required circuit artifacts are available
    * @returns {Promise<boolean>} Whether all artifacts are accessible
    */
   async checkArtifacts() {
     try {
-      // Check WASM file
-      const wasmResponse = await fetch(this.wasmPath, { method: 'HEAD' });
-      if (!wasmResponse.ok) {
-        console.error('WASM file not found:', this.wasmPath);
-        return false;
-      }
-      
-      // Check zkey file
-      const zkeyResponse = await fetch(this.zkeyPath, { method: 'HEAD' });
-      if (!zkeyResponse.ok) {
-        console.error('zkey file not found:', this.zkeyPath);
-        return false;
-      }
-      
-      // Check verification key
-      const vkeyResponse = await fetch(this.vkeyPath, { method: 'HEAD' });
-      if (!vkeyResponse.ok) {
-        console.error('Verification key not found:', this.vkeyPath);
-        return false;
+      const { circuits } = await this.loadManifest();
+
+      for (const circuit of circuits) {
+        for (const { path } of listArtifacts({ circuits: [circuit] })) {
+          const response = await this.fetchResource(path, { method: 'HEAD' });
+          if (!response.ok) {
+            console.error(`Artifact for circuit ${circuit.id} not found:`, path);
+            return false;
+          }
+        }
       }
-      
+
       return true;
     } catch (error) {
       console.error('Error checking circuit artifacts:', error);
       return false;
     }
   }
-  
+
   /**
-   * Initialize the circuit (preload verification key)
+   * Download and verify what every proof session needs: the verification keys, and the smallest circuit
+   * that most PODs are proven with, with its default proving system's key; larger circuits and other
+   * proving systems are loaded when a proof needs them
+   * Cached artifacts the manifest no longer lists are dropped first
+   * @param {Function} onProgress - Called with the `path` being loaded, its bytes `loaded` and `total`, whether it
+   *   was `cached`, and the `index` of the artifact among `count`
+   * @returns {Promise<void>} Resolves once every artifact is verified; rejects if one is missing or fails its check
+   */
+  async preload(onProgress = () => {}) {
+    const manifest = await this.loadManifest();
+    await this.artifactCache.evict(listArtifacts(manifest));
+
+    const [smallest] = manifest.circuits;
+    const smallestKeys = smallest.protocols[this.getDefaultProtocol(smallest)];
+    const artifacts = [
+      ...manifest.circuits.flatMap((circuit) =>
+        Object.values(circuit.protocols).map((keys) => ({ path: keys.vkey, sha256: keys.sha256?.vkey }))
+      ),
+      { path: smallest.wasm, sha256: smallest.sha256?.wasm },
+      { path: smallestKeys.zkey, sha256: smallestKeys.sha256?.zkey }
+    ];
+
+    for (const [index, { path, sha256 }] of artifacts.entries()) {
+      await this.artifactCache.load(path, sha256, (progress) =>
+        onProgress({ ...progress, path, index, count: artifacts.length })
+      );
+    }
+  }
+
+  /**
+   * Initialize the circuit (check the manifest and its artifacts)
    * @returns {Promise<boolean>} Whether initialization was successful
    */
   async initialize() {
     if (this.isLoaded) {
       return true;
     }
-    
+
     try {
       // Check that all artifacts are available
       const artifactsAvailable = await this.checkArtifacts();
       if (!artifactsAvailable) {
         throw new Error('Circuit artifacts are not available');
       }
-      
-      // Load the verification key
-      const vkeyResponse = await fetch(this.vkeyPath);
-      this.vKey = await vkeyResponse.json();
-      
+
       this.isLoaded = true;
       return true;
     } catch (error) {
@@ -73,29 +211,116 @@ export class CircuitLoader {
       return false;
     }
   }
-  
+
+  /**
+   * Choose the smallest circuit that can prove a tree of the given depth
+   * @param {number} treeDepth - Depth of the POD's Merkle tree
+   * @returns {Promise<Object>} The manifest entry of the chosen circuit
+   */
+  async selectCircuit(treeDepth) {
+    const { circuits } = await this.loadManifest();
+    const circuit = circuits.find(({ depth }) => depth >= treeDepth);
+
+    if (!circuit) {
+      const maxDepth = circuits[circuits.length - 1].depth;
+      throw new Error(`No circuit supports a tree of depth ${treeDepth} (largest available depth is ${maxDepth})`);
+    }
+
+    return circuit;
+  }
+
+  /**
+   * Look up a circuit by its manifest ID
+   * @param {string} circuitId - The circuit ID
+   * @returns {Promise<Object>} The manifest entry of the circuit
+   */
+  async getCircuit(circuitId) {
+    const { circuits } = await this.loadManifest();
+    const circuit = circuits.find(({ id }) => id === circuitId);
+
+    if (!circuit) {
+      throw new Error(`Unknown circuit: ${circuitId}`);
+    }
+
+    return circuit;
+  }
+
+  /**
+   * List the proving systems any circuit of the artifact set has keys for
+   * @returns {Promise<Array<string>>} The protocol IDs, the default one first
+   */
+  async getProtocols() {
+    const { circuits } = await this.loadManifest();
+    const protocols = [...new Set(circuits.flatMap((circuit) => Object.keys(circuit.protocols)))];
+    return protocols.sort((a, b) => (b === DEFAULT_PROTOCOL) - (a === DEFAULT_PROTOCOL));
+  }
+
+  /**
+   * Choose the proving system a circuit proves with unless told otherwise
+   * @param {Object} circuit - Manifest entry of the circuit
+   * @returns {string} DEFAULT_PROTOCOL if the circuit has its keys, else the first protocol it has keys for
+   */
+  getDefaultProtocol(circuit) {
+    return circuit.protocols[DEFAULT_PROTOCOL] ? DEFAULT_PROTOCOL : Object.keys(circuit.protocols)[0];
+  }
+
+  /**
+   * Get a circuit's keys for a proving system
+   * @param {Object} circuit - Manifest entry of the circuit
+   * @param {string} protocol - The protocol ID
+   * @returns {Object} The `zkey` and `vkey` paths and their `sha256` hashes
+   */
+  getKeys(circuit, protocol) {
+    const keys = circuit.protocols[protocol];
+    if (!keys) {
+      throw new Error(`Circuit ${circuit.id} has no ${getProvingSystem(protocol).label} keys`);
+    }
+    return keys;
+  }
+
   /**
-   * Get the paths to circuit artifacts
+   * Get the paths to a circuit's artifacts
+   * @param {Object} circuit - Manifest entry of the circuit
+   * @param {string} protocol - The proving system whose keys to include
    * @returns {Object} Object containing paths to circuit artifacts
    */
-  getPaths() {
+  getPaths(circuit, protocol = DEFAULT_PROTOCOL) {
+    const keys = this.getKeys(circuit, protocol);
     return {
-      wasmPath: this.wasmPath,
-      zkeyPath: this.zkeyPath,
-      vkeyPath: this.vkeyPath
+      wasmPath: circuit.wasm,
+      zkeyPath: keys.zkey,
+      vkeyPath: keys.vkey
     };
   }
-  
+
   /**
-   * Get the verification key
+   * Get the verification key of a circuit
+   * @param {string} circuitId - The circuit ID
+   * @param {string} protocol - The proving system the key is for
    * @returns {Promise<Object>} The verification key
    */
-  async getVerificationKey() {
-    if (!this.vKey) {
-      await this.initialize();
+  async getVerificationKey(circuitId, protocol = DEFAULT_PROTOCOL) {
+    const id = `${circuitId}/${protocol}`;
+    if (!this.vKeys[id]) {
+      const keys = this.getKeys(await this.getCircuit(circuitId), protocol);
+      this.vKeys[id] = await this.artifactCache.loadJSON(keys.vkey, keys.sha256?.vkey);
     }
-    return this.vKey;
+    return this.vKeys[id];
+  }
+
+  /**
+   * Get the artifacts a circuit proves with, downloading them only if no verified copy is cached
+   * @param {string} circuitId - The circuit ID
+   * @param {string} protocol - The proving system to prove with
+   * @param {Function} onProgress - Called with the `path` being loaded, its bytes `loaded` and `total`, and whether it was `cached`
+   * @returns {Promise<Object>} The verified `wasm` and `zkey`
+   */
+  async getProvingArtifacts(circuitId, protocol = DEFAULT_PROTOCOL, onProgress = () => {}) {
+    const circuit = await this.getCircuit(circuitId);
+    const keys = this.getKeys(circuit, protocol);
+    const load = (path, sha256) => this.artifactCache.load(path, sha256, (progress) => onProgress({ ...progress, path }));
+    return { wasm: await load(circuit.wasm, circuit.sha256?.wasm), zkey: await load(keys.zkey, keys.sha256?.zkey) };
   }
 }
 
-export default CircuitLoader; 
\ No newline at end of file
+export default CircuitLoader;
@@ -0,0 +1,169 @@
+const STORAGE_KEY = 'zkp.trustedIssuers';
+
+// Canonical string form of a public key coordinate so lookups ignore formatting
+const normalizeCoordinate = (coordinate) => {
+  try {
+    return BigInt(coordinate).toString();
+  } catch {
+    throw new Error(`Invalid public key coordinate: ${coordinate}`);
+  }
+};
+
+const normalizePublicKey = (publicKey) => {
+  if (!Array.isArray(publicKey) || publicKey.length !== 2) {
+    throw new Error('Public key must be an array of two coordinates');
+  }
+  return publicKey.map(normalizeCoordinate);
+};
+
+/**
+ * IssuerRegistry - Keep a named list of trusted EdDSA issuer public keys
+ * Entries are persisted to localStorage when it is available
+ */
+export class IssuerRegistry {
+  /**
+   * @param {Storage|null} storage - Storage backend, defaults to localStorage in the browser
+   */
+  constructor(storage = globalThis.localStorage ?? null) {
+    this.storage = storage;
+    this.issuers = [];
+    this.load();
+  }
+
+  /**
+   * Load the registry from storage
+   */
+  load() {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      const stored = this.storage.getItem(STORAGE_KEY);
+      this.issuers = stored ? this.parseIssuers(JSON.parse(stored)) : [];
+    } catch (error) {
+      console.error('Failed to load trusted issuers:', error);
+      this.issuers = [];
+    }
+  }
+
+  /**
+   * Persist the registry to storage
+   */
+  save() {
+    if (!this.storage) {
+      return;
+    }
+    this.storage.setItem(STORAGE_KEY, JSON.stringify({ issuers: this.issuers }));
+  }
+
+  /**
+   * Validate and normalize a registry document
+   * @param {Object} registryData - Object with an `issuers` array
+   * @returns {Array<Object>} The normalized issuer entries
+   */
+  parseIssuers(registryData) {
+    if (!registryData || !Array.isArray(registryData.issuers)) {
+      throw new Error('Registry must contain an "issuers" array');
+    }
+
+    return registryData.issuers.map((issuer, index) => {
+      if (!issuer || typeof issuer.name !== 'string' || !issuer.name.trim()) {
+        throw new Error(`Issuer ${index} must have a name`);
+      }
+      return {
+        name: issuer.name.trim(),
+        publicKey: normalizePublicKey(issuer.publicKey),
+        addedAt: issuer.addedAt ?? Date.now()
+      };
+    });
+  }
+
+  /**
+   * List all trusted issuers
+   * @returns {Array<Object>} Issuer entries with name and publicKey
+   */
+  list() {
+    return [...this.issuers];
+  }
+
+  /**
+   * Add or rename a trusted issuer
+   * @param {string} name - Display name of the issuer
+   * @param {Array<string>} publicKey - The issuer's EdDSA public key
+   * @returns {Object} The stored issuer entry
+   */
+  addIssuer(name, publicKey) {
+    const [entry] = this.parseIssuers({ issuers: [{ name, publicKey }] });
+    const existing = this.findIssuer(entry.publicKey);
+
+    if (existing) {
+      existing.name = entry.name;
+    } else {
+      this.issuers.push(entry);
+    }
+
+    this.save();
+    return existing || entry;
+  }
+
+  /**
+   * Remove a trusted issuer
+   * @param {Array<string>} publicKey - The issuer's EdDSA public key
+   */
+  removeIssuer(publicKey) {
+    const [x, y] = normalizePublicKey(publicKey);
+    this.issuers = this.issuers.filter(
+      ({ publicKey: key }) => key[0] !== x || key[1] !== y
+    );
+    this.save();
+  }
+
+  /**
+   * Look up the issuer that owns a public key
+   * @param {Array<string>} publicKey - The EdDSA public key to look up
+   * @returns {Object|null} The issuer entry, or null if the key is unknown
+   */
+  findIssuer(publicKey) {
+    let x, y;
+    try {
+      [x, y] = normalizePublicKey(publicKey);
+    } catch {
+      return null;
+    }
+    return this.issuers.find(({ publicKey: key }) => key[0] === x && key[1] === y) || null;
+  }
+
+  /**
+   * Export the registry as JSON
+   * @returns {string} JSON representation of the registry
+   */
+  exportJSON() {
+    return JSON.stringify({ issuers: this.issuers }, null, 2);
+  }
+
+  /**
+   * Import issuers from JSON
+   * @param {string} registryJson - JSON produced by exportJSON
+   * @param {boolean} merge - Keep existing issuers instead of replacing them
+   * @returns {number} Number of issuers in the registry after import
+   */
+  importJSON(registryJson, merge = true) {
+    let imported;
+    try {
+      imported = this.parseIssuers(JSON.parse(registryJson));
+    } catch (error) {
+      throw new Error(`Failed to import issuers: ${error.message}`);
+    }
+
+    if (!merge) {
+      this.issuers = [];
+    }
+    imported.forEach(({ name, publicKey }) => this.addIssuer(name, publicKey));
+
+    this.save();
+    return this.issuers.length;
+  }
+}
+
+export default IssuerRegistry;
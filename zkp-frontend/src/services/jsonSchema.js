@@ -0,0 +1,140 @@
+/**
+ * Validate JSON documents against a JSON Schema
+ * Supports the keywords the app's schemas use: type, const, enum, pattern, minimum, maximum,
+ * properties, required, additionalProperties, items, minItems and maxItems. A string schema's `description`
+ * names what its pattern matches, e.g. "a decimal field element", for the error when it does not match.
+ * A schema using any other keyword is rejected with an error rather than having that keyword ignored, so
+ * that a document is never taken as valid against a rule that was not checked
+ */
+
+const KEYWORDS = new Set([
+  'type', 'const', 'enum', 'pattern', 'minimum', 'maximum',
+  'properties', 'required', 'additionalProperties', 'items', 'minItems', 'maxItems'
+]);
+
+// Keywords that only describe a schema and do not constrain the documents it validates
+const ANNOTATIONS = new Set(['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples']);
+
+const typeOf = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+};
+
+const TYPE_NAMES = {
+  object: 'an object',
+  array: 'an array',
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  null: 'null'
+};
+
+const isType = (value, type) => typeOf(value) === type || (type === 'number' && typeOf(value) === 'integer');
+
+// Name of a member of the document at path, e.g. `claims[0].predicate`
+const memberPath = (path, name) => (typeof name === 'number' ? `${path}[${name}]` : path ? `${path}.${name}` : name);
+
+// Throw if the schema, or a schema nested in it, uses a keyword that is not supported
+const checkKeywords = (schema, path) => {
+  const unsupported = Object.keys(schema).filter((keyword) => !KEYWORDS.has(keyword) && !ANNOTATIONS.has(keyword));
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported JSON Schema keyword${unsupported.length > 1 ? 's' : ''} ${unsupported.join(', ')} in the schema of ${path || 'document'}`);
+  }
+  for (const [member, memberSchema] of Object.entries(schema.properties ?? {})) {
+    checkKeywords(memberSchema, memberPath(path, member));
+  }
+  if (typeof schema.additionalProperties === 'object') {
+    checkKeywords(schema.additionalProperties, memberPath(path, '*'));
+  }
+  if (schema.items) {
+    checkKeywords(schema.items, `${path}[]`);
+  }
+};
+
+const validate = (schema, value, path) => {
+  const name = path || 'document';
+  const error = (message) => ({ path, message: `${name} ${message}` });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => isType(value, type))) {
+      return [error(`must be ${types.map((type) => TYPE_NAMES[type]).join(' or ')}`)];
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    return [error(`must be ${JSON.stringify(schema.const)}`)];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [error(`must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`)];
+  }
+
+  const errors = [];
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(error(schema.description ? `must be ${schema.description}` : `must match ${schema.pattern}`));
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(error(`must be at least ${schema.minimum}`));
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(error(`must be at most ${schema.maximum}`));
+    }
+  }
+
+  if (Array.isArray(value)) {
+    const { minItems, maxItems } = schema;
+    if (minItems !== undefined && minItems === maxItems && value.length !== minItems) {
+      errors.push(error(`must have ${minItems} entries, got ${value.length}`));
+    } else if (minItems !== undefined && value.length < minItems) {
+      errors.push(error(`must have at least ${minItems} entries, got ${value.length}`));
+    } else if (maxItems !== undefined && value.length > maxItems) {
+      errors.push(error(`must have at most ${maxItems} entries, got ${value.length}`));
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, memberPath(path, i))));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const member of schema.required ?? []) {
+      if (value[member] === undefined) {
+        errors.push({ path: memberPath(path, member), message: `${memberPath(path, member)} is missing` });
+      }
+    }
+    for (const [member, memberValue] of Object.entries(value)) {
+      if (memberValue === undefined) {
+        continue;
+      }
+      const memberSchema = schema.properties?.[member] ?? schema.additionalProperties;
+      if (memberSchema === false) {
+        errors.push({ path: memberPath(path, member), message: `${memberPath(path, member)} is not allowed` });
+      } else if (memberSchema && memberSchema !== true) {
+        errors.push(...validate(memberSchema, memberValue, memberPath(path, member)));
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - The JSON Schema
+ * @param {*} value - The value to validate
+ * @param {string} path - Path of the value in its document, used in the errors
+ * @returns {Array<Object>} One `{ path, message }` per problem, where message starts with the path; empty if the value is valid
+ * @throws {Error} If the schema uses a keyword that is not supported, even in a part of it the value does not reach
+ */
+export const validateSchema = (schema, value, path = '') => {
+  checkKeywords(schema, path);
+  return validate(schema, value, path);
+};
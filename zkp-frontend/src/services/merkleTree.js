@@ -1,5 +1,12 @@
-import { poseidon1, poseidon2 } from 'poseidon-lite';
-import { LeanIMT } from '@zk-kit/lean-imt';
+import { poseidon3, poseidon4 } from 'poseidon-lite';
+import SparseMerkleTree from './sparseMerkleTree.js';
+import { encodeValue, getValueType } from './valueEncoding.js';
+import { DEFAULT_SCHEMA_ID, fieldIdentifier, getSchema, resolveFieldType } from './podSchema.js';
+import { SNARK_FIELD_SIZE, randomFieldElement } from './challengeService.js';
+import { SORTED_ENTRY_BITS } from './sortedMerkleTree.js';
+import { NO_OWNER } from './ownerIdentity.js';
+import { NO_EXPIRY, parseTimestamp } from './podValidity.js';
+import { POD_ENTRY_ENCODING, POD_FORMAT, POD_FORMAT_VERSION, POD_HASH, POD_TREE_TYPE, readPOD } from './podFormat.js';
 
 // Convert input to string with proper handling
 const toStringValue = (n) => {
@@ -13,67 +20,147 @@ const toStringValue = (n) => {
  * Built for key-value pairs with a configurable depth
  */
 export class MerkleTreeService {
-  constructor(depth = 5) {
+  /**
+   * @param {number|null} depth - Fixed tree depth, or null to use the smallest depth that fits the data
+   */
+  constructor(depth = null) {
+    this.requestedDepth = depth;
     this.depth = depth;
     this.reset();
   }
 
+  /**
+   * Smallest tree depth that holds a number of key-value pairs
+   * Every pair takes a single leaf committing to its field identifier, type and value, after the header leaf
+   * @param {number} pairCount - Number of key-value pairs
+   * @returns {number} The tree depth
+   */
+  static depthForPairs(pairCount) {
+    let depth = 1;
+    while (2 ** depth < pairCount + 1) {
+      depth++;
+    }
+    return depth;
+  }
+
+  /**
+   * Maximum number of key-value pairs that fit in the tree
+   * @returns {number} The pair capacity
+   */
+  get capacity() {
+    return 2 ** this.depth - 1;
+  }
+
   /**
    * Reset the state of the Merkle tree service
+   * @param {string} schemaId - Schema the POD's entries follow, see POD_SCHEMAS
    */
-  reset() {
+  reset(schemaId = DEFAULT_SCHEMA_ID) {
+    getSchema(schemaId);
+    this.schema = schemaId;
+    this.owner = NO_OWNER;
+    this.podId = randomFieldElement().toString();
+    this.issuedAt = String(Date.now());
+    this.expiresAt = NO_EXPIRY;
     this.data = [];
     this.tree = null;
     this.root = null;
   }
 
+  /**
+   * Bind the POD to a holder, who must then prove knowledge of the secret behind the commitment
+   * @param {string} commitment - The holder's owner commitment (see ownerCommitment), or NO_OWNER
+   */
+  setOwner(commitment) {
+    const text = String(commitment).trim();
+    if (!/^\d+$/.test(text) || BigInt(text) >= SNARK_FIELD_SIZE) {
+      throw new Error('Owner commitment must be a whole number below the field size');
+    }
+    this.owner = BigInt(text).toString();
+  }
+
+  /**
+   * Set the POD's ID, which its issuer revokes it by; reset() draws a random one
+   * @param {string} podId - The ID, a whole number of at most 248 bits
+   */
+  setPodId(podId) {
+    const text = String(podId).trim();
+    if (!/^\d+$/.test(text) || BigInt(text) >= 2n ** BigInt(SORTED_ENTRY_BITS)) {
+      throw new Error(`POD ID must be a whole number of at most ${SORTED_ENTRY_BITS} bits`);
+    }
+    this.podId = BigInt(text).toString();
+  }
+
+  /**
+   * Set when the POD is valid; reset() marks it issued now, without expiry
+   * @param {string|number} issuedAt - Issuance time in milliseconds since the epoch
+   * @param {string|number} expiresAt - Expiry time in milliseconds since the epoch, or NO_EXPIRY
+   */
+  setValidity(issuedAt, expiresAt = NO_EXPIRY) {
+    const issued = parseTimestamp(issuedAt, 'Issuance time');
+    const expires = parseTimestamp(expiresAt, 'Expiry time');
+    if (expires !== NO_EXPIRY && BigInt(expires) <= BigInt(issued)) {
+      throw new Error('A POD must expire after it is issued');
+    }
+    this.issuedAt = issued;
+    this.expiresAt = expires;
+  }
+
   /**
    * Add a key-value pair to the data
-   * @param {number|string} key - The key (will be hashed)
-   * @param {number|string} value - The value (will be hashed)
+   * @param {number|string} key - The field name, which must belong to the schema if it declares its fields
+   * @param {number|string|boolean} value - The raw value (will be encoded for its type and hashed)
+   * @param {string} [type] - The value type, see VALUE_TYPES; defaults to the schema's type for the field
    */
-  addKeyValuePair(key, value) {
+  addKeyValuePair(key, value, type) {
     const keyStr = toStringValue(key);
-    const valueStr = toStringValue(value);
-    this.data.push({ key: keyStr, value: valueStr });
+    const valueStr = typeof value === 'boolean' ? value.toString() : toStringValue(value);
+    
+    if (this.data.some((entry) => entry.key === keyStr)) {
+      throw new Error(`Duplicate key ${keyStr}`);
+    }
+    type = resolveFieldType(this.schema, keyStr, type);
+    
+    // Encode now so invalid values are reported against their key
+    let encoded;
+    try {
+      encoded = encodeValue(type, valueStr);
+    } catch (error) {
+      throw new Error(`Invalid ${getValueType(type).label.toLowerCase()} value for key ${keyStr}: ${error.message}`);
+    }
+    
+    this.data.push({ key: keyStr, value: valueStr, type, encoded });
   }
 
 
   /**
    * Build the Merkle tree from the current data
+   * @param {number} depth - Tree depth, defaults to the requested depth or the smallest that fits
    */
-  buildTree() {
-    // Convert data to leaves
-    const leaves = [];
+  buildTree(depth = this.requestedDepth ?? MerkleTreeService.depthForPairs(this.data.length)) {
+    this.depth = depth;
+    
+    // Leaf 0 is the header, which commits to the owner, the POD's ID and its validity period; the entries follow it
+    const leaves = [poseidon4([BigInt(this.owner), BigInt(this.podId), BigInt(this.issuedAt), BigInt(this.expiresAt)])];
     
-    // Create leaves for each key-value pair
+    // Create one leaf per key-value pair, so the key cannot be separated from its value
     for (let i = 0; i < this.data.length; i++) {
-      const { key, value } = this.data[i];
-      
-      // Hash the value
-      const valueHash = poseidon1([value]);
+      const { key, type, encoded } = this.data[i];
       
-      // Hash the key
-      const keyHash = poseidon1([key]);
-      
-      // Add key-value pair as adjacent leaves
-      leaves.push(keyHash);
-      leaves.push(valueHash);
+      // Hash the schema-bound field identifier, the type tag and the encoded value together
+      leaves.push(poseidon3([fieldIdentifier(this.schema, key), getValueType(type).tag, encoded]));
     }
-    // Pad with zeros if needed to reach a power of 2
-    // const totalLeaves = 2 ** this.depth;
-    // while (leaves.length < totalLeaves) {
-    //   leaves.push("0");
-    // }
-    
     // Build the tree with error handling
     try {
         
-      if (leaves.length === 0) {
+      if (this.data.length === 0) {
         throw new Error('No leaves available to build Merkle tree');
       }
-      const hash = (a, b) => poseidon2([a, b]);
-      this.tree = new LeanIMT(hash, leaves);
+      if (this.data.length > this.capacity) {
+        throw new Error(`A depth ${this.depth} tree holds at most ${this.capacity} key-value pairs, got ${this.data.length}`);
+      }
+      // Unused leaves are padded with the zero leaf so every proof has exactly `depth` siblings
+      this.tree = new SparseMerkleTree(this.depth, leaves);
       this.root = this.tree.root;
     } catch (error) {
       console.error("Failed to build Merkle tree:", error);
@@ -86,7 +173,7 @@ export class MerkleTreeService {
   /**
    * Get the Merkle proof for a specific key-value pair
    * @param {number} index - The index of the key-value pair in the data array
-   * @returns {Object} The proof data including value, key, siblings, and index
+   * @returns {Object} The proof data including the encoded value and its type, the field and its identifier (`key`), siblings, and index
    */
   getProof(index) {
     if (!this.tree) {
@@ -97,39 +184,71 @@ export class MerkleTreeService {
       throw new Error('Index out of bounds');
     }
     
-    const { key, value } = this.data[index];
-    
-    // Calculate leaf indices (key is at 2*index, value is at 2*index+1)
-    const valueIndex = index * 2 +1;
+    const { key, type, encoded } = this.data[index];
     
-    // Get the sibling paths
-    const valueProof = this.tree.generateProof(valueIndex);
+    // Get the sibling path of the entry's leaf, which follows the header leaf
+    const leafIndex = index + 1;
+    const valueProof = this.tree.generateProof(leafIndex);
     
     return {
-      key: key.toString(),
-      value: value.toString(),
-      index: valueIndex.toString(),
+      key: fieldIdentifier(this.schema, key).toString(),
+      schema: this.schema,
+      field: key,
+      value: encoded.toString(),
+      valueType: type,
+      depth: this.depth.toString(),
+      index: leafIndex.toString(),
       siblings: valueProof.siblings.map(s => s.toString()),
       root: this.root.toString()
     };
   }
   
+  /**
+   * Get the Merkle proof for the header leaf
+   * @returns {Object} The owner commitment, the POD's ID, its validity period and the siblings of leaf 0
+   */
+  getHeaderProof() {
+    if (!this.tree) {
+      throw new Error('Tree has not been built yet');
+    }
+    
+    return {
+      owner: this.owner,
+      podId: this.podId,
+      issuedAt: this.issuedAt,
+      expiresAt: this.expiresAt,
+      siblings: this.tree.generateProof(0).siblings.map(s => s.toString())
+    };
+  }
+  
   /**
    * Export the Merkle tree data in a format suitable for POD
-   * @returns {Object} The POD data structure
+   * @returns {Object} The unsigned POD, in the current POD format (see podFormat.js)
    */
   exportData() {
     if (!this.tree || !this.root) {
       throw new Error('Tree has not been built yet');
     }
     // Ensure data is properly formatted as an array of objects
-    const formattedData = this.data.map(({ key, value }) => ({
+    const formattedData = this.data.map(({ key, value, type }) => ({
       key: key.toString(),
-      value: value.toString()
+      value: value.toString(),
+      type
     }));
     
     return {
+      format: POD_FORMAT,
+      version: POD_FORMAT_VERSION,
+      id: this.podId,
+      schema: this.schema,
+      // Only PODs bound to a holder carry an owner
+      ...(this.owner !== NO_OWNER && { owner: this.owner }),
+      issuedAt: Number(this.issuedAt),
+      // Only PODs that expire carry an expiry time
+      ...(this.expiresAt !== NO_EXPIRY && { expiresAt: Number(this.expiresAt) }),
+      entryEncoding: POD_ENTRY_ENCODING,
       data: formattedData,
+      tree: { type: POD_TREE_TYPE, hash: POD_HASH, depth: this.depth },
       merkleRoot: this.root.toString(),
       // The signature will be added by the signature service
     };
@@ -137,25 +256,26 @@ export class MerkleTreeService {
   
   /**
    * Import data from a POD structure
-   * @param {Object} podData - The POD data structure
+   * @param {Object|string} podInput - The POD, or its JSON, in any version of the POD format (see readPOD)
    */
-  importData(podData) {
-    this.reset();
-    
-    if (!podData?.data || !Array.isArray(podData.data)) {
-      throw new Error('Invalid POD data format');
-    }
+  importData(podInput) {
+    const podData = readPOD(podInput);
     
+    this.reset(podData.schema);
+    this.setOwner(podData.owner ?? NO_OWNER);
+    this.setPodId(podData.id);
+    this.setValidity(podData.issuedAt, podData.expiresAt ?? NO_EXPIRY);
+
     // Import data
-    podData.data.forEach(({ key, value }) => {
-      this.addKeyValuePair(key, value);
+    podData.data.forEach(({ key, value, type }) => {
+      this.addKeyValuePair(key, value, type);
     });
     
-    // Rebuild the tree
-    this.buildTree();
+    // Rebuild the tree at the depth it was signed with
+    this.buildTree(podData.tree.depth);
     
-    // Verify the root matches if provided
-    if (podData.merkleRoot && this.root.toString() !== podData.merkleRoot) {
+    // Verify the root matches
+    if (this.root.toString() !== podData.merkleRoot) {
       throw new Error('Imported POD has mismatched Merkle root');
     }
     
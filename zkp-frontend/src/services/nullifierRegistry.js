@@ -0,0 +1,88 @@
+const STORAGE_KEY = 'zkp.seenNullifiers';
+
+/**
+ * NullifierRegistry - Remember the nullifiers of accepted proofs, per scope
+ * A holder-bound POD yields the same nullifier every time its holder proves in a scope,
+ * so a nullifier seen before means the holder already presented a proof there.
+ * Entries are persisted to localStorage when it is available
+ */
+export class NullifierRegistry {
+  /**
+   * @param {Storage|null} storage - Storage backend, defaults to localStorage in the browser
+   */
+  constructor(storage = globalThis.localStorage ?? null) {
+    this.storage = storage;
+    this.scopes = {};
+    this.load();
+  }
+
+  /**
+   * Load the registry from storage
+   */
+  load() {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) ?? '{}');
+      this.scopes = stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    } catch (error) {
+      console.error('Failed to load seen nullifiers:', error);
+      this.scopes = {};
+    }
+  }
+
+  /**
+   * Persist the registry to storage
+   */
+  save() {
+    if (!this.storage) {
+      return;
+    }
+    this.storage.setItem(STORAGE_KEY, JSON.stringify(this.scopes));
+  }
+
+  /**
+   * Check whether a nullifier was already recorded in a scope
+   * @param {string} scope - The scope signal
+   * @param {string} nullifier - The nullifier signal
+   * @returns {boolean} Whether the nullifier was seen before
+   */
+  has(scope, nullifier) {
+    return (this.scopes[scope] ?? []).includes(nullifier);
+  }
+
+  /**
+   * Record the nullifier of an accepted proof
+   * @param {string} scope - The scope signal
+   * @param {string} nullifier - The nullifier signal
+   */
+  record(scope, nullifier) {
+    if (this.has(scope, nullifier)) {
+      return;
+    }
+    this.scopes[scope] = [...(this.scopes[scope] ?? []), nullifier];
+    this.save();
+  }
+
+  /**
+   * Number of nullifiers recorded in a scope
+   * @param {string} scope - The scope signal
+   * @returns {number} The count
+   */
+  count(scope) {
+    return (this.scopes[scope] ?? []).length;
+  }
+
+  /**
+   * Forget every nullifier recorded in a scope
+   * @param {string} scope - The scope signal
+   */
+  clear(scope) {
+    delete this.scopes[scope];
+    this.save();
+  }
+}
+
+export default NullifierRegistry;
@@ -0,0 +1,89 @@
+// ejs's main module requires fs for templates read from files; its standalone build also runs in the browser
+import ejs from 'ejs/ejs.js';
+import { Contract, JsonRpcProvider, isAddress } from 'ethers';
+// snarkjs's package exports do not include its templates; vite.config.js and nodeResolveHooks.js resolve them
+import groth16VerifierTemplate from 'snarkjs/templates/verifier_groth16.sol.ejs?raw';
+import { PUBLIC_SIGNAL_COUNT } from './proofService.js';
+import { PROVING_SYSTEMS } from './provingSystems.js';
+
+// JSON-RPC endpoint used unless another is configured, e.g. a local Anvil or Hardhat node
+export const DEFAULT_RPC_URL = import.meta.env?.VITE_RPC_URL || 'http://127.0.0.1:8545';
+
+// The function of the Groth16Verifier contract that exportSolidityVerifier generates
+export const VERIFIER_ABI = [
+  `function verifyProof(uint256[2] _pA, uint256[2][2] _pB, uint256[2] _pC, uint256[${PUBLIC_SIGNAL_COUNT}] _pubSignals) view returns (bool)`
+];
+
+/**
+ * Generate the Solidity source of a Groth16 verifier contract for a verification key
+ * Renders the template snarkjs ships, as `snarkjs zkey export solidityverifier` does, from the key alone
+ * @param {Object} vKey - A Groth16 verification key
+ * @returns {string} The source of the Groth16Verifier contract
+ */
+export const exportSolidityVerifier = (vKey) => {
+  if (vKey?.protocol !== 'groth16') {
+    // snarkjs renders PLONK and FFLONK verifiers from the proving key: `snarkjs zkey export solidityverifier <zkey>`
+    throw new Error(`Only Groth16 verifiers can be exported from a verification key, got ${vKey?.protocol}`);
+  }
+  return ejs.render(groth16VerifierTemplate, vKey);
+};
+
+/**
+ * OnChainVerifier - Verify proofs with a deployed Groth16Verifier contract over JSON-RPC
+ */
+export class OnChainVerifier {
+  /**
+   * @param {string} address - The address of the verifier contract
+   * @param {string} rpcUrl - The JSON-RPC endpoint of the chain it is deployed on
+   */
+  constructor(address, rpcUrl = DEFAULT_RPC_URL) {
+    if (!isAddress(address)) {
+      throw new Error(`Invalid verifier contract address: ${address}`);
+    }
+    this.rpcUrl = rpcUrl;
+    this.address = address;
+    // A static network stops ethers from retrying forever when the endpoint is down
+    this.provider = new JsonRpcProvider(rpcUrl, undefined, { staticNetwork: true });
+    this.contract = new Contract(address, VERIFIER_ABI, this.provider);
+  }
+
+  /**
+   * Verify a proof with the contract
+   * @param {Object} proof - The Groth16 proof
+   * @param {Array<string>} publicSignals - The public signals of the proof
+   * @returns {Promise<boolean>} Whether the contract accepts the proof
+   */
+  async verifyProof(proof, publicSignals) {
+    // Only Groth16 verifiers are exported, see exportSolidityVerifier
+    if (proof.protocol && proof.protocol !== 'groth16') {
+      throw new Error(`Only Groth16 proofs can be verified on-chain, this is a ${PROVING_SYSTEMS[proof.protocol]?.label ?? proof.protocol} proof`);
+    }
+
+    let code;
+    try {
+      code = await this.provider.getCode(this.address);
+    } catch (error) {
+      throw new Error(`Cannot reach ${this.rpcUrl}: ${error.shortMessage ?? error.message}`);
+    }
+    if (code === '0x') {
+      throw new Error(`No contract is deployed at ${this.address}`);
+    }
+
+    // The calldata is formatted from the proof itself, not taken from the proof file
+    const { pA, pB, pC, pubSignals } = PROVING_SYSTEMS.groth16.exportCalldata(proof, publicSignals);
+    try {
+      return await this.contract.verifyProof(pA, pB, pC, pubSignals);
+    } catch (error) {
+      throw new Error(`The verifier contract call failed: ${error.shortMessage ?? error.message}`);
+    }
+  }
+
+  /**
+   * Stop the provider, e.g. once a CLI run is done
+   */
+  destroy() {
+    this.provider.destroy();
+  }
+}
+
+export default OnChainVerifier;
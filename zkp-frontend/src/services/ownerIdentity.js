@@ -0,0 +1,52 @@
+import { poseidon1, poseidon2 } from 'poseidon-lite';
+import { SNARK_FIELD_SIZE, randomFieldElement } from './challengeService.js';
+import { encodeValue } from './valueEncoding.js';
+
+// Owner commitment of a POD that is not bound to a holder
+export const NO_OWNER = '0';
+
+// Scope signal of a proof made without a scope
+export const NO_SCOPE = '0';
+
+const parseSecret = (secret) => {
+  const text = String(secret).trim();
+  const parsed = /^\d+$/.test(text) ? BigInt(text) : null;
+  if (parsed === null || parsed === 0n || parsed >= SNARK_FIELD_SIZE) {
+    throw new Error('Owner secret must be a positive whole number below the field size');
+  }
+  return parsed;
+};
+
+/**
+ * Commitment to an owner's secret, embedded in the header of the POD's tree
+ * @param {string} secret - The owner secret
+ * @returns {string} Poseidon hash of the secret
+ */
+export const ownerCommitment = (secret) => poseidon1([parseSecret(secret)]).toString();
+
+/**
+ * Create a new holder identity
+ * The holder keeps the secret and gives the commitment to the issuer
+ * @returns {Object} The `secret` and its `commitment`
+ */
+export const generateOwnerIdentity = () => {
+  const secret = randomFieldElement().toString();
+  return { secret, commitment: ownerCommitment(secret) };
+};
+
+/**
+ * Encode a verifier's scope, such as "event-2025", as a signal
+ * Surrounding whitespace is ignored, so the prover and the verifier need not type the scope alike
+ * @param {string} scope - The scope, or an empty string for none
+ * @returns {string} The scope signal
+ */
+export const scopeSignal = (scope) => (scope?.trim() ? encodeValue('string', scope.trim()).toString() : NO_SCOPE);
+
+/**
+ * Nullifier a holder reveals when proving in a scope; the same holder always gets the same one per scope
+ * @param {string} secret - The owner secret
+ * @param {string} scope - The scope
+ * @returns {string} Poseidon hash of the scope signal and the secret
+ */
+export const computeNullifier = (secret, scope) =>
+  poseidon2([BigInt(scopeSignal(scope)), parseSecret(secret)]).toString();
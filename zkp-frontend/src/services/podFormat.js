@@ -0,0 +1,258 @@
+import { validateSchema } from './jsonSchema.js';
+import { DEFAULT_SCHEMA_ID, POD_SCHEMAS } from './podSchema.js';
+import { DEFAULT_VALUE_TYPE, VALUE_TYPES } from './valueEncoding.js';
+
+// Marks a JSON document as a POD
+export const POD_FORMAT = 'zkp-pod';
+
+// Version of the POD format this app writes; PODs without a `format` are version 1
+export const POD_FORMAT_VERSION = 2;
+
+// How the POD's tree is built: a fixed-depth sparse Merkle tree hashed with Poseidon over the BN254 scalar field
+export const POD_TREE_TYPE = 'sparse-merkle';
+export const POD_HASH = 'poseidon-bn254';
+
+// How entries become leaves: leaf 0 is Poseidon(owner, id, issuedAt, expiresAt), and each entry's leaf is
+// Poseidon(fieldIdentifier(schema, key), type tag, encoded value) (see podSchema.js and valueEncoding.js)
+export const POD_ENTRY_ENCODING = 'header-field-type-value-v1';
+
+// How the issuer signs the Merkle root: EdDSA over Baby Jubjub with Poseidon, as in @zk-kit/eddsa-poseidon
+export const POD_SIGNATURE_SCHEME = 'eddsa-poseidon-babyjubjub';
+
+const FIELD_ELEMENT = { type: 'string', pattern: '^\\d+$', description: 'a decimal field element' };
+const POINT = { type: 'array', items: FIELD_ELEMENT, minItems: 2, maxItems: 2 };
+const TIMESTAMP = { type: 'integer', minimum: 0 };
+const VALUE_TYPE = { type: 'string', enum: Object.keys(VALUE_TYPES) };
+
+/**
+ * JSON Schema of the key-value pairs a POD is created from, as PODCreator and `zkp pod create` take them
+ * Keys and values may be numbers, which are read as their decimal text; a missing type is resolved from the POD's schema or the value
+ */
+export const POD_ENTRIES_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    required: ['key', 'value'],
+    properties: {
+      key: { type: ['string', 'number'], pattern: '\\S', description: 'a non-empty key' },
+      value: { type: ['string', 'number', 'boolean'] },
+      type: VALUE_TYPE
+    }
+  }
+};
+
+/**
+ * Parse the key-value pairs a POD is created from, as typed into PODCreator
+ * JSON is read as it is. Anything else is read in the looser JavaScript-like syntax of the example
+ * input, with single quotes and unquoted keys, which rewriting it would break for JSON string values
+ * such as "O'Brien" or "10:30"
+ * @param {string} text - The entries
+ * @returns {*} The parsed entries, to be checked against POD_ENTRIES_SCHEMA
+ */
+export const parseEntriesInput = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    // Not JSON; try the loose syntax below
+  }
+
+  // Replace single quotes with double quotes and quote the keys
+  const sanitizedJson = text.replace(/'/g, '"').replace(/(\w+):/g, '"$1":');
+  try {
+    return JSON.parse(sanitizedJson);
+  } catch {
+    try {
+      // Evaluate it as a JavaScript expression, which handles what the rewrite above leaves unquoted
+      return (new Function(`return ${sanitizedJson}`))();
+    } catch (funcError) {
+      throw new Error(`Invalid JSON format: ${funcError.message}`);
+    }
+  }
+};
+
+// Version 1: the unsigned POD with `depth`, plus the `signature` and the issuer's `publicKey`
+const POD_SCHEMA_V1 = {
+  type: 'object',
+  required: ['id', 'issuedAt', 'data', 'depth', 'merkleRoot', 'signature', 'publicKey'],
+  properties: {
+    data: { type: 'array', items: { type: 'object' } },
+    depth: { type: ['integer', 'string'] },
+    signature: { type: 'object' },
+    publicKey: { type: 'array' }
+  }
+};
+
+/**
+ * JSON Schema of the POD format the app writes and reads
+ * Names the tree, hash, entry encoding and signature scheme the POD was built with, so a reader can tell
+ * whether it knows how to check it, and carries the issuer's public key with optional, unsigned metadata
+ */
+export const POD_FORMAT_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'POD',
+  type: 'object',
+  required: ['format', 'version', 'id', 'schema', 'issuedAt', 'entryEncoding', 'data', 'tree', 'merkleRoot', 'issuer', 'signature'],
+  additionalProperties: false,
+  properties: {
+    format: { const: POD_FORMAT },
+    version: { const: POD_FORMAT_VERSION },
+    id: FIELD_ELEMENT,
+    schema: { type: 'string', enum: Object.keys(POD_SCHEMAS) },
+    // Only PODs bound to a holder carry an owner, and only PODs that expire an expiry time
+    owner: FIELD_ELEMENT,
+    issuedAt: TIMESTAMP,
+    expiresAt: TIMESTAMP,
+    entryEncoding: { const: POD_ENTRY_ENCODING },
+    data: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['key', 'value', 'type'],
+        additionalProperties: false,
+        properties: {
+          key: { type: 'string', pattern: '\\S', description: 'a non-empty key' },
+          value: { type: 'string' },
+          type: VALUE_TYPE
+        }
+      }
+    },
+    tree: {
+      type: 'object',
+      required: ['type', 'hash', 'depth'],
+      additionalProperties: false,
+      properties: {
+        type: { const: POD_TREE_TYPE },
+        hash: { const: POD_HASH },
+        depth: { type: 'integer', minimum: 1, maximum: 32 }
+      }
+    },
+    merkleRoot: FIELD_ELEMENT,
+    issuer: {
+      type: 'object',
+      required: ['publicKey'],
+      properties: {
+        publicKey: POINT,
+        // Not covered by the signature; verifiers name issuers from their own trusted issuer list
+        name: { type: 'string' }
+      }
+    },
+    signature: {
+      type: 'object',
+      required: ['scheme', 'R8', 'S'],
+      additionalProperties: false,
+      properties: {
+        scheme: { const: POD_SIGNATURE_SCHEME },
+        R8: POINT,
+        S: FIELD_ELEMENT
+      }
+    }
+  }
+};
+
+// PODs of the app's first versions are version 1 too, but carry neither an id nor an issue time, and their
+// tree hashes keys and values into separate leaves, which the current circuit cannot prove claims against
+const isIncompatibleEarlierPOD = (pod) => pod.id === undefined && pod.issuedAt === undefined;
+
+const POD_SCHEMAS_BY_VERSION = {
+  1: POD_SCHEMA_V1,
+  [POD_FORMAT_VERSION]: POD_FORMAT_SCHEMA
+};
+
+// Upgrade a POD of each version to the next one
+const MIGRATIONS = {
+  1: ({ id, schema, owner, issuedAt, expiresAt, data, depth, merkleRoot, signature, publicKey }) => ({
+    format: POD_FORMAT,
+    version: 2,
+    id,
+    schema: schema ?? DEFAULT_SCHEMA_ID,
+    owner,
+    issuedAt,
+    expiresAt,
+    entryEncoding: POD_ENTRY_ENCODING,
+    data: data.map(({ key, value, type }) => ({ key, value, type: type ?? DEFAULT_VALUE_TYPE })),
+    tree: { type: POD_TREE_TYPE, hash: POD_HASH, depth: Number(depth) },
+    merkleRoot,
+    issuer: { publicKey },
+    signature: { scheme: POD_SIGNATURE_SCHEME, R8: signature.R8, S: signature.S }
+  })
+};
+
+/**
+ * Error in a POD's format, with one entry per problem so each field's problem can be shown next to it
+ */
+export class PODFormatError extends Error {
+  /**
+   * @param {Array<Object>} errors - The `path` of each problem in the POD and its `message`
+   * @param {string} prefix - What the message starts with
+   */
+  constructor(errors, prefix = 'Invalid POD') {
+    super(`${prefix}: ${errors.map(({ message }) => message).join('; ')}`);
+    this.name = 'PODFormatError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * The format version of a POD
+ * @param {Object} pod - The parsed POD
+ * @returns {number} Its version; 1 for PODs from before the format was versioned
+ */
+export const podVersion = (pod) => {
+  if (pod.format === undefined) {
+    return 1;
+  }
+  if (pod.format !== POD_FORMAT) {
+    throw new PODFormatError([{ path: 'format', message: `format must be ${JSON.stringify(POD_FORMAT)}, got ${JSON.stringify(pod.format)}` }], 'Not a POD');
+  }
+  if (!Number.isInteger(pod.version) || !POD_SCHEMAS_BY_VERSION[pod.version]) {
+    throw new PODFormatError([{
+      path: 'version',
+      message: pod.version > POD_FORMAT_VERSION
+        ? `version ${pod.version} is newer than this version of the app reads (${POD_FORMAT_VERSION})`
+        : `version must be a known POD format version, got ${JSON.stringify(pod.version)}`
+    }]);
+  }
+  return pod.version;
+};
+
+/**
+ * Read a POD, checking it against the schema of its version and upgrading it to the current format
+ * PODs issued by earlier versions of the app are upgraded one version at a time
+ * @param {Object|string} podInput - The POD, or its JSON
+ * @returns {Object} The POD in the current format
+ */
+export const readPOD = (podInput) => {
+  let pod = podInput;
+  if (typeof podInput === 'string') {
+    try {
+      pod = JSON.parse(podInput);
+    } catch (error) {
+      throw new Error(`POD is not valid JSON: ${error.message}`);
+    }
+  }
+  if (!pod || typeof pod !== 'object' || Array.isArray(pod)) {
+    throw new PODFormatError([{ path: '', message: 'POD must be an object' }]);
+  }
+
+  let version = podVersion(pod);
+  if (version === 1 && isIncompatibleEarlierPOD(pod)) {
+    throw new PODFormatError([{
+      path: '',
+      message: 'the POD was issued by an incompatible earlier version of the app, which this version cannot prove ' +
+        'claims about; ask the issuer to reissue it'
+    }]);
+  }
+  for (;;) {
+    const errors = validateSchema(POD_SCHEMAS_BY_VERSION[version], pod);
+    if (errors.length > 0) {
+      throw new PODFormatError(errors);
+    }
+    if (version === POD_FORMAT_VERSION) {
+      return pod;
+    }
+    pod = MIGRATIONS[version](pod);
+    version += 1;
+  }
+};
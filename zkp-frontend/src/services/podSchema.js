@@ -0,0 +1,102 @@
+import { poseidon2 } from 'poseidon-lite';
+import { DEFAULT_VALUE_TYPE, encodeValue, getValueType } from './valueEncoding.js';
+
+// Schema of PODs that do not name one; any field name and type is allowed
+export const DEFAULT_SCHEMA_ID = 'custom';
+
+/**
+ * Schemas a POD can follow.
+ * A schema with `fields` only accepts those fields, each with a fixed value type, so a verifier can
+ * name the field behind a proof's field identifier. `fields: null` accepts any field name.
+ */
+export const POD_SCHEMAS = {
+  custom: { label: 'Custom', fields: null },
+  identity: {
+    label: 'Identity document',
+    fields: {
+      firstName: 'string',
+      lastName: 'string',
+      dateOfBirth: 'date',
+      country: 'string',
+      documentNumber: 'string',
+      expiryDate: 'date'
+    }
+  },
+  membership: {
+    label: 'Membership card',
+    fields: {
+      memberId: 'string',
+      tier: 'string',
+      memberSince: 'date',
+      points: 'int',
+      active: 'boolean'
+    }
+  }
+};
+
+/**
+ * Look up a schema
+ * @param {string} schemaId - The schema ID
+ * @returns {Object} The schema definition
+ */
+export const getSchema = (schemaId) => {
+  const schema = POD_SCHEMAS[schemaId];
+  if (!schema) {
+    throw new Error(`Unknown POD schema: ${schemaId}`);
+  }
+  return schema;
+};
+
+/**
+ * Field identifier committed in an entry's leaf and public in proofs
+ * Binds the field name to its schema, so the same name in two schemas never shares an identifier
+ * @param {string} schemaId - The schema ID
+ * @param {string} field - The field name
+ * @returns {bigint} Poseidon hash of the string encodings of the schema ID and field name
+ */
+export const fieldIdentifier = (schemaId, field) =>
+  poseidon2([encodeValue('string', schemaId), encodeValue('string', field)]);
+
+// Identifier -> field of every schema that declares its fields, built on first use
+let knownFields = null;
+
+/**
+ * Find the schema field behind a field identifier
+ * Only fields of schemas that declare them can be found; custom field names must be supplied and checked
+ * @param {string|bigint} identifier - The field identifier
+ * @returns {Object|null} `{ schema, field }`, or null if no declared field has this identifier
+ */
+export const findField = (identifier) => {
+  if (!knownFields) {
+    knownFields = new Map();
+    for (const [schemaId, { fields }] of Object.entries(POD_SCHEMAS)) {
+      for (const field of Object.keys(fields ?? {})) {
+        knownFields.set(fieldIdentifier(schemaId, field).toString(), { schema: schemaId, field });
+      }
+    }
+  }
+  return knownFields.get(String(identifier)) ?? null;
+};
+
+/**
+ * Check an entry against a schema and resolve its value type
+ * @param {string} schemaId - The schema ID
+ * @param {string} field - The entry's field name
+ * @param {string} [type] - The declared value type, if any
+ * @returns {string} The value type ID: the schema's type for the field, otherwise the declared or default type
+ */
+export const resolveFieldType = (schemaId, field, type) => {
+  const { label, fields } = getSchema(schemaId);
+  if (!fields) {
+    getValueType(type ?? DEFAULT_VALUE_TYPE);
+    return type ?? DEFAULT_VALUE_TYPE;
+  }
+
+  if (!Object.hasOwn(fields, field)) {
+    throw new Error(`${label} schema has no field "${field}". Use one of: ${Object.keys(fields).join(', ')}`);
+  }
+  if (type !== undefined && type !== fields[field]) {
+    throw new Error(`Field ${field} of the ${label.toLowerCase()} schema has type ${fields[field]}, got ${type}`);
+  }
+  return fields[field];
+};
@@ -0,0 +1,65 @@
+// Expiry time of a POD that does not expire
+export const NO_EXPIRY = '0';
+
+// How far a proof's reference time may be ahead of the verifier's clock, whose time can differ from the prover's
+export const DEFAULT_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// How long after its reference time a proof is accepted by default: null, for any time. A proof only shows
+// its POD was valid at the reference time, so a verifier that needs it valid now sets a maximum age
+export const DEFAULT_MAX_PROOF_AGE_MS = null;
+
+// Largest time the circuit's 64-bit comparators accept
+const MAX_TIMESTAMP = 2n ** 64n - 1n;
+
+/**
+ * Parse a time given in milliseconds since the Unix epoch
+ * @param {string|number|bigint} value - The time
+ * @param {string} name - Name of the time, used in error messages
+ * @returns {string} The time as a decimal signal
+ */
+export const parseTimestamp = (value, name) => {
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text) || BigInt(text) > MAX_TIMESTAMP) {
+    throw new Error(`${name} must be a whole number of milliseconds since 1970, got "${text}"`);
+  }
+  return BigInt(text).toString();
+};
+
+/**
+ * Check whether a POD is valid at a given time
+ * @param {Object} validity - The POD's `issuedAt` and `expiresAt` (NO_EXPIRY if it does not expire)
+ * @param {number} time - The time to check, in milliseconds since the epoch
+ * @returns {string|null} Why the POD is not valid, or null if it is
+ */
+export const checkValidity = ({ issuedAt, expiresAt = NO_EXPIRY }, time) => {
+  if (BigInt(time) < BigInt(issuedAt)) {
+    return 'The POD is not valid yet';
+  }
+  if (String(expiresAt) !== NO_EXPIRY && BigInt(time) >= BigInt(expiresAt)) {
+    return 'The POD has expired';
+  }
+  return null;
+};
+
+/**
+ * Check a proof's reference time against the verifier's clock
+ * The circuit proves the POD was valid at the reference time; this decides whether that time is recent enough
+ * @param {string} referenceTime - The proof's public referenceTime signal
+ * @param {number} now - The verifier's current time
+ * @param {Object} options - The `maxAge` of a proof, null for any age, and the `clockSkew` a reference time may be ahead by
+ * @returns {string|null} Why the reference time is rejected, or null if it is accepted
+ */
+export const checkReferenceTime = (
+  referenceTime,
+  now = Date.now(),
+  { maxAge = DEFAULT_MAX_PROOF_AGE_MS, clockSkew = DEFAULT_CLOCK_SKEW_MS } = {}
+) => {
+  const age = now - Number(referenceTime);
+  if (-age > clockSkew) {
+    return 'Proven valid at a time in the future';
+  }
+  if (maxAge !== null && age > maxAge) {
+    return `Only proven valid at ${new Date(Number(referenceTime)).toISOString()}, longer ago than the maximum proof age`;
+  }
+  return null;
+};
@@ -0,0 +1,316 @@
+/**
+ * Compact binary encoding of Groth16 proofs, small enough for a QR code or a URL fragment
+ *
+ * A proof code is base64url of:
+ *   version (1 byte), flags (1 byte), circuit depth (1 byte),
+ *   the verification key hash (32 bytes, if flagged),
+ *   pi_a, pi_b and pi_c as compressed BN254 points (32, 64 and 32 bytes),
+ *   the number of public signals (1 byte) and each signal as its length in bytes followed by its
+ *   big-endian bytes, or REPEAT_SIGNAL for a copy of the previous signal (sets are padded with repeats)
+ * Compressed points hold x with its top bits flagging the point at infinity and which of the two
+ * square roots y is, so y is recomputed from the curve equation when the code is read
+ */
+
+// Version of the code layout this app writes and reads
+export const PROOF_CODE_VERSION = 1;
+
+// Name of the URL fragment parameter that carries a proof code, as in `#proof=<code>`
+export const PROOF_LINK_PARAM = 'proof';
+
+const FLAG_VKEY_HASH = 0x01;
+const REPEAT_SIGNAL = 0xff;
+const G1_SIZE = 32;
+const G2_SIZE = 64;
+
+// Top bits of a compressed point's first byte
+const POINT_INFINITY = 0x40;
+const POINT_Y_GREATER = 0x80;
+
+// Base field of BN254; p = 3 (mod 4), so square roots are a single exponentiation
+const P = 21888242871839275222246405745257275088696311157297823662689037894645226208583n;
+const HALF_P = (P - 1n) / 2n;
+
+// Coefficients of y^2 = x^3 + b for G1, and for G2 over Fp2 = Fp[i] / (i^2 + 1), with b = 3 / (9 + i)
+const B1 = 3n;
+const B2 = [
+  19485874751759354771024239261021720505790618469301721065564631296452457478373n,
+  266929791119991161246907387137283842545076965332900288569378510910307636690n
+];
+
+const mod = (a) => ((a % P) + P) % P;
+
+const pow = (base, exponent) => {
+  let result = 1n;
+  let b = mod(base);
+  for (let e = exponent; e > 0n; e >>= 1n) {
+    if (e & 1n) {
+      result = (result * b) % P;
+    }
+    b = (b * b) % P;
+  }
+  return result;
+};
+
+const inverse = (a) => pow(a, P - 2n);
+
+// A square root of a in Fp, or null if a is not a square
+const sqrt = (a) => {
+  const root = pow(a, (P + 1n) / 4n);
+  return (root * root) % P === mod(a) ? root : null;
+};
+
+// Arithmetic in Fp2, with elements as [c0, c1] for c0 + c1 * i
+const mul2 = ([a0, a1], [b0, b1]) => [mod(a0 * b0 - a1 * b1), mod(a0 * b1 + a1 * b0)];
+const add2 = ([a0, a1], [b0, b1]) => [mod(a0 + b0), mod(a1 + b1)];
+
+// A square root of a in Fp2, or null if a is not a square; found from the root of its norm a0^2 + a1^2
+const sqrt2 = ([a0, a1]) => {
+  if (a1 === 0n) {
+    const root = sqrt(a0);
+    if (root !== null) {
+      return [root, 0n];
+    }
+    const imaginary = sqrt(mod(-a0));
+    return imaginary === null ? null : [0n, imaginary];
+  }
+  const norm = sqrt(mod(a0 * a0 + a1 * a1));
+  if (norm === null) {
+    return null;
+  }
+  const half = inverse(2n);
+  const x0 = sqrt(mod((a0 + norm) * half)) ?? sqrt(mod((a0 - norm) * half));
+  if (x0 === null) {
+    return null;
+  }
+  const root = [x0, mod(a1 * inverse(2n * x0))];
+  const square = mul2(root, root);
+  return square[0] === mod(a0) && square[1] === mod(a1) ? root : null;
+};
+
+// Whether y is the greater of the two square roots, compared as integers (Fp2 elements by c1, then c0)
+const isGreater = (y) => y > HALF_P;
+const isGreater2 = ([y0, y1]) => (y1 === 0n ? isGreater(y0) : isGreater(y1));
+
+const toBytes = (value, size) => {
+  const bytes = new Uint8Array(size);
+  let rest = value;
+  for (let i = size - 1; i >= 0; i--) {
+    bytes[i] = Number(rest & 0xffn);
+    rest >>= 8n;
+  }
+  if (rest !== 0n) {
+    throw new Error(`Value does not fit in ${size} bytes`);
+  }
+  return bytes;
+};
+
+const fromBytes = (bytes) => bytes.reduce((value, byte) => (value << 8n) | BigInt(byte), 0n);
+
+// Reads a code's bytes in order, failing on codes that end early
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  read(size) {
+    if (this.offset + size > this.bytes.length) {
+      throw new Error('Invalid proof code: it ends early');
+    }
+    const bytes = this.bytes.subarray(this.offset, this.offset + size);
+    this.offset += size;
+    return bytes;
+  }
+
+  byte() {
+    return this.read(1)[0];
+  }
+}
+
+// snarkjs proofs hold points in projective form, which is affine with z = 1, or z = 0 at infinity
+const isInfinity = (z) => BigInt(Array.isArray(z) ? z[0] : z) === 0n && (!Array.isArray(z) || BigInt(z[1]) === 0n);
+
+const compressG1 = ([x, y, z = '1']) => {
+  if (isInfinity(z)) {
+    const bytes = new Uint8Array(G1_SIZE);
+    bytes[0] = POINT_INFINITY;
+    return bytes;
+  }
+  const bytes = toBytes(BigInt(x), G1_SIZE);
+  if (isGreater(BigInt(y))) {
+    bytes[0] |= POINT_Y_GREATER;
+  }
+  return bytes;
+};
+
+const decompressG1 = (bytes) => {
+  if (bytes[0] & POINT_INFINITY) {
+    return ['0', '1', '0'];
+  }
+  const x = fromBytes([bytes[0] & 0x3f, ...bytes.subarray(1)]);
+  const y = x < P ? sqrt(mod(x * x * x + B1)) : null;
+  if (y === null) {
+    throw new Error('Invalid proof code: a proof point is not on the curve');
+  }
+  const greater = Boolean(bytes[0] & POINT_Y_GREATER);
+  return [x, isGreater(y) === greater ? y : P - y, 1n].map(String);
+};
+
+const compressG2 = ([[x0, x1], [y0, y1], z = ['1', '0']]) => {
+  if (isInfinity(z)) {
+    const bytes = new Uint8Array(G2_SIZE);
+    bytes[0] = POINT_INFINITY;
+    return bytes;
+  }
+  // x = x0 + x1 * i is written as x1 then x0
+  const bytes = new Uint8Array(G2_SIZE);
+  bytes.set(toBytes(BigInt(x1), G2_SIZE / 2), 0);
+  bytes.set(toBytes(BigInt(x0), G2_SIZE / 2), G2_SIZE / 2);
+  if (isGreater2([BigInt(y0), BigInt(y1)])) {
+    bytes[0] |= POINT_Y_GREATER;
+  }
+  return bytes;
+};
+
+const decompressG2 = (bytes) => {
+  if (bytes[0] & POINT_INFINITY) {
+    return [['0', '0'], ['1', '0'], ['0', '0']];
+  }
+  const x1 = fromBytes([bytes[0] & 0x3f, ...bytes.subarray(1, G2_SIZE / 2)]);
+  const x0 = fromBytes(bytes.subarray(G2_SIZE / 2));
+  const x = [x0, x1];
+  const y = x0 < P && x1 < P ? sqrt2(add2(mul2(mul2(x, x), x), B2)) : null;
+  if (y === null) {
+    throw new Error('Invalid proof code: a proof point is not on the curve');
+  }
+  const greater = Boolean(bytes[0] & POINT_Y_GREATER);
+  const root = isGreater2(y) === greater ? y : [mod(-y[0]), mod(-y[1])];
+  return [x, root, [1n, 0n]].map((coordinate) => coordinate.map(String));
+};
+
+const toBase64Url = (bytes) =>
+  btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (code) => {
+  if (!/^[A-Za-z0-9_-]+$/.test(code)) {
+    throw new Error('Invalid proof code: it must be base64url');
+  }
+  let binary;
+  try {
+    binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+  } catch {
+    throw new Error('Invalid proof code: it is cut off or has extra characters');
+  }
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+/**
+ * Encode a Groth16 proof and its public signals as a proof code
+ * @param {Object} parts - The proof's circuit `depth`, `vkeyHash` (optional), Groth16 `proof` and `publicSignals`
+ * @returns {string} The proof code, as base64url
+ */
+export const encodeProofCode = ({ depth, vkeyHash, proof, publicSignals }) => {
+  if (publicSignals.length > REPEAT_SIGNAL) {
+    throw new Error(`A proof code holds at most ${REPEAT_SIGNAL} public signals, got ${publicSignals.length}`);
+  }
+  const chunks = [Uint8Array.of(PROOF_CODE_VERSION, vkeyHash ? FLAG_VKEY_HASH : 0, depth)];
+  if (vkeyHash) {
+    chunks.push(toBytes(BigInt(`0x${vkeyHash}`), 32));
+  }
+  chunks.push(compressG1(proof.pi_a), compressG2(proof.pi_b), compressG1(proof.pi_c));
+
+  chunks.push(Uint8Array.of(publicSignals.length));
+  publicSignals.forEach((signal, i) => {
+    if (i > 0 && String(signal) === String(publicSignals[i - 1])) {
+      chunks.push(Uint8Array.of(REPEAT_SIGNAL));
+      return;
+    }
+    const value = BigInt(signal);
+    const size = value === 0n ? 0 : Math.ceil(value.toString(16).length / 2);
+    chunks.push(Uint8Array.of(size), toBytes(value, size));
+  });
+
+  const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  chunks.reduce((offset, chunk) => {
+    bytes.set(chunk, offset);
+    return offset + chunk.length;
+  }, 0);
+  return toBase64Url(bytes);
+};
+
+/**
+ * Decode a proof code
+ * @param {string} code - The proof code, as base64url
+ * @returns {Object} The circuit `depth`, `vkeyHash` (undefined if the code has none), the Groth16 `proof` as snarkjs
+ *   writes it, and the `publicSignals`
+ */
+export const decodeProofCode = (code) => {
+  const reader = new ByteReader(fromBase64Url(code));
+  const version = reader.byte();
+  if (version !== PROOF_CODE_VERSION) {
+    throw new Error(version > PROOF_CODE_VERSION
+      ? `Proof code version ${version} is newer than this version of the app reads (${PROOF_CODE_VERSION})`
+      : `Unknown proof code version: ${version}`);
+  }
+  const flags = reader.byte();
+  const depth = reader.byte();
+  const vkeyHash = flags & FLAG_VKEY_HASH
+    ? Array.from(reader.read(32), (byte) => byte.toString(16).padStart(2, '0')).join('')
+    : undefined;
+
+  const proof = {
+    pi_a: decompressG1(reader.read(G1_SIZE)),
+    pi_b: decompressG2(reader.read(G2_SIZE)),
+    pi_c: decompressG1(reader.read(G1_SIZE)),
+    protocol: 'groth16',
+    curve: 'bn128'
+  };
+
+  const publicSignals = [];
+  const count = reader.byte();
+  for (let i = 0; i < count; i++) {
+    const size = reader.byte();
+    if (size === REPEAT_SIGNAL) {
+      if (i === 0) {
+        throw new Error('Invalid proof code: the first public signal cannot repeat another');
+      }
+      publicSignals.push(publicSignals[i - 1]);
+    } else if (size > 32) {
+      throw new Error(`Invalid proof code: public signal ${i} is ${size} bytes long`);
+    } else {
+      publicSignals.push(fromBytes(reader.read(size)).toString());
+    }
+  }
+  if (reader.offset !== reader.bytes.length) {
+    throw new Error('Invalid proof code: it has bytes after the public signals');
+  }
+
+  return { depth, vkeyHash, proof, publicSignals };
+};
+
+/**
+ * Find a proof code in text, such as a scanned QR code or a `#proof=` link
+ * @param {string} text - A proof link, a bare proof code, or anything else
+ * @returns {string|null} The proof code, or null if the text is neither a link with one nor a code
+ */
+export const readProofCode = (text) => {
+  const trimmed = text.trim();
+  const link = new RegExp(`[#&]${PROOF_LINK_PARAM}=([A-Za-z0-9_-]+)`).exec(trimmed);
+  if (link) {
+    return link[1];
+  }
+  return /^[A-Za-z0-9_-]+$/.test(trimmed) ? trimmed : null;
+};
+
+/**
+ * Link that opens the app's Verify Proof page with a proof
+ * Only the app's origin and path are kept: the verifier checks the proof with their own artifact set,
+ * never with one the prover's address names
+ * @param {string} code - The proof code
+ * @param {string} baseUrl - The app's address
+ * @returns {string} The link, with the code in its fragment so it is not sent to the server
+ */
+export const proofLink = (code, baseUrl) => {
+  const { origin, pathname } = new URL(baseUrl);
+  return `${origin}${pathname}#${PROOF_LINK_PARAM}=${code}`;
+};
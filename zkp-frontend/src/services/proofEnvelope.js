@@ -0,0 +1,157 @@
+import { validateSchema } from './jsonSchema.js';
+import { sha256Hex } from './artifactCache.js';
+import { PROVING_SYSTEMS, getProvingSystem } from './provingSystems.js';
+
+// Marks a JSON document as a proof envelope
+export const PROOF_FORMAT = 'zkp-pod-proof';
+
+// Version of the envelope this app writes
+export const PROOF_FORMAT_VERSION = 1;
+
+const FIELD_ELEMENT = { type: 'string', pattern: '^\\d+$', description: 'a decimal field element' };
+const FIELD_ELEMENTS = { type: 'array', items: FIELD_ELEMENT };
+const PROTOCOL = { type: 'string', enum: Object.keys(PROVING_SYSTEMS) };
+
+/**
+ * JSON Schema of the proof envelope the app writes and reads
+ * Names the circuit, proving system and verification key of the proof, and holds the claims and public
+ * inputs decoded from its public signals, which the verifier checks against the signals. `context` is
+ * what the prover adds that the proof does not cover, such as the plaintext scope
+ */
+export const PROOF_ENVELOPE_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'POD proof',
+  type: 'object',
+  required: ['format', 'version', 'protocol', 'circuit', 'proof', 'publicSignals', 'claims', 'publicInputs'],
+  additionalProperties: false,
+  properties: {
+    format: { const: PROOF_FORMAT },
+    version: { const: PROOF_FORMAT_VERSION },
+    protocol: PROTOCOL,
+    circuit: {
+      type: 'object',
+      required: ['id', 'depth'],
+      properties: {
+        id: { type: 'string', pattern: '^proveValueInMerkle_d\\d+$', description: 'a circuit ID such as proveValueInMerkle_d4' },
+        depth: { type: 'integer', minimum: 1 },
+        // SHA-256 of the verification key's JSON, see verificationKeyHash
+        vkeyHash: { type: 'string', pattern: '^[0-9a-f]{64}$', description: 'a lowercase hex SHA-256 hash' }
+      }
+    },
+    // Checked by the proving system, whose proofs each have their own shape
+    proof: { type: 'object' },
+    publicSignals: FIELD_ELEMENTS,
+    calldata: { type: 'object' },
+    claims: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['key', 'valueType', 'predicate', 'lowerBound', 'upperBound', 'rangeMode', 'set', 'denyRoot'],
+        properties: {
+          key: FIELD_ELEMENT,
+          schema: { type: 'string' },
+          field: { type: 'string' },
+          valueType: FIELD_ELEMENT,
+          predicate: FIELD_ELEMENT,
+          lowerBound: FIELD_ELEMENT,
+          upperBound: FIELD_ELEMENT,
+          rangeMode: FIELD_ELEMENT,
+          set: FIELD_ELEMENTS,
+          denyRoot: FIELD_ELEMENT,
+          setValues: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    publicInputs: {
+      type: 'object',
+      required: ['pubKey', 'challenge', 'nullifier', 'revocationRoot', 'referenceTime'],
+      properties: {
+        pubKey: { ...FIELD_ELEMENTS, minItems: 2, maxItems: 2 },
+        challenge: FIELD_ELEMENT,
+        nullifier: FIELD_ELEMENT,
+        revocationRoot: FIELD_ELEMENT,
+        referenceTime: FIELD_ELEMENT
+      }
+    },
+    description: { type: 'string' },
+    context: {
+      type: 'object',
+      properties: {
+        createdAt: { type: 'integer' },
+        scope: { type: 'string' }
+      }
+    }
+  }
+};
+
+const PROOF_SCHEMAS = {
+  [PROOF_FORMAT_VERSION]: PROOF_ENVELOPE_SCHEMA
+};
+
+// Upgrade a proof of each version to the next one, once there are versions before the current one
+const MIGRATIONS = {};
+
+/**
+ * The envelope version of a proof
+ * @param {Object} proofData - The parsed proof
+ * @returns {number} Its version
+ */
+export const proofVersion = (proofData) => {
+  // Proofs saved before the envelope, as `{ proof, publicSignals, meta }`, were made with the app's first circuit.
+  // Its public signals are not the current circuit's, so no key of it verifies them and nothing can be carried over
+  if (proofData.format === undefined && proofData.meta !== undefined) {
+    throw new Error('Invalid proof format: the proof was made with an earlier circuit, before proofs named their ' +
+      'circuit, and this version of the app cannot verify it; prove the claim again');
+  }
+  if (proofData.format !== PROOF_FORMAT) {
+    throw new Error(`Not a proof: format is ${JSON.stringify(proofData.format)}, expected ${PROOF_FORMAT}`);
+  }
+  if (!Number.isInteger(proofData.version) || !PROOF_SCHEMAS[proofData.version]) {
+    throw new Error(proofData.version > PROOF_FORMAT_VERSION
+      ? `Proof format version ${proofData.version} is newer than this version of the app reads (${PROOF_FORMAT_VERSION})`
+      : `Unknown proof format version: ${JSON.stringify(proofData.version)}`);
+  }
+  return proofData.version;
+};
+
+/**
+ * Validate a proof against the schema of its version and upgrade it to the current envelope
+ * Proofs saved by earlier versions of the envelope are upgraded one version at a time
+ * @param {Object} proofData - The parsed proof, of any version
+ * @returns {Object} The proof as a current envelope
+ */
+export const upgradeProof = (proofData) => {
+  if (!proofData || typeof proofData !== 'object' || Array.isArray(proofData)) {
+    throw new Error('Invalid proof format: expected an object with proof and publicSignals');
+  }
+
+  let version = proofVersion(proofData);
+  let upgraded = proofData;
+  for (;;) {
+    const problems = validateSchema(PROOF_SCHEMAS[version], upgraded).map(({ message }) => message);
+    if (problems.length === 0 && version === PROOF_FORMAT_VERSION) {
+      const { protocol, proof } = upgraded;
+      problems.push(...getProvingSystem(protocol).checkProof(proof));
+      if (proof.protocol !== undefined && proof.protocol !== protocol) {
+        problems.push(`proof.protocol must be ${protocol}, got ${proof.protocol}`);
+      }
+    }
+    if (problems.length > 0) {
+      throw new Error(`Invalid proof format: ${problems.join('; ')}`);
+    }
+
+    if (version === PROOF_FORMAT_VERSION) {
+      return upgraded;
+    }
+    upgraded = MIGRATIONS[version](upgraded);
+    version += 1;
+  }
+};
+
+/**
+ * Hash of a verification key that proofs name it by
+ * @param {Object} vKey - The verification key
+ * @returns {Promise<string>} SHA-256 of the key's JSON, as lowercase hex
+ */
+export const verificationKeyHash = (vKey) => sha256Hex(new TextEncoder().encode(JSON.stringify(vKey)));
@@ -1,120 +1,576 @@
-import * as snarkjs from 'snarkjs';
+import { decodeValue, encodeValue, getValueType, valueTypeFromTag } from './valueEncoding.js';
+import { SortedMerkleTree } from './sortedMerkleTree.js';
+import { fieldIdentifier, findField } from './podSchema.js';
+import { NO_CHALLENGE, parseChallenge } from './challengeService.js';
+import { NO_OWNER, ownerCommitment, scopeSignal } from './ownerIdentity.js';
+import { NO_REVOCATION_LIST, REVOCATION_DEPTH, RevocationList } from './revocationList.js';
+import { checkValidity, parseTimestamp } from './podValidity.js';
+import { ProverClient } from './proverClient.js';
+import { CircuitLoader } from './circuitLoader.js';
+import { DEFAULT_PROTOCOL, PROVING_SYSTEMS, getProvingSystem } from './provingSystems.js';
+import { PROOF_FORMAT, PROOF_FORMAT_VERSION, upgradeProof, verificationKeyHash } from './proofEnvelope.js';
+import { decodeProofCode, encodeProofCode, readProofCode } from './proofCode.js';
+
+/**
+ * Layout of the circuit's public signals.
+ * snarkjs emits outputs first and then the public inputs in the order they
+ * are declared in the main template, not the order of the `public [...]` list.
+ */
+export const PUBLIC_SIGNAL_LAYOUT = [
+  { name: 'nullifier', size: 1 },
+  { name: 'claimEnabled', size: 1, perClaim: true },
+  { name: 'key', size: 1, perClaim: true },
+  { name: 'valueType', size: 1, perClaim: true },
+  { name: 'predicate', size: 1, perClaim: true },
+  { name: 'lowerbound', size: 1, perClaim: true },
+  { name: 'upperbound', size: 1, perClaim: true },
+  { name: 'rangeMode', size: 1, perClaim: true },
+  { name: 'set', size: 8, perClaim: true },
+  { name: 'denyRoot', size: 1, perClaim: true },
+  { name: 'pubKey', size: 2 },
+  { name: 'challenge', size: 1 },
+  { name: 'scope', size: 1 },
+  { name: 'revocationRoot', size: 1 },
+  { name: 'referenceTime', size: 1 }
+];
+
+// Number of claims one proof can make, fixed by the circuit's maxClaims parameter.
+// Every `perClaim` input above is an array with one entry per claim
+export const MAX_CLAIMS = 3;
+
+// Number of public signals of a proof
+export const PUBLIC_SIGNAL_COUNT = PUBLIC_SIGNAL_LAYOUT.reduce(
+  (total, { size, perClaim }) => total + size * (perClaim ? MAX_CLAIMS : 1),
+  0
+);
+
+// Number of values an equality or membership predicate can compare against
+export const MAX_SET_SIZE = PUBLIC_SIGNAL_LAYOUT.find(({ name }) => name === 'set').size;
+
+// Depth of the sorted denylist tree, fixed by the circuit's denyDepth parameter
+export const DENYLIST_DEPTH = 8;
+
+/**
+ * Predicates a proof can make about the hidden value, keyed by ID.
+ * `value` is what the circuit receives in its public `predicate` signal,
+ * `maxValues` is how many comparison values the predicate takes (0 for ranges, which use bounds).
+ * A denylist is committed to as the root of a SortedMerkleTree, which reserves two leaves for sentinels.
+ */
+export const PREDICATES = {
+  range: { value: 0, label: 'Within a range', maxValues: 0 },
+  equal: { value: 1, label: 'Equal to a value', maxValues: 1 },
+  member: { value: 2, label: 'One of a set of values', maxValues: MAX_SET_SIZE },
+  notMember: { value: 3, label: 'Not in a denylist', maxValues: 2 ** DENYLIST_DEPTH - 2 }
+};
+
+/**
+ * Look up a predicate by the value of its public signal
+ * @param {string|number} signal - The predicate public signal
+ * @returns {string} The predicate ID
+ */
+export const predicateFromSignal = (signal) => {
+  const predicateId = Object.keys(PREDICATES).find((id) => String(PREDICATES[id].value) === String(signal));
+  if (!predicateId) {
+    throw new Error(`Unknown predicate: ${signal}`);
+  }
+  return predicateId;
+};
+
+/**
+ * Range modes supported by the circuit, keyed by ID.
+ * `value` is what the circuit receives in its public `rangeMode` signal.
+ */
+export const RANGE_MODES = {
+  inclusive: { value: 0, label: 'Inclusive (lower ≤ value ≤ upper)', usesLower: true, usesUpper: true },
+  exclusive: { value: 1, label: 'Exclusive (lower < value < upper)', usesLower: true, usesUpper: true },
+  lowerOnly: { value: 2, label: 'Lower bound only (value ≥ lower)', usesLower: true, usesUpper: false },
+  upperOnly: { value: 3, label: 'Upper bound only (value ≤ upper)', usesLower: false, usesUpper: true }
+};
+
+/**
+ * Look up a range mode by the value of its public signal
+ * @param {string|number} signal - The rangeMode public signal
+ * @returns {string} The range mode ID
+ */
+export const rangeModeFromSignal = (signal) => {
+  const modeId = Object.keys(RANGE_MODES).find((id) => String(RANGE_MODES[id].value) === String(signal));
+  if (!modeId) {
+    throw new Error(`Unknown range mode: ${signal}`);
+  }
+  return modeId;
+};
+
+// Largest value accepted by the circuit's 64-bit range checks
+export const MAX_UINT64 = 2n ** 64n - 1n;
+
+/**
+ * Parse a value that the circuit constrains to 64 bits
+ * @param {string|number|bigint} value - The value to check
+ * @param {string} name - Name of the value, used in error messages
+ * @returns {bigint} The parsed value
+ */
+export const parseUint64 = (value, name) => {
+  const text = String(value).trim();
+  
+  if (/^-\d+$/.test(text)) {
+    throw new Error(`${name} must not be negative, got ${text}`);
+  }
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`${name} must be a whole number, got "${text}"`);
+  }
+  
+  const parsed = BigInt(text);
+  if (parsed > MAX_UINT64) {
+    throw new Error(`${name} must be at most ${MAX_UINT64} (64 bits), got ${text}`);
+  }
+  return parsed;
+};
+
+/**
+ * Encode a range bound given in a value's own type (e.g. a date) the way the circuit compares it
+ * @param {string} type - The value type ID
+ * @param {string} bound - The raw bound
+ * @param {string} name - Name of the bound, used in error messages
+ * @returns {string} The encoded bound
+ */
+export const encodeBound = (type, bound, name) => {
+  const valueType = getValueType(type);
+  if (!valueType.rangeable) {
+    throw new Error(`Range proofs are not supported for ${valueType.label.toLowerCase()} values`);
+  }
+  
+  try {
+    return encodeValue(type, bound).toString();
+  } catch (error) {
+    throw new Error(`${name}: ${error.message}`);
+  }
+};
+
+/**
+ * Encode the comparison values of an equality, membership or denylist predicate
+ * Values are given in the value's own type; duplicates are dropped
+ * @param {string} type - The value type ID
+ * @param {Array<string>} values - The raw values
+ * @param {string} predicate - The predicate ID
+ * @returns {Array<string>} The distinct encoded values, in input order
+ */
+export const encodeSet = (type, values, predicate) => {
+  const { maxValues } = PREDICATES[predicate];
+  if (!Array.isArray(values) || values.length === 0) {
+    throw new Error('At least one value is required');
+  }
+  
+  const encoded = [];
+  values.forEach((value, i) => {
+    try {
+      const item = encodeValue(type, value).toString();
+      if (!encoded.includes(item)) {
+        encoded.push(item);
+      }
+    } catch (error) {
+      throw new Error(`Value ${i + 1}: ${error.message}`);
+    }
+  });
+  
+  if (encoded.length > maxValues) {
+    throw new Error(`At most ${maxValues} distinct value(s) are supported, got ${encoded.length}`);
+  }
+  return encoded;
+};
+
+/**
+ * Check that a value satisfies a claim. The circuit cannot compute a witness for a claim that does not hold,
+ * and snarkjs only reports that as a failed assertion, so this says why before proving
+ * @param {string|bigint} value - The encoded value
+ * @param {Object} claim - The claim's `predicate`, and its `rangeMode` and encoded `lowerbound` and `upperbound`
+ *   or its encoded `set` of values
+ * @returns {string|null} Why the value does not satisfy the claim, or null if it does
+ */
+export const checkClaimValue = (value, { predicate = 'range', rangeMode, lowerbound, upperbound, set }) => {
+  if (predicate === 'equal' || predicate === 'member') {
+    const isInSet = set.some((item) => BigInt(item) === BigInt(value));
+    if (isInSet) {
+      return null;
+    }
+    return predicate === 'equal' ? 'The value is not equal to the given value' : 'The value is not one of the given values';
+  }
+  if (predicate === 'notMember') {
+    return set.some((item) => BigInt(item) === BigInt(value)) ? 'The value is in the denylist' : null;
+  }
+  
+  const { usesLower, usesUpper } = RANGE_MODES[rangeMode];
+  const isExclusive = rangeMode === 'exclusive';
+  const encoded = BigInt(value);
+  if (usesLower && (isExclusive ? encoded <= BigInt(lowerbound) : encoded < BigInt(lowerbound))) {
+    return isExclusive ? 'The value is not above the lower bound' : 'The value is below the lower bound';
+  }
+  if (usesUpper && (isExclusive ? encoded >= BigInt(upperbound) : encoded > BigInt(upperbound))) {
+    return isExclusive ? 'The value is not below the upper bound' : 'The value is above the upper bound';
+  }
+  return null;
+};
+
+// Denylist inputs of a claim that does not use the notMember predicate
+const emptyExclusionProof = () => ({
+  root: '0',
+  low: '0',
+  lowIndex: 0,
+  lowSiblings: Array(DENYLIST_DEPTH).fill('0'),
+  high: '0',
+  highSiblings: Array(DENYLIST_DEPTH).fill('0')
+});
+
+// Revocation inputs of a proof that is not checked against a revocation list
+const emptyRevocationWitness = () => ({
+  root: NO_REVOCATION_LIST,
+  low: '0',
+  lowIndex: 0,
+  lowSiblings: Array(REVOCATION_DEPTH).fill('0'),
+  high: '0',
+  highSiblings: Array(REVOCATION_DEPTH).fill('0')
+});
+
+// Inputs of an unused claim slot; the circuit skips every check of a disabled claim
+const disabledClaimInputs = (depth) => {
+  const exclusion = emptyExclusionProof();
+  return {
+    claimEnabled: 0,
+    key: '0',
+    valueType: 0,
+    predicate: 0,
+    value: '0',
+    lowerbound: '0',
+    upperbound: '0',
+    rangeMode: 0,
+    set: Array(MAX_SET_SIZE).fill('0'),
+    denyRoot: exclusion.root,
+    denyLow: exclusion.low,
+    denyLowIndex: exclusion.lowIndex,
+    denyLowSiblings: exclusion.lowSiblings,
+    denyHigh: exclusion.high,
+    denyHighSiblings: exclusion.highSiblings,
+    index: '0',
+    siblings: Array(depth).fill('0')
+  };
+};
+
+// Convert a circuit input, possibly a nested array, to the strings snarkjs expects
+const toSignal = (value) => (Array.isArray(value) ? value.map(toSignal) : value.toString());
+
+// Proofs of an earlier circuit layout can be read, but never verified by this one's keys
+const checkSignalCount = (publicSignals) => {
+  if (Array.isArray(publicSignals) && publicSignals.length !== PUBLIC_SIGNAL_COUNT) {
+    throw new Error(
+      `Invalid proof format: publicSignals must have ${PUBLIC_SIGNAL_COUNT} entries, got ${publicSignals.length}; ` +
+      'the proof was made with another version of the circuit'
+    );
+  }
+};
+
+// Normalize a numeric value so "018", 18 and 18n compare equal
+const normalizeSignal = (value) => {
+  try {
+    return BigInt(value).toString();
+  } catch {
+    return String(value);
+  }
+};
 
 /**
  * ProofService - Handle ZK proof generation and verification
  */
 export class ProofService {
-  constructor() {
-    // Paths to the required artifacts
-    // These are in the public folder
-    this.wasmPath = '/circuit/circuit.wasm';
-    this.zkeyPath = '/circuit/circuit_final.zkey';
-    this.vkeyPath = '/circuit/verification_key.json';
-    
-    // Cache the verification key once loaded
-    this.vKey = null;
+  /**
+   * @param {CircuitLoader} circuitLoader - Loads the artifact set proofs are generated and verified with
+   * @param {ProverClient|null} prover - Generates proofs off the main thread; null proves on the calling thread
+   */
+  constructor(circuitLoader = new CircuitLoader(), prover = ProverClient.isSupported() ? new ProverClient() : null) {
+    this.circuitLoader = circuitLoader;
+    this.prover = prover;
   }
   
   /**
-   * Load the verification key
+   * Load the verification key of a circuit
+   * @param {Object} circuit - Manifest entry of the circuit (see CircuitLoader)
+   * @param {string} protocol - The proving system the key is for
    * @returns {Promise<Object>} The verification key
    */
-  async loadVerificationKey() {
-    if (this.vKey) {
-      return this.vKey;
-    }
-    
+  async loadVerificationKey(circuit, protocol = DEFAULT_PROTOCOL) {
     try {
-      const response = await fetch(this.vkeyPath);
-      this.vKey = await response.json();
-      return this.vKey;
+      return await this.circuitLoader.getVerificationKey(circuit.id, protocol);
     } catch (error) {
       throw new Error(`Failed to load verification key: ${error.message}`);
     }
   }
 
   /**
-   * Format the circuit inputs from a proof request
-   * @param {Object} proofRequest - Object containing necessary data for the proof
-   * @returns {Object} Formatted inputs for the circuit
+   * Format the circuit inputs of a single claim
+   * @param {Object} claim - The entry (from MerkleTreeService.getProof) and the predicate to prove about it
+   * @param {Object} circuit - Manifest entry of the circuit that will prove it
+   * @returns {Object} The claim's value for every per-claim circuit input
    */
-  formatCircuitInputs(proofRequest) {
+  formatClaimInputs(claim, circuit) {
     const {
       key,
       value,
+      valueType,
       index,
       siblings,
-      root,
       lowerbound,
       upperbound,
-      signedRoot_R8,
-      signedRoot_S,
-      pubKey
-    } = proofRequest;
+      rangeMode = 'exclusive',
+      predicate = 'range',
+      set
+    } = claim;
+    
+    if (!PREDICATES[predicate]) {
+      throw new Error(`Unknown predicate: ${predicate}`);
+    }
+    const isRange = predicate === 'range';
+    const isNotMember = predicate === 'notMember';
     
-    // Ensure all fields are present
-    if (!key || !value || !index || !siblings || !root || 
-        lowerbound === undefined || upperbound === undefined || 
-        !signedRoot_R8 || !signedRoot_S || !pubKey) {
+    const mode = RANGE_MODES[rangeMode];
+    if (isRange && !mode) {
+      throw new Error(`Unknown range mode: ${rangeMode}`);
+    }
+    
+    // Ensure all fields are present; a one-sided range only needs its own bound
+    if (!key || !value || !valueType || !index || !siblings ||
+        (isRange && mode.usesLower && (lowerbound === undefined || lowerbound === '')) ||
+        (isRange && mode.usesUpper && (upperbound === undefined || upperbound === '')) ||
+        (!isRange && !set)) {
       throw new Error('Missing required fields in proof request');
     }
     
-    // Format inputs for the circuit in the expected format
+    // Bounds and set values are given in the value's own type. Signals the predicate does not use,
+    // such as the unused bound of a one-sided range, are pinned to 0 so the public signals are canonical
+    const encodedLowerbound = isRange && mode.usesLower ? encodeBound(valueType, lowerbound, 'Lower bound') : '0';
+    const encodedUpperbound = isRange && mode.usesUpper ? encodeBound(valueType, upperbound, 'Upper bound') : '0';
+    
+    // Unused set slots repeat the first value, so padding never matches a value outside the set
+    const encodedSet = isRange
+      ? Array(MAX_SET_SIZE).fill('0')
+      : encodeSet(valueType, set, predicate);
+    const paddedSet = isNotMember
+      ? Array(MAX_SET_SIZE).fill('0')
+      : [...encodedSet, ...Array(MAX_SET_SIZE - encodedSet.length).fill(encodedSet[0])];
+    
+    // The circuit range-checks these to 64 bits; reject bad values here rather than as a witness failure
+    if (isRange) {
+      parseUint64(value, 'Value');
+    }
+    parseUint64(encodedLowerbound, 'Lower bound');
+    parseUint64(encodedUpperbound, 'Upper bound');
+    
+    const claimProblem = checkClaimValue(value, {
+      predicate,
+      rangeMode,
+      lowerbound: encodedLowerbound,
+      upperbound: encodedUpperbound,
+      set: encodedSet
+    });
+    if (claimProblem) {
+      throw new Error(claimProblem);
+    }
+    
+    // A denylist is only public through its root; the prover opens the two leaves around the value
+    const exclusion = isNotMember
+      ? this.buildExclusionProof(encodedSet, value)
+      : emptyExclusionProof();
+    
+    if (siblings.length > circuit.depth) {
+      throw new Error(`Circuit ${circuit.id} supports trees up to depth ${circuit.depth}, got depth ${siblings.length}`);
+    }
+    
+    // Levels above the tree's depth are ignored by the circuit, so pad their siblings with 0
     return {
+      claimEnabled: 1,
       key,
+      valueType: getValueType(valueType).tag,
+      predicate: PREDICATES[predicate].value,
       value,
+      lowerbound: encodedLowerbound,
+      upperbound: encodedUpperbound,
+      rangeMode: isRange ? mode.value : 0,
+      set: paddedSet,
+      denyRoot: exclusion.root,
+      denyLow: exclusion.low,
+      denyLowIndex: exclusion.lowIndex,
+      denyLowSiblings: exclusion.lowSiblings,
+      denyHigh: exclusion.high,
+      denyHighSiblings: exclusion.highSiblings,
       index,
-      siblings,
+      siblings: [...siblings, ...Array(circuit.depth - siblings.length).fill('0')]
+    };
+  }
+
+  /**
+   * Format the circuit inputs from a proof request
+   * @param {Object} proofRequest - The POD's root, depth, signature and `header` (see MerkleTreeService.getHeaderProof),
+   *   up to MAX_CLAIMS `claims` (see formatClaimInputs), an optional verifier `challenge` and `scope`, the
+   *   `ownerSecret` of a POD bound to a holder, an optional issuer `revocationList` (see RevocationList.exportData)
+   *   to prove the POD is not on, and the `referenceTime` to prove the POD valid at, which defaults to now;
+   *   a request for one claim may give its fields at the top level instead
+   * @param {Object} circuit - Manifest entry of the circuit that will prove it
+   * @returns {Object} Formatted inputs for the circuit
+   */
+  formatCircuitInputs(proofRequest, circuit) {
+    const {
+      depth,
       root,
-      lowerbound,
-      upperbound,
       signedRoot_R8,
       signedRoot_S,
-      pubKey
+      pubKey,
+      header,
+      ownerSecret,
+      challenge = NO_CHALLENGE,
+      scope = '',
+      revocationList,
+      referenceTime = Date.now()
+    } = proofRequest;
+    const claims = proofRequest.claims ?? [proofRequest];
+    
+    // Ensure all shared fields are present
+    if (!depth || !root || !signedRoot_R8 || !signedRoot_S || !pubKey || !header) {
+      throw new Error('Missing required fields in proof request');
+    }
+    
+    // Only the holder of a bound POD can prove from it
+    const isBound = header.owner !== NO_OWNER;
+    if (isBound && !ownerSecret) {
+      throw new Error('This POD is bound to its holder; the owner secret is required');
+    }
+    if (isBound && ownerCommitment(ownerSecret) !== header.owner) {
+      throw new Error('The owner secret does not match the POD\'s owner');
+    }
+    
+    // The circuit would reject a POD outside its validity period, so report why up front
+    const time = parseTimestamp(referenceTime, 'Reference time');
+    const validityProblem = checkValidity(header, time);
+    if (validityProblem) {
+      throw new Error(validityProblem);
+    }
+    
+    const revocation = revocationList
+      ? RevocationList.fromJSON(revocationList).generateWitness(header.podId)
+      : emptyRevocationWitness();
+
+    if (!Array.isArray(claims) || claims.length === 0 || claims.length > MAX_CLAIMS) {
+      throw new Error(`A proof makes between 1 and ${MAX_CLAIMS} claims, got ${claims?.length ?? 0}`);
+    }
+    
+    if (Number(depth) > circuit.depth) {
+      throw new Error(`Circuit ${circuit.id} supports trees up to depth ${circuit.depth}, got depth ${depth}`);
+    }
+    
+    const formatted = claims.map((claim, i) => {
+      try {
+        return this.formatClaimInputs(claim, circuit);
+      } catch (error) {
+        throw claims.length > 1 ? new Error(`Claim ${i + 1}: ${error.message}`) : error;
+      }
+    });
+    while (formatted.length < MAX_CLAIMS) {
+      formatted.push(disabledClaimInputs(circuit.depth));
+    }
+    
+    // The circuit takes one array per per-claim input, indexed by claim
+    const inputs = {};
+    for (const name of Object.keys(formatted[0])) {
+      inputs[name] = formatted.map((claim) => claim[name]);
+    }
+    
+    return {
+      ...inputs,
+      depth,
+      root,
+      signedRoot_R8,
+      signedRoot_S,
+      pubKey,
+      challenge: parseChallenge(challenge),
+      scope: scopeSignal(scope),
+      revocationRoot: revocation.root,
+      referenceTime: time,
+      ownerCommitment: header.owner,
+      podId: header.podId,
+      issuedAt: header.issuedAt,
+      expiresAt: header.expiresAt,
+      ownerSecret: isBound ? ownerSecret : '0',
+      headerSiblings: [...header.siblings, ...Array(circuit.depth - header.siblings.length).fill('0')],
+      revocationLow: revocation.low,
+      revocationLowIndex: revocation.lowIndex,
+      revocationLowSiblings: revocation.lowSiblings,
+      revocationHigh: revocation.high,
+      revocationHighSiblings: revocation.highSiblings
+    };
+  }
+
+  /**
+   * Prove that an encoded value is not in a denylist
+   * @param {Array<string>} encodedDenylist - The distinct encoded denylist values
+   * @param {string} value - The encoded value
+   * @returns {Object} The denylist root and the leaves around the value with their paths
+   */
+  buildExclusionProof(encodedDenylist, value) {
+    const tree = new SortedMerkleTree(DENYLIST_DEPTH, encodedDenylist);
+    if (tree.has(value)) {
+      throw new Error('The value is in the denylist');
+    }
+    
+    const proof = tree.generateExclusionProof(value);
+    return {
+      ...proof,
+      root: proof.root.toString(),
+      low: proof.low.toString(),
+      lowSiblings: proof.lowSiblings.map((s) => s.toString()),
+      high: proof.high.toString(),
+      highSiblings: proof.highSiblings.map((s) => s.toString())
     };
   }
 
   /**
    * Generate a proof
-   * @param {Object} proofRequest - Contains the values needed for the proof
-   * @returns {Promise<Object>} The generated proof and public inputs
+   * @param {Object} proofRequest - Contains the values needed for the proof (see formatCircuitInputs)
+   * @param {Object} circuit - Manifest entry of the circuit to prove with (see CircuitLoader.selectCircuit)
+   * @param {Object} options - The `protocol` to prove with (see provingSystems.js; the circuit's default unless given),
+   *   `onProgress`, called with each stage of PROOF_STAGES (and the bytes `loaded` and `total` while loading), and an
+   *   AbortSignal `signal` that cancels the proof; proving only reports progress and can only be cancelled in a worker
+   * @returns {Promise<Object>} The proof envelope (see proofEnvelope.js)
    */
-  async generateProof(proofRequest) {
+  async generateProof(proofRequest, circuit, options = {}) {
     try {
-      // Format inputs for the circuit
-      const inputs = this.formatCircuitInputs(proofRequest);
+      // Prove with the circuit's default proving system unless another is asked for
+      const protocol = options.protocol ?? this.circuitLoader.getDefaultProtocol(circuit);
+      const provingSystem = getProvingSystem(protocol);
       
-      // Ensure all inputs are properly formatted for snarkjs
-      const formattedInputs = {
-        key: inputs.key.toString(),
-        value: inputs.value.toString(),
-        index: inputs.index.toString(),
-        siblings: Array.isArray(inputs.siblings) 
-          ? inputs.siblings.map(s => s.toString()) 
-          : [],
-        root: inputs.root.toString(),
-        lowerbound: inputs.lowerbound.toString(),
-        upperbound: inputs.upperbound.toString(),
-        signedRoot_R8: Array.isArray(inputs.signedRoot_R8) 
-          ? inputs.signedRoot_R8.map(s => s.toString()) 
-          : ["0", "0"],
-        signedRoot_S: inputs.signedRoot_S.toString(),
-        pubKey: Array.isArray(inputs.pubKey) 
-          ? inputs.pubKey.map(p => p.toString()) 
-          : ["0", "0"]
-      };
+      // Format inputs for the circuit, so a bad request is reported before the artifacts are downloaded
+      let inputs = this.formatCircuitInputs(proofRequest, circuit);
+      
+      // The inputs hold the POD's private entries and the owner secret, so only the circuit is logged
+      console.log(`Generating ${protocol} proof with ${circuit.id}`);
+      
+      // A missing or tampered artifact is reported as it is, not as a snarkjs failure
+      const onProgress = options.onProgress ?? (() => {});
+      const artifacts = await this.circuitLoader.getProvingArtifacts(circuit.id, protocol, (progress) => onProgress('loading', progress));
       
-      console.log("Generating proof with inputs:", JSON.stringify(formattedInputs, null, 2));
+      // Downloading can take minutes, so unless the request names a reference time, take it now, just before proving
+      if (proofRequest.referenceTime === undefined) {
+        inputs = this.formatCircuitInputs({ ...proofRequest, referenceTime: Date.now() }, circuit);
+      }
+      
+      // Ensure all inputs are properly formatted for snarkjs
+      const formattedInputs = {};
+      for (const [name, value] of Object.entries(inputs)) {
+        formattedInputs[name] = toSignal(value);
+      }
       
       // Generate the proof with specific error handling
       let proof, publicSignals;
       try {
-        // Try to generate the proof
-        const result = await snarkjs.groth16.fullProve(
-          formattedInputs,
-          this.wasmPath,
-          this.zkeyPath
-        );
+        // Prove in the worker when there is one, so the page stays responsive
+        const result = this.prover
+          ? await this.prover.prove(formattedInputs, artifacts, { ...options, protocol })
+          : await provingSystem.prover.fullProve(formattedInputs, artifacts.wasm, artifacts.zkey);
         proof = result.proof;
         publicSignals = result.publicSignals;
       } catch (snarkError) {
@@ -126,20 +582,72 @@ export class ProofService {
         throw new Error(`Proof generation failed: ${snarkError.message}`);
       }
       
-      // Format the proof and public signals for easier use
+      // Build the metadata from the public signals so it always matches what was proven
+      const decoded = this.decodePublicSignals(publicSignals);
+      const requestedClaims = proofRequest.claims ?? [proofRequest];
+      
+      const claims = decoded.claims.map((claim, i) => {
+        // String set values are hashed in the signals and a denylist is only a root, so the plaintext
+        // travels in the metadata. Keep one raw value per distinct encoding, matching the proven set
+        let setValues;
+        if (claim.predicate !== String(PREDICATES.range.value)) {
+          const { set, valueType } = requestedClaims[i];
+          const seen = new Set();
+          setValues = set.map(String).filter((item) => {
+            const encoded = encodeValue(valueType, item).toString();
+            return !seen.has(encoded) && seen.add(encoded);
+          });
+        }
+        
+        // The field name is not public; a custom schema's field can only be named by the metadata
+        const { schema, field } = requestedClaims[i];
+        return {
+          key: claim.key,
+          schema,
+          field,
+          valueType: claim.valueType,
+          predicate: claim.predicate,
+          lowerBound: claim.lowerbound,
+          upperBound: claim.upperbound,
+          rangeMode: claim.rangeMode,
+          set: claim.set,
+          denyRoot: claim.denyRoot,
+          setValues
+        };
+      });
+      
+      const setValuesList = decoded.claims.map((claim, i) => this.matchSetValues(claim, claims[i].setValues));
+      const fieldList = decoded.claims.map((claim, i) => this.matchField(claim, claims[i]));
+      
+      // Wrap the proof in an envelope that names everything needed to verify it
       return {
+        format: PROOF_FORMAT,
+        version: PROOF_FORMAT_VERSION,
+        // The proving system, circuit and key, so the verifier can pick the matching verification key
+        protocol,
+        circuit: {
+          id: circuit.id,
+          depth: circuit.depth,
+          vkeyHash: await verificationKeyHash(await this.loadVerificationKey(circuit, protocol))
+        },
         proof,
         publicSignals,
-        // Add metadata for the proof display with bounds information and public inputs
-        meta: {
-          description: `Proof that the value for key: ${inputs.key} is between ${inputs.lowerbound} and ${inputs.upperbound}`,
-          timestamp: Date.now(),
-          publicInputs: {
-            key: inputs.key,
-            lowerBound: inputs.lowerbound,
-            upperBound: inputs.upperbound,
-            pubKey: inputs.pubKey,
-          }
+        // The arguments of the Solidity verifier's verifyProof, for submitting the proof on-chain
+        calldata: provingSystem.exportCalldata(proof, publicSignals),
+        // The claims and public inputs decoded from the public signals, for display
+        claims,
+        publicInputs: {
+          pubKey: decoded.pubKey,
+          challenge: decoded.challenge,
+          nullifier: decoded.nullifier,
+          revocationRoot: decoded.revocationRoot,
+          referenceTime: decoded.referenceTime
+        },
+        description: this.describeProof(decoded, setValuesList, fieldList),
+        context: {
+          createdAt: Date.now(),
+          // The scope is public as a hash, so its plaintext travels here
+          scope: proofRequest.scope || undefined
         }
       };
     } catch (error) {
@@ -152,15 +660,17 @@ export class ProofService {
    * Verify a proof
    * @param {Object} proof - The proof to verify
    * @param {Array<string>} publicSignals - The public signals for verification
+   * @param {Object} circuit - Manifest entry of the circuit that produced the proof
+   * @param {string} protocol - The proving system that produced the proof
    * @returns {Promise<boolean>} Whether the proof is valid
    */
-  async verifyProof(proof, publicSignals) {
+  async verifyProof(proof, publicSignals, circuit, protocol = DEFAULT_PROTOCOL) {
     try {
       // Load the verification key if not already loaded
-      const vKey = await this.loadVerificationKey();
+      const vKey = await this.loadVerificationKey(circuit, protocol);
       
       // Verify the proof
-      const isValid = await snarkjs.groth16.verify(vKey, publicSignals, proof);
+      const isValid = await getProvingSystem(protocol).prover.verify(vKey, publicSignals, proof);
       
       return isValid;
     } catch (error) {
@@ -169,6 +679,267 @@ export class ProofService {
     }
   }
 
+  /**
+   * Decode public signals into named values using the circuit's layout
+   * @param {Array<string>} publicSignals - The public signals of a proof
+   * @returns {Object} The enabled `claims`, each keyed by public input name and its `slot`, and the shared inputs
+   */
+  decodePublicSignals(publicSignals) {
+    if (!Array.isArray(publicSignals)) {
+      throw new Error('Public signals must be an array');
+    }
+    
+    if (publicSignals.length !== PUBLIC_SIGNAL_COUNT) {
+      throw new Error(`Expected ${PUBLIC_SIGNAL_COUNT} public signals but received ${publicSignals.length}`);
+    }
+    
+    const decoded = {};
+    const slots = Array.from({ length: MAX_CLAIMS }, (_, slot) => ({ slot }));
+    let offset = 0;
+    const take = (size) => {
+      const values = publicSignals.slice(offset, offset + size).map(normalizeSignal);
+      offset += size;
+      return size === 1 ? values[0] : values;
+    };
+    
+    // A per-claim input is an array with one entry (of `size` signals) per claim
+    for (const { name, size, perClaim } of PUBLIC_SIGNAL_LAYOUT) {
+      if (perClaim) {
+        slots.forEach((slot) => {
+          slot[name] = take(size);
+        });
+      } else {
+        decoded[name] = take(size);
+      }
+    }
+    
+    // Disabled claims are not checked by the circuit, so they carry no meaning
+    decoded.claims = slots.filter((slot) => slot.claimEnabled === '1');
+    return decoded;
+  }
+
+  /**
+   * Match plaintext set values against the set in a claim's public signals
+   * @param {Object} claim - A claim from decodePublicSignals
+   * @param {Array<string>} setValues - Raw set values, e.g. from a proof's metadata
+   * @returns {Array<string>|null} The set values if they encode to exactly the proven set (or denylist root), otherwise null
+   */
+  matchSetValues(claim, setValues) {
+    if (!Array.isArray(setValues) || claim.predicate === String(PREDICATES.range.value)) {
+      return null;
+    }
+    
+    try {
+      const type = valueTypeFromTag(claim.valueType);
+      const predicate = predicateFromSignal(claim.predicate);
+      const encoded = encodeSet(type, setValues, predicate);
+      if (predicate === 'notMember') {
+        const tree = new SortedMerkleTree(DENYLIST_DEPTH, encoded);
+        return setValues.length === encoded.length && tree.root.toString() === claim.denyRoot
+          ? setValues
+          : null;
+      }
+      
+      const proven = [...new Set(claim.set)];
+      return setValues.length === proven.length && encoded.length === proven.length &&
+        encoded.every((item, i) => item === proven[i])
+        ? setValues
+        : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Name the schema field behind a claim's field identifier
+   * @param {Object} claim - A claim from decodePublicSignals
+   * @param {Object} claimed - `{ schema, field }`, e.g. from a proof's metadata; needed for custom schemas
+   * @returns {Object|null} `{ schema, field }` if the identifier belongs to a declared schema field or
+   *   the claimed field hashes to it, otherwise null
+   */
+  matchField(claim, claimed) {
+    const known = findField(claim.key);
+    if (known) {
+      return known;
+    }
+
+    const { schema, field } = claimed ?? {};
+    if (typeof schema !== 'string' || typeof field !== 'string') {
+      return null;
+    }
+    return fieldIdentifier(schema, field).toString() === claim.key ? { schema, field } : null;
+  }
+
+  /**
+   * Build a human readable description of one claim
+   * @param {Object} claim - A claim from decodePublicSignals
+   * @param {Array<string>} setValues - Plaintext set values already checked with matchSetValues, if any
+   * @param {Object} field - The claim's field from matchField; fields of declared schemas are found without it
+   * @returns {string} Description of what the claim establishes
+   */
+  describeClaim(claim, setValues = null, field = this.matchField(claim)) {
+    // Bounds are shown in the value's own type, e.g. dates rather than encoded day counts
+    const type = valueTypeFromTag(claim.valueType);
+    const subject = field
+      ? `the ${type} value of ${field.schema}.${field.field}`
+      : `the ${type} value of the field with identifier ${claim.key}`;
+    
+    const predicate = predicateFromSignal(claim.predicate);
+    if (predicate === 'notMember') {
+      return setValues
+        ? `${subject} is not one of ${setValues.join(', ')}`
+        : `${subject} is not in the denylist with root ${claim.denyRoot}`;
+    }
+    if (predicate !== 'range') {
+      // Without plaintext, string set values can only be shown as their hashes
+      const setLabels = setValues ?? [...new Set(claim.set)].map((item) => decodeValue(type, item));
+      return predicate === 'equal'
+        ? `${subject} equals ${setLabels[0]}`
+        : `${subject} is one of ${setLabels.join(', ')}`;
+    }
+    
+    // Only decode the bounds the range mode uses; an unused bound is 0, which is not a valid encoded date
+    const lower = () => decodeValue(type, claim.lowerbound);
+    const upper = () => decodeValue(type, claim.upperbound);
+    switch (rangeModeFromSignal(claim.rangeMode)) {
+      case 'inclusive':
+        return `${subject} is between ${lower()} and ${upper()} (inclusive)`;
+      case 'exclusive':
+        return `${subject} is strictly between ${lower()} and ${upper()}`;
+      case 'lowerOnly':
+        return `${subject} is at least ${lower()}`;
+      default:
+        return `${subject} is at most ${upper()}`;
+    }
+  }
+
+  /**
+   * Build a human readable description of everything a proof establishes
+   * @param {Object} decoded - Output of decodePublicSignals
+   * @param {Array<Array<string>|null>} setValuesList - Checked plaintext set values per claim, if any
+   * @param {Array<Object|null>} fieldList - Fields per claim from matchField, if known
+   * @returns {string} Description of all claims of the proof
+   */
+  describeProof(decoded, setValuesList = [], fieldList = []) {
+    const claims = decoded.claims.map((claim, i) =>
+      this.describeClaim(claim, setValuesList[i] ?? null, fieldList[i] ?? this.matchField(claim))
+    );
+    return `Proof that ${claims.join(' and ')}`;
+  }
+
+  /**
+   * Compare what a proof envelope says it proves with its decoded public signals
+   * @param {Object} proofData - The proof envelope, whose claims, public inputs, description and context are not covered by the proof
+   * @param {Object} decoded - Output of decodePublicSignals
+   * @returns {Array<Object>} One entry per field where the envelope disagrees with the signals
+   */
+  findMetadataMismatches(proofData, decoded) {
+    const mismatches = [];
+    
+    const compare = (field, claimed, actual) => {
+      if (claimed === undefined || claimed === null) {
+        return;
+      }
+      if (normalizeSignal(claimed) !== normalizeSignal(actual)) {
+        mismatches.push({ field, claimed: String(claimed), actual: String(actual) });
+      }
+    };
+    
+    const publicInputs = proofData.publicInputs || {};
+    const claimedClaims = Array.isArray(proofData.claims) ? proofData.claims : [];
+    if (proofData.claims !== undefined && claimedClaims.length !== decoded.claims.length) {
+      mismatches.push({
+        field: 'claims',
+        claimed: `${claimedClaims.length} claim(s)`,
+        actual: `${decoded.claims.length} claim(s)`
+      });
+    }
+    
+    const fieldList = decoded.claims.map((claim, i) => this.matchField(claim, claimedClaims[i]));
+    const setValuesList = decoded.claims.map((claim, i) => {
+      const claimed = claimedClaims[i] || {};
+      const field = (name) => `claims[${i}].${name}`;
+      
+      // The claimed field must be the one behind the proven identifier
+      if (claimed.schema !== undefined || claimed.field !== undefined) {
+        const matched = fieldList[i];
+        if (!matched || matched.schema !== claimed.schema || matched.field !== claimed.field) {
+          mismatches.push({
+            field: field('field'),
+            claimed: `${claimed.schema}.${claimed.field}`,
+            actual: matched ? `${matched.schema}.${matched.field}` : 'a field that does not hash to the proven identifier'
+          });
+        }
+      }
+      
+      const setValues = this.matchSetValues(claim, claimed.setValues);
+      if (claimed.setValues !== undefined && setValues === null) {
+        mismatches.push({
+          field: field('setValues'),
+          claimed: JSON.stringify(claimed.setValues),
+          actual: 'values that do not encode to the proven set'
+        });
+      }
+      
+      compare(field('key'), claimed.key, claim.key);
+      compare(field('valueType'), claimed.valueType, claim.valueType);
+      compare(field('predicate'), claimed.predicate, claim.predicate);
+      compare(field('lowerBound'), claimed.lowerBound, claim.lowerbound);
+      compare(field('upperBound'), claimed.upperBound, claim.upperbound);
+      compare(field('rangeMode'), claimed.rangeMode, claim.rangeMode);
+      compare(field('denyRoot'), claimed.denyRoot, claim.denyRoot);
+      if (claimed.set !== undefined) {
+        const set = Array.isArray(claimed.set) ? claimed.set : [];
+        claim.set.forEach((item, j) => compare(field(`set[${j}]`), set[j] ?? '', item));
+      }
+      
+      return setValues;
+    });
+    
+    const description = this.describeProof(decoded, setValuesList, fieldList);
+    if (proofData.description !== undefined && proofData.description !== description) {
+      mismatches.push({
+        field: 'description',
+        claimed: String(proofData.description),
+        actual: description
+      });
+    }
+    
+    if (publicInputs.pubKey !== undefined) {
+      const pubKey = Array.isArray(publicInputs.pubKey) ? publicInputs.pubKey : [];
+      compare('publicInputs.pubKey[0]', pubKey[0] ?? '', decoded.pubKey[0]);
+      compare('publicInputs.pubKey[1]', pubKey[1] ?? '', decoded.pubKey[1]);
+    }
+    compare('publicInputs.challenge', publicInputs.challenge, decoded.challenge);
+    compare('publicInputs.nullifier', publicInputs.nullifier, decoded.nullifier);
+    compare('publicInputs.revocationRoot', publicInputs.revocationRoot, decoded.revocationRoot);
+    compare('publicInputs.referenceTime', publicInputs.referenceTime, decoded.referenceTime);
+    const claimedScope = proofData.context?.scope;
+    if (claimedScope !== undefined && scopeSignal(String(claimedScope)) !== decoded.scope) {
+      mismatches.push({
+        field: 'context.scope',
+        claimed: String(claimedScope),
+        actual: 'a scope that does not encode to the proven one'
+      });
+    }
+
+    return mismatches;
+  }
+
+  /**
+   * Check that a proof's public key belongs to a trusted issuer
+   * @param {Object} decoded - Output of decodePublicSignals
+   * @param {IssuerRegistry} registry - Registry of trusted issuers
+   * @returns {Object} Whether the signer is trusted and the matching issuer
+   */
+  checkIssuer(decoded, registry) {
+    const issuer = registry.findIssuer(decoded.pubKey);
+    return {
+      trusted: issuer !== null,
+      issuer
+    };
+  }
+
   /**
    * Export a proof in a format suitable for sharing
    * @param {Object} proofData - The proof data to export
@@ -183,16 +954,91 @@ export class ProofService {
   }
 
   /**
-   * Import a proof from a JSON string
-   * @param {string} proofJson - JSON representation of the proof
-   * @returns {Object} The parsed proof data
+   * Encode a Groth16 proof as a proof code, compact enough for a QR code or a `#proof=` link (see proofCode.js)
+   * Only the proof, its public signals and its circuit are kept; the claims and public inputs are decoded
+   * from the signals again when the code is imported, and the unverified context is left out
+   * @param {Object} proofData - The proof envelope
+   * @returns {string} The proof code
    */
-  importProof(proofJson) {
+  exportProofCode(proofData) {
+    if (proofData.protocol !== 'groth16') {
+      throw new Error(`Only Groth16 proofs can be encoded as a proof code, not ${PROVING_SYSTEMS[proofData.protocol]?.label ?? proofData.protocol} proofs`);
+    }
+    const { circuit, proof, publicSignals } = proofData;
+    return encodeProofCode({ depth: circuit.depth, vkeyHash: circuit.vkeyHash, proof, publicSignals });
+  }
+
+  /**
+   * Rebuild the proof envelope of a proof code
+   * @param {string} code - The proof code
+   * @returns {Object} The proof envelope, with the claims, public inputs and description decoded from its public signals
+   */
+  proofFromCode(code) {
+    const { depth, vkeyHash, proof, publicSignals } = decodeProofCode(code);
+    checkSignalCount(publicSignals);
+    const decoded = this.decodePublicSignals(publicSignals);
+    // Signals the circuit never outputs, e.g. an unknown value type tag, cannot be described
+    let description;
     try {
-      return JSON.parse(proofJson);
+      description = this.describeProof(decoded);
     } catch (error) {
-      throw new Error(`Failed to import proof: ${error.message}`);
+      throw new Error(`Invalid proof code: ${error.message}`);
+    }
+    return {
+      format: PROOF_FORMAT,
+      version: PROOF_FORMAT_VERSION,
+      protocol: 'groth16',
+      // Circuits are named by their depth, as in the artifact manifest
+      circuit: { id: `proveValueInMerkle_d${depth}`, depth, vkeyHash },
+      proof,
+      publicSignals,
+      calldata: getProvingSystem('groth16').exportCalldata(proof, publicSignals),
+      claims: decoded.claims.map((claim) => ({
+        key: claim.key,
+        valueType: claim.valueType,
+        predicate: claim.predicate,
+        lowerBound: claim.lowerbound,
+        upperBound: claim.upperbound,
+        rangeMode: claim.rangeMode,
+        set: claim.set,
+        denyRoot: claim.denyRoot
+      })),
+      publicInputs: {
+        pubKey: decoded.pubKey,
+        challenge: decoded.challenge,
+        nullifier: decoded.nullifier,
+        revocationRoot: decoded.revocationRoot,
+        referenceTime: decoded.referenceTime
+      },
+      description
+    };
+  }
+
+  /**
+   * Import a proof, checking it against the envelope schema before any of it is trusted
+   * Proofs saved by earlier versions of the app are upgraded to the current envelope
+   * @param {Object|string} proofInput - The proof, or its JSON, proof code or `#proof=` link
+   * @returns {Object} The proof envelope
+   */
+  importProof(proofInput) {
+    let proofData = proofInput;
+    if (typeof proofInput === 'string') {
+      const code = readProofCode(proofInput);
+      if (code) {
+        proofData = this.proofFromCode(code);
+      } else {
+        try {
+          proofData = JSON.parse(proofInput);
+        } catch (error) {
+          throw new Error(`Proof is not valid JSON, a proof code or a proof link: ${error.message}`);
+        }
+      }
     }
+
+    // Upgrade first, so a proof of an earlier circuit is reported as such rather than by its signal count
+    const envelope = upgradeProof(proofData);
+    checkSignalCount(envelope.publicSignals);
+    return envelope;
   }
 }
 
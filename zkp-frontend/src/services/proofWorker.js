@@ -0,0 +1,33 @@
+import * as snarkjs from 'snarkjs';
+import { DEFAULT_PROTOCOL, getProvingSystem } from './provingSystems.js';
+
+/**
+ * Proof worker - Runs snarkjs off the main thread so the page stays responsive while proving
+ * Started by ProverClient for a single proof. It receives
+ *   { type: 'prove', inputs, wasm, zkey, protocol }
+ * where wasm and zkey are URLs or file contents and protocol is a proving system of
+ * provingSystems.js. It answers with { type: 'progress', stage } as it reaches the
+ * 'witness' and 'proving' stages of PROOF_STAGES, followed by either
+ *   { type: 'result', proof, publicSignals } or { type: 'error', message }
+ */
+self.onmessage = async ({ data }) => {
+  if (data?.type !== 'prove') {
+    self.postMessage({ type: 'error', message: `Unknown request: ${data?.type}` });
+    return;
+  }
+
+  try {
+    // Same two steps as fullProve, split so each can be reported
+    const { prover } = getProvingSystem(data.protocol ?? DEFAULT_PROTOCOL);
+    self.postMessage({ type: 'progress', stage: 'witness' });
+    const witness = { type: 'mem' };
+    await snarkjs.wtns.calculate(data.inputs, data.wasm, witness);
+
+    self.postMessage({ type: 'progress', stage: 'proving' });
+    const { proof, publicSignals } = await prover.prove(data.zkey, witness);
+
+    self.postMessage({ type: 'result', proof, publicSignals });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error?.message ?? String(error) });
+  }
+};
@@ -0,0 +1,88 @@
+import { DEFAULT_PROTOCOL } from './provingSystems.js';
+
+/**
+ * Stages a proof goes through; ProofService reports loading the artifacts, and the proof worker the rest
+ */
+export const PROOF_STAGES = {
+  loading: { label: 'Loading circuit' },
+  witness: { label: 'Calculating witness' },
+  proving: { label: 'Generating proof' }
+};
+
+// Message of the error a cancelled proof is rejected with
+export const PROOF_CANCELLED = 'Proof generation was cancelled';
+
+const createProofWorker = () => new Worker(new URL('./proofWorker.js', import.meta.url), { type: 'module' });
+
+/**
+ * ProverClient - Generate proofs in a Web Worker (see proofWorker.js)
+ * Every proof gets its own worker, which is terminated when the proof is done or cancelled,
+ * since snarkjs cannot be interrupted any other way
+ */
+export class ProverClient {
+  /**
+   * @param {Function} createWorker - Starts a proof worker
+   */
+  constructor(createWorker = createProofWorker) {
+    this.createWorker = createWorker;
+  }
+
+  /**
+   * Whether workers are available, which they are not outside the browser
+   * @returns {boolean} Whether proofs can be generated in a worker
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Generate a proof
+   * @param {Object} inputs - Circuit inputs, with every signal as a string
+   * @param {Object} artifacts - The circuit's `wasm` and `zkey`, as URLs or verified contents
+   * @param {Object} options - The `protocol` to prove with (see provingSystems.js), `onProgress`, called with each
+   *   stage ID of PROOF_STAGES, and an AbortSignal `signal`
+   * @returns {Promise<Object>} The `proof` and its `publicSignals`
+   */
+  prove(inputs, artifacts, { protocol = DEFAULT_PROTOCOL, onProgress = () => {}, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new Error(PROOF_CANCELLED));
+        return;
+      }
+
+      const worker = this.createWorker();
+      const finish = (settle, value) => {
+        worker.terminate();
+        signal?.removeEventListener('abort', onAbort);
+        settle(value);
+      };
+      const onAbort = () => finish(reject, new Error(PROOF_CANCELLED));
+      signal?.addEventListener('abort', onAbort);
+
+      worker.onmessage = ({ data }) => {
+        switch (data.type) {
+          case 'progress':
+            onProgress(data.stage);
+            break;
+          case 'result':
+            finish(resolve, { proof: data.proof, publicSignals: data.publicSignals });
+            break;
+          case 'error':
+            finish(reject, new Error(data.message));
+            break;
+          default:
+            finish(reject, new Error(`Unexpected message from the proof worker: ${data.type}`));
+        }
+      };
+      // Raised when the worker script itself fails, e.g. it could not be loaded
+      worker.onerror = (event) => {
+        event.preventDefault?.();
+        finish(reject, new Error(event.message || 'The proof worker failed'));
+      };
+
+      worker.postMessage({ type: 'prove', inputs, wasm: artifacts.wasm, zkey: artifacts.zkey, protocol });
+    });
+  }
+}
+
+export default ProverClient;
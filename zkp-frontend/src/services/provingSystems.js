@@ -0,0 +1,99 @@
+import * as snarkjs from 'snarkjs';
+
+// Protocol of proofs that do not record one, which predate the other proving systems
+export const DEFAULT_PROTOCOL = 'groth16';
+
+const isFieldElement = (value) => typeof value === 'string' && /^\d+$/.test(value);
+const isG1Point = (point) => Array.isArray(point) && point.length >= 2 && point.slice(0, 2).every(isFieldElement);
+const isG2Point = (point) => Array.isArray(point) && point.length >= 2 && point.slice(0, 2).every(
+  (coordinate) => Array.isArray(coordinate) && coordinate.length === 2 && coordinate.every(isFieldElement)
+);
+
+// A value as a uint256 argument of a Solidity call
+const toUint256 = (value) => `0x${BigInt(value).toString(16).padStart(64, '0')}`;
+
+// Problems with the named members of a proof, checked with isValid
+const checkMembers = (object, names, isValid, description, prefix = 'proof') =>
+  names.filter((name) => !isValid(object?.[name])).map((name) => `${prefix}.${name} must be ${description}`);
+
+const PLONK_POINTS = ['A', 'B', 'C', 'Z', 'T1', 'T2', 'T3', 'Wxi', 'Wxiw'];
+const PLONK_EVALUATIONS = ['eval_a', 'eval_b', 'eval_c', 'eval_s1', 'eval_s2', 'eval_zw'];
+const FFLONK_POINTS = ['C1', 'C2', 'W1', 'W2'];
+const FFLONK_EVALUATIONS = ['ql', 'qr', 'qm', 'qo', 'qc', 's1', 's2', 's3', 'a', 'b', 'c', 'z', 'zw', 't1w', 't2w', 'inv'];
+
+/**
+ * Proving systems a circuit can have keys for, keyed by the protocol snarkjs records in proofs and keys.
+ * `prover` is the snarkjs module that proves and verifies, `universalSetup` whether its keys come from the
+ * Powers of Tau alone rather than a circuit-specific ceremony, `checkProof` lists what is wrong with a proof's
+ * shape, and `exportCalldata` formats a proof as the arguments of the snarkjs Solidity verifier's verifyProof
+ */
+export const PROVING_SYSTEMS = {
+  groth16: {
+    label: 'Groth16',
+    universalSetup: false,
+    prover: snarkjs.groth16,
+    checkProof: (proof) => [
+      ...checkMembers(proof, ['pi_a', 'pi_c'], isG1Point, 'a point of decimal field elements'),
+      ...checkMembers(proof, ['pi_b'], isG2Point, 'a point of pairs of decimal field elements')
+    ],
+    exportCalldata: (proof, publicSignals) => ({
+      pA: proof.pi_a.slice(0, 2).map(toUint256),
+      // The verifier contract takes each coordinate of pi_b with its two halves swapped
+      pB: proof.pi_b.slice(0, 2).map(([c0, c1]) => [toUint256(c1), toUint256(c0)]),
+      pC: proof.pi_c.slice(0, 2).map(toUint256),
+      pubSignals: publicSignals.map(toUint256)
+    })
+  },
+  plonk: {
+    label: 'PLONK',
+    universalSetup: true,
+    prover: snarkjs.plonk,
+    checkProof: (proof) => [
+      ...checkMembers(proof, PLONK_POINTS, isG1Point, 'a point of decimal field elements'),
+      ...checkMembers(proof, PLONK_EVALUATIONS, isFieldElement, 'a decimal field element')
+    ],
+    exportCalldata: (proof, publicSignals) => ({
+      proof: [
+        ...PLONK_POINTS.flatMap((name) => proof[name].slice(0, 2)),
+        ...PLONK_EVALUATIONS.map((name) => proof[name])
+      ].map(toUint256),
+      pubSignals: publicSignals.map(toUint256)
+    })
+  },
+  fflonk: {
+    label: 'FFLONK',
+    universalSetup: true,
+    prover: snarkjs.fflonk,
+    checkProof: (proof) => [
+      ...checkMembers(proof?.polynomials, FFLONK_POINTS, isG1Point, 'a point of decimal field elements', 'proof.polynomials'),
+      ...checkMembers(proof?.evaluations, FFLONK_EVALUATIONS, isFieldElement, 'a decimal field element', 'proof.evaluations')
+    ],
+    exportCalldata: (proof, publicSignals) => ({
+      proof: [
+        ...FFLONK_POINTS.flatMap((name) => proof.polynomials[name].slice(0, 2)),
+        ...FFLONK_EVALUATIONS.map((name) => proof.evaluations[name])
+      ].map(toUint256),
+      pubSignals: publicSignals.map(toUint256)
+    })
+  }
+};
+
+/**
+ * Look up a proving system
+ * @param {string} protocol - The protocol ID
+ * @returns {Object} The proving system definition
+ */
+export const getProvingSystem = (protocol) => {
+  const provingSystem = PROVING_SYSTEMS[protocol];
+  if (!provingSystem) {
+    throw new Error(`Unknown proving system: ${protocol}`);
+  }
+  return provingSystem;
+};
+
+/**
+ * The protocol a proof was made with
+ * @param {Object} proofData - The proof data
+ * @returns {string} Its recorded protocol, else the one snarkjs recorded in the proof, else Groth16
+ */
+export const proofProtocol = (proofData) => proofData.protocol ?? proofData.proof?.protocol ?? DEFAULT_PROTOCOL;
@@ -0,0 +1,122 @@
+import { poseidon3 } from 'poseidon-lite';
+import { SortedMerkleTree } from './sortedMerkleTree.js';
+import { encodeValue } from './valueEncoding.js';
+
+// Depth of the sorted revocation tree, fixed by the circuit's revocationDepth parameter
+export const REVOCATION_DEPTH = 16;
+
+// Revocation root of a proof that was not checked against any list
+export const NO_REVOCATION_LIST = '0';
+
+// Domain of revocation list signatures, so a signed list root can never pass as a signed POD root
+const REVOCATION_DOMAIN = encodeValue('string', 'zkp-test revocation list');
+
+/**
+ * Message an issuer signs to publish a revocation list
+ * @param {string|bigint} root - Root of the revocation tree
+ * @param {number} publishedAt - When the list was published, in milliseconds since the epoch
+ * @returns {bigint} Poseidon hash of the domain, the root and the publication time
+ */
+export const revocationListMessage = (root, publishedAt) =>
+  poseidon3([REVOCATION_DOMAIN, BigInt(root), BigInt(publishedAt)]);
+
+/**
+ * RevocationList - The IDs of PODs an issuer has revoked
+ * The IDs are the entries of a sorted Merkle tree, so a holder can prove their POD's ID is not
+ * among them without revealing it (see RevocationCheck in the circuit)
+ */
+export class RevocationList {
+  /**
+   * @param {Array<string>} revoked - IDs of revoked PODs
+   */
+  constructor(revoked = []) {
+    this.tree = new SortedMerkleTree(REVOCATION_DEPTH, revoked);
+  }
+
+  /**
+   * Create a list from a published revocation list document
+   * @param {Object} listData - Document with the `revoked` IDs and their `root`
+   * @returns {RevocationList} The list
+   */
+  static fromJSON(listData) {
+    if (!listData || !Array.isArray(listData.revoked)) {
+      throw new Error('Revocation list must contain a "revoked" array');
+    }
+
+    const list = new RevocationList(listData.revoked);
+    if (listData.root !== undefined && list.root !== String(listData.root)) {
+      throw new Error('Revocation list root does not match its revoked IDs');
+    }
+    return list;
+  }
+
+  /**
+   * The root of the revocation tree
+   * @returns {string} The Merkle root
+   */
+  get root() {
+    return this.tree.root.toString();
+  }
+
+  /**
+   * IDs of the revoked PODs, in ascending order
+   * @returns {Array<string>} The revoked IDs
+   */
+  get revoked() {
+    return this.tree.entries.map((entry) => entry.toString());
+  }
+
+  /**
+   * Check whether a POD is revoked
+   * @param {string} podId - The POD's ID
+   * @returns {boolean} Whether the POD is revoked
+   */
+  has(podId) {
+    return this.tree.has(podId);
+  }
+
+  /**
+   * Revoke a POD
+   * @param {string} podId - The POD's ID
+   * @returns {RevocationList} A new list that also holds the ID
+   */
+  revoke(podId) {
+    return new RevocationList([...this.revoked, String(podId)]);
+  }
+
+  /**
+   * Prove a POD is not revoked
+   * @param {string} podId - The POD's ID
+   * @returns {Object} The list's `root` and the bracketing leaves with their paths (see SortedMerkleTree)
+   */
+  generateWitness(podId) {
+    if (this.has(podId)) {
+      throw new Error('The POD has been revoked by its issuer');
+    }
+
+    const proof = this.tree.generateExclusionProof(podId);
+    return {
+      root: this.root,
+      low: proof.low.toString(),
+      lowIndex: proof.lowIndex.toString(),
+      lowSiblings: proof.lowSiblings.map((sibling) => sibling.toString()),
+      high: proof.high.toString(),
+      highSiblings: proof.highSiblings.map((sibling) => sibling.toString())
+    };
+  }
+
+  /**
+   * Export the list for signing and publication
+   * @param {number} publishedAt - Publication time in milliseconds since the epoch
+   * @returns {Object} The revoked IDs, their root and the publication time
+   */
+  exportData(publishedAt = Date.now()) {
+    return {
+      revoked: this.revoked,
+      root: this.root,
+      publishedAt
+    };
+  }
+}
+
+export default RevocationList;
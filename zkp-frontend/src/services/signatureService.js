@@ -1,5 +1,6 @@
-import { poseidon } from 'poseidon-lite';
 import { derivePublicKey, signMessage, verifySignature } from '@zk-kit/eddsa-poseidon';
+import { revocationListMessage } from './revocationList.js';
+import { POD_SIGNATURE_SCHEME, readPOD } from './podFormat.js';
 
 /**
  * SignatureService - Handle EdDSA signatures using Poseidon hash
@@ -130,10 +131,11 @@ export class SignatureService {
 
   /**
    * Sign a POD (entire data structure with Merkle root)
-   * @param {Object} pod - The POD data structure
-   * @returns {Object} The POD with signature added
+   * @param {Object} pod - The unsigned POD, from MerkleTreeService.exportData
+   * @param {Object} issuerMetadata - Optional `name` of the issuer, which is not covered by the signature
+   * @returns {Object} The POD with the issuer and signature added
    */
-  signPOD(pod) {
+  signPOD(pod, issuerMetadata = {}) {
     try {
       console.log("Signing POD:", JSON.stringify(pod, null, 2));
       
@@ -167,8 +169,8 @@ export class SignatureService {
         // Create and return the signed POD
         return {
           ...pod,
-          signature,
-          publicKey
+          issuer: { publicKey, ...(issuerMetadata.name?.trim() && { name: issuerMetadata.name.trim() }) },
+          signature: { scheme: POD_SIGNATURE_SCHEME, ...signature }
         };
       } catch (signError) {
         console.error("Signing error:", signError);
@@ -186,15 +188,62 @@ export class SignatureService {
 
   /**
    * Verify a signed POD
-   * @param {Object} pod - The signed POD to verify
+   * @param {Object|string} podInput - The signed POD to verify, in any version of the POD format (see readPOD)
    * @returns {boolean} Whether the POD signature is valid
    */
-  verifyPOD(pod) {
-    if (!pod.merkleRoot || !pod.signature || !pod.publicKey) {
-      throw new Error('POD must have merkleRoot, signature, and publicKey');
+  verifyPOD(podInput) {
+    const pod = readPOD(podInput);
+    return this.verify(pod.merkleRoot, pod.signature, pod.issuer.publicKey);
+  }
+
+  /**
+   * Sign a revocation list so verifiers can check proofs against it
+   * @param {Object} list - The list from RevocationList.exportData
+   * @returns {Object} The list with signature and publicKey added
+   */
+  signRevocationList(list) {
+    if (!this.keyPair) {
+      throw new Error('No key pair available. Generate or import one first.');
+    }
+
+    return {
+      ...list,
+      signature: this.sign(revocationListMessage(list.root, list.publishedAt)),
+      publicKey: [
+        this.keyPair.publicKey[0].toString(),
+        this.keyPair.publicKey[1].toString()
+      ]
+    };
+  }
+
+  /**
+   * Verify a signed revocation list
+   * @param {Object} list - The signed revocation list
+   * @returns {boolean} Whether the list's signature is valid
+   */
+  verifyRevocationList(list) {
+    if (!list.root || list.publishedAt === undefined || !list.signature || !list.publicKey) {
+      throw new Error('Revocation list must have root, publishedAt, signature, and publicKey');
     }
 
-    return this.verify(pod.merkleRoot, pod.signature, pod.publicKey);
+    return this.verify(revocationListMessage(list.root, list.publishedAt), list.signature, list.publicKey);
+  }
+
+  /**
+   * Check that a POD carries a valid signature from a trusted issuer
+   * @param {Object} pod - The signed POD to check
+   * @param {IssuerRegistry} registry - Registry of trusted issuers
+   * @returns {Object} The signature validity, whether the signer is trusted, and the matching issuer
+   */
+  checkIssuer(pod, registry) {
+    const signatureValid = this.verifyPOD(pod);
+    const issuer = registry.findIssuer(readPOD(pod).issuer.publicKey);
+
+    return {
+      signatureValid,
+      trusted: signatureValid && issuer !== null,
+      issuer
+    };
   }
 }
 
@@ -0,0 +1,88 @@
+import { SparseMerkleTree } from './sparseMerkleTree.js';
+
+// Entries must fit in this many bits, the size of an encoded value (see valueEncoding.js)
+export const SORTED_ENTRY_BITS = 248;
+
+// Leaves are entry + 1 between these sentinels, so every entry lies strictly between two adjacent leaves
+const LOW_SENTINEL = 0n;
+const HIGH_SENTINEL = 2n ** BigInt(SORTED_ENTRY_BITS) + 1n;
+
+/**
+ * SortedMerkleTree - Fixed-depth Merkle tree of distinct entries in ascending order
+ * Proves that a value is NOT an entry by opening the two adjacent leaves that bracket it,
+ * which is what the circuit's NonMembershipCheck verifies against the public root.
+ */
+export class SortedMerkleTree {
+  /**
+   * @param {number} depth - Depth of the tree; it holds up to 2^depth - 2 entries
+   * @param {Array<bigint|string>} entries - Entries in any order; duplicates are dropped
+   */
+  constructor(depth, entries = []) {
+    const maxEntry = 2n ** BigInt(SORTED_ENTRY_BITS);
+    const distinct = [...new Set(entries.map((entry) => BigInt(entry)))];
+
+    for (const entry of distinct) {
+      if (entry < 0n || entry >= maxEntry) {
+        throw new Error(`Sorted tree entries must fit in ${SORTED_ENTRY_BITS} bits, got ${entry}`);
+      }
+    }
+
+    const capacity = 2 ** depth - 2;
+    if (distinct.length > capacity) {
+      throw new Error(`A depth ${depth} sorted tree holds at most ${capacity} entries, got ${distinct.length}`);
+    }
+
+    this.depth = depth;
+    this.entries = distinct.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    this.leaves = [LOW_SENTINEL, ...this.entries.map((entry) => entry + 1n), HIGH_SENTINEL];
+    this.tree = new SparseMerkleTree(depth, this.leaves);
+  }
+
+  /**
+   * The root of the tree
+   * @returns {bigint} The Merkle root
+   */
+  get root() {
+    return this.tree.root;
+  }
+
+  /**
+   * Check whether a value is an entry
+   * @param {bigint|string} value - The value to look up
+   * @returns {boolean} Whether the value is an entry
+   */
+  has(value) {
+    return this.entries.includes(BigInt(value));
+  }
+
+  /**
+   * Generate a non-membership proof for a value
+   * @param {bigint|string} value - The value to prove absent
+   * @returns {Object} The bracketing leaves `low` and `high`, the index of `low`, and both sibling paths
+   */
+  generateExclusionProof(value) {
+    const shifted = BigInt(value) + 1n;
+    if (this.has(value)) {
+      throw new Error('Value is an entry of the tree');
+    }
+
+    // The first leaf above the value; the sentinels guarantee there is one and a leaf below it
+    const highIndex = this.leaves.findIndex((leaf) => leaf > shifted);
+    if (highIndex < 1) {
+      throw new Error(`Value must fit in ${SORTED_ENTRY_BITS} bits`);
+    }
+
+    const lowProof = this.tree.generateProof(highIndex - 1);
+    const highProof = this.tree.generateProof(highIndex);
+    return {
+      low: lowProof.leaf,
+      lowIndex: highIndex - 1,
+      lowSiblings: lowProof.siblings,
+      high: highProof.leaf,
+      highSiblings: highProof.siblings,
+      root: this.root
+    };
+  }
+}
+
+export default SortedMerkleTree;
@@ -0,0 +1,97 @@
+import { poseidon2 } from 'poseidon-lite';
+
+// Value of every unused leaf position
+export const ZERO_LEAF = 0n;
+
+const defaultHash = (a, b) => poseidon2([a, b]);
+
+/**
+ * SparseMerkleTree - Binary Merkle tree of a fixed depth
+ * Unused positions are filled with ZERO_LEAF so the tree always has 2^depth leaves
+ * and every proof has exactly `depth` siblings, which is what the circuit hashes.
+ */
+export class SparseMerkleTree {
+  /**
+   * @param {number} depth - Number of levels between the leaves and the root
+   * @param {Array<bigint|string|number>} leaves - Leaves to place at positions 0..n-1
+   * @param {Function} hash - Two-to-one hash used for internal nodes
+   */
+  constructor(depth, leaves = [], hash = defaultHash) {
+    if (!Number.isInteger(depth) || depth < 1) {
+      throw new Error('Tree depth must be a positive integer');
+    }
+
+    this.depth = depth;
+    this.hash = hash;
+    this.capacity = 2 ** depth;
+
+    if (leaves.length > this.capacity) {
+      throw new Error(`A depth ${depth} tree holds at most ${this.capacity} leaves, got ${leaves.length}`);
+    }
+
+    // zeros[i] is the root of an empty subtree of height i
+    this.zeros = [ZERO_LEAF];
+    for (let i = 0; i < depth; i++) {
+      this.zeros.push(this.hash(this.zeros[i], this.zeros[i]));
+    }
+
+    // Only store the populated prefix of every level; the rest is implied by `zeros`
+    this.levels = [leaves.map((leaf) => BigInt(leaf))];
+    for (let level = 0; level < depth; level++) {
+      const nodes = this.levels[level];
+      const parents = [];
+      for (let i = 0; i < nodes.length; i += 2) {
+        const left = nodes[i];
+        const right = i + 1 < nodes.length ? nodes[i + 1] : this.zeros[level];
+        parents.push(this.hash(left, right));
+      }
+      this.levels.push(parents);
+    }
+  }
+
+  /**
+   * The root of the tree
+   * @returns {bigint} The Merkle root
+   */
+  get root() {
+    return this.levels[this.depth][0] ?? this.zeros[this.depth];
+  }
+
+  /**
+   * Get a node, falling back to the empty subtree hash for unpopulated positions
+   * @param {number} level - Level of the node, 0 being the leaves
+   * @param {number} index - Position of the node within the level
+   * @returns {bigint} The node value
+   */
+  getNode(level, index) {
+    const nodes = this.levels[level];
+    return index < nodes.length ? nodes[index] : this.zeros[level];
+  }
+
+  /**
+   * Generate a Merkle proof for a leaf
+   * @param {number} index - Position of the leaf
+   * @returns {Object} The leaf, its index, `depth` siblings from the bottom up, and the root
+   */
+  generateProof(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.capacity) {
+      throw new Error(`Leaf index ${index} is outside a tree of ${this.capacity} leaves`);
+    }
+
+    const siblings = [];
+    let position = index;
+    for (let level = 0; level < this.depth; level++) {
+      siblings.push(this.getNode(level, position ^ 1));
+      position >>= 1;
+    }
+
+    return {
+      leaf: this.getNode(0, index),
+      index,
+      siblings,
+      root: this.root
+    };
+  }
+}
+
+export default SparseMerkleTree;
@@ -0,0 +1,158 @@
+import { poseidon2 } from 'poseidon-lite';
+
+// Signed values are shifted by 2^63 so they compare correctly in the circuit's unsigned 64-bit range checks
+const INT_OFFSET = 2n ** 63n;
+const INT_MIN = -INT_OFFSET;
+const INT_MAX = INT_OFFSET - 1n;
+
+// String hashes are truncated to 248 bits so they stay well below the field modulus
+const STRING_HASH_MASK = 2n ** 248n - 1n;
+const STRING_CHUNK_BYTES = 31;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Value types a POD entry can hold.
+ * `tag` is committed next to the encoded value in the entry's leaf and is public in proofs,
+ * `rangeable` marks the types whose encoding preserves ordering.
+ */
+export const VALUE_TYPES = {
+  int: { tag: 1, label: 'Integer', rangeable: true },
+  string: { tag: 2, label: 'String', rangeable: false },
+  boolean: { tag: 3, label: 'Boolean', rangeable: false },
+  date: { tag: 4, label: 'Date (YYYY-MM-DD)', rangeable: true }
+};
+
+// Type used for entries that do not record one
+export const DEFAULT_VALUE_TYPE = 'int';
+
+/**
+ * Look up a value type
+ * @param {string} type - The value type ID
+ * @returns {Object} The value type definition
+ */
+export const getValueType = (type) => {
+  const valueType = VALUE_TYPES[type];
+  if (!valueType) {
+    throw new Error(`Unknown value type: ${type}`);
+  }
+  return valueType;
+};
+
+/**
+ * Look up a value type by its tag
+ * @param {string|number|bigint} tag - The tag committed in the leaf
+ * @returns {string} The value type ID
+ */
+export const valueTypeFromTag = (tag) => {
+  const type = Object.keys(VALUE_TYPES).find((id) => String(VALUE_TYPES[id].tag) === String(tag));
+  if (!type) {
+    throw new Error(`Unknown value type tag: ${tag}`);
+  }
+  return type;
+};
+
+/**
+ * Guess the type of a raw value from JSON input
+ * @param {*} value - The raw value
+ * @returns {string} The value type ID
+ */
+export const inferValueType = (value) => {
+  if (typeof value === 'boolean' || value === 'true' || value === 'false') return 'boolean';
+  if (typeof value === 'number' || typeof value === 'bigint' || /^-?\d+$/.test(String(value).trim())) return 'int';
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())) return 'date';
+  return 'string';
+};
+
+const encodeInt = (value) => {
+  const text = String(value).trim();
+  if (!/^-?\d+$/.test(text)) {
+    throw new Error(`"${text}" is not a whole number`);
+  }
+
+  const parsed = BigInt(text);
+  if (parsed < INT_MIN || parsed > INT_MAX) {
+    throw new Error(`${text} is outside the signed 64-bit range`);
+  }
+  return parsed + INT_OFFSET;
+};
+
+const encodeDate = (value) => {
+  const text = String(value).trim();
+  const time = Date.parse(`${text}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== text) {
+    throw new Error(`"${text}" is not a valid YYYY-MM-DD date`);
+  }
+  // Days since the Unix epoch, which may be negative, encoded like a signed integer
+  return encodeInt(Math.floor(time / MS_PER_DAY));
+};
+
+const encodeBoolean = (value) => {
+  const text = String(value).trim();
+  if (text !== 'true' && text !== 'false') {
+    throw new Error(`"${text}" is not true or false`);
+  }
+  return text === 'true' ? 1n : 0n;
+};
+
+const encodeString = (value) => {
+  const bytes = new TextEncoder().encode(String(value));
+
+  // Absorb the length, then every 31-byte chunk, so distinct strings never share an input sequence
+  let hash = poseidon2([BigInt(bytes.length), 0n]);
+  for (let offset = 0; offset < bytes.length; offset += STRING_CHUNK_BYTES) {
+    let chunk = 0n;
+    for (const byte of bytes.slice(offset, offset + STRING_CHUNK_BYTES)) {
+      chunk = (chunk << 8n) | BigInt(byte);
+    }
+    hash = poseidon2([hash, chunk]);
+  }
+  return hash & STRING_HASH_MASK;
+};
+
+const ENCODERS = {
+  int: encodeInt,
+  string: encodeString,
+  boolean: encodeBoolean,
+  date: encodeDate
+};
+
+/**
+ * Encode a raw value as the field element committed in the Merkle tree
+ * @param {string} type - The value type ID
+ * @param {*} value - The raw value
+ * @returns {bigint} The encoded value
+ */
+export const encodeValue = (type, value) => {
+  getValueType(type);
+  return ENCODERS[type](value);
+};
+
+/**
+ * Decode an encoded value back to its raw form
+ * Strings are hashed and cannot be decoded, so their encoding is returned as is
+ * @param {string} type - The value type ID
+ * @param {string|bigint} encoded - The encoded value
+ * @returns {string} The raw value
+ */
+export const decodeValue = (type, encoded) => {
+  getValueType(type);
+  const value = BigInt(encoded);
+
+  switch (type) {
+    case 'int':
+      return (value - INT_OFFSET).toString();
+    case 'date': {
+      // Only a forged signal is a day count beyond the dates a Date can hold
+      const date = new Date(Number(value - INT_OFFSET) * MS_PER_DAY);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`${value} is not an encoded date`);
+      }
+      return date.toISOString().slice(0, 10);
+    }
+    case 'boolean':
+      return value === 1n ? 'true' : 'false';
+    default:
+      return value.toString();
+  }
+};
@@ -0,0 +1,292 @@
+import { ProofService, PUBLIC_SIGNAL_COUNT, predicateFromSignal, rangeModeFromSignal } from './proofService.js';
+import { ChallengeService } from './challengeService.js';
+import { SignatureService } from './signatureService.js';
+import { RevocationList } from './revocationList.js';
+import { checkReferenceTime, DEFAULT_CLOCK_SKEW_MS, DEFAULT_MAX_PROOF_AGE_MS } from './podValidity.js';
+import { NO_SCOPE, scopeSignal } from './ownerIdentity.js';
+import { decodeValue, valueTypeFromTag } from './valueEncoding.js';
+import { PROVING_SYSTEMS, getProvingSystem } from './provingSystems.js';
+import { verificationKeyHash } from './proofEnvelope.js';
+
+// Read a file in Node; the specifier is a variable so browser bundlers leave it alone
+const readTextFile = async (path) => {
+  const fsModule = 'node:fs/promises';
+  const { readFile } = await import(/* @vite-ignore */ fsModule);
+  return readFile(path, 'utf8');
+};
+
+/**
+ * Load a verification key
+ * @param {Object|string} source - The key itself, or where to find it: a file path in Node, otherwise a URL
+ * @returns {Promise<Object>} The verification key
+ */
+export const loadVerificationKey = async (source) => {
+  let vKey = source;
+  if (typeof source === 'string') {
+    const isNode = Boolean(globalThis.process?.versions?.node);
+    try {
+      const text = isNode && !/^https?:\/\//.test(source)
+        ? await readTextFile(source)
+        : await fetch(source).then((response) => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          return response.text();
+        });
+      vKey = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Failed to load verification key ${source}: ${error.message}`);
+    }
+  }
+
+  if (!vKey || typeof vKey !== 'object' || !PROVING_SYSTEMS[vKey.protocol]) {
+    throw new Error(`Verification key must be for one of ${Object.keys(PROVING_SYSTEMS).join(', ')}, got ${vKey?.protocol}`);
+  }
+  // A key of another circuit would reject every proof; say why instead
+  if (vKey.nPublic !== undefined && Number(vKey.nPublic) !== PUBLIC_SIGNAL_COUNT) {
+    throw new Error(`Verification key has ${vKey.nPublic} public signals, but proofs have ${PUBLIC_SIGNAL_COUNT}`);
+  }
+  return vKey;
+};
+
+/**
+ * Check that proof data has the shape of a proof, before any of it is trusted
+ * @param {Object|string} proofInput - The proof, or its JSON, in the current envelope or one saved by an earlier version
+ * @returns {Object} The proof envelope (see proofEnvelope.js)
+ */
+export const validateProofData = (proofInput) => new ProofService(null, null).importProof(proofInput);
+
+/**
+ * VerificationService - Verify proofs and decide whether to accept them, without a browser
+ * Makes every check the Verify Proof page makes, so a server accepts exactly the proofs the app does
+ */
+export class VerificationService {
+  /**
+   * @param {Object|string|Function} verificationKey - The verification key, a file path or URL to load it from,
+   *   or a function that returns the key of a circuit ID and protocol (for proofs from several circuits or
+   *   proving systems)
+   * @param {IssuerRegistry|null} issuerRegistry - Trusted issuers; null accepts proofs from any issuer
+   * @param {ChallengeService} challengeService - The service that issues the challenges proofs are checked against,
+   *   which remembers the ones already answered
+   */
+  constructor(verificationKey, issuerRegistry = null, challengeService = new ChallengeService()) {
+    this.verificationKey = verificationKey;
+    this.issuerRegistry = issuerRegistry;
+    // Only the public signal helpers are used, which need no circuit loader or prover
+    this.proofService = new ProofService(null, null);
+    this.signatureService = new SignatureService();
+    this.challengeService = challengeService;
+    this.vKey = null;
+  }
+
+  /**
+   * Get the verification key for a proof
+   * @param {Object} proofData - The proof envelope
+   * @returns {Promise<Object>} The verification key
+   */
+  async getVerificationKey(proofData) {
+    if (typeof this.verificationKey === 'function') {
+      // The circuit and protocol are only named by the proof file; a wrong name only makes verification fail
+      return loadVerificationKey(await this.verificationKey(proofData.circuit.id, proofData.protocol));
+    }
+
+    this.vKey ??= await loadVerificationKey(this.verificationKey);
+    return this.vKey;
+  }
+
+  /**
+   * Verify a proof
+   * @param {Object|string} proofInput - The proof, or its JSON (see validateProofData)
+   * @param {Object} options - What the proof must also satisfy:
+   *   `challenge` - the challenge issued for the session (see ChallengeService.issue), if any; it is used up by
+   *   the first proof accepted for it
+   *   `scope` - the scope the proof must be made for, if any
+   *   `requireHolder` - whether the POD must be bound to its holder
+   *   `nullifierRegistry` - holders already seen; a holder seen in the proof's scope is rejected, and the holder of
+   *   an accepted proof is recorded, so they cannot present another proof in its scope
+   *   `revocationList` - the issuer's current signed revocation list, if proofs are checked against one
+   *   `now` - the verifier's clock
+   *   `maxProofAge` - how long after its reference time a proof is accepted, in milliseconds; null (the default)
+   *   accepts a proof of any age, since the proof shows the POD was valid at that time
+   *   `clockSkew` - how far the proof's reference time may be ahead of `now`
+   * @returns {Promise<Object>} Whether the proof is `valid` and `accepted`, the `reasons` it is not, its `protocol` and
+   *   `circuit`, the `issuer`, the decoded `claims` and public inputs, the unverified `context`, and `mismatches`
+   *   between the envelope and what the proof proves. A proof that cannot be read, or whose key cannot be loaded,
+   *   is rejected with only the `reasons`, and no `claims` or other decoded fields
+   */
+  async verify(proofInput, options = {}) {
+    const {
+      challenge = null,
+      scope = '',
+      requireHolder = false,
+      nullifierRegistry = null,
+      revocationList = null,
+      now = Date.now(),
+      maxProofAge = DEFAULT_MAX_PROOF_AGE_MS,
+      clockSkew = DEFAULT_CLOCK_SKEW_MS
+    } = options;
+
+    // A proof that cannot be read or checked is rejected like one that does not verify, with nothing decoded from it
+    const rejected = (reason) => ({
+      valid: false,
+      accepted: false,
+      reasons: [reason],
+      issuer: null,
+      timestamp: new Date(now).toISOString(),
+      mismatches: []
+    });
+    let proofData;
+    try {
+      proofData = validateProofData(proofInput);
+    } catch (error) {
+      return rejected(error.message);
+    }
+    let revocationListProblem = null;
+    if (revocationList) {
+      try {
+        RevocationList.fromJSON(revocationList);
+      } catch (error) {
+        revocationListProblem = `Invalid revocation list: ${error.message}`;
+      }
+    }
+
+    // Decode the claims from the public signals; the rest of the envelope is not covered by the proof.
+    // Signals the circuit never outputs, e.g. an unknown value type tag, only come from a forged proof
+    const { proofService } = this;
+    let decoded, mismatches, claims, description;
+    try {
+      decoded = proofService.decodePublicSignals(proofData.publicSignals);
+      const claimedClaims = proofData.claims;
+      const setValuesList = decoded.claims.map((claim, i) => proofService.matchSetValues(claim, claimedClaims[i]?.setValues));
+      const fieldList = decoded.claims.map((claim, i) => proofService.matchField(claim, claimedClaims[i]));
+      mismatches = proofService.findMetadataMismatches(proofData, decoded);
+      claims = decoded.claims.map((claim, i) => {
+        const valueType = valueTypeFromTag(claim.valueType);
+        const predicate = predicateFromSignal(claim.predicate);
+        return {
+          ...claim,
+          predicate,
+          rangeMode: rangeModeFromSignal(claim.rangeMode),
+          valueType,
+          field: fieldList[i],
+          // A denylist is only public through its root, so it can only be listed when the metadata supplies it
+          setLabels: setValuesList[i] ?? (predicate === 'notMember'
+            ? null
+            : [...new Set(claim.set)].map((item) => decodeValue(valueType, item)))
+        };
+      });
+      description = proofService.describeProof(decoded, setValuesList, fieldList);
+    } catch (error) {
+      return rejected(`Invalid public signals: ${error.message}`);
+    }
+    const issuer = this.issuerRegistry ? proofService.checkIssuer(decoded, this.issuerRegistry).issuer : null;
+
+    // A key only verifies proofs of its own proving system
+    const { protocol } = proofData;
+    let vKey, isOtherKey;
+    try {
+      vKey = await this.getVerificationKey(proofData);
+      // Proofs upgraded from before the envelope do not name their key
+      isOtherKey = Boolean(proofData.circuit.vkeyHash) && proofData.circuit.vkeyHash !== await verificationKeyHash(vKey);
+    } catch (error) {
+      return rejected(`The verification key cannot be loaded: ${error.message}`);
+    }
+    let valid = false;
+    if (vKey.protocol === protocol) {
+      try {
+        valid = await getProvingSystem(protocol).prover.verify(vKey, proofData.publicSignals, proofData.proof);
+      } catch (error) {
+        console.error('Error verifying proof:', error);
+      }
+    }
+
+    // Collect every reason the proof cannot be accepted
+    const reasons = [];
+    if (vKey.protocol !== protocol) {
+      reasons.push(`Made with ${getProvingSystem(protocol).label}, but the verification key is for ${getProvingSystem(vKey.protocol).label}`);
+    } else if (!valid) {
+      reasons.push(isOtherKey
+        ? `Made with another verification key of ${proofData.circuit.id}, e.g. from another artifact set`
+        : 'Proof verification failed');
+    }
+    if (this.issuerRegistry && !issuer) {
+      reasons.push('Signed by an unknown issuer');
+    }
+    if (mismatches.length > 0) {
+      reasons.push('Metadata does not match the proven claims');
+    }
+    const challengeProblem = this.challengeService.check(challenge, decoded.challenge, now);
+    if (challengeProblem) {
+      reasons.push(challengeProblem);
+    }
+    // The POD was only proven valid at the reference time, which must not be too long ago for this verifier
+    const referenceTimeProblem = checkReferenceTime(decoded.referenceTime, now, { maxAge: maxProofAge, clockSkew });
+    if (referenceTimeProblem) {
+      reasons.push(referenceTimeProblem);
+    }
+    if (scopeSignal(scope) !== NO_SCOPE && scopeSignal(scope) !== decoded.scope) {
+      reasons.push('Made for a different scope');
+    }
+
+    // A nullifier is only 0 for PODs that are not bound to a holder
+    const isHolderBound = decoded.nullifier !== '0';
+    if (requireHolder && !isHolderBound) {
+      reasons.push('The POD is not bound to its holder');
+    }
+    if (isHolderBound && nullifierRegistry?.has(decoded.scope, decoded.nullifier)) {
+      reasons.push('This holder already presented a proof in this scope');
+    }
+
+    // The proof only shows the POD is not on the list with its revocationRoot, so that must be the issuer's current one
+    if (revocationListProblem) {
+      reasons.push(revocationListProblem);
+    } else if (revocationList) {
+      // An unsigned or incomplete list is a reason to reject, like a bad signature, not an error
+      let listSignatureValid = null;
+      try {
+        listSignatureValid = this.signatureService.verifyRevocationList(revocationList);
+      } catch (error) {
+        reasons.push(`The revocation list cannot be checked: ${error.message}`);
+      }
+      if (listSignatureValid === false) {
+        reasons.push('The revocation list signature is invalid');
+      } else if (listSignatureValid && revocationList.publicKey.some((coordinate, i) => String(coordinate) !== decoded.pubKey[i])) {
+        reasons.push('The revocation list was not signed by the POD\'s issuer');
+      }
+      if (decoded.revocationRoot !== String(revocationList.root)) {
+        reasons.push('Not checked against the issuer\'s current revocation list');
+      }
+    }
+
+    // A challenge answers one proof, so the accepted proof cannot be presented again. Likewise its holder is
+    // only seen once the proof is accepted, so a rejected proof does not use up their scope
+    if (challenge && reasons.length === 0) {
+      this.challengeService.consume(challenge, now);
+    }
+    if (isHolderBound && nullifierRegistry && reasons.length === 0) {
+      nullifierRegistry.record(decoded.scope, decoded.nullifier);
+    }
+
+    return {
+      valid,
+      accepted: reasons.length === 0,
+      reasons,
+      protocol,
+      issuer,
+      timestamp: new Date(now).toISOString(),
+      circuit: proofData.circuit,
+      context: proofData.context ?? {},
+      pubKey: decoded.pubKey,
+      challenge: decoded.challenge,
+      scope: decoded.scope,
+      nullifier: isHolderBound ? decoded.nullifier : null,
+      revocationRoot: decoded.revocationRoot,
+      referenceTime: Number(decoded.referenceTime),
+      claims,
+      description,
+      mismatches
+    };
+  }
+}
+
+export default VerificationService;
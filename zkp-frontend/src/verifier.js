@@ -0,0 +1,13 @@
+/**
+ * zkp-frontend/verifier - Verify proofs outside the app, e.g. on a server
+ * Everything the Verify Proof page uses to decide whether to accept a proof, without React or a browser
+ */
+export { VerificationService, loadVerificationKey, validateProofData } from './services/verificationService.js';
+export { PROOF_ENVELOPE_SCHEMA, PROOF_FORMAT, PROOF_FORMAT_VERSION } from './services/proofEnvelope.js';
+export { POD_FORMAT_SCHEMA, POD_FORMAT, POD_FORMAT_VERSION, PODFormatError, readPOD } from './services/podFormat.js';
+export { IssuerRegistry } from './services/issuerRegistry.js';
+export { NullifierRegistry } from './services/nullifierRegistry.js';
+export { ChallengeService } from './services/challengeService.js';
+export { PUBLIC_SIGNAL_COUNT, PUBLIC_SIGNAL_LAYOUT } from './services/proofService.js';
+export { scopeSignal } from './services/ownerIdentity.js';
+export { default } from './services/verificationService.js';
@@ -0,0 +1,29 @@
+/**
+ * zkp-frontend/verifier for Node, see verifier.js
+ */
+import { register } from 'node:module';
+
+// The hooks must be in place before the services are loaded
+register('./nodeResolveHooks.js', import.meta.url);
+const verifier = await import('./verifier.js');
+
+export const {
+  VerificationService,
+  loadVerificationKey,
+  validateProofData,
+  PROOF_ENVELOPE_SCHEMA,
+  PROOF_FORMAT,
+  PROOF_FORMAT_VERSION,
+  POD_FORMAT_SCHEMA,
+  POD_FORMAT,
+  POD_FORMAT_VERSION,
+  PODFormatError,
+  readPOD,
+  IssuerRegistry,
+  NullifierRegistry,
+  ChallengeService,
+  PUBLIC_SIGNAL_COUNT,
+  PUBLIC_SIGNAL_LAYOUT,
+  scopeSignal
+} = verifier;
+export default verifier.default;
@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ArtifactCache, sha256Hex } from '../src/services/artifactCache.js';
+
+const WASM = 'https://app.example/circuit/d4/circuit.wasm';
+const BYTES = new TextEncoder().encode('wasm bytes');
+const HASH = await sha256Hex(BYTES);
+
+// A CacheStorage kept in memory, holding each cache's responses by URL
+const memoryCacheStorage = () => {
+  const caches = new Map();
+  const open = async (name) => {
+    if (!caches.has(name)) {
+      const entries = new Map();
+      caches.set(name, {
+        entries,
+        match: async (key) => entries.get(key)?.clone(),
+        put: async (key, response) => { entries.set(key, response); },
+        delete: async (key) => entries.delete(key.url ?? key),
+        keys: async () => [...entries.keys()].map((url) => ({ url }))
+      });
+    }
+    return caches.get(name);
+  };
+  return { caches, open, keys: async () => [...caches.keys()], delete: async (name) => caches.delete(name) };
+};
+
+// Serves the artifact's bytes, counting the downloads
+const server = (bytes = BYTES) => {
+  const fetchResource = async () => {
+    fetchResource.count++;
+    return new Response(bytes);
+  };
+  fetchResource.count = 0;
+  return fetchResource;
+};
+
+describe('ArtifactCache', () => {
+  it('downloads an artifact once, and serves the checked copy after a reload', async () => {
+    const storage = memoryCacheStorage();
+    const fetchResource = server();
+    const cache = new ArtifactCache(storage, '/circuit/manifest.json', fetchResource);
+    assert.deepEqual(await cache.load(WASM, HASH), BYTES);
+    assert.deepEqual(await cache.load(WASM, HASH), BYTES);
+    assert.equal(fetchResource.count, 1);
+
+    const progress = [];
+    const reloaded = new ArtifactCache(storage, '/circuit/manifest.json', fetchResource);
+    assert.deepEqual(await reloaded.load(WASM, HASH, (update) => progress.push(update)), BYTES);
+    assert.equal(fetchResource.count, 1);
+    assert.deepEqual(progress, [{ loaded: BYTES.length, total: BYTES.length, cached: true }]);
+  });
+
+  it('rejects an artifact that does not match its hash, and keeps no copy of it', async () => {
+    const storage = memoryCacheStorage();
+    const cache = new ArtifactCache(storage, '/circuit/manifest.json', server(new TextEncoder().encode('tampered')));
+    await assert.rejects(cache.load(WASM, HASH), /failed its integrity check \(expected SHA-256 [0-9a-f]{64}, got [0-9a-f]{64}\)/);
+    const [stored] = storage.caches.values();
+    assert.equal(stored.entries.size, 0);
+  });
+
+  it('downloads again when the stored copy was edited', async () => {
+    const storage = memoryCacheStorage();
+    const fetchResource = server();
+    await (await storage.open('zkp-circuit-artifacts-v1 /circuit/manifest.json')).put(`${WASM}?sha256=${HASH}`, new Response('edited'));
+    assert.deepEqual(await new ArtifactCache(storage, '/circuit/manifest.json', fetchResource).load(WASM, HASH), BYTES);
+    assert.equal(fetchResource.count, 1);
+  });
+
+  it('requires the manifest to list a hash', async () => {
+    await assert.rejects(new ArtifactCache(null, 'default', server()).load(WASM), /lists no hash for .*npm run manifest/);
+  });
+
+  it('evicts artifacts the manifest no longer lists, and caches of older versions', async () => {
+    const storage = memoryCacheStorage();
+    const cache = new ArtifactCache(storage, '/circuit/manifest.json', server());
+    await cache.load(WASM, HASH);
+    await storage.open('zkp-circuit-artifacts-v0 /circuit/manifest.json');
+
+    await cache.evict([{ path: WASM, sha256: HASH }]);
+    assert.deepEqual([...storage.caches.keys()], ['zkp-circuit-artifacts-v1 /circuit/manifest.json']);
+    assert.equal(storage.caches.get('zkp-circuit-artifacts-v1 /circuit/manifest.json').entries.size, 1);
+
+    await cache.evict([{ path: WASM, sha256: 'ab'.repeat(32) }]);
+    assert.equal(storage.caches.get('zkp-circuit-artifacts-v1 /circuit/manifest.json').entries.size, 0);
+  });
+
+  it('keeps only the artifacts last loaded in memory, and drops them when evicted', async () => {
+    const fetchResource = server();
+    const cache = new ArtifactCache(null, 'default', fetchResource);
+    const paths = ['d4/circuit.wasm', 'd4/circuit_final.zkey', 'd8/circuit.wasm'].map((name) => `https://app.example/circuit/${name}`);
+    for (const path of paths) {
+      await cache.load(path, HASH);
+    }
+    assert.deepEqual([...cache.loaded.keys()], paths.slice(1).map((path) => `${path}?sha256=${HASH}`));
+    await cache.load(paths[2], HASH);
+    assert.equal(fetchResource.count, 3);
+
+    await cache.evict([{ path: paths[1], sha256: HASH }]);
+    assert.deepEqual([...cache.loaded.keys()], [`${paths[1]}?sha256=${HASH}`]);
+    await cache.load(paths[2], HASH);
+    assert.equal(fetchResource.count, 4);
+  });
+
+  it('does not keep the bytes of JSON artifacts in memory', async () => {
+    const key = { protocol: 'groth16' };
+    const bytes = new TextEncoder().encode(JSON.stringify(key));
+    const cache = new ArtifactCache(null, 'default', server(bytes));
+    assert.deepEqual(await cache.loadJSON(WASM, await sha256Hex(bytes)), key);
+    assert.equal(cache.loaded.size, 0);
+  });
+});
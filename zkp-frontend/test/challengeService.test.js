@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ChallengeService,
+  NO_CHALLENGE,
+  SNARK_FIELD_SIZE,
+  parseChallenge,
+  randomFieldElement
+} from '../src/services/challengeService.js';
+
+describe('parseChallenge', () => {
+  it('reads decimal and hex challenges as decimal signals', () => {
+    assert.equal(parseChallenge(' 42 '), '42');
+    assert.equal(parseChallenge('0xff'), '255');
+    assert.equal(parseChallenge(7n), '7');
+  });
+
+  it('rejects anything that is not a field element', () => {
+    for (const value of ['', '-1', '1.5', 'abc', SNARK_FIELD_SIZE.toString()]) {
+      assert.throws(() => parseChallenge(value), /below the field size/, value);
+    }
+  });
+});
+
+describe('ChallengeService', () => {
+  it('issues distinct nonces below the field size that expire after the TTL', () => {
+    const service = new ChallengeService(1000);
+    const first = service.issue(5000);
+    const second = service.issue(5000);
+    assert.notEqual(first.nonce, second.nonce);
+    assert.ok(BigInt(first.nonce) < SNARK_FIELD_SIZE);
+    assert.deepEqual([first.issuedAt, first.expiresAt], [5000, 6000]);
+    assert.ok(randomFieldElement() < 2n ** 248n);
+  });
+
+  it('accepts only the issued challenge before it expires', () => {
+    const service = new ChallengeService(1000);
+    const issued = service.issue(0);
+    assert.equal(service.check(issued, issued.nonce, 1000), null);
+    assert.equal(service.check(issued, NO_CHALLENGE, 0), 'Not bound to the issued challenge');
+    assert.equal(service.check(issued, '1', 0), 'Bound to a different challenge');
+    assert.equal(service.check(issued, issued.nonce, 1001), 'The issued challenge has expired');
+  });
+
+  it('rejects a challenge again once it was answered', () => {
+    const service = new ChallengeService(1000);
+    const issued = service.issue(0);
+    const other = service.issue(0);
+    service.consume(issued, 10);
+    assert.equal(service.check(issued, issued.nonce, 20), 'The issued challenge was already answered');
+    assert.equal(service.check(other, other.nonce, 20), null);
+    // Expired challenges are forgotten, as they are rejected anyway
+    service.consume(other, 1001);
+    assert.deepEqual([...service.used.keys()], [other.nonce]);
+  });
+
+  it('remembers answered challenges in its storage', () => {
+    const items = {};
+    const storage = { getItem: (key) => items[key] ?? null, setItem: (key, value) => { items[key] = value; } };
+    const issued = new ChallengeService(1000).issue(0);
+    const neverExpires = { nonce: '42', expiresAt: Infinity };
+    new ChallengeService(1000, storage).consume(issued, 10);
+    new ChallengeService(1000, storage).consume(neverExpires, 10);
+
+    const restored = new ChallengeService(1000, storage);
+    assert.equal(restored.check(issued, issued.nonce, 20), 'The issued challenge was already answered');
+    assert.equal(restored.check(neverExpires, '42', 2000), 'The issued challenge was already answered');
+  });
+
+  it('accepts any challenge when none was issued', () => {
+    assert.equal(new ChallengeService().check(null, '123'), null);
+  });
+});
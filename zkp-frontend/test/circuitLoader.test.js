@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitLoader, isSameOriginPath } from '../src/services/circuitLoader.js';
+
+// A loader that serves one manifest and nothing else
+const loaderFor = (manifestPath, circuit) => new CircuitLoader(
+  manifestPath,
+  async (path) => (path === manifestPath
+    ? new Response(JSON.stringify({ circuits: [{ id: 'proveValueInMerkle_d4', depth: 4, ...circuit }] }))
+    : new Response(null, { status: 404 })),
+  {}
+);
+
+describe('isSameOriginPath', () => {
+  it('accepts absolute paths on the app\'s origin', () => {
+    assert.ok(isSameOriginPath('/circuit/testing/manifest.json'));
+  });
+
+  it('rejects URLs, relative paths and paths the browser reads as another host', () => {
+    for (const path of ['https://evil.example/manifest.json', '//evil.example/manifest.json', '/\\evil.example/manifest.json',
+      '/\t/evil.example/manifest.json', 'circuit/manifest.json', 'javascript:alert(1)', null]) {
+      assert.equal(isSameOriginPath(path), false, path);
+    }
+  });
+});
+
+describe('CircuitLoader.loadManifest', () => {
+  const keys = { zkey: 'd4/circuit_final.zkey', vkey: 'd4/verification_key.json' };
+
+  it('resolves artifact paths against the manifest', async () => {
+    const { circuits: [circuit] } = await loaderFor('/circuit/testing/manifest.json', { wasm: 'd4/circuit.wasm', ...keys })
+      .loadManifest();
+    assert.equal(circuit.wasm, '/circuit/testing/d4/circuit.wasm');
+    assert.equal(circuit.protocols.groth16.vkey, '/circuit/testing/d4/verification_key.json');
+  });
+
+  it('rejects artifacts on another origin', async () => {
+    for (const vkey of ['https://evil.example/verification_key.json', '//evil.example/verification_key.json']) {
+      await assert.rejects(
+        loaderFor('/circuit/manifest.json', { wasm: 'd4/circuit.wasm', ...keys, vkey }).loadManifest(),
+        /artifact on another origin/
+      );
+    }
+  });
+
+  it('accepts URLs on the origin of a manifest fetched by URL', async () => {
+    const wasm = 'https://app.example/circuit/d4/circuit.wasm';
+    const { circuits: [circuit] } = await loaderFor('https://app.example/circuit/manifest.json', { wasm, ...keys }).loadManifest();
+    assert.equal(circuit.wasm, wasm);
+    await assert.rejects(
+      loaderFor('https://app.example/circuit/manifest.json', { wasm: 'https://evil.example/circuit.wasm', ...keys }).loadManifest(),
+      /artifact on another origin/
+    );
+  });
+});
+
+describe('CircuitLoader.selectCircuit', () => {
+  // An artifact set of several depths, listed out of order
+  const circuits = [16, 4, 8].map((depth) => ({
+    id: `proveValueInMerkle_d${depth}`,
+    depth,
+    wasm: `d${depth}/circuit.wasm`,
+    zkey: `d${depth}/circuit_final.zkey`,
+    vkey: `d${depth}/verification_key.json`
+  }));
+  const loader = new CircuitLoader('/circuit/manifest.json', async () => new Response(JSON.stringify({ circuits })), {});
+
+  it('picks the smallest circuit that fits the tree', async () => {
+    assert.equal((await loader.selectCircuit(1)).id, 'proveValueInMerkle_d4');
+    assert.equal((await loader.selectCircuit(4)).id, 'proveValueInMerkle_d4');
+    assert.equal((await loader.selectCircuit(5)).id, 'proveValueInMerkle_d8');
+    assert.equal((await loader.selectCircuit(16)).id, 'proveValueInMerkle_d16');
+  });
+
+  it('says how deep a tree the artifact set can prove', async () => {
+    await assert.rejects(loader.selectCircuit(17), /No circuit supports a tree of depth 17 \(largest available depth is 16\)/);
+    await assert.rejects(loader.getCircuit('proveValueInMerkle_d5'), /Unknown circuit: proveValueInMerkle_d5/);
+  });
+});
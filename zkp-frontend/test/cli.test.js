@@ -0,0 +1,93 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { main } from '../cli/main.js';
+import { proofEnvelope, publicSignals } from './fixtures.js';
+
+const ZKP = fileURLToPath(new URL('../cli/zkp.js', import.meta.url));
+
+// Run the CLI as a user would, returning its exit code and output
+const zkp = (...args) => {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [ZKP, ...args], { encoding: 'utf8', timeout: 60000 });
+  return { status, stdout, stderr };
+};
+
+describe('zkp', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'zkp-cli-'));
+  const file = (name, content) => {
+    const path = join(dir, name);
+    writeFileSync(path, typeof content === 'string' ? content : JSON.stringify(content));
+    return path;
+  };
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('prints its usage, and exits 2 when called wrongly', () => {
+    const help = zkp('help');
+    assert.equal(help.status, 0);
+    assert.match(help.stdout, /^Usage: zkp <command>/);
+    assert.equal(zkp().status, 2);
+
+    const unknown = zkp('forge');
+    assert.equal(unknown.status, 2);
+    assert.match(unknown.stderr, /zkp: Unknown command: forge/);
+    assert.equal(zkp('verify', 'proof.json', '--any-issuer', '--max-age', '5m').status, 2);
+  });
+
+  it('issues a POD that it then accepts, but only from a trusted issuer', () => {
+    const data = file('data.json', [{ key: 'age', value: 30 }, { key: 'name', value: 'alice' }]);
+    const pod = join(dir, 'pod.json');
+    assert.equal(zkp('pod', 'create', '--in', data, '--key', '1234567890', '--issuer-name', 'Acme', '--out', pod).status, 0);
+
+    const accepted = zkp('pod', 'verify', pod, '--any-issuer');
+    assert.equal(accepted.status, 0);
+    assert.deepEqual(JSON.parse(accepted.stdout).reasons, []);
+
+    const issuers = file('issuers.json', { issuers: [{ name: 'Other', publicKey: ['1', '2'] }] });
+    const untrusted = zkp('pod', 'verify', pod, '--issuers', issuers);
+    assert.equal(untrusted.status, 1);
+    assert.deepEqual(JSON.parse(untrusted.stdout).reasons, ['Signed by an unknown issuer']);
+    assert.equal(zkp('pod', 'verify', pod).status, 2);
+  });
+
+  it('exits 1 with the reasons for a proof it rejects, even one it cannot decode', () => {
+    const vkey = file('verification_key.json', { protocol: 'plonk' });
+    const rejected = zkp('verify', file('proof.json', proofEnvelope()), '--any-issuer', '--vkey', vkey);
+    assert.equal(rejected.status, 1);
+    assert.match(JSON.parse(rejected.stdout).reasons[0], /^Made with Groth16, but the verification key is for PLONK/);
+
+    const forged = { ...proofEnvelope(), publicSignals: publicSignals({ valueType: ['9'] }) };
+    const unreadable = zkp('verify', file('forged.json', forged), '--any-issuer', '--vkey', vkey);
+    assert.equal(unreadable.status, 1);
+    assert.deepEqual(JSON.parse(unreadable.stdout).reasons, ['Invalid public signals: Unknown value type tag: 9']);
+  });
+
+  it('exits 3 when an input cannot be read', () => {
+    const missing = zkp('verify', join(dir, 'missing.json'), '--any-issuer', '--vkey', join(dir, 'missing.json'));
+    assert.equal(missing.status, 3);
+    assert.match(missing.stderr, /zkp: Cannot read proof/);
+  });
+});
+
+describe('zkp main', () => {
+  // A stream that keeps what is written to it
+  const stream = () => {
+    const written = { text: '', write: (chunk) => { written.text += chunk; return true; } };
+    return written;
+  };
+
+  it('writes to the streams it is given, and leaves the console as it found it', async () => {
+    const { log, error } = console;
+    const output = { stdout: stream(), stderr: stream() };
+    assert.equal(await main(['help'], output), 0);
+    assert.match(output.stdout.text, /^Usage: zkp <command>/);
+
+    assert.equal(await main(['pod', 'verify', 'missing.json', '--any-issuer', '--verbose'], output), 3);
+    assert.match(output.stderr.text, /^zkp: Cannot read POD missing\.json/);
+    assert.equal(console.log, log);
+    assert.equal(console.error, error);
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Test fixtures - Well-formed proofs that no verification key accepts, and a check of Merkle paths
+ * The proofs' points are the curve's generators, so they pass every format check without a proving run
+ */
+import { poseidon2 } from 'poseidon-lite';
+import { MAX_CLAIMS, PUBLIC_SIGNAL_LAYOUT, ProofService } from '../src/services/proofService.js';
+import { encodeProofCode } from '../src/services/proofCode.js';
+
+const G1 = ['1', '2', '1'];
+const G2 = [
+  [
+    '10857046999023057135944570762232829481370756359578518086990519993285655852781',
+    '11559732032986387107991004021392285783925812861821192530917403151452391805634'
+  ],
+  [
+    '8495653923123431417604973247489272438418190587263600148770280649306958101930',
+    '4082367875863433681332203403145435568316851327593401208105741076214120093531'
+  ],
+  ['1', '0']
+];
+
+export const groth16Proof = () => ({ pi_a: G1, pi_b: G2, pi_c: G1, protocol: 'groth16', curve: 'bn128' });
+
+/**
+ * Public signals of a proof, in the circuit's layout
+ * @param {Object} values - Signals by name; per-claim signals list every claim's signals in turn.
+ *   By default the proof makes one claim, that an integer is at least 18
+ * @returns {Array<string>} The public signals
+ */
+export const publicSignals = (values = {}) => {
+  const signals = { claimEnabled: ['1'], valueType: ['1'], lowerbound: ['9223372036854775826'], rangeMode: ['2'], ...values };
+  return PUBLIC_SIGNAL_LAYOUT.flatMap(({ name, size, perClaim }) =>
+    Array.from({ length: size * (perClaim ? MAX_CLAIMS : 1) }, (_, i) => String(signals[name]?.[i] ?? '0')));
+};
+
+/**
+ * A proof envelope, as imported from a proof code
+ * @param {Object} values - Its public signals, see publicSignals
+ * @returns {Object} The proof envelope
+ */
+export const proofEnvelope = (values = {}) => new ProofService(null, null).proofFromCode(
+  encodeProofCode({ depth: 4, proof: groth16Proof(), publicSignals: publicSignals(values) })
+);
+
+/**
+ * Recompute a Merkle root from a leaf and its siblings, the way the circuit does
+ * @param {Object} proof - The `leaf`, its `index` and its `siblings` from the leaf up
+ * @returns {bigint} The root
+ */
+export const rootFromProof = ({ leaf, index, siblings }) => siblings.reduce(
+  (node, sibling, level) => ((index >> level) & 1 ? poseidon2([sibling, node]) : poseidon2([node, sibling])),
+  leaf
+);
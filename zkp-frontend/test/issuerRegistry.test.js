@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { IssuerRegistry } from '../src/services/issuerRegistry.js';
+import { ProofService } from '../src/services/proofService.js';
+import { publicSignals } from './fixtures.js';
+
+// A Storage kept in memory, as localStorage would keep it
+const memoryStorage = () => {
+  const items = {};
+  return { getItem: (key) => items[key] ?? null, setItem: (key, value) => { items[key] = value; } };
+};
+
+describe('IssuerRegistry', () => {
+  it('finds an issuer by its key however the coordinates are written', () => {
+    const registry = new IssuerRegistry(null);
+    registry.addIssuer(' Acme ', ['0x10', '20']);
+    assert.equal(registry.findIssuer(['16', '020']).name, 'Acme');
+    assert.equal(registry.findIssuer(['16', '21']), null);
+    assert.equal(registry.findIssuer(['not a number', '20']), null);
+  });
+
+  it('renames an issuer added again, and removes it', () => {
+    const registry = new IssuerRegistry(null);
+    registry.addIssuer('Acme', ['1', '2']);
+    registry.addIssuer('Acme Inc.', ['1', '2']);
+    assert.deepEqual(registry.list().map(({ name }) => name), ['Acme Inc.']);
+    registry.removeIssuer(['1', '2']);
+    assert.deepEqual(registry.list(), []);
+  });
+
+  it('exports, imports and persists its issuers', () => {
+    const storage = memoryStorage();
+    const registry = new IssuerRegistry(storage);
+    registry.addIssuer('Acme', ['1', '2']);
+    assert.equal(new IssuerRegistry(storage).findIssuer(['1', '2']).name, 'Acme');
+
+    const other = new IssuerRegistry(null);
+    other.addIssuer('Other', ['3', '4']);
+    assert.equal(other.importJSON(registry.exportJSON()), 2);
+    assert.equal(other.importJSON(registry.exportJSON(), false), 1);
+    assert.equal(other.findIssuer(['3', '4']), null);
+  });
+
+  it('rejects issuers without a name or with a malformed key', () => {
+    const registry = new IssuerRegistry(null);
+    assert.throws(() => registry.addIssuer(' ', ['1', '2']), /must have a name/);
+    assert.throws(() => registry.addIssuer('Acme', ['1']), /array of two coordinates/);
+    assert.throws(() => registry.importJSON('{"issuers": [{"name": "Acme", "publicKey": ["x", "2"]}]}'), /Failed to import issuers: Invalid public key coordinate: x/);
+  });
+});
+
+describe('ProofService.checkIssuer', () => {
+  it('names the trusted issuer of the proof\'s public key', () => {
+    const proofService = new ProofService(null, null);
+    const registry = new IssuerRegistry(null);
+    registry.addIssuer('Acme', ['5', '6']);
+
+    const trusted = proofService.checkIssuer(proofService.decodePublicSignals(publicSignals({ pubKey: ['5', '6'] })), registry);
+    assert.equal(trusted.trusted, true);
+    assert.equal(trusted.issuer.name, 'Acme');
+    assert.deepEqual(
+      proofService.checkIssuer(proofService.decodePublicSignals(publicSignals({ pubKey: ['5', '7'] })), registry),
+      { trusted: false, issuer: null }
+    );
+  });
+});
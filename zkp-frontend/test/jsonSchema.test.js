@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchema } from '../src/services/jsonSchema.js';
+
+describe('validateSchema', () => {
+  const schema = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Entry',
+    type: 'object',
+    required: ['key'],
+    properties: {
+      key: { type: 'string', pattern: '^[a-z]+$', description: 'a lowercase name' },
+      count: { type: 'integer', minimum: 0 }
+    },
+    additionalProperties: false
+  };
+
+  it('reports each problem with its path', () => {
+    assert.deepEqual(validateSchema(schema, { key: 'age', count: 1 }), []);
+    assert.deepEqual(validateSchema(schema, { key: 'Age', count: -1, extra: true }).map(({ message }) => message), [
+      'key must be a lowercase name',
+      'count must be at least 0',
+      'extra is not allowed'
+    ]);
+  });
+
+  it('rejects schemas with keywords it does not check', () => {
+    assert.throws(() => validateSchema({ type: 'string', maxLength: 3 }, 'abcd'), /Unsupported JSON Schema keyword maxLength in the schema of document/);
+    assert.throws(
+      () => validateSchema({ type: 'object', properties: { key: { type: 'string', format: 'email', minLength: 1 } } }, { key: 'a' }),
+      /Unsupported JSON Schema keywords format, minLength in the schema of key/
+    );
+    assert.throws(() => validateSchema({ oneOf: [{ type: 'string' }, { type: 'integer' }] }, 1), /oneOf/);
+    assert.throws(
+      () => validateSchema({ type: 'array', items: { type: 'object', properties: { tags: { type: 'array', uniqueItems: true } } } }, []),
+      /Unsupported JSON Schema keyword uniqueItems in the schema of \[\]\.tags/
+    );
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MerkleTreeService } from '../src/services/merkleTree.js';
+import { encodeValue } from '../src/services/valueEncoding.js';
+import { rootFromProof } from './fixtures.js';
+
+describe('MerkleTreeService', () => {
+  it('proves every entry of a full tree with exactly depth siblings', () => {
+    const service = new MerkleTreeService(4);
+    for (let key = 1; key <= service.capacity; key++) {
+      service.addKeyValuePair(key, key * 111);
+    }
+    const root = service.buildTree();
+    for (let index = 0; index < service.capacity; index++) {
+      const { siblings } = service.getProof(index);
+      assert.equal(siblings.length, 4);
+      const leaf = service.tree.generateProof(index + 1).leaf;
+      assert.equal(rootFromProof({ leaf, index: index + 1, siblings: siblings.map(BigInt) }), root);
+    }
+    assert.equal(service.getHeaderProof().siblings.length, 4);
+  });
+
+  it('grows to the smallest depth that holds its entries and the header', () => {
+    assert.deepEqual([1, 3, 4, 15, 16, 40].map(MerkleTreeService.depthForPairs), [1, 2, 3, 4, 5, 6]);
+    const service = new MerkleTreeService();
+    for (let key = 1; key <= 40; key++) {
+      service.addKeyValuePair(key, key);
+    }
+    service.buildTree();
+    assert.equal(service.depth, 6);
+    assert.equal(service.getProof(39).siblings.length, 6);
+  });
+
+  it('encodes each entry for its type and exports the type with it', () => {
+    const service = new MerkleTreeService();
+    service.addKeyValuePair('name', 'alice: "admin"', 'string');
+    service.addKeyValuePair('verified', true, 'boolean');
+    service.addKeyValuePair('born', '2001-09-11', 'date');
+    service.addKeyValuePair('balance', '-250');
+    service.buildTree();
+
+    assert.deepEqual(service.getProof(0).value, encodeValue('string', 'alice: "admin"').toString());
+    assert.deepEqual(service.exportData().data, [
+      { key: 'name', value: 'alice: "admin"', type: 'string' },
+      { key: 'verified', value: 'true', type: 'boolean' },
+      { key: 'born', value: '2001-09-11', type: 'date' },
+      { key: 'balance', value: '-250', type: 'int' }
+    ]);
+  });
+
+  it('reports a value that does not fit its type against its key', () => {
+    const service = new MerkleTreeService();
+    assert.throws(() => service.addKeyValuePair('born', '2001-02-30', 'date'), /Invalid date \(yyyy-mm-dd\) value for key born/);
+    assert.throws(() => service.addKeyValuePair('count', 'many'), /Invalid integer value for key count/);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportSolidityVerifier } from '../src/services/onChainVerifier.js';
+import { PUBLIC_SIGNAL_COUNT } from '../src/services/proofService.js';
+
+// A Groth16 verification key with distinct, recognisable coordinates; the contract only copies them
+const point2 = (n) => [[`${n}1`, `${n}2`], [`${n}3`, `${n}4`], ['1', '0']];
+const verificationKey = () => ({
+  protocol: 'groth16',
+  curve: 'bn128',
+  nPublic: PUBLIC_SIGNAL_COUNT,
+  vk_alpha_1: ['101', '102', '1'],
+  vk_beta_2: point2(20),
+  vk_gamma_2: point2(30),
+  vk_delta_2: point2(40),
+  IC: Array.from({ length: PUBLIC_SIGNAL_COUNT + 1 }, (_, i) => [`${1000 + i}`, `${2000 + i}`, '1'])
+});
+
+describe('exportSolidityVerifier', () => {
+  it('renders snarkjs\'s Groth16 verifier for the key', () => {
+    const source = exportSolidityVerifier(verificationKey());
+    assert.match(source, /^\/\/ SPDX-License-Identifier: GPL-3.0\n/);
+    assert.match(source, /contract Groth16Verifier \{/);
+    assert.doesNotMatch(source, /<%|%>/);
+
+    assert.match(source, /uint256 constant alphax {2}= 101;/);
+    // G2 coordinates are written with their two field elements swapped, as the precompile takes them
+    assert.match(source, /uint256 constant betax1 {2}= 202;\n\s+uint256 constant betax2 {2}= 201;/);
+    assert.match(source, /uint256 constant deltay1 = 404;/);
+    assert.match(source, new RegExp(`uint256 constant IC${PUBLIC_SIGNAL_COUNT}y = ${2000 + PUBLIC_SIGNAL_COUNT};`));
+    assert.doesNotMatch(source, new RegExp(`IC${PUBLIC_SIGNAL_COUNT + 1}x`));
+  });
+
+  it('takes and checks every public signal', () => {
+    const source = exportSolidityVerifier(verificationKey());
+    assert.match(source, new RegExp(`uint\\[${PUBLIC_SIGNAL_COUNT}\\] calldata _pubSignals\\) public view returns \\(bool\\)`));
+    assert.equal(source.match(/g1_mulAccC\(_pVk, IC/g).length, PUBLIC_SIGNAL_COUNT);
+    assert.equal(source.match(/checkField\(calldataload\(add\(_pubSignals, \d+\)\)\)/g).length, PUBLIC_SIGNAL_COUNT);
+    assert.match(source, new RegExp(`checkField\\(calldataload\\(add\\(_pubSignals, ${(PUBLIC_SIGNAL_COUNT - 1) * 32}\\)\\)\\)`));
+  });
+
+  it('only exports Groth16 verifiers', () => {
+    assert.throws(() => exportSolidityVerifier({ ...verificationKey(), protocol: 'plonk' }), /Only Groth16 verifiers.*got plonk/);
+    assert.throws(() => exportSolidityVerifier(null), /Only Groth16 verifiers/);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { poseidon1 } from 'poseidon-lite';
+import { SNARK_FIELD_SIZE } from '../src/services/challengeService.js';
+import { encodeValue } from '../src/services/valueEncoding.js';
+import {
+  NO_OWNER,
+  NO_SCOPE,
+  computeNullifier,
+  generateOwnerIdentity,
+  ownerCommitment,
+  scopeSignal
+} from '../src/services/ownerIdentity.js';
+
+describe('owner identity', () => {
+  it('commits to the secret with Poseidon', () => {
+    assert.equal(ownerCommitment('12345'), poseidon1([12345n]).toString());
+    assert.equal(ownerCommitment(' 12345 '), ownerCommitment('12345'));
+  });
+
+  it('generates a secret and its commitment', () => {
+    const { secret, commitment } = generateOwnerIdentity();
+    assert.equal(commitment, ownerCommitment(secret));
+    assert.notEqual(commitment, NO_OWNER);
+    assert.notEqual(generateOwnerIdentity().secret, secret);
+  });
+
+  it('rejects secrets that are not positive field elements', () => {
+    for (const secret of ['0', '-1', 'secret', '', SNARK_FIELD_SIZE.toString()]) {
+      assert.throws(() => ownerCommitment(secret), /positive whole number below the field size/, secret);
+    }
+  });
+});
+
+describe('nullifiers', () => {
+  it('are the same for a holder in one scope', () => {
+    assert.equal(computeNullifier('12345', 'event-2025'), computeNullifier('12345', 'event-2025'));
+  });
+
+  it('differ between scopes and between holders', () => {
+    const nullifier = computeNullifier('12345', 'event-2025');
+    assert.notEqual(computeNullifier('12345', 'event-2026'), nullifier);
+    assert.notEqual(computeNullifier('12345', ''), nullifier);
+    assert.notEqual(computeNullifier('54321', 'event-2025'), nullifier);
+  });
+
+  it('use the scope encoded as a string without surrounding whitespace, or NO_SCOPE without one', () => {
+    assert.equal(scopeSignal('event-2025'), encodeValue('string', 'event-2025').toString());
+    assert.equal(scopeSignal(''), NO_SCOPE);
+    assert.equal(scopeSignal(' event-2025\n'), scopeSignal('event-2025'));
+    assert.equal(scopeSignal('  '), NO_SCOPE);
+  });
+
+  it('reject a bad secret', () => {
+    assert.throws(() => computeNullifier('0', 'event-2025'), /positive whole number/);
+  });
+});
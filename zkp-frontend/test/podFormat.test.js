@@ -0,0 +1,148 @@
+import { before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { MerkleTreeService } from '../src/services/merkleTree.js';
+import { SignatureService } from '../src/services/signatureService.js';
+import {
+  POD_ENTRIES_SCHEMA,
+  POD_FORMAT,
+  POD_FORMAT_VERSION,
+  PODFormatError,
+  parseEntriesInput,
+  podVersion,
+  readPOD
+} from '../src/services/podFormat.js';
+import { validateSchema } from '../src/services/jsonSchema.js';
+import { generateOwnerIdentity } from '../src/services/ownerIdentity.js';
+
+// A POD issued by PODCreator, signed with a fixed issuer key
+const issuePOD = () => {
+  const merkleTree = new MerkleTreeService();
+  merkleTree.reset('custom');
+  merkleTree.setOwner(generateOwnerIdentity().commitment);
+  merkleTree.setValidity(1760000000000, 1790000000000);
+  merkleTree.addKeyValuePair('age', 30, 'int');
+  merkleTree.addKeyValuePair('country', 'NL', 'string');
+  merkleTree.addKeyValuePair('member', true, 'boolean');
+  merkleTree.buildTree();
+
+  const signatureService = new SignatureService();
+  signatureService.importKeyPair('1234567890');
+  return signatureService.signPOD(merkleTree.exportData());
+};
+
+// The same POD as issued before the format was versioned
+const versionOnePOD = ({ id, schema, owner, issuedAt, expiresAt, data, tree, merkleRoot, issuer, signature }) => ({
+  id,
+  schema,
+  owner,
+  issuedAt,
+  expiresAt,
+  data,
+  depth: tree.depth,
+  merkleRoot,
+  signature: { R8: signature.R8, S: signature.S },
+  publicKey: issuer.publicKey
+});
+
+describe('readPOD', () => {
+  // Signing logs the POD it signs
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  it('reads a current POD, also from its JSON', () => {
+    const pod = issuePOD();
+    assert.equal(podVersion(pod), POD_FORMAT_VERSION);
+    assert.equal(readPOD(pod), pod);
+    assert.deepEqual(readPOD(JSON.stringify(pod)), pod);
+  });
+
+  it('upgrades a version 1 POD, whose signature and root still check', () => {
+    const pod = issuePOD();
+    const upgraded = readPOD(versionOnePOD(pod));
+    assert.equal(podVersion(versionOnePOD(pod)), 1);
+    assert.deepEqual(JSON.parse(JSON.stringify(upgraded)), pod);
+    assert.equal(new SignatureService().verifyPOD(versionOnePOD(pod)), true);
+
+    const merkleTree = new MerkleTreeService();
+    assert.equal(merkleTree.importData(versionOnePOD(pod)).toString(), pod.merkleRoot);
+  });
+
+  it('gives version 1 entries without a type the default type', () => {
+    const pod = versionOnePOD(issuePOD());
+    const untyped = { ...pod, data: pod.data.map(({ key, value }) => ({ key, value })) };
+    assert.deepEqual(readPOD(untyped).data.map(({ type }) => type), ['int', 'int', 'int']);
+  });
+
+  it('rejects PODs of the app\'s first versions as incompatible, with a single error', () => {
+    const { data, merkleRoot, signature, issuer } = issuePOD();
+    const baseline = {
+      data: data.map(({ key, value }) => ({ key, value })),
+      merkleRoot,
+      signature: { R8: signature.R8, S: signature.S },
+      publicKey: issuer.publicKey
+    };
+    assert.throws(() => readPOD(baseline), (error) => {
+      assert.ok(error instanceof PODFormatError);
+      assert.equal(error.errors.length, 1);
+      assert.match(error.message, /issued by an incompatible earlier version of the app.*reissue it/);
+      return true;
+    });
+  });
+
+  it('lists every field that does not match the schema', () => {
+    const pod = issuePOD();
+    const tampered = { ...pod, id: 'abc', data: [{ ...pod.data[0], type: 'float' }], tree: { ...pod.tree, depth: 0 } };
+    assert.throws(() => readPOD(tampered), (error) => {
+      assert.ok(error instanceof PODFormatError);
+      assert.deepEqual(error.errors.map(({ path }) => path).sort(), ['data[0].type', 'id', 'tree.depth']);
+      return true;
+    });
+  });
+
+  it('rejects documents that are not PODs of a known version', () => {
+    const pod = issuePOD();
+    assert.throws(() => readPOD('{'), /POD is not valid JSON/);
+    assert.throws(() => readPOD([pod]), /POD must be an object/);
+    assert.throws(() => readPOD({ ...pod, format: 'zkp-pod-proof' }), new RegExp(`Not a POD: format must be "${POD_FORMAT}"`));
+    assert.throws(() => readPOD({ ...pod, version: POD_FORMAT_VERSION + 1 }), /newer than this version of the app reads/);
+    const { signature: _signature, ...unsigned } = versionOnePOD(pod);
+    assert.throws(() => readPOD(unsigned), /signature/);
+  });
+
+  it('makes a tampered POD fail its signature check', () => {
+    const pod = issuePOD();
+    assert.equal(new SignatureService().verifyPOD(pod), true);
+    assert.equal(new SignatureService().verifyPOD({ ...pod, merkleRoot: '1' }), false);
+  });
+});
+
+describe('POD_ENTRIES_SCHEMA', () => {
+  it('accepts entries as PODCreator and the CLI take them', () => {
+    assert.deepEqual(validateSchema(POD_ENTRIES_SCHEMA, [{ key: 'age', value: 30 }, { key: 1, value: 'NL', type: 'string' }]), []);
+  });
+
+  it('rejects missing values, blank keys and unknown types', () => {
+    const errors = validateSchema(POD_ENTRIES_SCHEMA, [{ key: 'age' }, { key: ' ', value: 1 }, { key: 'x', value: 1, type: 'float' }]);
+    assert.deepEqual(errors.map(({ path }) => path), ['[0].value', '[1].key', '[2].type']);
+    assert.equal(validateSchema(POD_ENTRIES_SCHEMA, []).length, 1);
+  });
+});
+
+describe('parseEntriesInput', () => {
+  it('reads JSON string values with quotes and colons as they are', () => {
+    const text = '[{"key":"name","value":"O\'Brien"},{"key":"site","value":"https://a.b"},{"key":"time","value":"10:30"}]';
+    assert.deepEqual(parseEntriesInput(text).map(({ value }) => value), ['O\'Brien', 'https://a.b', '10:30']);
+  });
+
+  it('reads the loose syntax of the example input', () => {
+    assert.deepEqual(parseEntriesInput("[\n  { key: 1, value: 111 },\n  { key: 'country', value: 'NL' }\n]"), [
+      { key: 1, value: 111 },
+      { key: 'country', value: 'NL' }
+    ]);
+  });
+
+  it('rejects input that is neither', () => {
+    assert.throws(() => parseEntriesInput('[{ key: 1, value: }]'), /Invalid JSON format/);
+  });
+});
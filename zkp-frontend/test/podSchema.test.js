@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fieldIdentifier, findField, resolveFieldType } from '../src/services/podSchema.js';
+import { ProofService } from '../src/services/proofService.js';
+
+describe('field identifiers', () => {
+  it('differ between schemas for the same field name', () => {
+    assert.notEqual(fieldIdentifier('identity', 'country'), fieldIdentifier('custom', 'country'));
+    assert.equal(fieldIdentifier('identity', 'country'), fieldIdentifier('identity', 'country'));
+  });
+
+  it('name the declared field behind them, but not a custom one', () => {
+    assert.deepEqual(findField(fieldIdentifier('identity', 'dateOfBirth')), { schema: 'identity', field: 'dateOfBirth' });
+    assert.equal(findField(fieldIdentifier('custom', 'dateOfBirth')), null);
+  });
+
+  it('name a custom field only when the claimed name hashes to them', () => {
+    const proofService = new ProofService(null, null);
+    const claim = { key: fieldIdentifier('custom', 'age').toString() };
+    assert.deepEqual(proofService.matchField(claim, { schema: 'custom', field: 'age' }), { schema: 'custom', field: 'age' });
+    assert.equal(proofService.matchField(claim, { schema: 'custom', field: 'height' }), null);
+    assert.equal(proofService.matchField(claim), null);
+  });
+});
+
+describe('resolveFieldType', () => {
+  it('uses the schema\'s type of a declared field', () => {
+    assert.equal(resolveFieldType('membership', 'memberSince'), 'date');
+    assert.equal(resolveFieldType('custom', 'anything'), 'int');
+    assert.equal(resolveFieldType('custom', 'anything', 'boolean'), 'boolean');
+  });
+
+  it('rejects fields the schema does not declare, or with another type', () => {
+    assert.throws(() => resolveFieldType('membership', 'age'), /Membership card schema has no field "age"/);
+    assert.throws(() => resolveFieldType('membership', 'points', 'string'), /Field points of the membership card schema has type int, got string/);
+    assert.throws(() => resolveFieldType('passport', 'age'), /Unknown POD schema: passport/);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_CLOCK_SKEW_MS, NO_EXPIRY, checkReferenceTime, checkValidity, parseTimestamp } from '../src/services/podValidity.js';
+import { MerkleTreeService } from '../src/services/merkleTree.js';
+
+describe('POD validity', () => {
+  it('starts at issuance and ends at expiry', () => {
+    const validity = { issuedAt: '1000', expiresAt: '2000' };
+    assert.equal(checkValidity(validity, 999), 'The POD is not valid yet');
+    assert.equal(checkValidity(validity, 1000), null);
+    assert.equal(checkValidity(validity, 1999), null);
+    assert.equal(checkValidity(validity, 2000), 'The POD has expired');
+    assert.equal(checkValidity({ issuedAt: '1000', expiresAt: NO_EXPIRY }, 2 ** 50), null);
+  });
+
+  it('is part of the header leaf, so changing it changes the root', () => {
+    const rootWith = (expiresAt) => {
+      const service = new MerkleTreeService();
+      service.setPodId('7');
+      service.setValidity(1000, expiresAt);
+      service.addKeyValuePair('a', 1);
+      return service.buildTree();
+    };
+    assert.notEqual(rootWith(2000), rootWith(3000));
+    assert.notEqual(rootWith(2000), rootWith(NO_EXPIRY));
+  });
+
+  it('rejects an expiry before issuance and times that are not whole milliseconds', () => {
+    assert.throws(() => new MerkleTreeService().setValidity(2000, 1000), /must expire after it is issued/);
+    assert.throws(() => parseTimestamp('2025-01-01', 'Expiry time'), /Expiry time must be a whole number of milliseconds since 1970/);
+    assert.throws(() => parseTimestamp((2n ** 64n).toString(), 'Issuance time'), /Issuance time must be/);
+    assert.equal(parseTimestamp(' 0012 ', 'Issuance time'), '12');
+  });
+});
+
+describe('checkReferenceTime', () => {
+  it('accepts a proof of any age unless a maximum age is set', () => {
+    const yearAgo = String(Date.UTC(2024, 0, 1));
+    assert.equal(checkReferenceTime(yearAgo, Date.UTC(2025, 0, 1)), null);
+    assert.equal(checkReferenceTime('10000', 11000, { maxAge: 1000 }), null);
+    assert.equal(
+      checkReferenceTime('10000', 11001, { maxAge: 1000 }),
+      'Only proven valid at 1970-01-01T00:00:10.000Z, longer ago than the maximum proof age'
+    );
+  });
+
+  it('accepts a reference time ahead of the verifier\'s clock by at most the clock skew', () => {
+    assert.equal(checkReferenceTime('10000', 10000 - DEFAULT_CLOCK_SKEW_MS), null);
+    assert.equal(checkReferenceTime('10000', 9000, { clockSkew: 1000 }), null);
+    assert.equal(checkReferenceTime('10000', 8999, { clockSkew: 1000 }), 'Proven valid at a time in the future');
+  });
+});
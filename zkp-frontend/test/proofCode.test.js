@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PROOF_CODE_VERSION,
+  PROOF_LINK_PARAM,
+  decodeProofCode,
+  encodeProofCode,
+  proofLink,
+  readProofCode
+} from '../src/services/proofCode.js';
+import { ProofService } from '../src/services/proofService.js';
+import { groth16Proof, proofEnvelope, publicSignals } from './fixtures.js';
+
+const VKEY_HASH = 'ab'.repeat(32);
+
+// Change the bytes of a proof code; its layout is version, flags, depth, then pi_a from byte 3
+const editCode = (code, edit) => {
+  const bytes = Buffer.from(code, 'base64url');
+  edit(bytes);
+  return bytes.toString('base64url');
+};
+
+describe('proof codes', () => {
+  it('round-trip a Groth16 proof, its signals, depth and key hash', () => {
+    const signals = publicSignals({ pubKey: ['123456789', '987654321'], referenceTime: [2n ** 200n] });
+    const code = encodeProofCode({ depth: 4, vkeyHash: VKEY_HASH, proof: groth16Proof(), publicSignals: signals });
+    assert.match(code, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeProofCode(code), { depth: 4, vkeyHash: VKEY_HASH, proof: groth16Proof(), publicSignals: signals });
+  });
+
+  it('leave out the key hash when the proof has none', () => {
+    const code = encodeProofCode({ depth: 6, proof: groth16Proof(), publicSignals: publicSignals() });
+    assert.equal(decodeProofCode(code).vkeyHash, undefined);
+    assert.equal(decodeProofCode(code).depth, 6);
+  });
+
+  it('are far shorter than the proof\'s JSON', () => {
+    const envelope = proofEnvelope();
+    assert.ok(new ProofService(null, null).exportProofCode(envelope).length < JSON.stringify(envelope).length / 4);
+  });
+
+  it('reject codes that are cut off, padded or tampered with', () => {
+    const code = encodeProofCode({ depth: 4, proof: groth16Proof(), publicSignals: publicSignals() });
+    assert.throws(() => decodeProofCode(code.slice(0, -8)), /Invalid proof code/);
+    assert.throws(() => decodeProofCode(editCode(code, (bytes) => bytes.fill(0, 3, 35))), /not on the curve/);
+    assert.throws(() => decodeProofCode(`${code}AAAA`), /bytes after the public signals/);
+    assert.throws(() => decodeProofCode('not a code!'), /must be base64url/);
+    assert.throws(
+      () => decodeProofCode(editCode(code, (bytes) => { bytes[0] = PROOF_CODE_VERSION + 1; })),
+      /newer than this version of the app reads/
+    );
+  });
+});
+
+describe('proof links', () => {
+  it('keep only the app\'s address, never the prover\'s artifact set', () => {
+    assert.equal(
+      proofLink('abc', 'https://app.example/zkp/?artifacts=/circuit/testing/manifest.json#old'),
+      `https://app.example/zkp/#${PROOF_LINK_PARAM}=abc`
+    );
+  });
+
+  it('are read back, as are bare codes, and nothing else', () => {
+    assert.equal(readProofCode(proofLink('abc_-1', 'https://app.example/')), 'abc_-1');
+    assert.equal(readProofCode(' abc_-1\n'), 'abc_-1');
+    assert.equal(readProofCode('{"proof": {}}'), null);
+    assert.equal(readProofCode('https://app.example/#other=abc'), null);
+  });
+});
+
+describe('ProofService proof codes', () => {
+  const proofService = new ProofService(null, null);
+
+  it('import a shared link as the envelope it was made from', () => {
+    const envelope = proofEnvelope();
+    const imported = proofService.importProof(proofLink(proofService.exportProofCode(envelope), 'https://app.example/'));
+    assert.deepEqual(imported, envelope);
+    assert.equal(imported.claims.length, 1);
+  });
+
+  it('only encode Groth16 proofs', () => {
+    assert.throws(() => proofService.exportProofCode({ ...proofEnvelope(), protocol: 'plonk' }), /Only Groth16 proofs/);
+  });
+
+  it('reject a code with the wrong number of public signals', () => {
+    const code = encodeProofCode({ depth: 4, proof: groth16Proof(), publicSignals: publicSignals().slice(1) });
+    assert.throws(() => proofService.importProof(code), /publicSignals must have 55 entries, got 54/);
+  });
+
+  it('reject a code with public signals the circuit never outputs', () => {
+    const code = encodeProofCode({ depth: 4, proof: groth16Proof(), publicSignals: publicSignals({ valueType: ['4'], lowerbound: ['0'] }) });
+    assert.throws(() => proofService.importProof(code), /^Error: Invalid proof code: 0 is not an encoded date$/);
+  });
+});
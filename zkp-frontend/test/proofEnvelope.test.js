@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PROOF_FORMAT_VERSION,
+  proofVersion,
+  upgradeProof,
+  verificationKeyHash
+} from '../src/services/proofEnvelope.js';
+import { ProofService } from '../src/services/proofService.js';
+import { proofEnvelope } from './fixtures.js';
+
+// A proof as the app saved it before the envelope: ProofService.generateProof's `{ proof, publicSignals, meta }`,
+// with the first circuit's public key, bounds and issuer key as its only public signals
+const baselineProof = () => ({
+  proof: {
+    pi_a: ['1', '2', '1'],
+    pi_b: [['3', '4'], ['5', '6'], ['1', '0']],
+    pi_c: ['7', '8', '1'],
+    protocol: 'groth16',
+    curve: 'bn128'
+  },
+  publicSignals: ['1', '18', '65', '5', '6'],
+  meta: {
+    description: 'Proof that the value for key: 1 is between 18 and 65',
+    timestamp: 1700000000000,
+    publicInputs: { key: '1', lowerBound: '18', upperBound: '65', pubKey: ['5', '6'] }
+  }
+});
+
+describe('upgradeProof', () => {
+  it('accepts a current envelope as it is', () => {
+    const envelope = proofEnvelope();
+    assert.equal(proofVersion(envelope), PROOF_FORMAT_VERSION);
+    assert.equal(upgradeProof(envelope), envelope);
+  });
+
+  it('rejects proofs saved before the envelope, which no key of the current circuit verifies', () => {
+    assert.throws(() => upgradeProof(baselineProof()), /made with an earlier circuit, before proofs named their circuit/);
+    assert.throws(() => proofVersion(baselineProof()), /prove the claim again/);
+  });
+
+  it('lists every schema violation', () => {
+    const { claims, ...envelope } = proofEnvelope();
+    assert.throws(
+      () => upgradeProof({ ...envelope, claims: [{ ...claims[0], key: 'age' }], publicSignals: ['0x1'], extra: true }),
+      (error) => ['claims', 'publicSignals', 'extra'].every((field) => error.message.includes(field))
+    );
+    assert.throws(() => upgradeProof(envelope), /Invalid proof format: .*claims/);
+    // The proof must have the shape of the protocol the envelope names
+    assert.throws(() => upgradeProof({ ...envelope, claims, protocol: 'plonk' }), /Invalid proof format/);
+  });
+
+  it('rejects documents that are not proofs of a known version', () => {
+    const envelope = proofEnvelope();
+    assert.throws(() => upgradeProof(null), /expected an object with proof and publicSignals/);
+    assert.throws(() => upgradeProof([envelope]), /expected an object/);
+    assert.throws(() => upgradeProof({ ...envelope, format: 'zkp-pod' }), /Not a proof: format is "zkp-pod"/);
+    assert.throws(() => upgradeProof({ ...envelope, version: PROOF_FORMAT_VERSION + 1 }), /newer than this version of the app reads/);
+    assert.throws(() => upgradeProof({ ...envelope, version: 0 }), /Unknown proof format version: 0/);
+  });
+});
+
+describe('ProofService.importProof', () => {
+  const proofService = new ProofService(null, null);
+
+  it('reads a proof from its JSON', () => {
+    const envelope = proofEnvelope();
+    assert.deepEqual(proofService.importProof(JSON.stringify(envelope)), JSON.parse(JSON.stringify(envelope)));
+    assert.throws(() => proofService.importProof('{"proof":'), /not valid JSON, a proof code or a proof link/);
+  });
+
+  it('rejects a proof with the wrong number of public signals', () => {
+    const envelope = proofEnvelope();
+    assert.throws(
+      () => proofService.importProof({ ...envelope, publicSignals: envelope.publicSignals.slice(1) }),
+      /publicSignals must have 55 entries, got 54; the proof was made with another version of the circuit/
+    );
+  });
+});
+
+describe('verificationKeyHash', () => {
+  it('is the SHA-256 of the key\'s JSON', async () => {
+    const hash = await verificationKeyHash({ protocol: 'groth16', nPublic: 55 });
+    assert.match(hash, /^[0-9a-f]{64}$/);
+    assert.equal(await verificationKeyHash({ protocol: 'groth16', nPublic: 55 }), hash);
+    assert.notEqual(await verificationKeyHash({ protocol: 'groth16', nPublic: 54 }), hash);
+  });
+});
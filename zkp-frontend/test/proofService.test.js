@@ -0,0 +1,318 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DENYLIST_DEPTH,
+  MAX_CLAIMS,
+  MAX_UINT64,
+  PREDICATES,
+  PUBLIC_SIGNAL_COUNT,
+  ProofService,
+  RANGE_MODES,
+  checkClaimValue,
+  encodeBound,
+  encodeSet,
+  parseUint64
+} from '../src/services/proofService.js';
+import { MerkleTreeService } from '../src/services/merkleTree.js';
+import { SortedMerkleTree } from '../src/services/sortedMerkleTree.js';
+import { encodeValue } from '../src/services/valueEncoding.js';
+import { proofEnvelope, publicSignals } from './fixtures.js';
+
+const proofService = new ProofService(null, null);
+
+describe('ProofService public signals', () => {
+  it('decode by the circuit\'s layout, keeping only the enabled claims', () => {
+    const decoded = proofService.decodePublicSignals(publicSignals({ pubKey: ['5', '6'], claimEnabled: ['0', '1'] }));
+    assert.equal(decoded.claims.length, 1);
+    assert.equal(decoded.claims[0].slot, 1);
+    assert.deepEqual(decoded.pubKey, ['5', '6']);
+    assert.equal(publicSignals().length, PUBLIC_SIGNAL_COUNT);
+    assert.throws(() => proofService.decodePublicSignals(publicSignals().slice(MAX_CLAIMS)), /Expected 55 public signals but received 52/);
+    assert.throws(() => proofService.decodePublicSignals('1,18'), /Public signals must be an array/);
+  });
+
+  it('describe the claim they prove', () => {
+    const decoded = proofService.decodePublicSignals(publicSignals());
+    assert.equal(proofService.describeProof(decoded), 'Proof that the int value of the field with identifier 0 is at least 18');
+  });
+});
+
+describe('ProofService.findMetadataMismatches', () => {
+  const mismatchedFields = (envelope) => proofService
+    .findMetadataMismatches(envelope, proofService.decodePublicSignals(envelope.publicSignals))
+    .map(({ field }) => field);
+
+  it('finds none in an envelope made from the signals', () => {
+    assert.deepEqual(mismatchedFields(proofEnvelope({ pubKey: ['5', '6'] })), []);
+  });
+
+  it('flags a description, claim or public input the signals do not prove', () => {
+    const envelope = proofEnvelope({ pubKey: ['5', '6'] });
+    assert.deepEqual(mismatchedFields({
+      ...envelope,
+      description: 'Proof that the int value of the field with identifier 0 is at least 21',
+      claims: [{ ...envelope.claims[0], lowerBound: '9223372036854775829' }],
+      publicInputs: { ...envelope.publicInputs, pubKey: ['7', '6'] }
+    }), ['claims[0].lowerBound', 'description', 'publicInputs.pubKey[0]']);
+  });
+
+  it('flags a claim count that differs from the enabled claims', () => {
+    const envelope = proofEnvelope();
+    assert.deepEqual(mismatchedFields({ ...envelope, claims: [...envelope.claims, envelope.claims[0]] }), ['claims']);
+  });
+});
+
+describe('ProofService range claims', () => {
+  const circuit = { id: 'proveValueInMerkle_d4', depth: 4 };
+  const rangeClaim = (claim) => ({
+    key: '1',
+    value: encodeValue('int', 30).toString(),
+    valueType: 'int',
+    index: '1',
+    siblings: ['0', '0'],
+    ...claim
+  });
+  const describeInputs = (inputs) => proofService.describeClaim({
+    ...inputs,
+    valueType: String(inputs.valueType),
+    predicate: String(inputs.predicate),
+    rangeMode: String(inputs.rangeMode)
+  });
+
+  it('encode the range mode and only the bounds it uses', () => {
+    const lowerOnly = proofService.formatClaimInputs(rangeClaim({ lowerbound: '18', rangeMode: 'lowerOnly' }), circuit);
+    assert.equal(lowerOnly.rangeMode, RANGE_MODES.lowerOnly.value);
+    assert.equal(lowerOnly.lowerbound, encodeValue('int', 18).toString());
+    assert.equal(lowerOnly.upperbound, '0');
+
+    const upperOnly = proofService.formatClaimInputs(rangeClaim({ lowerbound: '18', upperbound: '65', rangeMode: 'upperOnly' }), circuit);
+    assert.equal(upperOnly.lowerbound, '0');
+    assert.equal(upperOnly.siblings.length, 4);
+  });
+
+  it('describe each range mode as the verifier shows it', () => {
+    const describeMode = (rangeMode) => describeInputs(
+      proofService.formatClaimInputs(rangeClaim({ lowerbound: '18', upperbound: '65', rangeMode }), circuit)
+    );
+    assert.equal(describeMode('inclusive'), 'the int value of the field with identifier 1 is between 18 and 65 (inclusive)');
+    assert.equal(describeMode('exclusive'), 'the int value of the field with identifier 1 is strictly between 18 and 65');
+    assert.equal(describeMode('lowerOnly'), 'the int value of the field with identifier 1 is at least 18');
+    assert.equal(describeMode('upperOnly'), 'the int value of the field with identifier 1 is at most 65');
+  });
+
+  it('require the bounds of the range mode, and a known mode', () => {
+    assert.throws(() => proofService.formatClaimInputs(rangeClaim({ lowerbound: '18', rangeMode: 'inclusive' }), circuit), /Missing required fields/);
+    assert.throws(() => proofService.formatClaimInputs(rangeClaim({ upperbound: '65', rangeMode: 'between' }), circuit), /Unknown range mode: between/);
+  });
+
+  it('reject a value outside the range before it reaches the circuit', () => {
+    const format = (claim) => () => proofService.formatClaimInputs(rangeClaim(claim), circuit);
+    assert.throws(format({ lowerbound: '31', rangeMode: 'lowerOnly' }), /^Error: The value is below the lower bound$/);
+    assert.throws(format({ lowerbound: '30', upperbound: '65', rangeMode: 'exclusive' }), /The value is not above the lower bound/);
+    assert.throws(format({ lowerbound: '18', upperbound: '30', rangeMode: 'exclusive' }), /The value is not below the upper bound/);
+    assert.throws(format({ upperbound: '-1', rangeMode: 'upperOnly' }), /The value is above the upper bound/);
+    assert.doesNotThrow(format({ lowerbound: '30', upperbound: '30', rangeMode: 'inclusive' }));
+  });
+
+  it('name what a value does not satisfy', () => {
+    assert.equal(checkClaimValue(encodeValue('int', 30), { rangeMode: 'inclusive', lowerbound: encodeValue('int', 18), upperbound: encodeValue('int', 65) }), null);
+    assert.equal(checkClaimValue(encodeValue('int', -3), { rangeMode: 'lowerOnly', lowerbound: encodeValue('int', -2), upperbound: '0' }), 'The value is below the lower bound');
+  });
+});
+
+describe('64-bit values', () => {
+  it('accept whole numbers up to 64 bits', () => {
+    assert.equal(parseUint64(' 0 ', 'Value'), 0n);
+    assert.equal(parseUint64(MAX_UINT64.toString(), 'Value'), MAX_UINT64);
+  });
+
+  it('reject negative, fractional and wider numbers by name', () => {
+    assert.throws(() => parseUint64('-1', 'Lower bound'), /^Error: Lower bound must not be negative, got -1$/);
+    assert.throws(() => parseUint64('1.5', 'Lower bound'), /Lower bound must be a whole number, got "1.5"/);
+    assert.throws(() => parseUint64((MAX_UINT64 + 1n).toString(), 'Value'), /Value must be at most 18446744073709551615 \(64 bits\)/);
+  });
+
+  it('are checked on a claim\'s value before it reaches the circuit', () => {
+    const claim = { key: '1', value: (MAX_UINT64 + 1n).toString(), valueType: 'int', index: '1', siblings: [], lowerbound: '0', upperbound: '1' };
+    assert.throws(() => proofService.formatClaimInputs(claim, { id: 'proveValueInMerkle_d4', depth: 4 }), /Value must be at most/);
+  });
+});
+
+describe('encodeBound', () => {
+  it('encodes dates and signed integers in the order the circuit compares', () => {
+    assert.ok(BigInt(encodeBound('date', '2000-01-01', 'Lower bound')) < BigInt(encodeBound('date', '2000-01-02', 'Upper bound')));
+    assert.ok(BigInt(encodeBound('int', '-5', 'Lower bound')) < BigInt(encodeBound('int', '3', 'Upper bound')));
+  });
+
+  it('rejects ranges over types without an order, and names the bad bound', () => {
+    assert.throws(() => encodeBound('string', 'a', 'Lower bound'), /Range proofs are not supported for string values/);
+    assert.throws(() => encodeBound('date', 'tomorrow', 'Upper bound'), /^Error: Upper bound: "tomorrow" is not a valid YYYY-MM-DD date$/);
+  });
+});
+
+describe('ProofService equality and membership claims', () => {
+  const circuit = { id: 'proveValueInMerkle_d4', depth: 4 };
+  const setClaim = (predicate, set) => ({
+    key: '1',
+    value: encodeValue('string', 'NL').toString(),
+    valueType: 'string',
+    index: '1',
+    siblings: [],
+    predicate,
+    set
+  });
+  // A formatted claim as the verifier decodes it from the public signals
+  const decodedClaim = (inputs) => ({
+    ...inputs,
+    valueType: String(inputs.valueType),
+    predicate: String(inputs.predicate),
+    set: inputs.set.map(String)
+  });
+
+  it('pad the set with its first value, so padding never admits another value', () => {
+    const inputs = proofService.formatClaimInputs(setClaim('member', ['NL', 'BE', 'NL']), circuit);
+    const [nl, be] = encodeSet('string', ['NL', 'BE'], 'member');
+    assert.deepEqual(inputs.set, [nl, be, nl, nl, nl, nl, nl, nl]);
+    assert.equal(inputs.predicate, PREDICATES.member.value);
+    assert.equal(inputs.lowerbound, '0');
+  });
+
+  it('are described with the plaintext values only once they match the proven set', () => {
+    const claim = decodedClaim(proofService.formatClaimInputs(setClaim('member', ['NL', 'BE']), circuit));
+    assert.deepEqual(proofService.matchSetValues(claim, ['NL', 'BE']), ['NL', 'BE']);
+    assert.equal(proofService.matchSetValues(claim, ['NL', 'DE']), null);
+    assert.equal(
+      proofService.describeClaim(claim, ['NL', 'BE']),
+      'the string value of the field with identifier 1 is one of NL, BE'
+    );
+
+    const equal = decodedClaim(proofService.formatClaimInputs(setClaim('equal', ['NL']), circuit));
+    assert.equal(
+      proofService.describeClaim(equal),
+      `the string value of the field with identifier 1 equals ${encodeValue('string', 'NL')}`
+    );
+  });
+
+  it('limit how many values a predicate compares against', () => {
+    assert.throws(() => encodeSet('string', ['NL', 'BE'], 'equal'), /At most 1 distinct value\(s\) are supported, got 2/);
+    assert.throws(() => encodeSet('string', [], 'member'), /At least one value is required/);
+    assert.throws(() => encodeSet('int', ['1', 'x'], 'member'), /Value 2: "x" is not a whole number/);
+  });
+
+  it('reject a value outside the set before it reaches the circuit', () => {
+    assert.throws(() => proofService.formatClaimInputs(setClaim('equal', ['BE']), circuit), /^Error: The value is not equal to the given value$/);
+    assert.throws(() => proofService.formatClaimInputs(setClaim('member', ['BE', 'DE']), circuit), /The value is not one of the given values/);
+  });
+});
+
+describe('ProofService denylist claims', () => {
+  const circuit = { id: 'proveValueInMerkle_d4', depth: 4 };
+  const denyClaim = (value, set) => ({
+    key: '1',
+    value: encodeValue('string', value).toString(),
+    valueType: 'string',
+    index: '1',
+    siblings: [],
+    predicate: 'notMember',
+    set
+  });
+
+  it('commit to the denylist by its root and open the leaves around the value', () => {
+    const inputs = proofService.formatClaimInputs(denyClaim('NL', ['RU', 'KP']), circuit);
+    const tree = new SortedMerkleTree(DENYLIST_DEPTH, encodeSet('string', ['RU', 'KP'], 'notMember'));
+    assert.equal(inputs.denyRoot, tree.root.toString());
+    assert.deepEqual(inputs.set, Array(8).fill('0'));
+    assert.equal(inputs.denyLowSiblings.length, DENYLIST_DEPTH);
+
+    const claim = { ...inputs, valueType: '2', predicate: '3', set: inputs.set.map(String) };
+    assert.equal(
+      proofService.describeClaim(claim),
+      `the string value of the field with identifier 1 is not in the denylist with root ${inputs.denyRoot}`
+    );
+    assert.equal(
+      proofService.describeClaim(claim, proofService.matchSetValues(claim, ['RU', 'KP'])),
+      'the string value of the field with identifier 1 is not one of RU, KP'
+    );
+  });
+
+  it('refuse to prove a value on the denylist', () => {
+    assert.throws(() => proofService.formatClaimInputs(denyClaim('RU', ['RU', 'KP']), circuit), /The value is in the denylist/);
+    assert.equal(checkClaimValue(encodeValue('string', 'RU'), { predicate: 'notMember', set: encodeSet('string', ['KP'], 'notMember') }), null);
+  });
+});
+
+describe('ProofService.formatCircuitInputs', () => {
+  const circuit = { id: 'proveValueInMerkle_d4', depth: 4 };
+  const now = 1760000000000;
+  const merkleService = new MerkleTreeService();
+  merkleService.reset('membership');
+  merkleService.setValidity(now - 1000);
+  merkleService.addKeyValuePair('points', 30);
+  merkleService.addKeyValuePair('tier', 'gold');
+  merkleService.buildTree();
+  const proofRequest = (claims) => ({
+    depth: String(merkleService.depth),
+    root: merkleService.root.toString(),
+    signedRoot_R8: ['1', '2'],
+    signedRoot_S: '3',
+    pubKey: ['5', '6'],
+    header: merkleService.getHeaderProof(),
+    referenceTime: now,
+    claims
+  });
+  const points = { ...merkleService.getProof(0), lowerbound: '18', rangeMode: 'lowerOnly' };
+  const tier = { ...merkleService.getProof(1), predicate: 'member', set: ['gold', 'silver'] };
+
+  it('put each claim in its own slot and disable the rest', () => {
+    const inputs = proofService.formatCircuitInputs(proofRequest([points, tier]), circuit);
+    assert.deepEqual(inputs.claimEnabled, [1, 1, 0]);
+    assert.deepEqual(inputs.predicate, [PREDICATES.range.value, PREDICATES.member.value, 0]);
+    assert.equal(inputs.siblings.length, MAX_CLAIMS);
+    assert.deepEqual(inputs.siblings[2], Array(4).fill('0'));
+  });
+
+  it('describe every claim of the proof', () => {
+    const inputs = proofService.formatCircuitInputs(proofRequest([points, tier]), circuit);
+    // Every input as the list of its signals, the circuit's public ones among them
+    const signals = Object.fromEntries(Object.entries(inputs).map(([name, value]) => [name, [value].flat(2)]));
+    assert.equal(
+      proofService.describeProof(proofService.decodePublicSignals(publicSignals(signals))),
+      'Proof that the int value of membership.points is at least 18 and the string value of membership.tier is one of ' +
+        `${encodeValue('string', 'gold')}, ${encodeValue('string', 'silver')}`
+    );
+  });
+
+  it('take between one and MAX_CLAIMS claims, and name the claim that is wrong', () => {
+    assert.throws(() => proofService.formatCircuitInputs(proofRequest([]), circuit), /between 1 and 3 claims, got 0/);
+    assert.throws(() => proofService.formatCircuitInputs(proofRequest([points, points, points, points]), circuit), /got 4/);
+    assert.throws(
+      () => proofService.formatCircuitInputs(proofRequest([points, { ...tier, set: [] }]), circuit),
+      /^Error: Claim 2: At least one value is required$/
+    );
+  });
+
+  it('take the reference time just before proving, after the artifacts are downloaded', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    let downloadedAt, provenInputs;
+    const circuitLoader = {
+      getDefaultProtocol: () => 'groth16',
+      getProvingArtifacts: async () => {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        downloadedAt = Date.now();
+        return {};
+      }
+    };
+    const prover = {
+      prove: async (inputs) => {
+        provenInputs = inputs;
+        throw new Error('not proving in tests');
+      }
+    };
+    const { referenceTime, ...request } = proofRequest([points]);
+    assert.equal(referenceTime, now);
+
+    await assert.rejects(new ProofService(circuitLoader, prover).generateProof(request, circuit), /not proving in tests/);
+    assert.ok(Number(provenInputs.referenceTime) >= downloadedAt);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROOF_CANCELLED, ProverClient } from '../src/services/proverClient.js';
+
+// A proof worker that answers a request with the given messages, and records what it was sent
+const fakeWorker = (replies) => {
+  const worker = {
+    requests: [],
+    terminated: false,
+    postMessage(request) {
+      worker.requests.push(request);
+      setTimeout(() => replies.forEach((data) => worker.onmessage({ data })));
+    },
+    terminate() {
+      worker.terminated = true;
+    }
+  };
+  return worker;
+};
+
+describe('ProverClient', () => {
+  it('reports each stage and resolves with the proof, then stops the worker', async () => {
+    const worker = fakeWorker([
+      { type: 'progress', stage: 'witness' },
+      { type: 'progress', stage: 'proving' },
+      { type: 'result', proof: { pi_a: [] }, publicSignals: ['1'] }
+    ]);
+    const stages = [];
+    const result = await new ProverClient(() => worker).prove(
+      { a: '1' },
+      { wasm: 'circuit.wasm', zkey: 'circuit_final.zkey' },
+      { protocol: 'plonk', onProgress: (stage) => stages.push(stage) }
+    );
+    assert.deepEqual(result, { proof: { pi_a: [] }, publicSignals: ['1'] });
+    assert.deepEqual(stages, ['witness', 'proving']);
+    assert.deepEqual(worker.requests, [{ type: 'prove', inputs: { a: '1' }, wasm: 'circuit.wasm', zkey: 'circuit_final.zkey', protocol: 'plonk' }]);
+    assert.equal(worker.terminated, true);
+  });
+
+  it('rejects with the worker\'s error', async () => {
+    const worker = fakeWorker([{ type: 'error', message: 'Not enough values for input signal a' }]);
+    await assert.rejects(new ProverClient(() => worker).prove({}, {}), /Not enough values for input signal a/);
+    assert.equal(worker.terminated, true);
+  });
+
+  it('stops the worker when cancelled, and never starts one for a cancelled proof', async () => {
+    const worker = fakeWorker([]);
+    const controller = new AbortController();
+    const proof = new ProverClient(() => worker).prove({}, {}, { signal: controller.signal });
+    controller.abort();
+    await assert.rejects(proof, new RegExp(PROOF_CANCELLED));
+    assert.equal(worker.terminated, true);
+
+    let started = false;
+    await assert.rejects(
+      new ProverClient(() => { started = true; }).prove({}, {}, { signal: controller.signal }),
+      new RegExp(PROOF_CANCELLED)
+    );
+    assert.equal(started, false);
+  });
+});
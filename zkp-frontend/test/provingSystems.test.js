@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PROTOCOL, getProvingSystem, proofProtocol } from '../src/services/provingSystems.js';
+import { groth16Proof } from './fixtures.js';
+
+const word = (value) => `0x${value.toString(16).padStart(64, '0')}`;
+
+describe('getProvingSystem', () => {
+  it('looks up proving systems by protocol', () => {
+    assert.equal(getProvingSystem('groth16').universalSetup, false);
+    assert.equal(getProvingSystem('plonk').label, 'PLONK');
+    assert.throws(() => getProvingSystem('stark'), /Unknown proving system: stark/);
+  });
+
+  it('takes the protocol a proof records, else the one snarkjs recorded, else Groth16', () => {
+    assert.equal(proofProtocol({ protocol: 'fflonk', proof: { protocol: 'plonk' } }), 'fflonk');
+    assert.equal(proofProtocol({ proof: { protocol: 'plonk' } }), 'plonk');
+    assert.equal(proofProtocol({ proof: {} }), DEFAULT_PROTOCOL);
+  });
+});
+
+describe('checkProof', () => {
+  it('accepts well-formed proofs', () => {
+    assert.deepEqual(getProvingSystem('groth16').checkProof(groth16Proof()), []);
+  });
+
+  it('lists the members of a proof that are malformed', () => {
+    assert.deepEqual(
+      getProvingSystem('groth16').checkProof({ ...groth16Proof(), pi_a: ['1', '0x2'], pi_b: [['1', '2']] }),
+      ['proof.pi_a must be a point of decimal field elements', 'proof.pi_b must be a point of pairs of decimal field elements']
+    );
+    assert.deepEqual(
+      getProvingSystem('fflonk').checkProof({ polynomials: {} }).slice(0, 1),
+      ['proof.polynomials.C1 must be a point of decimal field elements']
+    );
+  });
+});
+
+describe('exportCalldata', () => {
+  it('swaps the halves of each coordinate of a Groth16 proof\'s pi_b', () => {
+    const proof = { pi_a: ['1', '2', '1'], pi_b: [['3', '4'], ['5', '6'], ['1', '0']], pi_c: ['7', '8', '1'] };
+    assert.deepEqual(getProvingSystem('groth16').exportCalldata(proof, ['255']), {
+      pA: [word(1), word(2)],
+      pB: [[word(4), word(3)], [word(6), word(5)]],
+      pC: [word(7), word(8)],
+      pubSignals: [word(255)]
+    });
+  });
+});
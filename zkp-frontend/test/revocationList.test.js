@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RevocationList } from '../src/services/revocationList.js';
+import { SignatureService } from '../src/services/signatureService.js';
+import { VerificationService } from '../src/services/verificationService.js';
+import { proofEnvelope } from './fixtures.js';
+
+const ISSUER_KEY = '1234567890';
+
+// A list signed by the issuer, as RevocationManager publishes it
+const signedList = (revoked, publishedAt = 1760000000000) => {
+  const signatureService = new SignatureService();
+  signatureService.importKeyPair(ISSUER_KEY);
+  return signatureService.signRevocationList(new RevocationList(revoked).exportData(publishedAt));
+};
+
+describe('RevocationList', () => {
+  it('round-trips through its published document', () => {
+    const list = new RevocationList(['3', '1']).revoke('2');
+    const restored = RevocationList.fromJSON(list.exportData(0));
+    assert.deepEqual(restored.revoked, ['1', '2', '3']);
+    assert.equal(restored.root, list.root);
+  });
+
+  it('rejects a document whose root does not match its IDs', () => {
+    const data = new RevocationList(['1']).exportData(0);
+    assert.throws(() => RevocationList.fromJSON({ ...data, revoked: ['2'] }), /root does not match/);
+    assert.throws(() => RevocationList.fromJSON({ root: data.root }), /"revoked" array/);
+  });
+
+  it('witnesses that a POD is not revoked, and refuses for a revoked one', () => {
+    const list = new RevocationList(['10', '20']);
+    const witness = list.generateWitness('15');
+    assert.equal(witness.root, list.root);
+    assert.deepEqual([witness.low, witness.high], ['11', '21']);
+    assert.throws(() => list.generateWitness('20'), /revoked by its issuer/);
+  });
+});
+
+describe('revocation list signatures', () => {
+  const signatureService = new SignatureService();
+
+  it('verify for the list the issuer signed', () => {
+    const list = signedList(['1', '2']);
+    assert.equal(signatureService.verifyRevocationList(list), true);
+    assert.deepEqual(list.publicKey, new SignatureService().importKeyPair(ISSUER_KEY).publicKey);
+  });
+
+  it('fail for a tampered list', () => {
+    const list = signedList(['1', '2']);
+    assert.equal(signatureService.verifyRevocationList({ ...list, root: new RevocationList(['1']).root }), false);
+    assert.equal(signatureService.verifyRevocationList({ ...list, publishedAt: list.publishedAt + 1 }), false);
+    const otherIssuer = new SignatureService().importKeyPair('987654321').publicKey;
+    assert.equal(signatureService.verifyRevocationList({ ...list, publicKey: otherIssuer }), false);
+  });
+
+  it('cannot be checked on an unsigned list', () => {
+    const unsigned = new RevocationList(['1']).exportData(0);
+    assert.throws(() => signatureService.verifyRevocationList(unsigned), /must have root, publishedAt, signature, and publicKey/);
+  });
+});
+
+describe('VerificationService with a revocation list', () => {
+  // A key of another proving system, so the proof is rejected without running a verifier
+  const service = new VerificationService({ protocol: 'plonk' });
+  const issuerKey = new SignatureService().importKeyPair(ISSUER_KEY).publicKey;
+
+  it('rejects a proof not made against the current list', async () => {
+    const list = signedList(['1']);
+    const { reasons } = await service.verify(proofEnvelope({ pubKey: issuerKey }), { revocationList: list });
+    assert.ok(reasons.includes('Not checked against the issuer\'s current revocation list'));
+    assert.ok(!reasons.some((reason) => reason.startsWith('The revocation list')));
+  });
+
+  it('reports a list of another issuer', async () => {
+    const list = signedList(['1']);
+    const { reasons } = await service.verify(proofEnvelope({ pubKey: ['1', '2'] }), { revocationList: list });
+    assert.ok(reasons.includes('The revocation list was not signed by the POD\'s issuer'));
+  });
+
+  it('reports a tampered list', async () => {
+    const list = signedList(['1']);
+    const tampered = { ...list, publishedAt: list.publishedAt + 1 };
+    const { reasons } = await service.verify(proofEnvelope({ pubKey: issuerKey }), { revocationList: tampered });
+    assert.ok(reasons.includes('The revocation list signature is invalid'));
+  });
+
+  it('reports an unsigned list instead of throwing', async () => {
+    const unsigned = new RevocationList(['1']).exportData(0);
+    const { accepted, reasons } = await service.verify(proofEnvelope({ pubKey: issuerKey }), { revocationList: unsigned });
+    assert.equal(accepted, false);
+    assert.ok(reasons.some((reason) => reason.startsWith('The revocation list cannot be checked')));
+  });
+
+  it('reports a list whose root does not match its IDs instead of throwing', async () => {
+    const list = { ...signedList(['1']), revoked: ['2'] };
+    const { accepted, reasons, claims } = await service.verify(proofEnvelope({ pubKey: issuerKey }), { revocationList: list });
+    assert.equal(accepted, false);
+    assert.ok(reasons.includes('Invalid revocation list: Revocation list root does not match its revoked IDs'));
+    assert.ok(!reasons.some((reason) => reason.startsWith('The revocation list') || reason.startsWith('Not checked')));
+    // The proof is still checked and decoded
+    assert.equal(claims.length, 1);
+  });
+});
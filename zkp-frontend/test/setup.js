@@ -0,0 +1,7 @@
+/**
+ * Test setup - Loaded with --import before every test file, see the test script in package.json
+ */
+import { register } from 'node:module';
+
+// The hooks must be in place before the services are loaded, as in cli/zkp.js
+register('../src/nodeResolveHooks.js', import.meta.url);
@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SortedMerkleTree, SORTED_ENTRY_BITS } from '../src/services/sortedMerkleTree.js';
+import { rootFromProof } from './fixtures.js';
+
+describe('SortedMerkleTree', () => {
+  it('sorts and deduplicates its entries', () => {
+    const tree = new SortedMerkleTree(3, ['30', 10n, '20', '10']);
+    assert.deepEqual(tree.entries, [10n, 20n, 30n]);
+    assert.equal(tree.root, new SortedMerkleTree(3, [20n, 30n, 10n]).root);
+    assert.ok(tree.has('20'));
+    assert.ok(!tree.has(25n));
+  });
+
+  it('brackets an absent value between adjacent leaves', () => {
+    const tree = new SortedMerkleTree(3, [10n, 20n, 30n]);
+    for (const value of [0n, 15n, 31n]) {
+      const proof = tree.generateExclusionProof(value);
+      assert.ok(proof.low < value + 1n && value + 1n < proof.high);
+      assert.equal(rootFromProof({ leaf: proof.low, index: proof.lowIndex, siblings: proof.lowSiblings }), tree.root);
+      assert.equal(rootFromProof({ leaf: proof.high, index: proof.lowIndex + 1, siblings: proof.highSiblings }), tree.root);
+    }
+  });
+
+  it('refuses to prove an entry absent', () => {
+    assert.throws(() => new SortedMerkleTree(3, [10n]).generateExclusionProof(10n), /is an entry/);
+  });
+
+  it('rejects entries that are too large and trees that are too full', () => {
+    assert.throws(() => new SortedMerkleTree(3, [2n ** BigInt(SORTED_ENTRY_BITS)]), /must fit in 248 bits/);
+    assert.throws(() => new SortedMerkleTree(2, [1n, 2n, 3n]), /at most 2 entries, got 3/);
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { poseidon2 } from 'poseidon-lite';
+import { SparseMerkleTree, ZERO_LEAF } from '../src/services/sparseMerkleTree.js';
+import { rootFromProof } from './fixtures.js';
+
+describe('SparseMerkleTree', () => {
+  it('pads unused positions with zero leaves', () => {
+    const tree = new SparseMerkleTree(2, [1n, 2n, 3n]);
+    const full = new SparseMerkleTree(2, [1n, 2n, 3n, ZERO_LEAF]);
+    assert.equal(tree.root, full.root);
+    assert.equal(tree.root, poseidon2([poseidon2([1n, 2n]), poseidon2([3n, 0n])]));
+  });
+
+  it('gives an empty tree the root of all zero leaves', () => {
+    assert.equal(new SparseMerkleTree(3).root, new SparseMerkleTree(3, Array(8).fill(0n)).root);
+  });
+
+  it('generates proofs of depth siblings that hash to the root', () => {
+    const tree = new SparseMerkleTree(4, ['5', '6', '7', '8', '9']);
+    for (const index of [0, 3, 4, 15]) {
+      const proof = tree.generateProof(index);
+      assert.equal(proof.siblings.length, 4);
+      assert.equal(rootFromProof(proof), tree.root);
+    }
+    assert.equal(tree.generateProof(4).leaf, 9n);
+    assert.equal(tree.generateProof(15).leaf, ZERO_LEAF);
+  });
+
+  it('rejects bad depths, too many leaves and indexes outside the tree', () => {
+    assert.throws(() => new SparseMerkleTree(0), /positive integer/);
+    assert.throws(() => new SparseMerkleTree(2, [1, 2, 3, 4, 5]), /at most 4 leaves, got 5/);
+    assert.throws(() => new SparseMerkleTree(2).generateProof(4), /outside a tree of 4 leaves/);
+  });
+});
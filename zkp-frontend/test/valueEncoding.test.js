@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  VALUE_TYPES,
+  decodeValue,
+  encodeValue,
+  inferValueType,
+  valueTypeFromTag
+} from '../src/services/valueEncoding.js';
+
+describe('encodeValue and decodeValue', () => {
+  it('round-trip integers, dates and booleans', () => {
+    const cases = [
+      ['int', '0'],
+      ['int', '-42'],
+      ['int', '9223372036854775807'],
+      ['int', '-9223372036854775808'],
+      ['date', '2000-02-29'],
+      ['date', '1969-12-31'],
+      ['boolean', 'true'],
+      ['boolean', 'false']
+    ];
+    for (const [type, value] of cases) {
+      assert.equal(decodeValue(type, encodeValue(type, value)), value, `${type} ${value}`);
+    }
+  });
+
+  it('keep the order of integers and dates', () => {
+    assert.ok(encodeValue('int', -1) < encodeValue('int', 0));
+    assert.ok(encodeValue('int', 17) < encodeValue('int', 18));
+    assert.ok(encodeValue('date', '1999-12-31') < encodeValue('date', '2000-01-01'));
+  });
+
+  it('hash strings to distinct 248-bit values', () => {
+    const encoded = ['', 'a', 'b', 'ab', 'a'.repeat(31), 'a'.repeat(32)].map((value) => encodeValue('string', value));
+    assert.equal(new Set(encoded).size, encoded.length);
+    assert.ok(encoded.every((value) => value < 2n ** 248n));
+    assert.equal(encodeValue('string', 'NL'), encodeValue('string', 'NL'));
+  });
+
+  it('reject values outside their type', () => {
+    assert.throws(() => encodeValue('int', '1.5'), /not a whole number/);
+    assert.throws(() => encodeValue('int', '9223372036854775808'), /outside the signed 64-bit range/);
+    assert.throws(() => encodeValue('date', '2023-02-29'), /not a valid YYYY-MM-DD date/);
+    assert.throws(() => encodeValue('boolean', 'yes'), /not true or false/);
+    assert.throws(() => encodeValue('float', '1'), /Unknown value type: float/);
+  });
+
+  it('reject encoded dates beyond the dates a Date holds', () => {
+    assert.throws(() => decodeValue('date', 0n), /0 is not an encoded date/);
+  });
+});
+
+describe('value types', () => {
+  it('are looked up by their tag', () => {
+    for (const [type, { tag }] of Object.entries(VALUE_TYPES)) {
+      assert.equal(valueTypeFromTag(String(tag)), type);
+    }
+    assert.throws(() => valueTypeFromTag(9), /Unknown value type tag: 9/);
+  });
+
+  it('are inferred from raw JSON values', () => {
+    assert.equal(inferValueType(18), 'int');
+    assert.equal(inferValueType(' -3 '), 'int');
+    assert.equal(inferValueType(false), 'boolean');
+    assert.equal(inferValueType('2024-05-01'), 'date');
+    assert.equal(inferValueType('Amsterdam'), 'string');
+  });
+});
@@ -0,0 +1,170 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import * as snarkjs from 'snarkjs';
+import { ChallengeService } from '../src/services/challengeService.js';
+import { NullifierRegistry } from '../src/services/nullifierRegistry.js';
+import { scopeSignal } from '../src/services/ownerIdentity.js';
+import { PROVING_SYSTEMS } from '../src/services/provingSystems.js';
+import { VerificationService, loadVerificationKey } from '../src/services/verificationService.js';
+import { proofEnvelope, publicSignals } from './fixtures.js';
+
+describe('loadVerificationKey', () => {
+  it('reads a key from a file in Node', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'zkp-vkey-'));
+    try {
+      const path = join(dir, 'verification_key.json');
+      writeFileSync(path, JSON.stringify({ protocol: 'fflonk', nPublic: 55 }));
+      assert.deepEqual(await loadVerificationKey(path), { protocol: 'fflonk', nPublic: 55 });
+      await assert.rejects(loadVerificationKey(join(dir, 'missing.json')), /Failed to load verification key .*missing\.json/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects keys of other proving systems or circuits', async () => {
+    await assert.rejects(loadVerificationKey({ protocol: 'stark' }), /must be for one of groth16, plonk, fflonk, got stark/);
+    await assert.rejects(loadVerificationKey({ protocol: 'groth16', nPublic: 4 }), /has 4 public signals, but proofs have 55/);
+  });
+});
+
+describe('VerificationService.verify', () => {
+  // A key of another proving system, so the proof is rejected without running a verifier
+  const service = new VerificationService({ protocol: 'plonk' });
+
+  it('rejects a proof that is not valid JSON instead of throwing', async () => {
+    const result = await service.verify('{"proof":', { now: 1760000000000 });
+    assert.equal(result.valid, false);
+    assert.equal(result.accepted, false);
+    assert.equal(result.reasons.length, 1);
+    assert.match(result.reasons[0], /not valid JSON, a proof code or a proof link/);
+    assert.equal(result.timestamp, new Date(1760000000000).toISOString());
+    assert.equal(result.claims, undefined);
+  });
+
+  it('rejects a proof that is not shaped like a proof', async () => {
+    const envelope = proofEnvelope();
+    const { accepted, reasons, mismatches } = await service.verify({ ...envelope, proof: { ...envelope.proof, pi_a: ['1'] } });
+    assert.equal(accepted, false);
+    assert.match(reasons[0], /^Invalid proof format: .*pi_a/);
+    assert.deepEqual(mismatches, []);
+  });
+
+  it('rejects public signals the circuit never outputs instead of throwing', async () => {
+    const cases = [
+      [{ valueType: ['9'] }, /Unknown value type tag: 9/],
+      [{ predicate: ['5'] }, /Unknown predicate: 5/],
+      [{ rangeMode: ['7'] }, /Unknown range mode: 7/],
+      [{ valueType: ['4'], lowerbound: ['0'] }, /0 is not an encoded date/]
+    ];
+    for (const [values, reason] of cases) {
+      const { accepted, reasons, claims } = await service.verify({ ...proofEnvelope(), publicSignals: publicSignals(values) });
+      assert.equal(accepted, false);
+      assert.equal(reasons.length, 1);
+      assert.match(reasons[0], /^Invalid public signals: /);
+      assert.match(reasons[0], reason);
+      assert.equal(claims, undefined);
+    }
+  });
+
+  it('rejects a proof whose key cannot be loaded instead of throwing', async () => {
+    const loader = (circuitId) => {
+      throw new Error(`Unknown circuit ${circuitId}`);
+    };
+    const { accepted, reasons } = await new VerificationService(loader).verify(proofEnvelope());
+    assert.equal(accepted, false);
+    assert.deepEqual(reasons, ['The verification key cannot be loaded: Unknown circuit proveValueInMerkle_d4']);
+  });
+});
+
+describe('VerificationService sessions', () => {
+  const now = 1760000000000;
+  let prover;
+
+  // The fixtures' proofs verify with no key, so only for these tests the prover accepts every proof
+  before(() => {
+    ({ prover } = PROVING_SYSTEMS.groth16);
+    PROVING_SYSTEMS.groth16.prover = { ...prover, verify: async () => true };
+  });
+  after(() => {
+    PROVING_SYSTEMS.groth16.prover = prover;
+  });
+
+  it('accepts a proof for the issued challenge once, and rejects its replay', async () => {
+    const service = new VerificationService({ protocol: 'groth16' });
+    const challenge = new ChallengeService().issue(now);
+    const proof = proofEnvelope({ challenge: [challenge.nonce], referenceTime: [now] });
+
+    const first = await service.verify(proof, { challenge, now });
+    assert.deepEqual(first.reasons, []);
+    assert.equal(first.accepted, true);
+
+    const replay = await service.verify(proof, { challenge, now: now + 1000 });
+    assert.equal(replay.valid, true);
+    assert.equal(replay.accepted, false);
+    assert.deepEqual(replay.reasons, ['The issued challenge was already answered']);
+  });
+
+  it('rejects a replay to another service that shares the challenges', async () => {
+    const challenges = new ChallengeService();
+    const challenge = challenges.issue(now);
+    const proof = proofEnvelope({ challenge: [challenge.nonce], referenceTime: [now] });
+
+    const first = await new VerificationService({ protocol: 'groth16' }, null, challenges).verify(proof, { challenge, now });
+    assert.equal(first.accepted, true);
+    const replay = await new VerificationService({ protocol: 'groth16' }, null, challenges).verify(proof, { challenge, now });
+    assert.equal(replay.accepted, false);
+    assert.deepEqual(replay.reasons, ['The issued challenge was already answered']);
+  });
+
+  it('does not use up the challenge on a rejected proof', async () => {
+    const service = new VerificationService({ protocol: 'groth16' });
+    const challenge = new ChallengeService().issue(now);
+    const proof = proofEnvelope({ challenge: [challenge.nonce], referenceTime: [now] });
+
+    const early = await service.verify(proof, { challenge, scope: 'event-2025', now });
+    assert.deepEqual(early.reasons, ['Made for a different scope']);
+    assert.equal((await service.verify(proof, { challenge, now })).accepted, true);
+  });
+
+  it('ignores whitespace around the scope, as the prover does', async () => {
+    const service = new VerificationService({ protocol: 'groth16' });
+    const proof = proofEnvelope({ scope: [scopeSignal(' event-2025 ')], referenceTime: [now] });
+    assert.deepEqual((await service.verify(proof, { scope: 'event-2025', now })).reasons, []);
+    assert.deepEqual((await service.verify(proof, { scope: 'event-2026', now })).reasons, ['Made for a different scope']);
+  });
+
+  it('records the holder of an accepted proof, and rejects their next proof in the scope', async () => {
+    const service = new VerificationService({ protocol: 'groth16' });
+    const nullifierRegistry = new NullifierRegistry(null);
+    const proof = proofEnvelope({ nullifier: ['77'], scope: [scopeSignal('event-2025')], referenceTime: [now] });
+
+    const rejected = await service.verify(proof, { scope: 'event-2026', nullifierRegistry, now });
+    assert.equal(rejected.accepted, false);
+    assert.equal(nullifierRegistry.has(scopeSignal('event-2025'), '77'), false);
+
+    assert.equal((await service.verify(proof, { scope: 'event-2025', nullifierRegistry, now })).accepted, true);
+    const replay = await service.verify(proof, { scope: 'event-2025', nullifierRegistry, now });
+    assert.equal(replay.accepted, false);
+    assert.deepEqual(replay.reasons, ['This holder already presented a proof in this scope']);
+  });
+
+  it('accepts a saved proof of any age unless the verifier sets a maximum age', async () => {
+    const service = new VerificationService({ protocol: 'groth16' });
+    const proof = proofEnvelope({ referenceTime: [now] });
+    const dayLater = now + 24 * 60 * 60 * 1000;
+    assert.deepEqual((await service.verify(proof, { now: dayLater })).reasons, []);
+    assert.deepEqual(
+      (await service.verify(proof, { now: dayLater, maxProofAge: 60 * 60 * 1000 })).reasons,
+      ['Only proven valid at 2025-10-09T08:53:20.000Z, longer ago than the maximum proof age']
+    );
+  });
+});
+
+describe('VerificationService after the sessions', () => {
+  it('verifies with the snarkjs prover again', () => {
+    assert.equal(PROVING_SYSTEMS.groth16.prover, snarkjs.groth16);
+  });
+});
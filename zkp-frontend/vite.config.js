@@ -1,7 +1,14 @@
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// snarkjs does not export its templates, so they are found next to its entry point at the package's root
+const snarkjsRoot = fileURLToPath(new URL('.', import.meta.resolve('snarkjs')))
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: [{ find: /^snarkjs\/templates\//, replacement: `${snarkjsRoot}templates/` }],
+  },
 })